@@ -0,0 +1,362 @@
+#!/usr/bin/env node
+/**
+ * Agent Eval Script
+ * Measures how well FinanceAgent routes messages: for every case in the dataset
+ * (evals/tool-routing.json) it checks the first tool the model picks, its arguments
+ * and category, and what the call cost. Tools are not executed (dry run).
+ *
+ * Responses come from recorded fixtures by default, so the eval runs offline and a
+ * prompt change shows up as missing fixtures. Record them once with API keys:
+ *   node scripts/eval-agent.js --mode record
+ *
+ * --mode scripted is NOT an eval: the model answers every case with its expected call,
+ * so it scores 100% unless the dataset or the scoring is broken. It needs neither keys
+ * nor fixtures and only self-checks the harness; routing numbers come from record/replay
+ *
+ * Usage:
+ *   node scripts/eval-agent.js
+ *   node scripts/eval-agent.js --mode scripted
+ *   node scripts/eval-agent.js --mode live --lang es
+ *   node scripts/eval-agent.js --out report.json
+ *   node scripts/eval-agent.js --compare report.json
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+// Parse arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+  return args[index + 1] || true;
+};
+
+const mode = getArg('mode') || 'replay';
+const datasetPath = path.resolve(getArg('dataset') || path.join(__dirname, '../evals/tool-routing.json'));
+const only = getArg('only');
+const lang = getArg('lang');
+const outPath = getArg('out');
+const comparePath = getArg('compare');
+const verbose = args.includes('--verbose');
+const help = args.includes('--help') || args.includes('-h');
+
+if (help) {
+  console.log(`
+📋 Agent Eval Script
+
+Mide qué tan bien elige herramientas el agente: para cada mensaje del dataset
+compara la primera herramienta que pide el modelo, sus argumentos y la categoría.
+Las herramientas no se ejecutan.
+
+Uso:
+  node scripts/eval-agent.js [opciones]
+
+Opciones:
+  --mode <modo>       replay (por defecto, usa fixtures grabadas), record, live o
+                      scripted (no evalúa el modelo: solo revisa el dataset y la
+                      puntuación, sin API ni fixtures)
+  --dataset <ruta>    Dataset de casos (por defecto evals/tool-routing.json)
+  --only <id>         Correr solo los casos cuyo id contenga <id>
+  --lang <idioma>     Correr solo los casos de un idioma (es, en, pt)
+  --out <ruta>        Guardar el reporte en JSON
+  --compare <ruta>    Comparar con un reporte guardado antes
+  --verbose           Mostrar los logs de la app
+  --help              Mostrar esta ayuda
+
+Ejemplos:
+  node scripts/eval-agent.js --mode record
+  node scripts/eval-agent.js --mode scripted
+  node scripts/eval-agent.js --lang pt --out reporte.json
+`);
+  process.exit(0);
+}
+
+if (!['replay', 'record', 'live', 'scripted'].includes(mode)) {
+  console.error(`❌ Modo desconocido: ${mode} (replay, record, live o scripted)`);
+  process.exit(1);
+}
+
+// Must be set before the app (and its DB selector) is imported
+process.env.DB_DRIVER = 'inmemory';
+process.env.LLM_MODE = mode === 'scripted' ? 'live' : mode;
+process.env.LLM_FIXTURES_DIR = process.env.LLM_FIXTURES_DIR || path.join(__dirname, '../evals/fixtures');
+
+// Replaying without fixtures would only report one error per case
+if (mode === 'replay') {
+  const fixturesDir = process.env.LLM_FIXTURES_DIR;
+  const hasFixtures = fs.existsSync(fixturesDir) && fs.readdirSync(fixturesDir).some(f => f.endsWith('.json'));
+  if (!hasFixtures) {
+    console.error(`❌ No hay fixtures en ${path.relative(process.cwd(), fixturesDir) || fixturesDir}.
+   Grábalas con API keys:     node scripts/eval-agent.js --mode record
+   (--mode scripted no evalúa el modelo, solo revisa el dataset y la puntuación)`);
+    process.exit(1);
+  }
+}
+
+// The app logs every step; keep the output readable unless asked
+const originalLog = console.log;
+if (!verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+  console.error = () => {};
+}
+const print = (...values) => originalLog(...values);
+
+const CURRENCY_BY_LANG = { es: 'COP', en: 'USD', pt: 'BRL' };
+const NO_TOOL = '(ninguna)';
+const SCRIPTED_WARNING = `⚠️  Modo scripted: no es un eval. El modelo responde cada caso con la llamada esperada,
+   así que solo revisa el harness (dataset y puntuación) y da 100% salvo que algo esté roto.
+   Para medir el ruteo real: --mode record con API keys y luego replay.`;
+
+/**
+ * Lowercase and strip accents, for comparing strings
+ */
+function simplify(value) {
+  return String(value).toLowerCase().normalize('NFD').replace(/[̀-ͯ]/g, '').trim();
+}
+
+/**
+ * Whether actual contains everything in expected (extra keys in actual are fine)
+ */
+function matchesExpected(actual, expected) {
+  if (expected === null || expected === undefined) return actual === expected;
+  if (Array.isArray(expected)) {
+    return Array.isArray(actual)
+      && actual.length === expected.length
+      && expected.every((item, i) => matchesExpected(actual[i], item));
+  }
+  if (typeof expected === 'object') {
+    return actual !== null && typeof actual === 'object'
+      && Object.entries(expected).every(([key, value]) => matchesExpected(actual[key], value));
+  }
+  if (typeof expected === 'number') return Math.abs(Number(actual) - expected) < 0.01;
+  if (typeof expected === 'string') return actual !== undefined && simplify(actual) === simplify(expected);
+  return actual === expected;
+}
+
+/**
+ * Category a tool call used (log_expense puts it on each expense)
+ */
+function getCategory(call) {
+  const input = call?.input || {};
+  const categories = Array.isArray(input.expenses)
+    ? [...new Set(input.expenses.map(e => e.category).filter(Boolean))]
+    : [input.category || input.newCategory].filter(Boolean);
+  return categories.length === 1 ? categories[0] : null;
+}
+
+/**
+ * What a perfect model would answer for a case (--mode scripted). A tool the agent
+ * doesn't offer (renamed or removed) gets a text answer, so the case fails
+ */
+function getScriptedResponse(expected, tools) {
+  if (!expected.tool || !tools.some(tool => tool.name === expected.tool)) {
+    return [{ type: 'text', text: '¿En qué categoría lo registro?' }];
+  }
+
+  const input = structuredClone(expected.args || {});
+  if (expected.category) {
+    if (Array.isArray(input.expenses)) {
+      input.expenses = input.expenses.map(e => ({ ...e, category: expected.category }));
+    } else {
+      input.category = expected.category;
+    }
+  }
+  return [{ type: 'tool_use', id: `toolu_eval_${expected.tool}`, name: expected.tool, input }];
+}
+
+const ratio = (hits, total) => (total > 0 ? hits / total : null);
+const percent = (value) => (value === null ? '—' : `${(value * 100).toFixed(1)}%`);
+
+/**
+ * Precision and recall per tool (NO_TOOL counts as a tool)
+ */
+function getToolMetrics(results) {
+  const tools = [...new Set(results.flatMap(r => [r.expectedTool, r.actualTool]))].sort();
+  const metrics = {};
+  for (const tool of tools) {
+    const predicted = results.filter(r => r.actualTool === tool);
+    const relevant = results.filter(r => r.expectedTool === tool);
+    const correct = predicted.filter(r => r.expectedTool === tool);
+    metrics[tool] = {
+      support: relevant.length,
+      predicted: predicted.length,
+      precision: ratio(correct.length, predicted.length),
+      recall: ratio(correct.length, relevant.length),
+    };
+  }
+  return metrics;
+}
+
+async function main() {
+  const { FinanceAgent } = await import('../src/agents/financeAgent.js');
+  const { UserDB } = await import('../src/database/index.js');
+  const { getDefaultCategories } = await import('../src/utils/categoryUtils.js');
+  const { calculateLLMCost } = await import('../src/services/costTracker.js');
+  const { registerProvider, setProviderChain } = await import('../src/services/llmFallbackService.js');
+
+  const dataset = JSON.parse(fs.readFileSync(datasetPath, 'utf8'));
+  const cases = dataset.cases
+    .filter(c => !only || c.id.includes(only))
+    .filter(c => !lang || c.lang === lang);
+
+  // The expected call for the case being run; after a tool result, just a closing text
+  let scriptedCase = null;
+  if (mode === 'scripted') {
+    registerProvider('scripted', async (systemPrompt, messages, tools = []) => {
+      const last = messages[messages.length - 1];
+      const afterTool = Array.isArray(last?.content) && last.content.some(block => block.type === 'tool_result');
+      return {
+        provider: 'scripted',
+        content: afterTool ? [{ type: 'text', text: 'Listo.' }] : getScriptedResponse(scriptedCase.expected, tools),
+        usage: { input_tokens: 0, output_tokens: 0 },
+      };
+    });
+    setProviderChain(['scripted']);
+  }
+
+  print(`
+╔════════════════════════════════════════════╗
+║   🧪 Agent Eval - Monedita                 ║
+╚════════════════════════════════════════════╝
+
+  Dataset: ${path.relative(process.cwd(), datasetPath)} (${cases.length} casos)
+  Modo:    ${mode}
+`);
+  if (mode === 'scripted') {
+    print(SCRIPTED_WARNING);
+  }
+
+  const results = [];
+  for (const [index, testCase] of cases.entries()) {
+    const phone = `5739900${String(index + 1).padStart(5, '0')}`;
+    const currency = CURRENCY_BY_LANG[testCase.lang] || 'USD';
+    UserDB.create(phone, { name: 'Eval', currency, language: testCase.lang });
+    UserDB.setCategories(phone, getDefaultCategories(testCase.lang));
+
+    const agent = new FinanceAgent(phone, currency, testCase.lang);
+    scriptedCase = testCase;
+    let error = null;
+    try {
+      await agent.processMessage(testCase.text, { dryRun: true });
+    } catch (err) {
+      error = err.message;
+    }
+
+    // The agent answers with a generic error when the LLM call fails (e.g. no fixture)
+    const usage = agent.getLastTokenUsage();
+    if (!error && (!usage || usage.calls.length === 0)) {
+      error = 'Sin respuesta del LLM (¿falta la fixture? grábala con --mode record)';
+    }
+
+    const call = agent.getLastToolCalls()[0] || null;
+    const expected = testCase.expected;
+    const result = {
+      id: testCase.id,
+      lang: testCase.lang,
+      text: testCase.text,
+      expectedTool: expected.tool || NO_TOOL,
+      actualTool: call?.name || NO_TOOL,
+      input: call?.input || null,
+      error,
+      cost: calculateLLMCost(usage?.calls || []),
+    };
+    result.toolCorrect = !error && result.actualTool === result.expectedTool;
+    if (expected.args) {
+      result.argsCorrect = result.toolCorrect && matchesExpected(call.input, expected.args);
+    }
+    if (expected.category) {
+      result.actualCategory = getCategory(call);
+      result.categoryCorrect = !error && simplify(result.actualCategory || '') === simplify(expected.category);
+    }
+    results.push(result);
+
+    const marks = [
+      result.toolCorrect ? '✅' : '❌',
+      result.argsCorrect === false ? 'args ❌' : '',
+      result.categoryCorrect === false ? `categoría ❌ (${result.actualCategory || 'ninguna'})` : '',
+    ].filter(Boolean).join(' ');
+    print(`  ${marks} ${testCase.id}: ${result.actualTool}${result.toolCorrect ? '' : ` (esperado ${result.expectedTool})`}${error ? ` — ${error}` : ''}`);
+  }
+
+  const withArgs = results.filter(r => r.argsCorrect !== undefined);
+  const withCategory = results.filter(r => r.categoryCorrect !== undefined);
+  const totalCost = results.reduce((sum, r) => sum + r.cost.costUSD, 0);
+  const report = {
+    dataset: path.relative(process.cwd(), datasetPath),
+    mode,
+    runAt: new Date().toISOString(),
+    cases: results.length,
+    errors: results.filter(r => r.error).length,
+    toolAccuracy: ratio(results.filter(r => r.toolCorrect).length, results.length),
+    argsAccuracy: ratio(withArgs.filter(r => r.argsCorrect).length, withArgs.length),
+    categoryAccuracy: ratio(withCategory.filter(r => r.categoryCorrect).length, withCategory.length),
+    tools: getToolMetrics(results),
+    cost: {
+      totalUSD: totalCost,
+      avgUSD: results.length > 0 ? totalCost / results.length : 0,
+      inputTokens: results.reduce((sum, r) => sum + r.cost.inputTokens, 0),
+      outputTokens: results.reduce((sum, r) => sum + r.cost.outputTokens, 0),
+      moneditas: results.reduce((sum, r) => sum + r.cost.moneditas, 0),
+    },
+    results: results.map(({ cost, ...r }) => ({ ...r, costUSD: cost.costUSD })),
+  };
+
+  print(`
+📊 Resultados
+
+  Herramienta correcta: ${percent(report.toolAccuracy)} (${results.filter(r => r.toolCorrect).length}/${results.length})
+  Argumentos correctos: ${percent(report.argsAccuracy)} (${withArgs.filter(r => r.argsCorrect).length}/${withArgs.length})
+  Categoría correcta:   ${percent(report.categoryAccuracy)} (${withCategory.filter(r => r.categoryCorrect).length}/${withCategory.length})
+  Errores:              ${report.errors}
+
+  Herramienta                  Casos  Precisión  Recall`);
+  for (const [tool, m] of Object.entries(report.tools)) {
+    print(`  ${tool.padEnd(28)} ${String(m.support).padStart(5)}  ${percent(m.precision).padStart(9)}  ${percent(m.recall).padStart(6)}`);
+  }
+  print(`
+💰 Costo: $${report.cost.totalUSD.toFixed(4)} (${report.cost.moneditas} moneditas, ${report.cost.inputTokens}in/${report.cost.outputTokens}out), $${report.cost.avgUSD.toFixed(5)} por caso`);
+  if (mode === 'scripted') {
+    print(`\n${SCRIPTED_WARNING}`);
+  }
+
+  if (comparePath) {
+    const baseline = JSON.parse(fs.readFileSync(path.resolve(comparePath), 'utf8'));
+    const delta = (current, previous) => {
+      if (current === null || previous === null || previous === undefined) return '—';
+      const diff = (current - previous) * 100;
+      return `${diff >= 0 ? '+' : ''}${diff.toFixed(1)} pts`;
+    };
+    print(`
+📈 Contra ${comparePath} (${baseline.runAt})
+
+  Herramienta correcta: ${delta(report.toolAccuracy, baseline.toolAccuracy)}
+  Argumentos correctos: ${delta(report.argsAccuracy, baseline.argsAccuracy)}
+  Categoría correcta:   ${delta(report.categoryAccuracy, baseline.categoryAccuracy)}
+  Costo por caso:       $${baseline.cost.avgUSD.toFixed(5)} → $${report.cost.avgUSD.toFixed(5)}`);
+    const changed = report.results.filter(r => {
+      const before = baseline.results?.find(b => b.id === r.id);
+      return before && before.toolCorrect !== r.toolCorrect;
+    });
+    for (const r of changed) {
+      print(`  ${r.toolCorrect ? '⬆️ ' : '⬇️ '} ${r.id}: ${r.actualTool}`);
+    }
+  }
+
+  if (outPath) {
+    fs.writeFileSync(path.resolve(outPath), JSON.stringify(report, null, 2));
+    print(`\n💾 Reporte guardado en ${outPath}`);
+  }
+
+  process.exit(report.errors === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  print('❌ Error:', error.message);
+  process.exit(1);
+});
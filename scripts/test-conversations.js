@@ -0,0 +1,577 @@
+#!/usr/bin/env node
+/**
+ * Test Conversations Script
+ * Deterministic end-to-end conversations through the WhatsApp simulator:
+ * signed webhooks in, captured replies out, scripted LLM, in-memory DB. Runs offline
+ *
+ * Usage:
+ *   node scripts/test-conversations.js
+ *   node scripts/test-conversations.js --only deshacer
+ *   node scripts/test-conversations.js --verbose
+ */
+
+import fs from 'fs';
+import os from 'os';
+import path from 'path';
+import { createSimulator, toolUse, text } from './whatsapp-simulator.js';
+
+// Parse arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+  return args[index + 1] || true;
+};
+
+const only = getArg('only');
+const verbose = args.includes('--verbose');
+const help = args.includes('--help') || args.includes('-h');
+
+if (help) {
+  console.log(`
+📋 Test Conversations Script
+
+Corre conversaciones completas contra la app (webhook firmado → respuesta)
+con un LLM guionado y la base de datos en memoria. No necesita red ni API keys.
+
+Uso:
+  node scripts/test-conversations.js [opciones]
+
+Opciones:
+  --only <nombre>   Correr solo los escenarios cuyo nombre contenga <nombre>
+  --verbose         Mostrar los logs de la app
+  --help            Mostrar esta ayuda
+
+Ejemplos:
+  node scripts/test-conversations.js
+  node scripts/test-conversations.js --only gasto
+`);
+  process.exit(0);
+}
+
+// The app logs every step; keep the output readable unless asked
+const originalLog = console.log;
+if (!verbose) {
+  console.log = () => {};
+  console.warn = () => {};
+}
+const print = (...values) => originalLog(...values);
+
+print(`
+╔════════════════════════════════════════════╗
+║   🧪 Test Conversations - Monedita         ║
+╚════════════════════════════════════════════╝
+`);
+
+let failures = 0;
+function check(name, actual, expected) {
+  const ok = actual === expected;
+  if (!ok) failures++;
+  print(`  ${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (esperado ${JSON.stringify(expected)}, obtenido ${JSON.stringify(actual)})`}`);
+}
+
+let phoneCounter = 0;
+const newPhone = () => `57300000${String(++phoneCounter).padStart(4, '0')}`;
+
+// The scenarios script the LLM, so simple expenses must reach it: the fast-path
+// scenario turns the local parser back on
+process.env.FAST_PATH_ENABLED = 'false';
+
+const scenarios = [
+  {
+    name: 'onboarding de usuario nuevo',
+    async run(sim, { UserDB }) {
+      const phone = newPhone();
+
+      const welcome = await sim.sendText(phone, 'hola');
+      check('Envía la tarjeta de contacto', welcome.some(m => m.type === 'contact'), true);
+      check('Envía el audio de bienvenida', welcome.some(m => m.type === 'audio' && m.url.includes('welcome-es')), true);
+
+      await sim.sendText(phone, 'Ana');
+      check('Guarda el nombre', UserDB.get(phone).name, 'Ana');
+      check('Saluda por el nombre', sim.textsTo(phone, 1)[0].includes('*Ana*'), true);
+      check('No llamó al LLM', sim.llm.calls.length, 0);
+    },
+  },
+  {
+    name: 'gasto simple: "gasté 20k en uber"',
+    async run(sim, { ExpenseDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+      sim.llm.script(
+        [toolUse('log_expense', { expenses: [{ amount: 20000, category: 'transporte', description: 'uber' }] })],
+        [text('✅ Registré $20.000 en transporte (uber)')]
+      );
+      await sim.sendText(phone, 'gasté 20k en uber');
+
+      const expenses = await ExpenseDB.getByUser(phone);
+      check('Crea un gasto', expenses.length, 1);
+      check('Monto', expenses[0]?.amount, 20000);
+      check('Categoría', expenses[0]?.category, 'transporte');
+      check('El LLM recibió el mensaje', sim.llm.calls[0].messages.at(-1).content, 'gasté 20k en uber');
+      check('Responde con el texto del modelo', sim.textsTo(phone, 1)[0], '✅ Registré $20.000 en transporte (uber)');
+    },
+  },
+  {
+    name: 'gasto simple sin LLM (parser local)',
+    async run(sim, { ExpenseDB }) {
+      const { getMoneditasStatus } = await import('../src/services/moneditasService.js');
+      const { getFastPathStats } = await import('../src/services/fastPathService.js');
+      process.env.FAST_PATH_ENABLED = 'true';
+
+      try {
+        const phone = newPhone();
+        sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+        await sim.sendText(phone, 'uber 12k');
+        const expenses = await ExpenseDB.getByUser(phone);
+        check('No llamó al LLM', sim.llm.calls.length, 0);
+        check('Monto', expenses[0]?.amount, 12000);
+        check('Categoría por palabra clave', expenses[0]?.category, 'transporte');
+        check('Responde con el mensaje de la herramienta', /12[.,]000/.test(sim.textsTo(phone, 1)[0]), true);
+        check('Solo cobra el mensaje de respuesta', (await getMoneditasStatus(phone)).used, 1);
+        await sim.sendText(phone, 'no'); // Skip the budget prompt for transporte
+
+        // Learned from history: "éxito" always went to compras
+        ExpenseDB.create(phone, { amount: 80000, category: 'compras', description: 'mercado Éxito' });
+        ExpenseDB.create(phone, { amount: 60000, category: 'compras', description: 'Éxito' });
+        await sim.sendText(phone, 'éxito 45k');
+        const learned = (await ExpenseDB.getByUser(phone)).find(e => e.amount === 45000);
+        check('Categoría aprendida del historial', learned?.category, 'compras');
+        await sim.sendText(phone, 'no'); // Skip the budget prompt for compras
+        check('Sigue sin llamar al LLM', sim.llm.calls.length, 0);
+
+        // Dates, questions and unknown categories go to the agent
+        sim.llm.script([text('¿En qué categoría lo registro?')]);
+        await sim.sendText(phone, 'regalo 30k');
+        check('Categoría desconocida → LLM', sim.llm.calls.length, 1);
+
+        sim.llm.script([text('¿Qué día fue?')]);
+        await sim.sendText(phone, 'taxi 8k la semana pasada');
+        check('Fecha → LLM', sim.llm.calls.length, 2);
+        sim.llm.script([text('¿Lo convierto a pesos?')]);
+        await sim.sendText(phone, '£20 taxi');
+        check('Otra moneda → LLM', sim.llm.calls.length, 3);
+        check('No registró nada de eso', (await ExpenseDB.getByUser(phone)).length, 4);
+        check('Métricas', getFastPathStats().hits >= 2 && getFastPathStats().misses.no_category >= 1 && getFastPathStats().misses.foreign_currency >= 1, true);
+      } finally {
+        process.env.FAST_PATH_ENABLED = 'false';
+      }
+    },
+  },
+  {
+    name: 'mensajes seguidos se agrupan en un lote',
+    async run(sim, { ExpenseDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+      sim.llm.script([toolUse('log_expense', { expenses: [
+        { amount: 15000, category: 'comida', description: 'almuerzo' },
+        { amount: 5000, category: 'comida', description: 'café' },
+      ] })]);
+
+      // Delivered within the 10s window, answered together
+      await sim.deliver(sim.buildPayload(phone, { type: 'text', text: { body: 'almuerzo 15k' } }));
+      await sim.deliver(sim.buildPayload(phone, { type: 'text', text: { body: 'y un café 5k' } }));
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await sim.settle(phone);
+
+      // Calls after the first carry tool results, not new user messages
+      const userTurns = sim.llm.calls.filter(c => typeof c.messages.at(-1).content === 'string');
+      check('Una sola llamada al LLM por el lote', userTurns.length, 1);
+      check('Texto combinado', sim.llm.calls[0]?.messages.at(-1).content, 'almuerzo 15k y un café 5k');
+      check('Crea los dos gastos', (await ExpenseDB.getByUser(phone)).length, 2);
+      check('Sin texto del modelo, responde con el mensaje de la herramienta', /15[.,]000/.test(sim.textsTo(phone, 1)[0]), true);
+    },
+  },
+  {
+    name: 'entrega duplicada y firma inválida',
+    async run(sim, { ExpenseDB, ProcessedMessageDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 8000, category: 'transporte', description: 'bus' }] })]);
+      const payload = sim.buildPayload(phone, { id: `wamid.dup_${Date.now()}`, type: 'text', text: { body: 'bus 8k' } });
+
+      check('Primera entrega → 200', await sim.deliver(payload), 200);
+      check('Reenvío de Meta → 200', await sim.deliver(payload), 200);
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await sim.settle(phone);
+      check('Un solo gasto', (await ExpenseDB.getByUser(phone)).length, 1);
+
+      await sim.sendText(phone, 'no'); // Skip the budget prompt for transporte
+
+      // A claim that never got processed (the instance died mid-way) doesn't block Meta's retry
+      const lostId = `wamid.lost_${Date.now()}`;
+      ProcessedMessageDB.claim(lostId, phone, new Date(Date.now() + 24 * 60 * 60 * 1000));
+      ProcessedMessageDB.get(lostId).received_at = new Date(Date.now() - 10 * 60 * 1000);
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 9000, category: 'transporte', description: 'taxi' }] })]);
+      await sim.deliver(sim.buildPayload(phone, { id: lostId, type: 'text', text: { body: 'taxi 9k' } }));
+      await new Promise(resolve => setTimeout(resolve, 100));
+      await sim.settle(phone);
+      check('El reintento de un mensaje perdido se procesa', (await ExpenseDB.getByUser(phone)).length, 2);
+      check('Y queda marcado como procesado', ProcessedMessageDB.get(lostId)?.status, 'processed');
+
+      const forged = sim.buildPayload(phone, { type: 'text', text: { body: 'bus 8k' } });
+      check('Firma inválida → 401', await sim.deliver(forged, { signature: 'sha256=deadbeef' }), 401);
+      check('Sin firma → 401', await sim.deliver(forged, { signature: null }), 401);
+    },
+  },
+  {
+    name: 'deshacer el último gasto',
+    async run(sim, { ExpenseDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 12000, category: 'comida', description: 'pizza' }] })]);
+      await sim.sendText(phone, 'pizza 12k');
+      check('Gasto creado', (await ExpenseDB.getByUser(phone)).length, 1);
+
+      sim.llm.script([toolUse('undo_action', {})]);
+      await sim.sendText(phone, 'deshaz eso');
+      check('Gasto eliminado', (await ExpenseDB.getByUser(phone)).length, 0);
+    },
+  },
+  {
+    name: 'deshacer ingresos y acciones irreversibles',
+    async run(sim, { ExpenseDB, IncomeDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 12000, category: 'comida', description: 'pizza' }] })]);
+      await sim.sendText(phone, 'pizza 12k');
+      await sim.sendText(phone, 'no');
+      sim.llm.script([toolUse('log_income', { amount: 500000, category: 'salario' })]);
+      await sim.sendText(phone, 'me pagaron 500k');
+      check('Ingreso creado', (await IncomeDB.getByUser(phone)).length, 1);
+
+      sim.llm.script([toolUse('undo_action', {})]);
+      await sim.sendText(phone, 'deshaz eso');
+      check('Deshacer quita el ingreso', (await IncomeDB.getByUser(phone)).length, 0);
+      check('El gasto sigue ahí', (await ExpenseDB.getByUser(phone)).length, 1);
+
+      sim.llm.script([toolUse('create_group', { name: 'Viaje' })]);
+      await sim.sendText(phone, 'crea el grupo Viaje');
+      sim.llm.script([toolUse('undo_action', {})]);
+      await sim.sendText(phone, 'deshaz eso');
+      check('Avisa que no se puede deshacer', /no se puede deshacer/.test(sim.textsTo(phone, 1)[0]), true);
+      check('No deshace lo anterior', (await ExpenseDB.getByUser(phone)).length, 1);
+
+      sim.llm.script([toolUse('undo_action', {})]);
+      await sim.sendText(phone, 'deshaz eso');
+      check('Un segundo "deshacer" sigue con lo anterior', (await ExpenseDB.getByUser(phone)).length, 0);
+    },
+  },
+  {
+    name: 'borrado masivo pide confirmación',
+    async run(sim, { ExpenseDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+      ExpenseDB.create(phone, { amount: 20000, category: 'comida', description: 'almuerzo', date: new Date('2026-01-10T17:00:00Z') });
+      ExpenseDB.create(phone, { amount: 15000, category: 'comida', description: 'mercado', date: new Date('2026-01-20T17:00:00Z') });
+      ExpenseDB.create(phone, { amount: 9000, category: 'transporte', description: 'taxi', date: new Date('2026-01-20T18:00:00Z') });
+      ExpenseDB.create(phone, { amount: 30000, category: 'comida', description: 'cena', date: new Date('2026-02-03T01:00:00Z') });
+      const bulkDelete = toolUse('delete_expense', { deleteAll: true, category: 'comida', startDate: '2026-01-01', endDate: '2026-01-31' });
+
+      sim.llm.script([bulkDelete]);
+      const asked = await sim.sendText(phone, 'borra todos los gastos de comida de enero');
+      const prompt = asked.find(m => m.type === 'buttons');
+      check('Pregunta con botones', prompt?.buttons.map(b => b.title).join('/'), 'Sí/No');
+      check('La vista previa dice cuántos y cuánto', /2 gastos.*35[.,]000/.test(prompt?.text || ''), true);
+      check('No borra todavía', (await ExpenseDB.getByUser(phone)).length, 4);
+      check('El modelo no se llama de nuevo', sim.llm.calls.length, 1);
+
+      await sim.pressButton(phone, prompt.buttons[1].id, 'No');
+      check('"No" no borra nada', (await ExpenseDB.getByUser(phone)).length, 4);
+      check('Avisa que no cambió nada', sim.textsTo(phone, 1)[0], 'Listo, no cambié nada.');
+
+      sim.llm.script([bulkDelete]);
+      const askedAgain = await sim.sendText(phone, 'sí, bórralos todos los de comida de enero');
+      const yes = askedAgain.find(m => m.type === 'buttons').buttons[0];
+      ExpenseDB.create(phone, { amount: 5000, category: 'comida', description: 'pan', date: new Date('2026-01-25T12:00:00Z') });
+      await sim.pressButton(phone, yes.id, 'Sí');
+      const left = await ExpenseDB.getByUser(phone);
+      check('"Sí" borra solo los de la vista previa', left.map(e => e.description).sort().join(','), 'cena,pan,taxi');
+      check('Confirma el borrado', /Eliminé 2 gastos/.test(sim.textsTo(phone, 1)[0]), true);
+
+      await sim.pressButton(phone, yes.id, 'Sí');
+      check('Un segundo toque no repite la acción', /ya fue respondido/.test(sim.textsTo(phone, 1)[0]), true);
+
+      sim.llm.script([toolUse('undo_action', {})]);
+      await sim.sendText(phone, 'deshaz eso');
+      check('Deshacer los recupera todos', (await ExpenseDB.getByUser(phone)).length, 5);
+    },
+  },
+  {
+    name: 'borrado masivo con más de una página de gastos',
+    async run(sim, { ExpenseDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+      for (let i = 0; i < 120; i++) {
+        ExpenseDB.create(phone, { amount: 1000, category: 'comida', description: `tinto ${i}`, date: new Date(Date.UTC(2026, 0, 1 + (i % 28), 15)) });
+      }
+      ExpenseDB.create(phone, { amount: 9000, category: 'transporte', description: 'taxi', date: new Date('2026-01-20T18:00:00Z') });
+
+      sim.llm.script([toolUse('delete_expense', { deleteAll: true, category: 'comida', startDate: '2026-01-01', endDate: '2026-01-31' })]);
+      const asked = await sim.sendText(phone, 'borra todos los gastos de comida de enero');
+      const prompt = asked.find(m => m.type === 'buttons');
+      check('La vista previa cuenta todos', /120 gastos.*120[.,]000/.test(prompt?.text || ''), true);
+
+      await sim.pressButton(phone, prompt.buttons[0].id, 'Sí');
+      check('Los borra todos', (await ExpenseDB.getByUser(phone)).map(e => e.description).join(','), 'taxi');
+    },
+  },
+  {
+    name: 'una pregunta nueva no anula los botones de la anterior',
+    async run(sim, { ExpenseDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+      ExpenseDB.create(phone, { amount: 20000, category: 'comida', description: 'almuerzo', date: new Date('2026-01-10T17:00:00Z') });
+      ExpenseDB.create(phone, { amount: 9000, category: 'transporte', description: 'taxi', date: new Date('2026-01-20T18:00:00Z') });
+
+      sim.llm.script([toolUse('delete_expense', { deleteAll: true, category: 'comida', startDate: '2026-01-01', endDate: '2026-01-31' })]);
+      const first = (await sim.sendText(phone, 'borra la comida de enero')).find(m => m.type === 'buttons');
+      sim.llm.script([toolUse('delete_expense', { deleteAll: true, category: 'transporte', startDate: '2026-01-01', endDate: '2026-01-31' })]);
+      const second = (await sim.sendText(phone, 'y el transporte de enero')).find(m => m.type === 'buttons');
+
+      await sim.pressButton(phone, first.buttons[0].id, 'Sí');
+      check('La primera confirmación sigue valiendo', (await ExpenseDB.getByUser(phone)).map(e => e.description).join(','), 'taxi');
+      await sim.pressButton(phone, second.buttons[0].id, 'Sí');
+      check('Y la segunda también', (await ExpenseDB.getByUser(phone)).length, 0);
+    },
+  },
+  {
+    name: 'elegir categoría y periodo con listas',
+    async run(sim, { ExpenseDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 50000, category: 'otros', description: 'regalo' }] })]);
+      const asked = await sim.sendText(phone, 'regalo 50k');
+      const picker = asked.find(m => m.type === 'list');
+      check('Muestra las categorías en una lista', picker?.rows.map(r => r.title).join(','), '🍔 Comida,🚗 Transporte,🛒 Compras,🎬 Entretenimiento,📄 Servicios,💊 Salud');
+      check('No registra todavía', (await ExpenseDB.getByUser(phone)).length, 0);
+
+      await sim.chooseFromList(phone, picker.rows[2].id, picker.rows[2].title);
+      const [gift] = await ExpenseDB.getByUser(phone);
+      check('La elección vuelve directo a la herramienta', `${gift?.category} ${gift?.description}`, 'compras regalo');
+      check('Sin pasar por el modelo', sim.llm.calls.length, 1);
+
+      await sim.chooseFromList(phone, picker.rows[0].id, picker.rows[0].title);
+      check('Elegir dos veces no duplica', (await ExpenseDB.getByUser(phone)).length, 1);
+      await sim.sendText(phone, 'no'); // Skip the budget prompt for compras
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 8000, category: 'comida', description: 'algo' }] })]);
+      const vague = (await sim.sendText(phone, 'algo 8k')).find(m => m.type === 'list');
+      await sim.chooseFromList(phone, vague.rows[1].id, vague.rows[1].title);
+      await sim.sendText(phone, 'no'); // Skip the budget prompt for transporte
+      check('Con la categoría elegida no vuelve a preguntar', (await ExpenseDB.getByUser(phone)).map(e => e.category).sort().join(','), 'compras,transporte');
+
+      ExpenseDB.create(phone, { amount: 70000, category: 'servicios', description: 'luz', date: new Date(Date.now() - 70 * 24 * 60 * 60 * 1000) });
+      sim.llm.script([toolUse('delete_expense', { deleteAll: true })]);
+      const periods = (await sim.sendText(phone, 'borra todos mis gastos')).find(m => m.type === 'list');
+      const thisMonth = periods?.rows.find(r => r.title === 'Este mes');
+      check('Pregunta el periodo con cuánto borra cada uno', /^2 gastos · \$58[.,]000$/.test(thisMonth?.description), true);
+      check('Ofrece todo el historial', /^3 gastos · \$128[.,]000$/.test(periods?.rows.at(-1).description), true);
+
+      const confirm = (await sim.chooseFromList(phone, thisMonth.id, thisMonth.title)).find(m => m.type === 'buttons');
+      check('El periodo elegido igual pide Sí/No', confirm?.buttons.map(b => b.title).join('/'), 'Sí/No');
+      check('No borra todavía', (await ExpenseDB.getByUser(phone)).length, 3);
+
+      await sim.pressButton(phone, confirm.buttons[0].id, 'Sí');
+      check('Borra solo los del periodo elegido', (await ExpenseDB.getByUser(phone)).map(e => e.description).join(','), 'luz');
+    },
+  },
+  {
+    name: 'aprende la categoría de cada comercio',
+    async run(sim, { ExpenseDB, MerchantDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 30000, category: 'comida', description: 'Rappi' }] })]);
+      await sim.sendText(phone, 'rappi 30k');
+      await sim.sendText(phone, 'no'); // Skip the budget prompt for comida
+
+      sim.llm.script([toolUse('edit_expense', { editLast: true, newCategory: 'compras' })]);
+      await sim.sendText(phone, 'el de rappi era compras');
+      check('Avisa lo que aprendió', /De ahora en adelante, los gastos de Rappi van a compras/.test(sim.textsTo(phone, 1)[0]), true);
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 20000, category: 'comida', description: 'pedido rappi' }] })]);
+      await sim.sendText(phone, 'pedido rappi 20k');
+      await sim.sendText(phone, 'no'); // Skip the budget prompt for compras
+      const [, order] = await ExpenseDB.getByUser(phone);
+      check('El siguiente gasto del comercio va a la categoría aprendida', order?.category, 'compras');
+      check('Queda ligado al comercio', order?.merchant_id, (await MerchantDB.getByName('rappi'))?.id);
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 15000, category: 'comida', description: 'rappi', categoryNamed: true }] })]);
+      await sim.sendText(phone, 'rappi 15k en comida');
+      const named = (await ExpenseDB.getByUser(phone)).find(e => e.amount === 15000);
+      check('La categoría que nombró el usuario no se cambia', named?.category, 'comida');
+      sim.llm.script([toolUse('undo_action', {})]);
+      await sim.sendText(phone, 'deshaz eso');
+
+      sim.llm.script([toolUse('undo_action', {})]);
+      await sim.sendText(phone, 'deshaz eso');
+      sim.llm.script([toolUse('undo_action', {})]);
+      await sim.sendText(phone, 'deshaz eso también');
+      check('Deshacer la edición olvida lo aprendido', (await MerchantDB.getUserCategories(phone)).length, 0);
+      check('Y devuelve el gasto a su categoría', (await ExpenseDB.getByUser(phone)).map(e => e.category).join(','), 'comida');
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 12000, category: 'comida', description: 'almuerzo con los compañeros del trabajo' }] })]);
+      await sim.sendText(phone, 'almuerzo con los compañeros del trabajo 12k');
+      const lunch = (await ExpenseDB.getByUser(phone)).find(e => e.amount === 12000);
+      sim.llm.script([toolUse('edit_expense', { expenseId: lunch.id, newCategory: 'compras' })]);
+      await sim.sendText(phone, 'ese era compras');
+      check('Cambia la categoría', (await ExpenseDB.getByUser(phone)).find(e => e.id === lunch.id)?.category, 'compras');
+      check('Una descripción larga no es un comercio', (await MerchantDB.getUserCategories(phone)).length, 0);
+      check('Ni crea uno', await MerchantDB.getByName('almuerzo con compañeros'), null);
+    },
+  },
+  {
+    name: 'reglas de categorización del usuario',
+    async run(sim, { ExpenseDB }) {
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+      sim.llm.script([toolUse('manage_rules', { action: 'add', description: 'EDS', category: 'Transporte' })]);
+      await sim.sendText(phone, 'todo lo que diga EDS ponlo en transporte');
+      check('Crea la regla', sim.textsTo(phone, 1)[0].split('\n').slice(0, 2).join(' '), '✅ Regla creada: #1 Si la descripción contiene "EDS" → transporte');
+
+      sim.llm.script([toolUse('manage_rules', { action: 'add', description: 'arriendo', min_amount: 1000000, category: 'servicios', tags: ['hogar'] })]);
+      await sim.sendText(phone, 'si dice arriendo y es más de 1 millón va a servicios con #hogar');
+
+      sim.llm.script([toolUse('log_expense', { expenses: [{ amount: 90000, category: 'compras', description: 'EDS Terpel' }] })]);
+      await sim.sendText(phone, 'eds terpel 90k');
+      await sim.sendText(phone, 'no'); // Skip the budget prompt for transporte
+      sim.llm.script([toolUse('log_expense', { expenses: [
+        { amount: 1500000, category: 'compras', description: 'arriendo' },
+        { amount: 300000, category: 'compras', description: 'arriendo bodega' },
+      ] })]);
+      await sim.sendText(phone, 'arriendo 1.5M y arriendo bodega 300k');
+      await sim.sendText(phone, 'no'); // Skip the budget prompt for servicios
+      const logged = (await ExpenseDB.getByUser(phone)).map(e => `${e.category} ${e.tags.join(',')}`.trim());
+      check('La regla gana sobre lo que adivina el modelo', logged[0], 'transporte');
+      check('Todas las condiciones deben cumplirse', logged.slice(1).join(' / '), 'servicios hogar / compras');
+
+      sim.llm.script([toolUse('manage_rules', { action: 'add', description: 'pago tarjeta', skip: true, category: 'compras' })]);
+      await sim.sendText(phone, 'no importes los pagos a la tarjeta y ponlos en compras');
+      check('No mezcla omitir con categoría', /no puede llevar categoría/.test(sim.textsTo(phone, 1)[0]), true);
+
+      sim.llm.script([toolUse('manage_rules', { action: 'delete', ruleId: 1 })]);
+      await sim.sendText(phone, 'borra la regla 1');
+      sim.llm.script([toolUse('manage_rules', { action: 'list' })]);
+      await sim.sendText(phone, 'mis reglas');
+      const [, ...listed] = sim.textsTo(phone, 1)[0].split('\n');
+      check('Lista las que quedan', listed.length, 1);
+      check('Describe cada regla', /^• #2 Si la descripción contiene "arriendo" y el monto es de al menos \$1[.,]000[.,]000 → servicios, #hogar$/.test(listed[0]), true);
+    },
+  },
+  {
+    name: 'historial largo se resume',
+    async run(sim) {
+      const { addMessage, getContext } = await import('../src/services/conversationContext.js');
+      const phone = newPhone();
+      sim.createUser(phone, { currency: 'COP', language: 'es' });
+
+      // 16 long messages: well over the context's token budget
+      for (let i = 1; i <= 8; i++) {
+        addMessage(phone, 'user', `¿Cuánto gasté en la semana ${i}? ${'detalle '.repeat(80)}`);
+        addMessage(phone, 'assistant', `En la semana ${i} gastaste $${i * 10}.000 ${'detalle '.repeat(80)}`);
+      }
+
+      sim.llm.script(
+        [text('- Revisó sus gastos semana por semana')],
+        [text('¡Hola de nuevo!')]
+      );
+      await sim.sendText(phone, 'hola otra vez');
+
+      const [summaryCall, agentCall] = sim.llm.calls;
+      check('Primero resume el historial', summaryCall?.systemPrompt.includes('summarize'), true);
+      check('El resumen va en el prompt', agentCall?.systemPrompt.includes('Revisó sus gastos semana por semana'), true);
+      check('Envía solo los mensajes recientes', agentCall?.messages.length, 7);
+      check('Contexto compactado', getContext(phone).length, 8);
+      check('Responde', sim.textsTo(phone, 1)[0], '¡Hola de nuevo!');
+
+      // A few long recent messages are sent as they are: nothing older to fold
+      const other = newPhone();
+      sim.createUser(other, { currency: 'COP', language: 'es' });
+      for (let i = 1; i <= 2; i++) {
+        addMessage(other, 'user', `Te pego mi extracto ${i}: ${'movimiento '.repeat(250)}`);
+        addMessage(other, 'assistant', `Revisé el extracto ${i}. ${'detalle '.repeat(100)}`);
+      }
+      sim.llm.script([text('¿Algo más?')]);
+      await sim.sendText(other, 'gracias');
+      check('Mensajes recientes largos no piden resumen', sim.llm.calls.length, 3);
+      check('Y no se pierde ninguno', getContext(other).length, 6);
+    },
+  },
+  {
+    name: 'grabar y repetir respuestas del LLM',
+    async run(sim, { ExpenseDB }) {
+      const { getMoneditasStatus } = await import('../src/services/moneditasService.js');
+      const fixturesDir = fs.mkdtempSync(path.join(os.tmpdir(), 'llm-fixtures-'));
+      const previousEnv = { LLM_MODE: process.env.LLM_MODE, LLM_FIXTURES_DIR: process.env.LLM_FIXTURES_DIR };
+      process.env.LLM_FIXTURES_DIR = fixturesDir;
+
+      try {
+        // Record: the scripted LLM stands in for the live providers
+        process.env.LLM_MODE = 'record';
+        const recorded = newPhone();
+        sim.createUser(recorded, { currency: 'COP', language: 'es' });
+        sim.llm.script(
+          [toolUse('log_expense', { expenses: [{ amount: 9000, category: 'comida', description: 'empanadas' }] })],
+          [text('✅ Listo, $9.000 en comida')]
+        );
+        await sim.sendText(recorded, 'empanadas 9k');
+        check('Guarda una fixture por llamada', fs.readdirSync(fixturesDir).length, 2);
+
+        // Replay: same conversation for another user, nothing scripted
+        process.env.LLM_MODE = 'replay';
+        const replayed = newPhone();
+        sim.createUser(replayed, { currency: 'COP', language: 'es' });
+        const callsBefore = sim.llm.calls.length;
+        await sim.sendText(replayed, 'empanadas 9k');
+
+        check('No llama al LLM guionado', sim.llm.calls.length, callsBefore);
+        check('Crea el gasto', (await ExpenseDB.getByUser(replayed))[0]?.amount, 9000);
+        check('Misma respuesta', sim.textsTo(replayed, 1)[0], '✅ Listo, $9.000 en comida');
+        check('Mismo costo en moneditas',
+          (await getMoneditasStatus(replayed)).used,
+          (await getMoneditasStatus(recorded)).used);
+      } finally {
+        for (const [key, value] of Object.entries(previousEnv)) {
+          if (value === undefined) delete process.env[key];
+          else process.env[key] = value;
+        }
+        fs.rmSync(fixturesDir, { recursive: true, force: true });
+      }
+    },
+  },
+];
+
+async function main() {
+  const sim = await createSimulator();
+  const db = await import('../src/database/index.js');
+
+  const selected = scenarios.filter(s => !only || s.name.includes(only));
+  for (const scenario of selected) {
+    print(`\n💬 ${scenario.name}\n`);
+    sim.llm.reset();
+    try {
+      await scenario.run(sim, db);
+    } catch (error) {
+      failures++;
+      print(`  ❌ Error: ${error.message}`);
+    }
+  }
+
+  await sim.close();
+  print(failures === 0 ? '\n✅ Todo OK' : `\n❌ ${failures} verificación(es) fallaron`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  print('❌ Error:', error.message);
+  process.exit(1);
+});
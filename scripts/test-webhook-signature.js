@@ -0,0 +1,145 @@
+#!/usr/bin/env node
+/**
+ * Test Webhook Signature Script
+ * Checks WhatsApp webhook signature verification and replay rejection with signed fixtures
+ *
+ * Usage:
+ *   node scripts/test-webhook-signature.js
+ *   node scripts/test-webhook-signature.js --secret my_app_secret
+ *   node scripts/test-webhook-signature.js --url http://localhost:3000/webhook
+ */
+
+import crypto from 'crypto';
+import dotenv from 'dotenv';
+dotenv.config();
+
+// Parse arguments
+const args = process.argv.slice(2);
+const getArg = (name) => {
+  const index = args.indexOf(`--${name}`);
+  if (index === -1) return null;
+  return args[index + 1] || true;
+};
+
+const secret = getArg('secret') || process.env.WHATSAPP_APP_SECRET || 'test_app_secret';
+const url = getArg('url');
+const help = args.includes('--help') || args.includes('-h');
+
+if (help) {
+  console.log(`
+📋 Test Webhook Signature Script
+
+Verifica la firma X-Hub-Signature-256 y el rechazo de mensajes repetidos
+del webhook de WhatsApp con payloads firmados.
+
+Uso:
+  node scripts/test-webhook-signature.js [opciones]
+
+Opciones:
+  --secret <secret>  App secret para firmar (default: WHATSAPP_APP_SECRET o test_app_secret)
+  --url <url>        También enviar los payloads a un servidor corriendo
+                     (debe usar el mismo WHATSAPP_APP_SECRET)
+  --help             Mostrar esta ayuda
+
+Ejemplos:
+  node scripts/test-webhook-signature.js
+  node scripts/test-webhook-signature.js --url http://localhost:3000/webhook
+`);
+  process.exit(0);
+}
+
+console.log(`
+╔════════════════════════════════════════════╗
+║     🧪 Test Webhook Signature - Monedita   ║
+╚════════════════════════════════════════════╝
+`);
+
+/**
+ * WhatsApp text message payload, as Meta sends it
+ */
+function buildPayload({ id, text, timestamp = Math.floor(Date.now() / 1000) }) {
+  return {
+    object: 'whatsapp_business_account',
+    entry: [{
+      id: 'WHATSAPP_BUSINESS_ACCOUNT_ID',
+      changes: [{
+        field: 'messages',
+        value: {
+          messaging_product: 'whatsapp',
+          metadata: { display_phone_number: '573000000000', phone_number_id: 'PHONE_NUMBER_ID' },
+          messages: [{
+            from: '573001234567',
+            id,
+            timestamp: String(timestamp),
+            type: 'text',
+            text: { body: text },
+          }],
+        },
+      }],
+    }],
+  };
+}
+
+function sign(rawBody, key = secret) {
+  return `sha256=${crypto.createHmac('sha256', key).update(rawBody).digest('hex')}`;
+}
+
+let failures = 0;
+function check(name, actual, expected) {
+  const ok = actual === expected;
+  if (!ok) failures++;
+  console.log(`${ok ? '✅' : '❌'} ${name}${ok ? '' : ` (esperado ${expected}, obtenido ${actual})`}`);
+}
+
+async function main() {
+  // The verifier reads the secret on each call
+  process.env.WHATSAPP_APP_SECRET = secret;
+  const { verifyWebhookSignature, isReplayedMessage } = await import('../src/utils/webhookVerification.js');
+
+  const messageId = `wamid.test_${Date.now()}`;
+  const payload = buildPayload({ id: messageId, text: 'almuerzo 20k' });
+  const rawBody = Buffer.from(JSON.stringify(payload));
+  const signature = sign(rawBody);
+
+  console.log('🔏 Firma\n');
+  check('Firma válida se acepta', verifyWebhookSignature(rawBody, signature), true);
+  check('Body alterado se rechaza', verifyWebhookSignature(Buffer.from(JSON.stringify(buildPayload({ id: messageId, text: 'almuerzo 900k' }))), signature), false);
+  check('Body re-serializado (espacios) se rechaza', verifyWebhookSignature(Buffer.from(JSON.stringify(payload, null, 2)), signature), false);
+  check('Otro secret se rechaza', verifyWebhookSignature(rawBody, sign(rawBody, 'otro_secret')), false);
+  check('Sin header se rechaza', verifyWebhookSignature(rawBody, undefined), false);
+  check('Header sin "sha256=" se rechaza', verifyWebhookSignature(rawBody, signature.slice(7)), false);
+  check('Firma truncada se rechaza', verifyWebhookSignature(rawBody, signature.slice(0, -2)), false);
+
+  console.log('\n🔁 Repetición\n');
+  const message = payload.entry[0].changes[0].value.messages[0];
+  check('Primer envío se procesa', isReplayedMessage(message), false);
+  check('Mismo ID se ignora', isReplayedMessage(message), true);
+  const oldMessage = buildPayload({ id: `${messageId}_old`, text: 'taxi 10k', timestamp: Math.floor(Date.now() / 1000) - 2 * 24 * 60 * 60 }).entry[0].changes[0].value.messages[0];
+  check('Mensaje de hace 2 días se ignora', isReplayedMessage(oldMessage), true);
+
+  if (url) {
+    console.log(`\n🌐 Servidor (${url})\n`);
+    const { default: axios } = await import('axios');
+    const post = async (body, headers) => {
+      const response = await axios.post(url, body, {
+        headers: { 'Content-Type': 'application/json', ...headers },
+        validateStatus: () => true,
+      });
+      return response.status;
+    };
+
+    const serverPayload = Buffer.from(JSON.stringify(buildPayload({ id: `wamid.server_${Date.now()}`, text: 'café 5k' })));
+    check('Sin firma → 401', await post(serverPayload, {}), 401);
+    check('Firma inválida → 401', await post(serverPayload, { 'X-Hub-Signature-256': sign(serverPayload, 'otro_secret') }), 401);
+    check('Firma válida → 200', await post(serverPayload, { 'X-Hub-Signature-256': sign(serverPayload) }), 200);
+    check('Reenvío (ignorado) → 200', await post(serverPayload, { 'X-Hub-Signature-256': sign(serverPayload) }), 200);
+  }
+
+  console.log(failures === 0 ? '\n✅ Todo OK' : `\n❌ ${failures} verificación(es) fallaron`);
+  process.exit(failures === 0 ? 0 : 1);
+}
+
+main().catch(error => {
+  console.error('❌ Error:', error.message);
+  process.exit(1);
+});
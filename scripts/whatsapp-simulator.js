@@ -0,0 +1,287 @@
+/**
+ * WhatsApp Simulator
+ * Runs the Express app in-process against the in-memory DB, posts Meta-shaped (signed)
+ * webhook payloads into it and captures everything the bot sends back. The LLM is a
+ * scripted fake that returns predetermined blocks, so conversations are deterministic
+ * and run offline.
+ *
+ * Usage:
+ *   import { createSimulator, toolUse, text } from './whatsapp-simulator.js';
+ *
+ *   const sim = await createSimulator();
+ *   sim.createUser('573001234567', { name: 'Ana', currency: 'COP', language: 'es' });
+ *   sim.llm.script(
+ *     [toolUse('log_expense', { expenses: [{ amount: 20000, category: 'transport', description: 'uber' }] })],
+ *     [text('Listo, registré tu uber de $20.000')]
+ *   );
+ *   const replies = await sim.sendText('573001234567', 'gasté 20k en uber');
+ *   await sim.close();
+ *
+ * With LLM_MODE=record the scripted LLM is skipped: calls go to the real providers and
+ * their responses are saved as fixtures, which LLM_MODE=replay then serves offline
+ * (see src/services/llmFixtures.js).
+ *
+ * See scripts/test-conversations.js for full scenarios.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+
+// Must be set before the app (and its DB selector) is imported
+process.env.DB_DRIVER = 'inmemory';
+process.env.WHATSAPP_APP_SECRET = process.env.WHATSAPP_APP_SECRET || 'simulator_app_secret';
+process.env.WHATSAPP_BOT_NUMBER = process.env.WHATSAPP_BOT_NUMBER || '573000000000';
+
+const WAIT_TIMEOUT_MS = 15000;
+
+let toolUseCounter = 0;
+
+/**
+ * A tool_use block, as the model would return it
+ * @param {string} name - Tool name (e.g. 'log_expense')
+ * @param {object} input - Tool input
+ */
+export function toolUse(name, input = {}) {
+  return { type: 'tool_use', id: `toolu_sim_${++toolUseCounter}`, name, input };
+}
+
+/**
+ * A text block, as the model would return it
+ * @param {string} value
+ */
+export function text(value) {
+  return { type: 'text', text: value };
+}
+
+/**
+ * Poll until a condition holds
+ */
+async function waitUntil(condition, what) {
+  const deadline = Date.now() + WAIT_TIMEOUT_MS;
+  while (!(await condition())) {
+    if (Date.now() > deadline) {
+      throw new Error(`Timed out waiting for ${what}`);
+    }
+    await new Promise(resolve => setTimeout(resolve, 10));
+  }
+}
+
+/**
+ * Start a simulator: the app listening on a random local port, outbound WhatsApp
+ * messages captured in `outbox`, and LLM calls answered from `llm.script()`
+ * @returns {Promise<object>}
+ */
+export async function createSimulator() {
+  const { default: app } = await import('../src/app.js');
+  const { registerChannel } = await import('../src/channels/index.js');
+  const { registerProvider, setProviderChain, getSystemPromptText } = await import('../src/services/llmFallbackService.js');
+  const { getQueueStats } = await import('../src/services/userQueue.js');
+  const { hasPendingBatch, flushBatch } = await import('../src/services/messageBatcher.js');
+  const { UserDB } = await import('../src/database/index.js');
+  const { getDefaultCategories } = await import('../src/utils/categoryUtils.js');
+
+  const outbox = [];
+  const media = new Map(); // media ID -> { buffer, mimeType }
+  let messageCounter = 0;
+
+  // WhatsApp replaced by a channel that records instead of calling Meta
+  const capture = (type) => async (to, ...args) => {
+    const [first, second, third] = args;
+    const entry = { to, type };
+    if (type === 'text') entry.text = first;
+    if (type === 'buttons') Object.assign(entry, { text: first, buttons: second });
+    if (type === 'list') Object.assign(entry, { text: first, buttonText: second, rows: third });
+    if (type === 'document') Object.assign(entry, { buffer: first, filename: second, caption: third });
+    if (type === 'sticker' || type === 'audio') entry.url = first;
+    if (type === 'contact') entry.contact = first;
+    outbox.push(entry);
+    return { messages: [{ id: `wamid.out_${outbox.length}` }] };
+  };
+
+  registerChannel({
+    name: 'whatsapp',
+    ownsId: (id) => typeof id === 'string' && !id.startsWith('tg:'),
+    sendText: capture('text'),
+    sendButtons: capture('buttons'),
+    sendList: capture('list'),
+    sendDocument: capture('document'),
+    sendSticker: capture('sticker'),
+    sendAudio: capture('audio'),
+    sendContactCard: capture('contact'),
+    sendTypingIndicator: async () => true,
+    markAsRead: async () => {},
+    async downloadMedia(mediaId) {
+      if (!media.has(mediaId)) throw new Error(`Unknown simulator media ${mediaId}`);
+      return media.get(mediaId);
+    },
+  });
+
+  // Scripted LLM: each call takes the next response; with nothing left it returns
+  // no content (the agent then replies with the tools' own messages)
+  const llm = {
+    responses: [],
+    calls: [],
+    /**
+     * Queue responses: arrays of blocks, or functions ({ systemPrompt, messages, tools }) => blocks
+     */
+    script(...responses) {
+      llm.responses.push(...responses);
+    },
+    reset() {
+      llm.responses = [];
+      llm.calls = [];
+    },
+  };
+
+  registerProvider('scripted', async (systemPrompt, messages, tools) => {
+    const next = llm.responses.shift();
+    const content = typeof next === 'function'
+      ? await next({ systemPrompt, messages, tools })
+      : (next || []);
+
+    // Copy: the agent keeps appending to the same messages array
+    llm.calls.push({ systemPrompt: getSystemPromptText(systemPrompt), messages: structuredClone(messages), tools, content });
+    return {
+      provider: 'scripted',
+      content,
+      usage: { input_tokens: 1000, output_tokens: 100 },
+    };
+  });
+  if (process.env.LLM_MODE !== 'record') {
+    setProviderChain(['scripted']);
+  }
+
+  const server = http.createServer(app);
+  await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+  const webhookUrl = `http://127.0.0.1:${server.address().port}/webhook`;
+
+  /**
+   * POST a raw webhook payload (signed unless a signature is given)
+   * @returns {Promise<number>} HTTP status
+   */
+  async function deliver(payload, { signature } = {}) {
+    const rawBody = JSON.stringify(payload);
+    const headers = { 'Content-Type': 'application/json' };
+    if (signature !== null) {
+      headers['X-Hub-Signature-256'] = signature || `sha256=${crypto
+        .createHmac('sha256', process.env.WHATSAPP_APP_SECRET)
+        .update(rawBody)
+        .digest('hex')}`;
+    }
+
+    const response = await fetch(webhookUrl, { method: 'POST', headers, body: rawBody });
+    return response.status;
+  }
+
+  /**
+   * Meta webhook payload for one inbound message
+   */
+  function buildPayload(phone, message) {
+    return {
+      object: 'whatsapp_business_account',
+      entry: [{
+        id: 'WHATSAPP_BUSINESS_ACCOUNT_ID',
+        changes: [{
+          field: 'messages',
+          value: {
+            messaging_product: 'whatsapp',
+            metadata: { display_phone_number: '573000000000', phone_number_id: 'PHONE_NUMBER_ID' },
+            contacts: [{ profile: { name: 'Simulator' }, wa_id: phone }],
+            messages: [{
+              from: phone,
+              id: message.id || `wamid.sim_${Date.now()}_${++messageCounter}`,
+              timestamp: String(Math.floor(Date.now() / 1000)),
+              ...message,
+            }],
+          },
+        }],
+      }],
+    };
+  }
+
+  /**
+   * Wait until the user's queue is empty, answering pending text batches
+   * right away instead of after the 10-second window
+   */
+  async function settle(phone) {
+    for (;;) {
+      await waitUntil(() => getQueueStats().totalDepth === 0, 'the user queue to drain');
+      if (!(await hasPendingBatch(phone))) return;
+      await flushBatch(phone);
+    }
+  }
+
+  /**
+   * Send a message and wait for the bot to finish answering it
+   * @returns {Promise<Array>} Outbound messages sent in response
+   */
+  async function exchange(phone, message) {
+    const sentBefore = outbox.length;
+    const enqueuedBefore = getQueueStats().enqueued;
+
+    const status = await deliver(buildPayload(phone, message));
+    if (status !== 200) {
+      throw new Error(`Webhook answered ${status}`);
+    }
+
+    await waitUntil(() => getQueueStats().enqueued > enqueuedBefore, 'the message to reach the user queue');
+    await settle(phone);
+    return outbox.slice(sentBefore);
+  }
+
+  return {
+    outbox,
+    llm,
+    deliver,
+    buildPayload,
+
+    /**
+     * Create a user that already went through onboarding
+     * @param {string} phone
+     * @param {object} data - { name, currency, language, categories }
+     */
+    createUser(phone, { name = 'Simulator', currency = 'COP', language = 'es', categories } = {}) {
+      const user = UserDB.create(phone, { name, currency, language });
+      UserDB.setCategories(phone, categories || getDefaultCategories(language));
+      return user;
+    },
+
+    settle,
+
+    sendText: (phone, body, extra = {}) => exchange(phone, { type: 'text', text: { body }, ...extra }),
+
+    pressButton: (phone, id, title) => exchange(phone, {
+      type: 'interactive',
+      interactive: { type: 'button_reply', button_reply: { id, title } },
+    }),
+
+    chooseFromList: (phone, id, title) => exchange(phone, {
+      type: 'interactive',
+      interactive: { type: 'list_reply', list_reply: { id, title } },
+    }),
+
+    /**
+     * Send a document (e.g. an Excel file to import)
+     */
+    sendDocument(phone, buffer, filename, mimeType) {
+      const mediaId = `sim_media_${++messageCounter}`;
+      media.set(mediaId, { buffer, mimeType });
+      return exchange(phone, { type: 'document', document: { id: mediaId, filename, mime_type: mimeType } });
+    },
+
+    /**
+     * Text messages sent to a user (optionally only the last n)
+     */
+    textsTo(phone, n) {
+      const texts = outbox.filter(m => m.to === phone && m.text).map(m => m.text);
+      return n ? texts.slice(-n) : texts;
+    },
+
+    async close() {
+      setProviderChain(null);
+      await new Promise(resolve => server.close(resolve));
+    },
+  };
+}
+
+export default { createSimulator, toolUse, text };
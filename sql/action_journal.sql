@@ -0,0 +1,16 @@
+-- Migration: Action journal for undo
+-- Before/after snapshots of mutating tool calls (delete_expense, edit_expense,
+-- rename_category, import_expenses...). Entries older than UNDO_WINDOW_HOURS are purged
+
+CREATE TABLE IF NOT EXISTS action_journal (
+  id SERIAL PRIMARY KEY,
+  phone TEXT NOT NULL REFERENCES users(phone) ON DELETE CASCADE,
+  tool VARCHAR(50) NOT NULL,
+  detail TEXT,                       -- Short description shown when undoing
+  changes JSONB NOT NULL DEFAULT '[]',
+  undone_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_action_journal_phone_created
+ON action_journal(phone, created_at DESC);
@@ -0,0 +1,16 @@
+-- Migration: Batched WhatsApp messages
+-- Text messages waiting in the 10-second batching window. Kept in the database so a
+-- restart or deploy mid-window doesn't drop them; on startup (and every 30s) pending
+-- batches are flushed. A worker claims a phone's rows with claimed_by/claimed_until,
+-- so with several server instances only one processes each batch
+
+CREATE TABLE IF NOT EXISTS batched_messages (
+  message_id TEXT PRIMARY KEY,       -- WhatsApp message ID (wamid...)
+  phone TEXT NOT NULL,
+  content TEXT NOT NULL DEFAULT '',
+  received_at TIMESTAMP WITH TIME ZONE NOT NULL DEFAULT NOW(),
+  claimed_by TEXT,                   -- Server instance processing the batch
+  claimed_until TIMESTAMP WITH TIME ZONE  -- Claim expires here if that instance dies
+);
+
+CREATE INDEX IF NOT EXISTS idx_batched_messages_phone ON batched_messages(phone, received_at);
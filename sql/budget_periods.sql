@@ -0,0 +1,17 @@
+-- Migration: Non-monthly budget periods
+-- period: 'weekly', 'biweekly' (quincena: 1st-15th / 16th-end), 'monthly', 'yearly', 'custom'
+-- anchor_date: where periods start (weekday for weekly, day of month for monthly,
+--              month/day for yearly, first window for custom). NULL = calendar default
+-- period_days: window length in days for 'custom' periods (e.g. 14 from payday)
+
+ALTER TABLE budgets
+ADD COLUMN IF NOT EXISTS anchor_date DATE;
+
+ALTER TABLE budgets
+ADD COLUMN IF NOT EXISTS period_days INTEGER CHECK (period_days IS NULL OR period_days > 0);
+
+-- Replace any old period check (weekly/monthly/yearly only) with the new set
+ALTER TABLE budgets DROP CONSTRAINT IF EXISTS budgets_period_check;
+ALTER TABLE budgets
+ADD CONSTRAINT budgets_period_check
+CHECK (period IN ('weekly', 'biweekly', 'monthly', 'yearly', 'custom'));
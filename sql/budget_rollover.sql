@@ -0,0 +1,26 @@
+-- Migration: Budget rollover and envelope transfers
+-- rollover: what happens to a period's leftover when the next period starts
+--   'none'    - every period starts fresh (default)
+--   'surplus' - unspent money is added to the next period
+--   'both'    - unspent money is added and overspending is subtracted
+-- rollover_cap: max amount carried in either direction (NULL = no cap)
+
+ALTER TABLE budgets
+ADD COLUMN IF NOT EXISTS rollover TEXT DEFAULT 'none' CHECK (rollover IN ('none', 'surplus', 'both'));
+
+ALTER TABLE budgets
+ADD COLUMN IF NOT EXISTS rollover_cap DECIMAL(15, 2) CHECK (rollover_cap IS NULL OR rollover_cap >= 0);
+
+-- Money moved between budgets ("pasa 50k de ocio a comida")
+-- Applies to the period of each budget that contains the transfer date
+CREATE TABLE IF NOT EXISTS budget_transfers (
+  id SERIAL PRIMARY KEY,
+  phone TEXT NOT NULL REFERENCES users(phone) ON DELETE CASCADE,
+  from_category TEXT NOT NULL,
+  to_category TEXT NOT NULL,
+  amount DECIMAL(15, 2) NOT NULL CHECK (amount > 0),
+  date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_budget_transfers_phone_date ON budget_transfers(phone, date);
@@ -0,0 +1,15 @@
+-- Migration: Categorization rules
+-- Rules the user writes for their own expenses ("description contains EDS → transporte",
+-- "Belvo account X → #empresa"). Applied to typed expenses, bank and spreadsheet imports
+--   conditions: { description, merchant, min_amount, max_amount, source, account_id } (all must match)
+--   actions:    { category, tags, skip, transfer }
+
+CREATE TABLE IF NOT EXISTS categorization_rules (
+  id SERIAL PRIMARY KEY,
+  phone TEXT NOT NULL REFERENCES users(phone) ON DELETE CASCADE,
+  conditions JSONB NOT NULL DEFAULT '{}',
+  actions JSONB NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_categorization_rules_phone ON categorization_rules(phone);
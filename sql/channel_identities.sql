@@ -0,0 +1,16 @@
+-- Migration: Channel identities
+-- Links a user's identity on each messaging channel (WhatsApp number, Telegram chat)
+-- to their account. Telegram users link by sharing their phone number, so they keep
+-- the same account (expenses, budgets, moneditas) they have on WhatsApp.
+-- Replies and reminders go to the channel the user wrote from last (last_seen_at)
+
+CREATE TABLE IF NOT EXISTS channel_identities (
+  channel VARCHAR(20) NOT NULL CHECK (channel IN ('whatsapp', 'telegram')),
+  external_id TEXT NOT NULL,         -- WhatsApp number or Telegram chat ID
+  phone TEXT NOT NULL,               -- Account (users.phone)
+  linked_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_seen_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (channel, external_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_channel_identities_phone ON channel_identities(phone, last_seen_at DESC);
@@ -0,0 +1,13 @@
+-- Migration: Conversation summaries
+-- Older conversation turns are summarized once the context passes its token budget;
+-- the summary replaces them in the agent's prompt
+
+CREATE TABLE IF NOT EXISTS conversation_summaries (
+  phone TEXT PRIMARY KEY,
+  summary TEXT NOT NULL,
+  summarized_until TIMESTAMPTZ NOT NULL,  -- Messages before this are covered by the summary
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+COMMENT ON TABLE conversation_summaries IS 'Summary of each user''s older conversation turns (see conversationContext.compactContext)';
+COMMENT ON COLUMN conversation_summaries.summarized_until IS 'Messages created before this are covered by the summary';
@@ -0,0 +1,12 @@
+-- Migration: Tags and notes on expenses
+-- tags: cross-cutting labels without "#", lowercased (e.g. {viaje-cartagena,deducible})
+-- notes: free-form text the user wants to keep with the expense
+
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS tags TEXT[] NOT NULL DEFAULT '{}';
+
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS notes TEXT;
+
+-- Tag filters use the array containment operator (tags @> '{tag}')
+CREATE INDEX IF NOT EXISTS idx_expenses_tags ON expenses USING GIN (tags);
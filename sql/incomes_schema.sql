@@ -0,0 +1,23 @@
+-- Income Tracking Schema for Monedita
+-- Run this in Supabase SQL Editor to enable income and cash-flow features
+
+-- Incomes table (mirrors expenses so reports can combine both sides)
+CREATE TABLE IF NOT EXISTS incomes (
+  id SERIAL PRIMARY KEY,
+  phone TEXT NOT NULL REFERENCES users(phone) ON DELETE CASCADE,
+  amount DECIMAL(15, 2) NOT NULL,
+  category TEXT NOT NULL DEFAULT 'other_income',  -- salary, freelance, business, investments, gifts, refunds, other_income
+  description TEXT DEFAULT '',
+  date TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  source TEXT DEFAULT 'manual',                   -- manual, bank_import
+  external_id TEXT,                               -- Belvo transaction ID for deduplication
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Indexes for common queries
+CREATE INDEX IF NOT EXISTS idx_incomes_phone_date ON incomes(phone, date);
+
+-- Prevent duplicate bank credits
+CREATE UNIQUE INDEX IF NOT EXISTS idx_incomes_external_id
+  ON incomes(phone, external_id)
+  WHERE external_id IS NOT NULL;
@@ -0,0 +1,13 @@
+-- Migration: Left-out bank transactions
+-- Transactions the user's categorization rules skipped or marked as transfers between
+-- their own accounts. Syncs check this table so they don't report them again
+--   reason: 'skip' | 'transfer'
+
+CREATE TABLE IF NOT EXISTS left_out_transactions (
+  phone TEXT NOT NULL REFERENCES users(phone) ON DELETE CASCADE,
+  external_id TEXT NOT NULL,
+  reason TEXT NOT NULL,
+  rule_ids INTEGER[] NOT NULL DEFAULT '{}',
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (phone, external_id)
+);
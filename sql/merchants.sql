@@ -0,0 +1,25 @@
+-- Migration: Merchants and learned categories
+-- merchants: one row per normalized merchant name ("rappi"), shared by all users.
+-- Filled from Belvo merchant names, bank descriptions, receipts and edited expenses
+-- user_merchant_categories: where each user files a merchant, learned when they
+-- recategorize one of its expenses ("el de Rappi ponlo en compras")
+
+CREATE TABLE IF NOT EXISTS merchants (
+  id SERIAL PRIMARY KEY,
+  normalized_name VARCHAR(100) NOT NULL UNIQUE,  -- Lowercase, no accents or bank noise ("rappi")
+  name VARCHAR(100) NOT NULL,                    -- Display name ("Rappi")
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS user_merchant_categories (
+  phone TEXT NOT NULL REFERENCES users(phone) ON DELETE CASCADE,
+  merchant_id INTEGER NOT NULL REFERENCES merchants(id) ON DELETE CASCADE,
+  category VARCHAR(50) NOT NULL,
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  PRIMARY KEY (phone, merchant_id)
+);
+
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS merchant_id INTEGER REFERENCES merchants(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_merchant ON expenses(phone, merchant_id);
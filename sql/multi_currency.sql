@@ -0,0 +1,14 @@
+-- Migration: Multi-currency expenses
+-- amount stays in the user's base currency so totals, budgets and stats keep working.
+-- For expenses paid in another currency we also keep what was actually paid
+-- and the rate used to convert it (1 original_currency = fx_rate base currency).
+-- All three are NULL for expenses logged in the base currency.
+
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS original_amount DECIMAL(15, 2);
+
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS original_currency TEXT;
+
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS fx_rate DECIMAL(18, 8);
@@ -0,0 +1,27 @@
+-- Migration: Payment accounts (cards, bank accounts, cash, wallets)
+-- Each expense can record the account it was paid with
+
+CREATE TABLE IF NOT EXISTS payment_accounts (
+  id SERIAL PRIMARY KEY,
+  phone TEXT NOT NULL REFERENCES users(phone) ON DELETE CASCADE,
+  name VARCHAR(100) NOT NULL,
+  type VARCHAR(20) NOT NULL DEFAULT 'other'
+    CHECK (type IN ('cash', 'debit_card', 'credit_card', 'bank', 'wallet', 'other')),
+  institution VARCHAR(100),
+  last4 VARCHAR(4),
+  external_id VARCHAR(100),          -- "belvo_<account id>" for bank imports
+  is_default BOOLEAN NOT NULL DEFAULT false,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_payment_accounts_phone ON payment_accounts(phone);
+
+-- One account per Belvo bank account
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_accounts_external
+ON payment_accounts(phone, external_id)
+WHERE external_id IS NOT NULL;
+
+ALTER TABLE expenses
+ADD COLUMN IF NOT EXISTS account_id INTEGER REFERENCES payment_accounts(id) ON DELETE SET NULL;
+
+CREATE INDEX IF NOT EXISTS idx_expenses_account ON expenses(phone, account_id);
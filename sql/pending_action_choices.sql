@@ -0,0 +1,7 @@
+-- Migration: Pickers on pending actions
+-- A tool that needs the user to choose something (the category of an expense it
+-- couldn't classify, the period of a bulk delete) leaves its call here with the options.
+-- choice: { param, options: [{ value, title, description }] }. NULL = a Sí/No confirmation
+
+ALTER TABLE pending_actions
+ADD COLUMN IF NOT EXISTS choice JSONB;
@@ -0,0 +1,16 @@
+-- Migration: Pending actions
+-- High-impact tool calls (bulk deletes, budget deletion, bank disconnection,
+-- subscription cancellation, Excel imports) wait here until the user answers the
+-- Sí/No buttons. One per user: a new confirmation replaces the previous one
+
+CREATE TABLE IF NOT EXISTS pending_actions (
+  id SERIAL PRIMARY KEY,
+  phone TEXT NOT NULL REFERENCES users(phone) ON DELETE CASCADE,
+  tool VARCHAR(50) NOT NULL,
+  params JSONB NOT NULL DEFAULT '{}',  -- Arguments the tool runs with once confirmed
+  preview TEXT,                        -- What the user was asked to confirm
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE UNIQUE INDEX IF NOT EXISTS idx_pending_actions_phone ON pending_actions(phone);
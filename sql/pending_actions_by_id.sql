@@ -0,0 +1,9 @@
+-- Migration: Several pending actions per user
+-- Each confirmation or picker keeps its own row until it's answered or expires, so
+-- asking something new doesn't void the buttons of an earlier question.
+-- Expired rows are deleted by the app (PendingActionDB.deleteExpired)
+
+DROP INDEX IF EXISTS idx_pending_actions_phone;
+
+CREATE INDEX IF NOT EXISTS idx_pending_actions_phone ON pending_actions(phone);
+CREATE INDEX IF NOT EXISTS idx_pending_actions_expires_at ON pending_actions(expires_at);
@@ -0,0 +1,15 @@
+-- Migration: Processed WhatsApp messages
+-- Message IDs already received, so Meta's retried webhook deliveries are skipped
+-- instead of logging the same expense (and charging moneditas) twice
+
+CREATE TABLE IF NOT EXISTS processed_messages (
+  message_id TEXT PRIMARY KEY,       -- WhatsApp message ID (wamid...)
+  phone TEXT NOT NULL,
+  status VARCHAR(20) NOT NULL DEFAULT 'received'
+    CHECK (status IN ('received', 'processed')),
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL
+);
+
+CREATE INDEX IF NOT EXISTS idx_processed_messages_expires ON processed_messages(expires_at);
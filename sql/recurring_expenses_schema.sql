@@ -0,0 +1,28 @@
+-- Recurring Expenses Schema for Monedita
+-- Rules like "arriendo 1.200.000 every 1st" or "Netflix 38.900 on the 14th"
+-- The reminder scheduler logs them (or asks to confirm) on their due date in the user's timezone
+
+CREATE TABLE IF NOT EXISTS recurring_expenses (
+  id SERIAL PRIMARY KEY,
+  phone TEXT NOT NULL REFERENCES users(phone) ON DELETE CASCADE,
+  amount DECIMAL(15, 2) NOT NULL,
+  category TEXT NOT NULL,
+  description TEXT DEFAULT '',
+  frequency TEXT NOT NULL DEFAULT 'monthly' CHECK (frequency IN ('weekly', 'monthly', 'yearly')),
+  day_of_month INTEGER CHECK (day_of_month BETWEEN 1 AND 31),  -- monthly, yearly
+  day_of_week INTEGER CHECK (day_of_week BETWEEN 0 AND 6),     -- weekly (Sunday = 0)
+  month INTEGER CHECK (month BETWEEN 1 AND 12),                -- yearly
+  mode TEXT NOT NULL DEFAULT 'auto' CHECK (mode IN ('auto', 'confirm')),
+  status TEXT NOT NULL DEFAULT 'active' CHECK (status IN ('active', 'paused')),
+  next_due_date DATE NOT NULL,                                 -- In the user's local calendar
+  last_logged_date DATE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- Scheduler looks up active rules by due date
+CREATE INDEX IF NOT EXISTS idx_recurring_expenses_due
+  ON recurring_expenses(next_due_date)
+  WHERE status = 'active';
+
+CREATE INDEX IF NOT EXISTS idx_recurring_expenses_phone ON recurring_expenses(phone);
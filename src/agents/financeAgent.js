@@ -1,21 +1,78 @@
-import axios from "axios";
 import dotenv from "dotenv";
-import { ExpenseDB, BudgetDB, UserDB } from "../database/index.js";
+import { ExpenseDB, BudgetDB, UserDB, IncomeDB, UserSubscriptionDB } from "../database/index.js";
 import { getToolDefinitions, executeTool } from "../tools/index.js";
 import { checkLimit, trackUsage, getSubscriptionStatus, getLimitExceededMessage, getUpgradeMessage, USAGE_TYPES } from "../services/subscriptionService.js";
 import { getMessage } from "../utils/languageUtils.js";
-import { getContextForClaude, addMessage } from "../services/conversationContext.js";
+import { getContextForClaude, getContextSummary, compactContext, addMessage } from "../services/conversationContext.js";
 import { trackUsage as trackDailyUsage, isAllowed } from "../utils/usageMonitor.js";
 import { sendContextStickerWithLimit } from "../services/stickerService.js";
 import { getUserCategories, getCategoryNames, getCategoryIds } from "../utils/categoryUtils.js";
 import { generateSetupUrl } from "../services/statsTokenService.js";
 import { callWithFallback } from "../services/llmFallbackService.js";
+import { TASKS } from "../services/modelConfig.js";
 import { createTimeline } from "../utils/performanceTimer.js";
+import { getUserLocalDate, getUserLocalDay } from "../utils/timezoneUtils.js";
+import { getBudgetPeriodLabel } from "../utils/budgetPeriodUtils.js";
 
 dotenv.config();
 
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const ANTHROPIC_API_URL = "https://api.anthropic.com/v1/messages";
+// Max LLM calls per user message (each call can request tools)
+const MAX_TOOL_ITERATIONS = 5;
+
+/**
+ * Task (and so model) for a user message: short messages with an amount are almost
+ * always expenses to log and go to the cheap model; questions go to the stronger one
+ * @param {string} message
+ * @returns {string} TASKS.EXTRACTION | TASKS.ANALYTICS
+ */
+export function getTaskForMessage(message) {
+  const text = String(message || '');
+  const hasAmount = /\d/.test(text);
+  const isQuestion = /[?¿]/.test(text);
+  return hasAmount && !isQuestion && text.length <= 200 ? TASKS.EXTRACTION : TASKS.ANALYTICS;
+}
+
+/**
+ * Plan a user is on (selects the LLM provider chain)
+ */
+async function getUserPlan(phone) {
+  try {
+    const subscription = await UserSubscriptionDB.getOrCreate(phone);
+    return subscription?.planId || null;
+  } catch (error) {
+    console.error('[financeAgent] Could not load plan:', error.message);
+    return null;
+  }
+}
+
+/**
+ * Usage record of one LLM call (what costTracker prices)
+ * @param {{provider: string, model: string, usage: object}} response - callWithFallback result
+ */
+function toUsageCall(response) {
+  return {
+    provider: response.provider,
+    model: response.model,
+    inputTokens: response.usage.input_tokens || 0,
+    outputTokens: response.usage.output_tokens || 0,
+    cacheReadTokens: response.usage.cache_read_input_tokens || 0,
+    cacheWriteTokens: response.usage.cache_creation_input_tokens || 0,
+  };
+}
+
+/**
+ * Build a tool_result block from a tool handler result
+ * @param {string} toolUseId - ID of the tool_use block being answered
+ * @param {{success: boolean, message: string|null}} result - Tool handler result
+ */
+function buildToolResultBlock(toolUseId, result) {
+  return {
+    type: "tool_result",
+    tool_use_id: toolUseId,
+    content: result.message ?? (result.success ? "Done. Nothing else to tell the user." : "Failed."),
+    ...(result.success === false && { is_error: true }),
+  };
+}
 
 /**
  * AI Agent for processing expense-related queries using tool-based routing
@@ -25,17 +82,37 @@ export class FinanceAgent {
     this.userPhone = userPhone;
     this.userCurrency = userCurrency;
     this.userLanguage = userLanguage;
-    this.lastTokenUsage = null; // Tracks tokens from last API call
+    this.lastTokenUsage = null; // Tracks tokens from last processMessage (all LLM calls)
+    this.lastToolCalls = []; // Tools the model called in the last processMessage, in order
+  }
+
+  /**
+   * Get the tools called in the last processMessage call
+   * @returns {Array<{name: string, input: object}>}
+   */
+  getLastToolCalls() {
+    return this.lastToolCalls;
   }
 
   /**
    * Get token usage from the last processMessage call
-   * @returns {{inputTokens: number, outputTokens: number} | null}
+   * @returns {{inputTokens: number, outputTokens: number, calls: Array<{provider, model, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens}>} | null}
    */
   getLastTokenUsage() {
     return this.lastTokenUsage;
   }
 
+  /**
+   * Add an LLM call to the usage of the current processMessage
+   * @param {object} response - callWithFallback result
+   */
+  recordUsage(response) {
+    const call = toUsageCall(response);
+    this.lastTokenUsage.inputTokens += call.inputTokens;
+    this.lastTokenUsage.outputTokens += call.outputTokens;
+    this.lastTokenUsage.calls.push(call);
+  }
+
   /**
    * Get user's financial context for the AI
    */
@@ -60,6 +137,7 @@ export class FinanceAgent {
 
     const totalSpent = expenses.reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
     const totalBudget = budgets.reduce((sum, b) => sum + parseFloat(b.amount || 0), 0);
+    const totalIncome = (await IncomeDB.getTotal(this.userPhone, startOfMonth, endOfMonth)) || 0;
 
     // Get user's categories (custom or defaults for their language)
     const userCategories = await getUserCategories(this.userPhone, this.userLanguage);
@@ -70,6 +148,7 @@ export class FinanceAgent {
       categorySummary,
       totalSpent,
       totalBudget,
+      totalIncome,
       month: now.toLocaleString("default", { month: "long", year: "numeric" }),
       userCategories,
       categoryNames: getCategoryNames(userCategories),
@@ -80,11 +159,24 @@ export class FinanceAgent {
   /**
    * Process user message using tool-based routing
    * Claude decides which tool to call based on user intent
-   * Uses conversation context (last 20 messages) for better understanding
+   * Uses conversation context (recent messages plus a summary of older ones) for better understanding
+   *
+   * The system prompt is two blocks: a static prefix (instructions and the user's
+   * categories, which rarely change) that providers can cache, and a short tail with
+   * today's numbers
+   *
+   * @param {string} userMessage
+   * @param {object} options
+   * @param {boolean} options.dryRun - Stop after the first LLM call without running its tools
+   *   or saving the turn (the agent eval uses it to check routing); see getLastToolCalls
+   * @returns {Promise<string|null>} Reply for the user (the model's text, if any, on a dry run)
    */
-  async processMessage(userMessage) {
+  async processMessage(userMessage, { dryRun = false } = {}) {
     const timeline = createTimeline(this.userPhone);
     timeline.mark('start');
+    this.lastTokenUsage = { inputTokens: 0, outputTokens: 0, calls: [] };
+    this.lastToolCalls = [];
+    const plan = await getUserPlan(this.userPhone);
 
     const financialContext = await this.getFinancialContext();
     timeline.mark('financial_context_loaded');
@@ -111,36 +203,40 @@ export class FinanceAgent {
       };
     }
 
-    // Get conversation history (max 20 messages)
+    // Get conversation history (max 20 messages). Loaded first so older turns can be
+    // summarized if it grew too long; the second read comes from memory
+    await getContextForClaude(this.userPhone);
+    const compaction = dryRun ? null : await compactContext(this.userPhone, { plan });
+    if (compaction) this.recordUsage(compaction);
     const conversationHistory = await getContextForClaude(this.userPhone);
+    const conversationSummary = await getContextSummary(this.userPhone);
     timeline.mark('conversation_context_loaded');
 
     // Generate setup URL for users without categories
     const setupUrl = generateSetupUrl(this.userPhone);
     const hasCategories = allowedCategoryIds.length > 0;
 
-    const systemPrompt = `You are Monedita, a helpful AI expense manager via WhatsApp.
-You help users track expenses, manage budgets, and understand their spending.
+    // Today's date in the user's timezone (for "ayer", "el viernes", etc.)
+    const localDate = getUserLocalDate(this.userPhone);
+    const weekdays = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+    const today = `${localDate.year}-${String(localDate.month).padStart(2, '0')}-${String(localDate.day).padStart(2, '0')} (${weekdays[getUserLocalDay(this.userPhone)]})`;
 
-Current user context for ${financialContext.month}:
-- Currency: ${this.userCurrency || 'Not set'}
-- Total spent: ${financialContext.totalSpent.toFixed(2)}
-- Total budget: ${financialContext.totalBudget.toFixed(2)}
-- Categories used: ${Object.keys(financialContext.categorySummary).join(', ') || 'None yet'}
+    // Static prefix: the same on every message until the user changes their categories
+    const staticPrompt = `You are Monedita, a helpful AI expense manager via WhatsApp.
+You help users track expenses, manage budgets, and understand their spending.
 
 ${hasCategories ? `User's available categories: ${financialContext.categoryNames}
 ALLOWED category IDs (ONLY these): ${allowedCategoryIds.join(', ')}` : `USER HAS NO CATEGORIES YET`}
 
-Recent expenses: ${financialContext.expenses.slice(-3).map(e => `${e.category}: ${e.amount}`).join(', ') || 'None'}
-Active budgets: ${financialContext.budgets.map(b => `${b.category}: ${b.amount}`).join(', ') || 'None'}
-
 IMPORTANT INSTRUCTIONS:
 1. Analyze the user's message to determine their intent
 2. Use the appropriate tool to fulfill their request
 3. For expense logging, extract ALL expenses mentioned (can be multiple)
 4. CRITICAL: Keep responses SHORT - maximum 3-4 lines. This is WhatsApp, users read on mobile
 5. Respond in the same language as the user's message
-6. Use conversation history for context when needed
+6. Use conversation history (and the summary of earlier messages, if any) for context when needed
+7. You will see each tool's result and can call more tools before answering (e.g. create_category, then log_expense)
+8. After tools run, base your reply on their results: keep amounts, progress bars and links exactly as given. If a result is an error, fix the input and retry or explain briefly
 
 ${hasCategories ? `CATEGORY RULES (CRITICAL - YOU MUST FOLLOW THESE):
 - You can ONLY use these category IDs: ${allowedCategoryIds.join(', ')}
@@ -168,10 +264,34 @@ Example responses (adapt to context):
 - "50mil" → "¿En qué gastaste? Así creamos tu primera categoría"
 
 After they confirm, use create_category tool to create it, then log the expense.
-Alternative: They can also configure categories here: ${setupUrl}`}
+Alternative: They can also configure categories with the setup link in the user context below.`}
 
 When logging expenses:
 - Parse amounts as numbers (e.g., "50 dollars" → 50, "mil pesos" → 1000)
+- If the user says when it happened ("ayer", "el viernes", "el 15"), set date. Omit it for today
+- If the user paid in another currency ("20 dólares de taxi", "15 euros"), set currency (ISO code) and keep amount as paid. Omit it for their own currency
+- If the user labels expenses ("#viaje-cartagena", "es deducible", "del trabajo"), set tags. Extra details go in notes
+- To tag or annotate an existing expense → edit_expense with addTags/removeTags/newNotes. To see spending by tag → search_expenses with tag or groupBy: "tag"
+- If the user says how they paid ("en efectivo", "con la tarjeta Bancolombia", "con Nequi", "la 4821"), set account with their words. Omit it otherwise (the default account is used)
+- To register or list cards/accounts → add_account / show_accounts (also for "cuánto llevo en la tarjeta"). To remove one → delete_account. To change an expense's account → edit_expense with newAccount. Spending by card → search_expenses with account or groupBy: "account"
+- Rules for future expenses ("todo lo que diga EDS ponlo en transporte", "lo de la cuenta Davivienda etiquétalo #empresa", "no importes los pagos a la tarjeta", "las transferencias a mi Nequi no son gastos") → manage_rules with action "add". "Mis reglas" → action "list"; "borra la regla 2" → action "delete"
+- "Deshacer", "undo", "recupera lo que borré" → undo_action (NOT delete_expense). "Deshaz los últimos 3" → count: 3
+- "Borra todos los gastos de comida de enero" → delete_expense with deleteAll and the filters (startDate/endDate for a named month)
+- "Borra todos mis gastos" with no period → delete_expense with just deleteAll: the user picks the period from a list
+- Bulk deletes, delete_budget, disconnect_bank, cancelling the subscription and imports ask the user with Sí/No buttons themselves: call the tool right away, don't ask for confirmation first
+
+For income (money received):
+- If user got paid, received money or sold something → use log_income (NOT log_expense)
+- If user asks how much they have left, their balance or income ("¿cuánto me queda?") → use show_cashflow
+
+For budgets:
+- Budgets are monthly unless the user names another period (semanal, quincena, anual, every N days from payday) → set_budget with period
+- If user wants leftover (or overspending) to carry to the next period → set_budget with rollover
+- If user wants to move money between budgets ("pasa 50k de ocio a comida") → use transfer_budget
+
+For recurring expenses (rent, subscriptions, bills):
+- If user says an expense repeats ("Netflix 38.900 el 14", "arriendo cada 1ro") → use create_recurring_expense (NOT log_expense)
+- To list, pause/resume or delete them → show_recurring_expenses, pause_recurring_expense, delete_recurring_expense
 
 For shared/split expenses:
 - If user mentions "share", "split", "divide" with a group or people → use log_shared_expense
@@ -180,6 +300,28 @@ For shared/split expenses:
 - If user says they paid someone → use settle_debt
 - If user wants to see their groups → use show_groups`;
 
+    // Dynamic tail: changes with every expense (and every day)
+    const dynamicPrompt = `Current user context for ${financialContext.month}:
+- Today: ${today}
+- Currency: ${this.userCurrency || 'Not set'}
+- Total spent: ${financialContext.totalSpent.toFixed(2)}
+- Total budget: ${financialContext.totalBudget.toFixed(2)}
+- Total income: ${financialContext.totalIncome.toFixed(2)}
+- Categories used: ${Object.keys(financialContext.categorySummary).join(', ') || 'None yet'}
+
+Recent expenses: ${financialContext.expenses.slice(-3).map(e => `${e.category}: ${e.amount}`).join(', ') || 'None'}
+Active budgets: ${financialContext.budgets.map(b => `${b.category}: ${b.amount} (${getBudgetPeriodLabel(b, 'en')})`).join(', ') || 'None'}${hasCategories ? '' : `
+Setup link: ${setupUrl}`}${conversationSummary ? `
+
+Earlier in this conversation:
+${conversationSummary}` : ''}`;
+
+    // Claude caches everything up to the cache_control mark (tools and the static prefix)
+    const systemPrompt = [
+      { type: "text", text: staticPrompt, cache_control: { type: "ephemeral" } },
+      { type: "text", text: dynamicPrompt },
+    ];
+
     // Build messages array with conversation history + current message
     const messages = [
       ...conversationHistory,
@@ -187,38 +329,57 @@ For shared/split expenses:
     ];
 
     try {
-      // Check daily API limit (DDoS/cost protection)
-      if (!isAllowed('claude_calls')) {
-        console.error('[financeAgent] Daily Claude API limit exceeded');
-        return getMessage('error_service_unavailable', this.userLanguage) ||
-          'Service temporarily unavailable. Please try again later.';
-      }
+      let toolResults = [];
+      let textResponse = null;
+      let iterations = 0;
+      const llmOptions = { task: getTaskForMessage(userMessage), plan };
+
+      // Tool loop: run the requested tools, send their results back and let the
+      // model chain further calls (e.g. create_category → log_expense) or write the reply
+      while (iterations < MAX_TOOL_ITERATIONS) {
+        // Check daily API limit (DDoS/cost protection)
+        if (!isAllowed('claude_calls')) {
+          console.error('[financeAgent] Daily Claude API limit exceeded');
+          if (toolResults.length > 0) break;
+          return getMessage('error_service_unavailable', this.userLanguage) ||
+            'Service temporarily unavailable. Please try again later.';
+        }
 
-      // Track the API call
-      trackDailyUsage('claude_calls');
+        // Track the API call
+        trackDailyUsage('claude_calls');
+        iterations++;
 
-      // Call LLM with automatic fallback (Claude → Gemini → OpenAI)
-      const response = await callWithFallback(systemPrompt, messages, tools);
-      timeline.mark('llm_response_received');
+        // Call LLM with automatic fallback (Claude → Gemini → OpenAI)
+        const response = await callWithFallback(systemPrompt, messages, tools, llmOptions);
+        timeline.mark(`llm_response_received_${iterations}`);
 
-      // Capture token usage for dynamic cost calculation
-      this.lastTokenUsage = {
-        inputTokens: response.usage.input_tokens,
-        outputTokens: response.usage.output_tokens,
-      };
+        // Accumulate token usage across iterations for dynamic cost calculation
+        this.recordUsage(response);
 
-      // Log which provider was used
-      if (response.provider !== 'claude') {
-        console.log(`[financeAgent] Used fallback provider: ${response.provider}`);
-      }
+        // Log which provider was used
+        if (response.provider !== 'claude') {
+          console.log(`[financeAgent] Used fallback provider: ${response.provider}`);
+        }
 
-      // Process the response
-      const content = response.content;
-      let toolResults = [];
-      let textResponse = null;
+        // Process the response
+        const content = response.content;
+        const toolUses = content.filter(block => block.type === "tool_use");
+        textResponse = content
+          .filter(block => block.type === "text")
+          .map(block => block.text)
+          .join("\n")
+          .trim() || null;
+        this.lastToolCalls.push(...toolUses.map(block => ({ name: block.name, input: block.input })));
+
+        if (dryRun) {
+          timeline.summary();
+          return textResponse;
+        }
 
-      for (const block of content) {
-        if (block.type === "tool_use") {
+        if (toolUses.length === 0) break;
+
+        const resultBlocks = [];
+        for (const block of toolUses) {
           // Execute the tool
           const result = await executeTool(
             block.name,
@@ -228,16 +389,27 @@ For shared/split expenses:
             this.userCurrency
           );
           toolResults.push(result);
-        } else if (block.type === "text") {
-          textResponse = block.text;
+          resultBlocks.push(buildToolResultBlock(block.id, result));
         }
+        timeline.mark(`tools_executed_${iterations}`);
+
+        // Feed the tool results back so the model can continue
+        messages.push({ role: "assistant", content });
+        messages.push({ role: "user", content: resultBlocks });
+        textResponse = null;
+
+        // A preview with Sí/No buttons or a picker already went out: the user's answer comes next
+        if (toolResults.some(r => r.awaitingReply)) break;
+      }
+
+      if (iterations >= MAX_TOOL_ITERATIONS && !textResponse) {
+        console.warn(`[financeAgent] Reached max tool iterations (${MAX_TOOL_ITERATIONS})`);
       }
-      timeline.mark('tools_executed');
 
       // Save user message to context
       addMessage(this.userPhone, 'user', userMessage);
 
-      // If tools were called, return their results
+      // If tools were called, the model's final text is the reply
       if (toolResults.length > 0) {
         // Send stickers if any tool returned one (rate limited to 1/hour)
         for (const result of toolResults) {
@@ -246,13 +418,21 @@ For shared/split expenses:
           }
         }
 
-        // Filter out null messages (e.g., document sent)
-        const responseMessages = toolResults
+        // Fall back to the raw tool messages if the model didn't write a reply
+        // Filter out null messages (e.g., document sent) and messages already sent with buttons
+        const finalResponse = textResponse || toolResults
+          .filter(r => !r.awaitingReply)
           .map(r => r.message)
-          .filter(m => m !== null);
+          .filter(m => m !== null)
+          .join("\n\n");
+
+        // The model sees what the user was asked (to confirm or pick) in the next turn
+        const previews = toolResults.filter(r => r.awaitingReply).map(r => r.message);
+        if (previews.length > 0) {
+          addMessage(this.userPhone, 'assistant', previews.join("\n\n"));
+        }
 
-        if (responseMessages.length > 0) {
-          const finalResponse = responseMessages.join("\n\n");
+        if (finalResponse) {
           // Save assistant response to context
           addMessage(this.userPhone, 'assistant', finalResponse);
           timeline.mark('response_ready');
@@ -337,24 +517,14 @@ Examples:
       }
       trackDailyUsage('claude_calls');
 
-      const response = await axios.post(
-        ANTHROPIC_API_URL,
-        {
-          model: "claude-sonnet-4-20250514",
-          max_tokens: 500,
-          messages: [{ role: "user", content: message }],
-          system: systemPrompt,
-        },
-        {
-          headers: {
-            "x-api-key": ANTHROPIC_API_KEY,
-            "anthropic-version": "2023-06-01",
-            "content-type": "application/json",
-          },
-        },
+      const response = await callWithFallback(
+        systemPrompt,
+        [{ role: "user", content: message }],
+        [],
+        { task: TASKS.EXTRACTION, plan: await getUserPlan(this.userPhone) },
       );
 
-      const result = response.data.content[0].text;
+      const result = response.content.find(block => block.type === "text")?.text || "";
       const cleaned = result
         .replace(/```json\n?/g, "")
         .replace(/```\n?/g, "")
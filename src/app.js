@@ -0,0 +1,362 @@
+/**
+ * Express app: routes, webhooks and middleware.
+ * server.js starts it; the WhatsApp simulator (scripts/whatsapp-simulator.js) mounts it in-process
+ */
+
+import express from 'express';
+import bodyParser from 'body-parser';
+import cors from 'cors';
+import rateLimit from 'express-rate-limit';
+import dotenv from 'dotenv';
+import path from 'path';
+import { fileURLToPath } from 'url';
+import { handleIncomingMessage } from './handlers/messageHandler.js';
+import { verifyWebhook, verifyWebhookSignature, isReplayedMessage } from './utils/webhookVerification.js';
+import {
+  sendRemindersToAllUsers,
+  sendExpenseReminder,
+} from './services/reminderService.js';
+import { handleWompiWebhook } from './handlers/wompiWebhookHandler.js';
+import { handleBelvoWebhook } from './handlers/belvoWebhookHandler.js';
+import { handleTelegramUpdate, verifyTelegramSecret } from './handlers/telegramWebhookHandler.js';
+import whatsappChannel from './channels/whatsappChannel.js';
+import { recordInboundChannel } from './channels/index.js';
+import {
+  triggerRenewals,
+  triggerRetries,
+} from './services/billingScheduler.js';
+import { processDueRecurringExpenses } from './services/recurringExpenseService.js';
+import { getQueueStats } from './services/userQueue.js';
+import { getProviderChain, getProviderHealth } from './services/llmFallbackService.js';
+import { getFastPathStats } from './services/fastPathService.js';
+import { getUsageStats } from './utils/usageMonitor.js';
+import statsRoutes from './routes/statsRoutes.js';
+import setupRoutes from './routes/setupRoutes.js';
+import subscribeRoutes from './routes/subscribeRoutes.js';
+import bankRoutes from './routes/bankRoutes.js';
+
+dotenv.config();
+
+// Get __dirname equivalent in ES modules
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const app = express();
+
+// Trust proxy for accurate IP detection (required for Vercel, Railway, etc.)
+app.set('trust proxy', 1);
+
+// CORS configuration
+app.use(cors({
+  origin: [
+    'https://monedita.app',
+    'https://www.monedita.app',
+    'http://localhost:3000',
+    'http://localhost:5500',
+    /\.vercel\.app$/  // Allow Vercel preview deployments
+  ],
+  methods: ['GET', 'POST', 'PUT', 'DELETE', 'OPTIONS'],
+  credentials: true,
+  allowedHeaders: ['Content-Type', 'Authorization']
+}));
+
+// Handle preflight requests
+app.options('*', cors());
+
+// Keep the raw body: webhook signatures are computed over the exact bytes received
+app.use(bodyParser.json({
+  verify: (req, res, buf) => {
+    req.rawBody = buf;
+  },
+}));
+
+// Serve static files (stickers, etc.)
+app.use(express.static(path.join(__dirname, '../public')));
+
+// ======================
+// RATE LIMITING (DDoS Protection)
+// ======================
+
+// Global rate limit: 100 requests per minute per IP
+const globalLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 100,
+  message: { error: 'Too many requests, please try again later' },
+  standardHeaders: true,
+  legacyHeaders: false,
+});
+app.use(globalLimiter);
+
+// Strict limit for WhatsApp webhook: 30 messages per minute per IP
+// This prevents API cost explosion from DDoS
+const webhookLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: { error: 'Rate limit exceeded' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false, ip: false },
+  keyGenerator: (req) => {
+    // Use phone number if available, otherwise IP
+    const phone = req.body?.entry?.[0]?.changes?.[0]?.value?.messages?.[0]?.from;
+    return phone || req.ip;
+  },
+});
+
+// Same limit for Telegram, per chat (updates all come from Telegram's servers)
+const telegramLimiter = rateLimit({
+  windowMs: 60 * 1000, // 1 minute
+  max: 30,
+  message: { error: 'Rate limit exceeded' },
+  standardHeaders: true,
+  legacyHeaders: false,
+  validate: { xForwardedForHeader: false, ip: false },
+  keyGenerator: (req) => {
+    const chatId = req.body?.message?.chat?.id || req.body?.callback_query?.message?.chat?.id;
+    return chatId ? `tg:${chatId}` : req.ip;
+  },
+});
+
+// Wompi webhook limit: 10 per minute (payments shouldn't be that frequent)
+const wompiLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 10,
+  message: { error: 'Rate limit exceeded' },
+});
+
+// Belvo webhook limit: 20 per minute
+const belvoLimiter = rateLimit({
+  windowMs: 60 * 1000,
+  max: 20,
+  message: { error: 'Rate limit exceeded' },
+});
+
+// Health check endpoint
+app.get('/health', (req, res) => {
+  res.json({ status: 'ok', message: 'Monedita server is running' });
+});
+
+// Stats API routes (JWT protected)
+app.use(statsRoutes);
+
+// Setup routes (for web-based category/budget configuration)
+app.use(setupRoutes);
+
+// Subscribe routes (for subscription tokenization flow)
+app.use(subscribeRoutes);
+
+// Bank routes (for Open Banking widget)
+app.use(bankRoutes);
+
+// Usage stats endpoint (protected)
+app.get('/api/usage', (req, res) => {
+  // Protect with same reminder secret
+  if (REMINDER_SECRET) {
+    const token = req.headers['x-reminder-secret'] || req.query.secret;
+    if (token !== REMINDER_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+  res.json(getUsageStats());
+});
+
+// User queue metrics (protected)
+app.get('/api/queue', (req, res) => {
+  if (REMINDER_SECRET) {
+    const token = req.headers['x-reminder-secret'] || req.query.secret;
+    if (token !== REMINDER_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+  res.json(getQueueStats());
+});
+
+// LLM provider chains, circuit breakers and fast-path hit rate (protected)
+app.get('/api/llm', (req, res) => {
+  if (REMINDER_SECRET) {
+    const token = req.headers['x-reminder-secret'] || req.query.secret;
+    if (token !== REMINDER_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+  res.json({
+    chains: Object.fromEntries(['free', 'basic', 'premium'].map(plan => [plan, getProviderChain(plan)])),
+    providers: getProviderHealth(),
+    fastPath: getFastPathStats(),
+  });
+});
+
+// Reminder endpoint - can be triggered by external cron services (e.g., cron-job.org)
+// Optional: Add a secret token for security
+const REMINDER_SECRET = process.env.REMINDER_SECRET;
+
+app.post('/api/reminders/send', async (req, res) => {
+  // Verify secret if configured
+  if (REMINDER_SECRET) {
+    const token = req.headers['x-reminder-secret'] || req.query.secret;
+    if (token !== REMINDER_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const result = await sendRemindersToAllUsers();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Send reminder to a specific user
+app.post('/api/reminders/send/:phone', async (req, res) => {
+  if (REMINDER_SECRET) {
+    const token = req.headers['x-reminder-secret'] || req.query.secret;
+    if (token !== REMINDER_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const success = await sendExpenseReminder(req.params.phone);
+    res.json({ success });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Wompi payment webhook (with rate limiting)
+app.post('/webhook/wompi', wompiLimiter, async (req, res) => {
+  try {
+    const signature = req.headers['x-event-checksum'];
+    const timestamp = req.headers['x-event-timestamp'];
+
+    await handleWompiWebhook(req.body, signature, timestamp);
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('[wompi webhook] Error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Belvo Open Banking webhook (with rate limiting)
+app.post('/webhook/belvo', belvoLimiter, async (req, res) => {
+  try {
+    // Belvo sends Authorization: Bearer <token>
+    const authHeader = req.headers['authorization'];
+    const token = authHeader?.replace('Bearer ', '');
+
+    await handleBelvoWebhook(req.body, token);
+
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('[belvo webhook] Error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Billing API endpoints (protected with reminder secret)
+app.post('/api/billing/renewals', async (req, res) => {
+  if (REMINDER_SECRET) {
+    const token = req.headers['x-reminder-secret'] || req.query.secret;
+    if (token !== REMINDER_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const result = await triggerRenewals();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/billing/retries', async (req, res) => {
+  if (REMINDER_SECRET) {
+    const token = req.headers['x-reminder-secret'] || req.query.secret;
+    if (token !== REMINDER_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const result = await triggerRetries();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+app.post('/api/recurring/process', async (req, res) => {
+  if (REMINDER_SECRET) {
+    const token = req.headers['x-reminder-secret'] || req.query.secret;
+    if (token !== REMINDER_SECRET) {
+      return res.status(401).json({ error: 'Unauthorized' });
+    }
+  }
+
+  try {
+    const result = await processDueRecurringExpenses();
+    res.json({ success: true, ...result });
+  } catch (error) {
+    res.status(500).json({ error: error.message });
+  }
+});
+
+// Webhook verification endpoint (required by WhatsApp)
+app.get('/webhook', verifyWebhook);
+
+// Webhook endpoint to receive messages (with rate limiting)
+app.post('/webhook', webhookLimiter, async (req, res) => {
+  try {
+    // Only accept payloads signed by Meta with our app secret
+    if (!verifyWebhookSignature(req.rawBody, req.headers['x-hub-signature-256'])) {
+      console.error('[webhook] Invalid signature, rejecting request');
+      return res.sendStatus(401);
+    }
+
+    // Check if it's a WhatsApp message
+    const messages = whatsappChannel.parseWebhook(req.body);
+    if (!messages) {
+      return res.sendStatus(404);
+    }
+
+    for (const { message, phone, externalId } of messages) {
+      // Replayed or redelivered message: acknowledge so Meta stops retrying, but don't process it
+      if (isReplayedMessage(message)) {
+        console.warn(`[webhook] Ignoring replayed message ${message.id} from ${phone}`);
+        continue;
+      }
+
+      // Handle the message asynchronously (replies go back to WhatsApp)
+      recordInboundChannel(phone, 'whatsapp', externalId)
+        .then(() => handleIncomingMessage(message, phone))
+        .catch(err => {
+          console.error('Error handling message:', err);
+        });
+    }
+
+    // Acknowledge receipt immediately
+    res.sendStatus(200);
+  } catch (error) {
+    console.error('Webhook error:', error);
+    res.sendStatus(500);
+  }
+});
+
+// Telegram Bot API webhook (register it with setWebhook, see README)
+app.post('/webhook/telegram', telegramLimiter, (req, res) => {
+  if (!verifyTelegramSecret(req.headers['x-telegram-bot-api-secret-token'])) {
+    console.error('[telegram webhook] Invalid secret token, rejecting request');
+    return res.sendStatus(401);
+  }
+
+  // Handle the update asynchronously, acknowledge immediately
+  handleTelegramUpdate(req.body).catch(err => {
+    console.error('[telegram webhook] Error:', err);
+  });
+  res.sendStatus(200);
+});
+
+export default app;
@@ -0,0 +1,227 @@
+/**
+ * Channel Registry
+ * Messaging channels (WhatsApp, Telegram) behind one interface. Everything outbound
+ * goes through here: messages for a user are sent on the channel they wrote from last
+ * (WhatsApp if we've never heard from them elsewhere).
+ *
+ * Each channel implements: sendText, sendButtons, sendList, sendDocument, sendSticker, sendAudio,
+ * sendContactCard, sendTypingIndicator, markAsRead, downloadMedia and ownsId
+ */
+
+import { ChannelIdentityDB } from "../database/index.js";
+import { getRandomProcessingMessage } from "../utils/processingMessages.js";
+import whatsappChannel from "./whatsappChannel.js";
+import telegramChannel from "./telegramChannel.js";
+
+const CHANNELS = {
+  whatsapp: whatsappChannel,
+  telegram: telegramChannel,
+};
+
+const DEFAULT_CHANNEL = 'whatsapp';
+
+// Store: phone -> { channel, externalId } (the channel the user wrote from last)
+const activeChannels = new Map();
+
+/**
+ * Get a channel by name
+ * @param {string} name - 'whatsapp' | 'telegram'
+ * @returns {object|null}
+ */
+export function getChannel(name) {
+  return CHANNELS[name] || null;
+}
+
+/**
+ * Register a channel, replacing any channel with the same name
+ * (the WhatsApp simulator swaps WhatsApp for one that captures outbound messages)
+ * @param {object} channel - Channel implementation (must have a name)
+ */
+export function registerChannel(channel) {
+  CHANNELS[channel.name] = channel;
+}
+
+/**
+ * Record that a user just wrote from a channel, so replies go back there
+ * @param {string} phone - Account phone number
+ * @param {string} channelName
+ * @param {string} externalId - ID on that channel (phone number, Telegram chat ID)
+ */
+export async function recordInboundChannel(phone, channelName, externalId) {
+  const current = activeChannels.get(phone);
+  activeChannels.set(phone, { channel: channelName, externalId: String(externalId) });
+
+  // Only write when the user switches channels (or the first time after a restart)
+  if (current && current.channel === channelName && current.externalId === String(externalId)) {
+    return;
+  }
+
+  try {
+    const touched = await ChannelIdentityDB.touch(channelName, externalId);
+    if (!touched) {
+      await ChannelIdentityDB.link(channelName, externalId, phone);
+    }
+  } catch (error) {
+    console.error(`[channels] Could not record ${channelName} identity for ${phone}:`, error.message || error);
+  }
+}
+
+/**
+ * Find the channel and recipient ID to reach a user
+ * @param {string} phone - Account phone number
+ * @returns {Promise<{channel: object, to: string}>}
+ */
+export async function resolveRecipient(phone) {
+  let active = activeChannels.get(phone);
+
+  if (!active) {
+    try {
+      const [latest] = await ChannelIdentityDB.getByPhone(phone);
+      if (latest && CHANNELS[latest.channel]) {
+        active = { channel: latest.channel, externalId: latest.external_id };
+        activeChannels.set(phone, active);
+      }
+    } catch (error) {
+      console.error(`[channels] Could not load identities for ${phone}:`, error.message || error);
+    }
+  }
+
+  if (!active) {
+    return { channel: CHANNELS[DEFAULT_CHANNEL], to: phone };
+  }
+  return { channel: CHANNELS[active.channel], to: active.externalId };
+}
+
+/**
+ * Channel a message or media ID belongs to
+ */
+function channelForId(id) {
+  return Object.values(CHANNELS).find(c => c !== CHANNELS[DEFAULT_CHANNEL] && c.ownsId(id))
+    || CHANNELS[DEFAULT_CHANNEL];
+}
+
+/**
+ * Send a text message
+ */
+export async function sendTextMessage(phone, message) {
+  const { channel, to } = await resolveRecipient(phone);
+  return channel.sendText(to, message);
+}
+
+/**
+ * Send a message with reply buttons
+ */
+export async function sendInteractiveButtons(phone, bodyText, buttons) {
+  const { channel, to } = await resolveRecipient(phone);
+  return channel.sendButtons(to, bodyText, buttons);
+}
+
+/**
+ * Send a message with a list of options (opened from a button)
+ * @param {string} phone - Account phone number
+ * @param {string} bodyText - Message text
+ * @param {string} buttonText - Label of the button that opens the list
+ * @param {Array<{id: string, title: string, description?: string}>} rows - Options (up to 10)
+ */
+export async function sendInteractiveList(phone, bodyText, buttonText, rows) {
+  const { channel, to } = await resolveRecipient(phone);
+  return channel.sendList(to, bodyText, buttonText, rows);
+}
+
+/**
+ * Send a document (file)
+ * @param {string} phone - Account phone number
+ * @param {Buffer} fileBuffer - File content as Buffer
+ * @param {string} filename - Filename with extension (e.g. "expenses_2026-02-08.csv")
+ * @param {string} caption - Caption shown below the document
+ */
+export async function sendDocument(phone, fileBuffer, filename, caption) {
+  const { channel, to } = await resolveRecipient(phone);
+  return channel.sendDocument(to, fileBuffer, filename, caption);
+}
+
+/**
+ * Send a sticker (optional: never throws)
+ */
+export async function sendSticker(phone, stickerUrl) {
+  const { channel, to } = await resolveRecipient(phone);
+  return channel.sendSticker(to, stickerUrl);
+}
+
+/**
+ * Send an audio message (optional: never throws)
+ */
+export async function sendAudio(phone, audioUrl) {
+  const { channel, to } = await resolveRecipient(phone);
+  return channel.sendAudio(to, audioUrl);
+}
+
+/**
+ * Send a contact card
+ * @param {string} phone - Account phone number
+ * @param {object} contact - Contact info { name, phone, website }
+ */
+export async function sendContactCard(phone, contact) {
+  const { channel, to } = await resolveRecipient(phone);
+  return channel.sendContactCard(to, contact);
+}
+
+/**
+ * Mark a received message as read (where the channel supports it)
+ * @param {string} messageId
+ */
+export async function markAsRead(messageId) {
+  return channelForId(messageId).markAsRead(messageId);
+}
+
+/**
+ * Download media a user sent
+ * @param {string} mediaId - The media ID from the message
+ * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+ */
+export async function downloadMedia(mediaId) {
+  return channelForId(mediaId).downloadMedia(mediaId);
+}
+
+/**
+ * Show "processing" feedback: the channel's typing indicator plus a motivational text message
+ * @param {string} phone - Account phone number
+ * @param {string} messageId - Message ID (not used, kept for backwards compatibility)
+ * @param {string} lang - Language code (es, en, pt)
+ * @param {string} context - Context type (expense, image, audio, general)
+ * @returns {Function} - Call this when processing is complete (no-op for text messages)
+ */
+export async function showProcessingIndicator(phone, messageId, lang = 'es', context = 'general') {
+  const { channel, to } = await resolveRecipient(phone);
+  const message = getRandomProcessingMessage(lang, context);
+
+  try {
+    await channel.sendText(to, message);
+    await channel.sendTypingIndicator(to);
+    console.log(`[${channel.name}] Processing message sent to ${phone}: "${message}"`);
+  } catch (err) {
+    console.error(`[${channel.name}] Failed to send processing message to ${phone}:`, err);
+  }
+
+  // Return empty function (text messages can't be removed)
+  return async () => {
+    console.log(`[${channel.name}] Processing completed for ${phone}`);
+  };
+}
+
+export default {
+  getChannel,
+  registerChannel,
+  recordInboundChannel,
+  resolveRecipient,
+  sendTextMessage,
+  sendInteractiveButtons,
+  sendInteractiveList,
+  sendDocument,
+  sendSticker,
+  sendAudio,
+  sendContactCard,
+  markAsRead,
+  downloadMedia,
+  showProcessingIndicator,
+};
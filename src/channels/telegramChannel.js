@@ -0,0 +1,354 @@
+/**
+ * Telegram Channel
+ * Telegram Bot API implementation of the channel interface.
+ * Inbound updates are converted to the internal (WhatsApp-shaped) message format.
+ * Message and file IDs are prefixed with "tg:" so they can be told apart from WhatsApp's
+ */
+
+import axios from 'axios';
+import crypto from 'crypto';
+import FormData from 'form-data';
+import dotenv from 'dotenv';
+
+dotenv.config();
+
+const TELEGRAM_API_URL = 'https://api.telegram.org';
+const BOT_TOKEN = process.env.TELEGRAM_BOT_TOKEN;
+
+const ID_PREFIX = 'tg:';
+
+// Telegram limits callback_data to 64 bytes; longer button IDs are swapped for a short key
+const MAX_CALLBACK_DATA_BYTES = 64;
+const longCallbackData = new Map(); // short key -> button ID
+
+// File extension -> MIME type (getFile only returns a path)
+const MIME_TYPES = {
+  jpg: 'image/jpeg',
+  jpeg: 'image/jpeg',
+  png: 'image/png',
+  webp: 'image/webp',
+  oga: 'audio/ogg',
+  ogg: 'audio/ogg',
+  mp3: 'audio/mpeg',
+  m4a: 'audio/mp4',
+  wav: 'audio/wav',
+  xlsx: 'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet',
+  xls: 'application/vnd.ms-excel',
+  csv: 'text/csv',
+};
+
+/**
+ * Call a Bot API method
+ */
+async function callApi(method, payload, headers = {}) {
+  if (!BOT_TOKEN) {
+    throw new Error('TELEGRAM_BOT_TOKEN not configured');
+  }
+
+  const response = await axios.post(`${TELEGRAM_API_URL}/bot${BOT_TOKEN}/${method}`, payload, { headers });
+  return response.data.result;
+}
+
+/**
+ * Send a text message, with WhatsApp-style *bold* and _italic_ rendered as Markdown.
+ * Falls back to plain text when the message isn't valid Markdown (e.g. a lone "*")
+ */
+async function sendMessage(chatId, text, extra = {}) {
+  try {
+    return await callApi('sendMessage', { chat_id: chatId, text, parse_mode: 'Markdown', ...extra });
+  } catch (error) {
+    if (error.response?.status === 400 && /parse entities/i.test(error.response.data?.description || '')) {
+      return callApi('sendMessage', { chat_id: chatId, text, ...extra });
+    }
+    throw error;
+  }
+}
+
+/**
+ * callback_data for a button ID
+ */
+function toCallbackData(id) {
+  if (Buffer.byteLength(id, 'utf8') <= MAX_CALLBACK_DATA_BYTES) return id;
+
+  const shortKey = `cb:${crypto.createHash('sha1').update(id).digest('hex').slice(0, 16)}`;
+  longCallbackData.set(shortKey, id);
+  return shortKey;
+}
+
+/**
+ * Button ID for a callback_data
+ */
+function fromCallbackData(data) {
+  return longCallbackData.get(data) || data;
+}
+
+export const telegramChannel = {
+  name: 'telegram',
+
+  /**
+   * Whether a message or media ID came from this channel
+   * @param {string} id
+   * @returns {boolean}
+   */
+  ownsId(id) {
+    return typeof id === 'string' && id.startsWith(ID_PREFIX);
+  },
+
+  /**
+   * Send a text message
+   * @param {string} chatId - Telegram chat ID
+   * @param {string} text
+   * @param {object} options
+   * @param {boolean} options.removeKeyboard - Hide a reply keyboard left open (e.g. the contact request)
+   */
+  async sendText(chatId, text, { removeKeyboard = false } = {}) {
+    try {
+      return await sendMessage(chatId, text, removeKeyboard ? { reply_markup: { remove_keyboard: true } } : {});
+    } catch (error) {
+      console.error('Error sending Telegram message:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Send a message with inline buttons (one per row)
+   * @param {string} chatId
+   * @param {string} bodyText
+   * @param {Array<{id: string, title: string}>} buttons
+   */
+  async sendButtons(chatId, bodyText, buttons) {
+    try {
+      return await sendMessage(chatId, bodyText, {
+        reply_markup: {
+          inline_keyboard: buttons.map((btn, idx) => ([{
+            text: btn.title,
+            callback_data: toCallbackData(btn.id || `btn_${idx}`),
+          }])),
+        },
+      });
+    } catch (error) {
+      console.error('Error sending Telegram buttons:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Send a list of options. Telegram has no list messages, so each option is an
+   * inline button (the list button text isn't needed: the options show right away)
+   * @param {string} chatId
+   * @param {string} bodyText
+   * @param {string} buttonText
+   * @param {Array<{id: string, title: string, description?: string}>} rows
+   */
+  async sendList(chatId, bodyText, buttonText, rows) {
+    return telegramChannel.sendButtons(chatId, bodyText, rows.map(row => ({
+      id: row.id,
+      title: row.description ? `${row.title} · ${row.description}` : row.title,
+    })));
+  },
+
+  /**
+   * Ask the user to share their phone number (links the chat to their account)
+   * @param {string} chatId
+   * @param {string} text
+   * @param {string} buttonLabel
+   */
+  async sendContactRequest(chatId, text, buttonLabel) {
+    return sendMessage(chatId, text, {
+      reply_markup: {
+        keyboard: [[{ text: buttonLabel, request_contact: true }]],
+        resize_keyboard: true,
+        one_time_keyboard: true,
+      },
+    });
+  },
+
+  /**
+   * Send a document (file)
+   * @param {string} chatId
+   * @param {Buffer} fileBuffer
+   * @param {string} filename
+   * @param {string} caption
+   */
+  async sendDocument(chatId, fileBuffer, filename, caption) {
+    const formData = new FormData();
+    formData.append('chat_id', String(chatId));
+    formData.append('document', fileBuffer, { filename });
+    if (caption) formData.append('caption', caption);
+
+    return callApi('sendDocument', formData, formData.getHeaders());
+  },
+
+  async sendSticker(chatId, stickerUrl) {
+    try {
+      return await callApi('sendSticker', { chat_id: chatId, sticker: stickerUrl });
+    } catch (error) {
+      console.error('Error sending Telegram sticker:', error.response?.data || error.message);
+      return null; // Don't throw, stickers are optional
+    }
+  },
+
+  async sendAudio(chatId, audioUrl) {
+    try {
+      return await callApi('sendAudio', { chat_id: chatId, audio: audioUrl });
+    } catch (error) {
+      console.error('Error sending Telegram audio:', error.response?.data || error.message);
+      return null; // Don't throw, audio is optional enhancement
+    }
+  },
+
+  /**
+   * Send a contact card
+   * @param {string} chatId
+   * @param {object} contact - { name, phone, website }
+   */
+  async sendContactCard(chatId, contact) {
+    try {
+      return await callApi('sendContact', {
+        chat_id: chatId,
+        phone_number: contact.phone,
+        first_name: contact.name,
+      });
+    } catch (error) {
+      console.error('Error sending Telegram contact:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Show "typing..." (lasts about 5 seconds or until the next message)
+   * @param {string} chatId
+   */
+  async sendTypingIndicator(chatId) {
+    try {
+      await callApi('sendChatAction', { chat_id: chatId, action: 'typing' });
+      return true;
+    } catch (error) {
+      console.error('Error sending Telegram chat action:', error.response?.data || error.message);
+      return false;
+    }
+  },
+
+  /**
+   * Telegram has no read receipts for bots
+   */
+  async markAsRead() {},
+
+  /**
+   * Download a file sent by the user
+   * @param {string} mediaId - "tg:<file_id>"
+   * @returns {Promise<{buffer: Buffer, mimeType: string}>}
+   */
+  async downloadMedia(mediaId) {
+    try {
+      const file = await callApi('getFile', { file_id: mediaId.slice(ID_PREFIX.length) });
+      const fileResponse = await axios.get(`${TELEGRAM_API_URL}/file/bot${BOT_TOKEN}/${file.file_path}`, {
+        responseType: 'arraybuffer',
+      });
+
+      const extension = file.file_path.split('.').pop().toLowerCase();
+      return {
+        buffer: Buffer.from(fileResponse.data),
+        mimeType: MIME_TYPES[extension] || 'application/octet-stream',
+      };
+    } catch (error) {
+      console.error('Error downloading Telegram file:', error.response?.data || error.message);
+      throw error;
+    }
+  },
+
+  /**
+   * Acknowledge a button press (stops the loading spinner on the button)
+   * @param {string} callbackQueryId
+   */
+  async answerCallbackQuery(callbackQueryId) {
+    try {
+      await callApi('answerCallbackQuery', { callback_query_id: callbackQueryId });
+    } catch (error) {
+      console.error('Error answering Telegram callback:', error.response?.data || error.message);
+    }
+  },
+
+  /**
+   * Convert a Telegram update into the internal message format
+   * @param {object} update - Telegram Update
+   * @returns {{chatId: string, from: object, message: object, contact: object|null, callbackQueryId: string|null}|null}
+   *   Null for updates we don't handle (edits, group chats, channel posts...)
+   */
+  parseUpdate(update) {
+    if (update.callback_query) {
+      const query = update.callback_query;
+      const chat = query.message?.chat;
+      if (!chat || chat.type !== 'private') return null;
+
+      const id = fromCallbackData(query.data || '');
+      const pressed = (query.message.reply_markup?.inline_keyboard || [])
+        .flat()
+        .find(btn => btn.callback_data === query.data);
+
+      return {
+        chatId: String(chat.id),
+        from: query.from,
+        callbackQueryId: query.id,
+        contact: null,
+        message: {
+          id: `${ID_PREFIX}cb:${query.id}`,
+          type: 'interactive',
+          interactive: {
+            type: 'button_reply',
+            button_reply: { id, title: pressed?.text || id },
+          },
+        },
+      };
+    }
+
+    const tgMessage = update.message;
+    if (!tgMessage || tgMessage.chat?.type !== 'private') return null;
+
+    const message = {
+      id: `${ID_PREFIX}${tgMessage.chat.id}:${tgMessage.message_id}`,
+      timestamp: String(tgMessage.date),
+    };
+
+    if (tgMessage.text) {
+      // Bot commands ("/start", "/help@MoneditaBot") are read as the plain word
+      const text = tgMessage.text.replace(/^\/(\w+)(@\w+)?/, '$1');
+      Object.assign(message, { type: 'text', text: { body: text } });
+    } else if (tgMessage.photo) {
+      const largest = tgMessage.photo[tgMessage.photo.length - 1];
+      Object.assign(message, {
+        type: 'image',
+        image: { id: `${ID_PREFIX}${largest.file_id}`, mime_type: 'image/jpeg', caption: tgMessage.caption },
+      });
+    } else if (tgMessage.voice || tgMessage.audio) {
+      const audio = tgMessage.voice || tgMessage.audio;
+      Object.assign(message, {
+        type: 'audio',
+        audio: { id: `${ID_PREFIX}${audio.file_id}`, mime_type: audio.mime_type },
+      });
+    } else if (tgMessage.document) {
+      Object.assign(message, {
+        type: 'document',
+        document: {
+          id: `${ID_PREFIX}${tgMessage.document.file_id}`,
+          filename: tgMessage.document.file_name,
+          mime_type: tgMessage.document.mime_type,
+        },
+      });
+    } else if (tgMessage.contact) {
+      Object.assign(message, { type: 'contacts' });
+    } else {
+      Object.assign(message, { type: 'unsupported' });
+    }
+
+    return {
+      chatId: String(tgMessage.chat.id),
+      from: tgMessage.from,
+      callbackQueryId: null,
+      contact: tgMessage.contact || null,
+      message,
+    };
+  },
+};
+
+export default telegramChannel;
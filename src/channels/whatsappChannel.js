@@ -0,0 +1,65 @@
+/**
+ * WhatsApp Channel
+ * WhatsApp Business (Cloud API) implementation of the channel interface.
+ * The internal message format is WhatsApp's own, so inbound messages pass through as-is
+ */
+
+import {
+  sendTextMessage,
+  sendInteractiveButtons,
+  sendInteractiveList,
+  sendDocument,
+  sendSticker,
+  sendAudio,
+  sendContactCard,
+  sendTypingIndicator,
+  markAsRead,
+  downloadMedia,
+} from "../utils/whatsappClient.js";
+
+export const whatsappChannel = {
+  name: 'whatsapp',
+
+  /**
+   * Whether a message or media ID came from this channel (the fallback channel: any unprefixed ID)
+   * @param {string} id
+   * @returns {boolean}
+   */
+  ownsId(id) {
+    return typeof id === 'string' && !id.startsWith('tg:');
+  },
+
+  sendText: (to, text) => sendTextMessage(to, text),
+  sendButtons: (to, bodyText, buttons) => sendInteractiveButtons(to, bodyText, buttons),
+  sendList: (to, bodyText, buttonText, rows) => sendInteractiveList(to, bodyText, buttonText, rows),
+  sendDocument: (to, fileBuffer, filename, caption) => sendDocument(to, fileBuffer, filename, caption),
+  sendSticker: (to, stickerUrl) => sendSticker(to, stickerUrl),
+  sendAudio: (to, audioUrl) => sendAudio(to, audioUrl),
+  sendContactCard: (to, contact) => sendContactCard(to, contact),
+  sendTypingIndicator: (to) => sendTypingIndicator(to),
+  markAsRead: (messageId) => markAsRead(messageId),
+  downloadMedia: (mediaId) => downloadMedia(mediaId),
+
+  /**
+   * Extract the user messages from a Meta webhook payload
+   * (status updates and other changes are ignored)
+   * @param {object} body - Webhook body
+   * @returns {Array<{message: object, phone: string, externalId: string}>|null} Null if it isn't a WhatsApp payload
+   */
+  parseWebhook(body) {
+    if (body?.object !== 'whatsapp_business_account') return null;
+
+    const messages = [];
+    for (const entry of body.entry || []) {
+      for (const change of entry.changes || []) {
+        for (const message of change.value?.messages || []) {
+          // On WhatsApp the account is the sender's number
+          messages.push({ message, phone: message.from, externalId: message.from });
+        }
+      }
+    }
+    return messages;
+  },
+};
+
+export default whatsappChannel;
@@ -0,0 +1,82 @@
+/**
+ * In-memory Action Journal Database
+ * Before/after snapshots of mutating tool calls, so they can be undone
+ */
+
+// Store journal entries per user
+const entries = new Map();
+
+let entryIdCounter = 1;
+
+/**
+ * Action journal operations
+ */
+export const ActionJournalDB = {
+  /**
+   * Record an action
+   * @param {string} phone - User's phone number
+   * @param {object} entryData - { tool, detail, changes }
+   * @returns {object} Created entry
+   */
+  create(phone, entryData) {
+    const entry = {
+      id: entryIdCounter++,
+      phone,
+      tool: entryData.tool,
+      detail: entryData.detail || null, // Short description of what changed ("$25,000 - food")
+      // Snapshots are copied so later in-place updates don't rewrite history
+      changes: structuredClone(entryData.changes || []),
+      undone_at: null,
+      createdAt: new Date()
+    };
+
+    const userEntries = entries.get(phone) || [];
+    userEntries.push(entry);
+    entries.set(phone, userEntries);
+
+    return entry;
+  },
+
+  /**
+   * Get the most recent entries not yet undone (newest first)
+   * @param {string} phone - User's phone number
+   * @param {Date} since - Ignore entries older than this
+   * @param {number} limit - Max entries
+   * @returns {Array}
+   */
+  getUndoable(phone, since, limit = 10) {
+    const userEntries = entries.get(phone) || [];
+    return userEntries
+      .filter(e => !e.undone_at && new Date(e.createdAt) >= since)
+      .sort((a, b) => new Date(b.createdAt) - new Date(a.createdAt) || b.id - a.id)
+      .slice(0, limit);
+  },
+
+  /**
+   * Mark an entry as undone
+   * @param {string} phone - User's phone number
+   * @param {number} id - Entry ID
+   * @returns {object|null} Updated entry
+   */
+  markUndone(phone, id) {
+    const entry = (entries.get(phone) || []).find(e => e.id === id);
+    if (!entry) return null;
+    entry.undone_at = new Date();
+    return entry;
+  },
+
+  /**
+   * Delete entries older than a date
+   * @param {string} phone - User's phone number
+   * @param {Date} cutoff
+   * @returns {number} Number of entries deleted
+   */
+  deleteOlderThan(phone, cutoff) {
+    const userEntries = entries.get(phone) || [];
+    const kept = userEntries.filter(e => new Date(e.createdAt) >= cutoff);
+    entries.set(phone, kept);
+    return userEntries.length - kept.length;
+  },
+};
+
+export default { ActionJournalDB };
@@ -0,0 +1,100 @@
+/**
+ * Supabase Action Journal Database
+ * Before/after snapshots of mutating tool calls, so they can be undone
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Action journal operations
+ */
+export const ActionJournalDB = {
+  /**
+   * Record an action
+   * @param {string} phone - User's phone number
+   * @param {object} entryData - { tool, detail, changes }
+   * @returns {Promise<object>} Created entry
+   */
+  async create(phone, entryData) {
+    const { data, error } = await supabase
+      .from("action_journal")
+      .insert([
+        {
+          phone,
+          tool: entryData.tool,
+          detail: entryData.detail || null,
+          changes: entryData.changes || [],
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("[supabase] Error inserting journal entry:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the most recent entries not yet undone (newest first)
+   * @param {string} phone - User's phone number
+   * @param {Date} since - Ignore entries older than this
+   * @param {number} limit - Max entries
+   * @returns {Promise<Array>}
+   */
+  async getUndoable(phone, since, limit = 10) {
+    const { data, error } = await supabase
+      .from("action_journal")
+      .select("*")
+      .eq("phone", phone)
+      .is("undone_at", null)
+      .gte("created_at", since.toISOString())
+      .order("created_at", { ascending: false })
+      .order("id", { ascending: false })
+      .limit(limit);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Mark an entry as undone
+   * @param {string} phone - User's phone number
+   * @param {number} id - Entry ID
+   * @returns {Promise<object|null>} Updated entry
+   */
+  async markUndone(phone, id) {
+    const { data, error } = await supabase
+      .from("action_journal")
+      .update({ undone_at: new Date().toISOString() })
+      .eq("phone", phone)
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Delete entries older than a date
+   * @param {string} phone - User's phone number
+   * @param {Date} cutoff
+   * @returns {Promise<number>} Number of entries deleted
+   */
+  async deleteOlderThan(phone, cutoff) {
+    const { data, error } = await supabase
+      .from("action_journal")
+      .delete()
+      .eq("phone", phone)
+      .lt("created_at", cutoff.toISOString())
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+};
+
+export default { ActionJournalDB };
@@ -0,0 +1,119 @@
+/**
+ * In-memory Batched Message Database
+ * Text messages waiting in the 10-second batching window, until a worker claims and processes them
+ */
+
+// Store: message ID -> record (message IDs are unique across users)
+const batchedMessages = new Map();
+
+/**
+ * Whether a message can be claimed (never claimed, or its claim expired)
+ */
+function isUnclaimed(record, now) {
+  return !record.claimed_until || new Date(record.claimed_until) < now;
+}
+
+/**
+ * Batched message operations
+ */
+export const BatchedMessageDB = {
+  /**
+   * Add a message to a user's pending batch
+   * @param {string} phone - Sender's phone number
+   * @param {object} message - { messageId, content, receivedAt }
+   * @returns {boolean} True if added, false if the message was already queued
+   */
+  add(phone, message) {
+    if (batchedMessages.has(message.messageId)) return false;
+
+    batchedMessages.set(message.messageId, {
+      message_id: message.messageId,
+      phone,
+      content: message.content || '',
+      received_at: message.receivedAt || new Date(),
+      claimed_by: null,
+      claimed_until: null,
+    });
+    return true;
+  },
+
+  /**
+   * Get a user's unclaimed messages, oldest first
+   * @param {string} phone
+   * @returns {Array}
+   */
+  getPending(phone) {
+    const now = new Date();
+    return Array.from(batchedMessages.values())
+      .filter(m => m.phone === phone && isUnclaimed(m, now))
+      .sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+  },
+
+  /**
+   * Get every phone with unclaimed messages and when its last one arrived
+   * @returns {Array<{phone: string, lastReceivedAt: Date}>}
+   */
+  getPendingPhones() {
+    const now = new Date();
+    const phones = new Map();
+    for (const record of batchedMessages.values()) {
+      if (!isUnclaimed(record, now)) continue;
+      const receivedAt = new Date(record.received_at);
+      const last = phones.get(record.phone);
+      if (!last || receivedAt > last) phones.set(record.phone, receivedAt);
+    }
+    return Array.from(phones, ([phone, lastReceivedAt]) => ({ phone, lastReceivedAt }));
+  },
+
+  /**
+   * Claim a user's unclaimed messages for processing
+   * @param {string} phone
+   * @param {string} workerId - Instance claiming the batch
+   * @param {Date} claimedUntil - When the claim expires if the worker never completes it
+   * @returns {Array} Claimed messages, oldest first (empty if another worker has them)
+   */
+  claim(phone, workerId, claimedUntil) {
+    const claimed = this.getPending(phone);
+    for (const record of claimed) {
+      record.claimed_by = workerId;
+      record.claimed_until = claimedUntil;
+    }
+    return claimed.map(record => ({ ...record }));
+  },
+
+  /**
+   * Delete messages once their batch was processed
+   * @param {string} workerId - Worker that claimed them
+   * @param {Array<string>} messageIds
+   * @returns {number} Number of messages deleted
+   */
+  complete(workerId, messageIds) {
+    let count = 0;
+    for (const id of messageIds) {
+      const record = batchedMessages.get(id);
+      if (record && record.claimed_by === workerId) {
+        batchedMessages.delete(id);
+        count++;
+      }
+    }
+    return count;
+  },
+
+  /**
+   * Delete all of a user's pending messages
+   * @param {string} phone
+   * @returns {number} Number of messages deleted
+   */
+  deleteByPhone(phone) {
+    let count = 0;
+    for (const [id, record] of batchedMessages) {
+      if (record.phone === phone) {
+        batchedMessages.delete(id);
+        count++;
+      }
+    }
+    return count;
+  },
+};
+
+export default { BatchedMessageDB };
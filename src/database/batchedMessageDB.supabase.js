@@ -0,0 +1,136 @@
+/**
+ * Supabase Batched Message Database
+ * Text messages waiting in the 10-second batching window, until a worker claims and processes them.
+ * Kept in Postgres so a restart or deploy mid-window doesn't lose them
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * PostgREST filter for messages nobody holds (never claimed, or the claim expired)
+ */
+function unclaimedFilter() {
+  return `claimed_until.is.null,claimed_until.lt."${new Date().toISOString()}"`;
+}
+
+/**
+ * Batched message operations
+ */
+export const BatchedMessageDB = {
+  /**
+   * Add a message to a user's pending batch
+   * @param {string} phone - Sender's phone number
+   * @param {object} message - { messageId, content, receivedAt }
+   * @returns {Promise<boolean>} True if added, false if the message was already queued
+   */
+  async add(phone, message) {
+    const { error } = await supabase
+      .from("batched_messages")
+      .insert([
+        {
+          message_id: message.messageId,
+          phone,
+          content: message.content || "",
+          received_at: (message.receivedAt || new Date()).toISOString(),
+        },
+      ]);
+
+    if (!error) return true;
+    if (error.code === "23505") return false; // Same message ID already queued
+    throw error;
+  },
+
+  /**
+   * Get a user's unclaimed messages, oldest first
+   * @param {string} phone
+   * @returns {Promise<Array>}
+   */
+  async getPending(phone) {
+    const { data, error } = await supabase
+      .from("batched_messages")
+      .select("*")
+      .eq("phone", phone)
+      .or(unclaimedFilter())
+      .order("received_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Get every phone with unclaimed messages and when its last one arrived
+   * @returns {Promise<Array<{phone: string, lastReceivedAt: Date}>>}
+   */
+  async getPendingPhones() {
+    const { data, error } = await supabase
+      .from("batched_messages")
+      .select("phone, received_at")
+      .or(unclaimedFilter());
+
+    if (error) throw error;
+
+    const phones = new Map();
+    for (const row of data || []) {
+      const receivedAt = new Date(row.received_at);
+      const last = phones.get(row.phone);
+      if (!last || receivedAt > last) phones.set(row.phone, receivedAt);
+    }
+    return Array.from(phones, ([phone, lastReceivedAt]) => ({ phone, lastReceivedAt }));
+  },
+
+  /**
+   * Claim a user's unclaimed messages for processing.
+   * A single conditional UPDATE, so when two instances race only one gets the rows
+   * @param {string} phone
+   * @param {string} workerId - Instance claiming the batch
+   * @param {Date} claimedUntil - When the claim expires if the worker never completes it
+   * @returns {Promise<Array>} Claimed messages, oldest first (empty if another worker has them)
+   */
+  async claim(phone, workerId, claimedUntil) {
+    const { data, error } = await supabase
+      .from("batched_messages")
+      .update({ claimed_by: workerId, claimed_until: claimedUntil.toISOString() })
+      .eq("phone", phone)
+      .or(unclaimedFilter())
+      .select("*");
+
+    if (error) throw error;
+    return (data || []).sort((a, b) => new Date(a.received_at) - new Date(b.received_at));
+  },
+
+  /**
+   * Delete messages once their batch was processed
+   * @param {string} workerId - Worker that claimed them
+   * @param {Array<string>} messageIds
+   * @returns {Promise<number>} Number of messages deleted
+   */
+  async complete(workerId, messageIds) {
+    const { data, error } = await supabase
+      .from("batched_messages")
+      .delete()
+      .eq("claimed_by", workerId)
+      .in("message_id", messageIds)
+      .select("message_id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+
+  /**
+   * Delete all of a user's pending messages
+   * @param {string} phone
+   * @returns {Promise<number>} Number of messages deleted
+   */
+  async deleteByPhone(phone) {
+    const { data, error } = await supabase
+      .from("batched_messages")
+      .delete()
+      .eq("phone", phone)
+      .select("message_id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+};
+
+export default { BatchedMessageDB };
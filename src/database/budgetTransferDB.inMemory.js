@@ -0,0 +1,118 @@
+/**
+ * In-memory Budget Transfer Database
+ * Stores money moved between budgets (envelope mode: "pasa 50k de ocio a comida")
+ */
+
+// Store transfers per user
+const transfers = new Map();
+
+let transferIdCounter = 1;
+
+/**
+ * Budget transfer operations
+ */
+export const BudgetTransferDB = {
+  /**
+   * Record a transfer between two budgets
+   * @param {string} phone - User's phone number
+   * @param {object} transferData - { from_category, to_category, amount, date }
+   * @returns {object} Created transfer
+   */
+  create(phone, transferData) {
+    const transfer = {
+      id: transferIdCounter++,
+      phone,
+      from_category: transferData.from_category,
+      to_category: transferData.to_category,
+      amount: transferData.amount,
+      date: transferData.date || new Date(),
+      createdAt: new Date()
+    };
+
+    const userTransfers = transfers.get(phone) || [];
+    userTransfers.push(transfer);
+    transfers.set(phone, userTransfers);
+
+    return transfer;
+  },
+
+  /**
+   * Get transfers in a date range (oldest first)
+   * @param {string} phone - User's phone number
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Array}
+   */
+  getByDateRange(phone, startDate, endDate) {
+    const userTransfers = transfers.get(phone) || [];
+    return userTransfers
+      .filter(t => {
+        const date = new Date(t.date);
+        return date >= startDate && date <= endDate;
+      })
+      .sort((a, b) => new Date(a.date) - new Date(b.date));
+  },
+
+  /**
+   * Get transfers from or to a category
+   * @param {string} phone - User's phone number
+   * @param {string} category
+   * @returns {Array}
+   */
+  getByCategory(phone, category) {
+    const userTransfers = transfers.get(phone) || [];
+    return userTransfers.filter(t => t.from_category === category || t.to_category === category);
+  },
+
+  /**
+   * Apply the same updates to several transfers
+   * @param {string} phone - User's phone number
+   * @param {Array<number>} ids - Transfer IDs
+   * @param {object} updates - Fields to update
+   * @returns {number} Number of transfers updated
+   */
+  updateMany(phone, ids, updates) {
+    const userTransfers = transfers.get(phone) || [];
+    let count = 0;
+    for (const t of userTransfers) {
+      if (ids.includes(t.id)) {
+        Object.assign(t, updates);
+        count++;
+      }
+    }
+    return count;
+  },
+
+  /**
+   * Rename a category in all transfers
+   * @param {string} phone - User's phone number
+   * @param {string} oldName
+   * @param {string} newName
+   * @returns {number} Number of transfers updated
+   */
+  renameCategory(phone, oldName, newName) {
+    const userTransfers = transfers.get(phone) || [];
+    let count = 0;
+    for (const t of userTransfers) {
+      if (t.from_category === oldName) { t.from_category = newName; count++; }
+      if (t.to_category === oldName) { t.to_category = newName; count++; }
+    }
+    return count;
+  },
+
+  /**
+   * Delete a transfer
+   * @param {string} phone - User's phone number
+   * @param {number} id - Transfer ID
+   * @returns {boolean} True if deleted
+   */
+  delete(phone, id) {
+    const userTransfers = transfers.get(phone) || [];
+    const index = userTransfers.findIndex(t => t.id === id);
+    if (index === -1) return false;
+    userTransfers.splice(index, 1);
+    return true;
+  },
+};
+
+export default { BudgetTransferDB };
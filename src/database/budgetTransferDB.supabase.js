@@ -0,0 +1,139 @@
+/**
+ * Supabase Budget Transfer Database
+ * Stores money moved between budgets (envelope mode: "pasa 50k de ocio a comida")
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Budget transfer operations
+ */
+export const BudgetTransferDB = {
+  /**
+   * Record a transfer between two budgets
+   * @param {string} phone - User's phone number
+   * @param {object} transferData - { from_category, to_category, amount, date }
+   * @returns {Promise<object>} Created transfer
+   */
+  async create(phone, transferData) {
+    const date = transferData.date ? new Date(transferData.date) : new Date();
+    const { data, error } = await supabase
+      .from("budget_transfers")
+      .insert([
+        {
+          phone,
+          from_category: transferData.from_category,
+          to_category: transferData.to_category,
+          amount: transferData.amount,
+          date: date.toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("[supabase] Error inserting budget transfer:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get transfers in a date range (oldest first)
+   * @param {string} phone - User's phone number
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array>}
+   */
+  async getByDateRange(phone, startDate, endDate) {
+    const { data, error } = await supabase
+      .from("budget_transfers")
+      .select("*")
+      .eq("phone", phone)
+      .gte("date", startDate.toISOString())
+      .lte("date", endDate.toISOString())
+      .order("date", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Get transfers from or to a category
+   * @param {string} phone - User's phone number
+   * @param {string} category
+   * @returns {Promise<Array>}
+   */
+  async getByCategory(phone, category) {
+    const { data, error } = await supabase
+      .from("budget_transfers")
+      .select("*")
+      .eq("phone", phone)
+      .or(`from_category.eq."${category}",to_category.eq."${category}"`);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Apply the same updates to several transfers
+   * @param {string} phone - User's phone number
+   * @param {Array<number>} ids - Transfer IDs
+   * @param {object} updates - Fields to update
+   * @returns {Promise<number>} Number of transfers updated
+   */
+  async updateMany(phone, ids, updates) {
+    const { data, error } = await supabase
+      .from("budget_transfers")
+      .update(updates)
+      .eq("phone", phone)
+      .in("id", ids)
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+
+  /**
+   * Rename a category in all transfers
+   * @param {string} phone - User's phone number
+   * @param {string} oldName
+   * @param {string} newName
+   * @returns {Promise<number>} Number of transfers updated
+   */
+  async renameCategory(phone, oldName, newName) {
+    let count = 0;
+    for (const column of ["from_category", "to_category"]) {
+      const { data, error } = await supabase
+        .from("budget_transfers")
+        .update({ [column]: newName })
+        .eq("phone", phone)
+        .eq(column, oldName)
+        .select();
+
+      if (error) throw error;
+      count += data?.length || 0;
+    }
+    return count;
+  },
+
+  /**
+   * Delete a transfer
+   * @param {string} phone - User's phone number
+   * @param {number} id - Transfer ID
+   * @returns {Promise<boolean>}
+   */
+  async delete(phone, id) {
+    const { error } = await supabase
+      .from("budget_transfers")
+      .delete()
+      .eq("phone", phone)
+      .eq("id", id);
+
+    if (error) throw error;
+    return true;
+  },
+};
+
+export default { BudgetTransferDB };
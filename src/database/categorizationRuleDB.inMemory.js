@@ -0,0 +1,120 @@
+/**
+ * In-memory Categorization Rule Database
+ * Rules the user writes for their expenses ("description contains EDS → transporte")
+ */
+
+// Store rules per user
+const rules = new Map();
+
+let ruleIdCounter = 1;
+
+/**
+ * Categorization rule operations
+ */
+export const CategorizationRuleDB = {
+  /**
+   * Create a rule
+   * @param {string} phone - User's phone number
+   * @param {object} ruleData - { conditions, actions }
+   * @returns {object} Created rule
+   */
+  create(phone, ruleData) {
+    const rule = {
+      id: ruleIdCounter++,
+      phone,
+      conditions: ruleData.conditions || {}, // description, merchant, min_amount, max_amount, source, account_id
+      actions: ruleData.actions || {}, // category, tags, skip, transfer
+      created_at: new Date()
+    };
+
+    const userRules = rules.get(phone) || [];
+    userRules.push(rule);
+    rules.set(phone, userRules);
+
+    return rule;
+  },
+
+  /**
+   * Get all rules for a user (oldest first, the order they're applied in)
+   * @param {string} phone - User's phone number
+   * @returns {Array}
+   */
+  getByUser(phone) {
+    return rules.get(phone) || [];
+  },
+
+  /**
+   * Get a rule by ID
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @returns {object|null}
+   */
+  getById(phone, id) {
+    const userRules = rules.get(phone) || [];
+    return userRules.find(r => r.id === id) || null;
+  },
+
+  /**
+   * Update a rule
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @param {object} updates - { conditions, actions }
+   * @returns {object|null} Updated rule
+   */
+  update(phone, id, updates) {
+    const rule = this.getById(phone, id);
+    if (!rule) return null;
+    Object.assign(rule, updates);
+    return rule;
+  },
+
+  /**
+   * Point rules that set one category to another (category renamed)
+   * @param {string} phone - User's phone number
+   * @param {string} oldCategory
+   * @param {string} newCategory
+   * @returns {number} Number of rules updated
+   */
+  renameCategory(phone, oldCategory, newCategory) {
+    const userRules = (rules.get(phone) || []).filter(r => r.actions.category === oldCategory);
+    for (const rule of userRules) {
+      rule.actions = { ...rule.actions, category: newCategory };
+    }
+    return userRules.length;
+  },
+
+  /**
+   * Delete a rule
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @returns {boolean} True if deleted
+   */
+  delete(phone, id) {
+    const userRules = rules.get(phone) || [];
+    const index = userRules.findIndex(r => r.id === id);
+    if (index === -1) return false;
+    userRules.splice(index, 1);
+    return true;
+  },
+
+  /**
+   * Put back previously deleted rules, keeping their IDs (undo)
+   * @param {string} phone - User's phone number
+   * @param {Array} records - Full rule snapshots
+   * @returns {number} Number of rules restored
+   */
+  restore(phone, records) {
+    const userRecords = rules.get(phone) || [];
+    for (const record of records) {
+      const index = userRecords.findIndex(r => r.id === record.id);
+      if (index === -1) userRecords.push(structuredClone(record));
+      else userRecords[index] = structuredClone(record);
+    }
+    // Back in creation order
+    userRecords.sort((a, b) => a.id - b.id);
+    rules.set(phone, userRecords);
+    return records.length;
+  },
+};
+
+export default { CategorizationRuleDB };
@@ -0,0 +1,149 @@
+/**
+ * Supabase Categorization Rule Database
+ * Rules the user writes for their expenses ("description contains EDS → transporte")
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Categorization rule operations
+ */
+export const CategorizationRuleDB = {
+  /**
+   * Create a rule
+   * @param {string} phone - User's phone number
+   * @param {object} ruleData - { conditions, actions }
+   * @returns {Promise<object>} Created rule
+   */
+  async create(phone, ruleData) {
+    const { data, error } = await supabase
+      .from("categorization_rules")
+      .insert([
+        {
+          phone,
+          conditions: ruleData.conditions || {},
+          actions: ruleData.actions || {},
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("[supabase] Error inserting categorization rule:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get all rules for a user (oldest first, the order they're applied in)
+   * @param {string} phone - User's phone number
+   * @returns {Promise<Array>}
+   */
+  async getByUser(phone) {
+    const { data, error } = await supabase
+      .from("categorization_rules")
+      .select("*")
+      .eq("phone", phone)
+      .order("id", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Get a rule by ID
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @returns {Promise<object|null>}
+   */
+  async getById(phone, id) {
+    const { data, error } = await supabase
+      .from("categorization_rules")
+      .select("*")
+      .eq("phone", phone)
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Update a rule
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @param {object} updates - { conditions, actions }
+   * @returns {Promise<object|null>} Updated rule
+   */
+  async update(phone, id, updates) {
+    const { data, error } = await supabase
+      .from("categorization_rules")
+      .update(updates)
+      .eq("phone", phone)
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Point rules that set one category to another (category renamed)
+   * @param {string} phone - User's phone number
+   * @param {string} oldCategory
+   * @param {string} newCategory
+   * @returns {Promise<number>} Number of rules updated
+   */
+  async renameCategory(phone, oldCategory, newCategory) {
+    const { data, error } = await supabase
+      .from("categorization_rules")
+      .select("id, actions")
+      .eq("phone", phone)
+      .eq("actions->>category", oldCategory);
+
+    if (error) throw error;
+
+    for (const rule of data || []) {
+      await this.update(phone, rule.id, { actions: { ...rule.actions, category: newCategory } });
+    }
+    return (data || []).length;
+  },
+
+  /**
+   * Delete a rule
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @returns {Promise<boolean>}
+   */
+  async delete(phone, id) {
+    const { error } = await supabase
+      .from("categorization_rules")
+      .delete()
+      .eq("phone", phone)
+      .eq("id", id);
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Put back previously deleted rules, keeping their IDs (undo)
+   * @param {string} phone - User's phone number
+   * @param {Array} records - Full rule rows
+   * @returns {Promise<number>} Number of rules restored
+   */
+  async restore(phone, records) {
+    const { data, error } = await supabase
+      .from("categorization_rules")
+      .upsert(records.map((r) => ({ ...r, phone })), { onConflict: "id" })
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+};
+
+export default { CategorizationRuleDB };
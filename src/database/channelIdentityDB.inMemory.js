@@ -0,0 +1,84 @@
+/**
+ * In-memory Channel Identity Database
+ * Maps a user's identity on each messaging channel (WhatsApp number, Telegram chat)
+ * to their account (phone), and remembers which channel they wrote from last
+ */
+
+// Store: "channel:externalId" -> identity
+const identities = new Map();
+
+const key = (channel, externalId) => `${channel}:${externalId}`;
+
+/**
+ * Channel identity operations
+ */
+export const ChannelIdentityDB = {
+  /**
+   * Link a channel identity to an account (replaces any previous link)
+   * @param {string} channel - 'whatsapp' | 'telegram'
+   * @param {string} externalId - ID on that channel (phone number, Telegram chat ID)
+   * @param {string} phone - Account phone number
+   * @returns {object} Identity
+   */
+  link(channel, externalId, phone) {
+    const now = new Date();
+    const existing = identities.get(key(channel, externalId));
+    const identity = {
+      channel,
+      external_id: String(externalId),
+      phone,
+      linked_at: existing && existing.phone === phone ? existing.linked_at : now,
+      last_seen_at: now,
+    };
+    identities.set(key(channel, externalId), identity);
+    return { ...identity };
+  },
+
+  /**
+   * Get the identity for a channel ID
+   * @param {string} channel
+   * @param {string} externalId
+   * @returns {object|null}
+   */
+  getByExternalId(channel, externalId) {
+    const identity = identities.get(key(channel, externalId));
+    return identity ? { ...identity } : null;
+  },
+
+  /**
+   * Get all identities of an account, most recently seen first
+   * @param {string} phone
+   * @returns {Array}
+   */
+  getByPhone(phone) {
+    return Array.from(identities.values())
+      .filter(i => i.phone === phone)
+      .sort((a, b) => new Date(b.last_seen_at) - new Date(a.last_seen_at))
+      .map(i => ({ ...i }));
+  },
+
+  /**
+   * Record that the user just wrote from this identity
+   * @param {string} channel
+   * @param {string} externalId
+   * @returns {boolean} True if the identity exists
+   */
+  touch(channel, externalId) {
+    const identity = identities.get(key(channel, externalId));
+    if (!identity) return false;
+    identity.last_seen_at = new Date();
+    return true;
+  },
+
+  /**
+   * Remove a link
+   * @param {string} channel
+   * @param {string} externalId
+   * @returns {boolean} True if it existed
+   */
+  unlink(channel, externalId) {
+    return identities.delete(key(channel, externalId));
+  },
+};
+
+export default { ChannelIdentityDB };
@@ -0,0 +1,114 @@
+/**
+ * Supabase Channel Identity Database
+ * Maps a user's identity on each messaging channel (WhatsApp number, Telegram chat)
+ * to their account (phone), and remembers which channel they wrote from last
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Channel identity operations
+ */
+export const ChannelIdentityDB = {
+  /**
+   * Link a channel identity to an account (replaces any previous link)
+   * @param {string} channel - 'whatsapp' | 'telegram'
+   * @param {string} externalId - ID on that channel (phone number, Telegram chat ID)
+   * @param {string} phone - Account phone number
+   * @returns {Promise<object>} Identity
+   */
+  async link(channel, externalId, phone) {
+    const { data, error } = await supabase
+      .from("channel_identities")
+      .upsert(
+        {
+          channel,
+          external_id: String(externalId),
+          phone,
+          last_seen_at: new Date().toISOString(),
+        },
+        { onConflict: "channel,external_id" }
+      )
+      .select()
+      .single();
+
+    if (error) {
+      console.error("[supabase] Error linking channel identity:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the identity for a channel ID
+   * @param {string} channel
+   * @param {string} externalId
+   * @returns {Promise<object|null>}
+   */
+  async getByExternalId(channel, externalId) {
+    const { data, error } = await supabase
+      .from("channel_identities")
+      .select("*")
+      .eq("channel", channel)
+      .eq("external_id", String(externalId))
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Get all identities of an account, most recently seen first
+   * @param {string} phone
+   * @returns {Promise<Array>}
+   */
+  async getByPhone(phone) {
+    const { data, error } = await supabase
+      .from("channel_identities")
+      .select("*")
+      .eq("phone", phone)
+      .order("last_seen_at", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Record that the user just wrote from this identity
+   * @param {string} channel
+   * @param {string} externalId
+   * @returns {Promise<boolean>} True if the identity exists
+   */
+  async touch(channel, externalId) {
+    const { data, error } = await supabase
+      .from("channel_identities")
+      .update({ last_seen_at: new Date().toISOString() })
+      .eq("channel", channel)
+      .eq("external_id", String(externalId))
+      .select("external_id");
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  },
+
+  /**
+   * Remove a link
+   * @param {string} channel
+   * @param {string} externalId
+   * @returns {Promise<boolean>} True if it existed
+   */
+  async unlink(channel, externalId) {
+    const { data, error } = await supabase
+      .from("channel_identities")
+      .delete()
+      .eq("channel", channel)
+      .eq("external_id", String(externalId))
+      .select("external_id");
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  },
+};
+
+export default { ChannelIdentityDB };
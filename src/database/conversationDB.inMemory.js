@@ -0,0 +1,97 @@
+/**
+ * In-memory Conversation Database
+ * Conversation messages per user (the last 20) and the summary of older turns,
+ * same interface as the Supabase version
+ */
+
+const MAX_MESSAGES = 20;
+
+// Store: phone -> messages[] (oldest first)
+const conversations = new Map();
+
+// Store: phone -> { summary, summarized_until, updated_at }
+const summaries = new Map();
+
+/**
+ * Save a message and drop the oldest beyond MAX_MESSAGES
+ * @param {string} phone - User's phone number
+ * @param {string} role - 'user' or 'assistant'
+ * @param {string} content - Message content
+ * @returns {object} - Saved message
+ */
+export function saveMessage(phone, role, content) {
+  const messages = conversations.get(phone) || [];
+  const message = { phone, role, content, created_at: new Date() };
+  messages.push(message);
+  if (messages.length > MAX_MESSAGES) {
+    messages.splice(0, messages.length - MAX_MESSAGES);
+  }
+  conversations.set(phone, messages);
+  return { ...message };
+}
+
+/**
+ * Get recent messages for a user
+ * @param {string} phone - User's phone number
+ * @param {number} limit - Maximum number of messages (default 20)
+ * @returns {Array} - Array of messages ordered by created_at ASC (oldest first)
+ */
+export function getRecentMessages(phone, limit = MAX_MESSAGES) {
+  return (conversations.get(phone) || [])
+    .slice(-limit)
+    .map(({ role, content, created_at }) => ({ role, content, created_at }));
+}
+
+/**
+ * Clear all messages for a user
+ * @param {string} phone - User's phone number
+ * @returns {boolean} - Success status
+ */
+export function clearMessages(phone) {
+  conversations.delete(phone);
+  summaries.delete(phone);
+  return true;
+}
+
+/**
+ * Get the summary of a user's older turns
+ * @param {string} phone - User's phone number
+ * @returns {{summary: string, summarized_until: Date}|null}
+ */
+export function getSummary(phone) {
+  const summary = summaries.get(phone);
+  return summary ? { ...summary } : null;
+}
+
+/**
+ * Save (replace) the summary of a user's older turns
+ * @param {string} phone - User's phone number
+ * @param {string} summary - Summary text
+ * @param {Date} summarizedUntil - Time of the last message the summary covers
+ * @returns {object} - Saved summary
+ */
+export function saveSummary(phone, summary, summarizedUntil) {
+  const saved = { summary, summarized_until: new Date(summarizedUntil), updated_at: new Date() };
+  summaries.set(phone, saved);
+  return { ...saved };
+}
+
+/**
+ * Conversation message operations
+ */
+export const ConversationDB = {
+  saveMessage,
+  getRecentMessages,
+  clearMessages,
+  getSummary,
+  saveSummary,
+};
+
+export default {
+  saveMessage,
+  getRecentMessages,
+  clearMessages,
+  getSummary,
+  saveSummary,
+  MAX_MESSAGES
+};
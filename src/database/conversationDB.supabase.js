@@ -1,6 +1,6 @@
 /**
- * Conversation Database Layer
- * Handles persistence of conversation messages in Supabase
+ * Supabase Conversation Database
+ * Handles persistence of conversation messages (and the summary of older turns) in Supabase
  */
 
 import { supabase } from './supabaseDB.js';
@@ -123,6 +123,15 @@ export async function clearMessages(phone) {
       return false;
     }
 
+    const { error: summaryError } = await supabase
+      .from('conversation_summaries')
+      .delete()
+      .eq('phone', phone);
+
+    if (summaryError) {
+      console.error('[conversationDB] Error clearing summary:', summaryError);
+    }
+
     console.log(`[conversationDB] Cleared messages for ${phone}`);
     return true;
   } catch (err) {
@@ -131,9 +140,80 @@ export async function clearMessages(phone) {
   }
 }
 
+/**
+ * Get the summary of a user's older turns
+ * @param {string} phone - User's phone number
+ * @returns {Promise<{summary: string, summarized_until: string}|null>}
+ */
+export async function getSummary(phone) {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_summaries')
+      .select('summary, summarized_until, updated_at')
+      .eq('phone', phone)
+      .single();
+
+    // PGRST116: no summary yet
+    if (error && error.code !== 'PGRST116') {
+      console.error('[conversationDB] Error getting summary:', error);
+      return null;
+    }
+
+    return data || null;
+  } catch (err) {
+    console.error('[conversationDB] getSummary failed:', err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Save (replace) the summary of a user's older turns
+ * @param {string} phone - User's phone number
+ * @param {string} summary - Summary text
+ * @param {Date} summarizedUntil - Time of the last message the summary covers
+ * @returns {Promise<object|null>} - Saved summary or null on error
+ */
+export async function saveSummary(phone, summary, summarizedUntil) {
+  try {
+    const { data, error } = await supabase
+      .from('conversation_summaries')
+      .upsert({
+        phone,
+        summary,
+        summarized_until: new Date(summarizedUntil).toISOString(),
+        updated_at: new Date().toISOString(),
+      }, { onConflict: 'phone' })
+      .select()
+      .single();
+
+    if (error) {
+      console.error('[conversationDB] Error saving summary:', error);
+      return null;
+    }
+
+    return data;
+  } catch (err) {
+    console.error('[conversationDB] saveSummary failed:', err?.message || err);
+    return null;
+  }
+}
+
+/**
+ * Conversation message operations
+ */
+export const ConversationDB = {
+  saveMessage,
+  getRecentMessages,
+  clearMessages,
+  getSummary,
+  saveSummary,
+};
+
 export default {
   saveMessage,
   getRecentMessages,
   clearMessages,
+  getSummary,
+  saveSummary,
   MAX_MESSAGES
 };
@@ -202,6 +202,8 @@ export const UserDB = {
 };
 
 import { getDayKey, getWeekKey, getMonthKey } from '../utils/dateUtils.js';
+import { UNTAGGED_GROUP } from '../utils/tagUtils.js';
+import { NO_ACCOUNT_GROUP } from '../utils/accountUtils.js';
 
 /**
  * Expense operations
@@ -217,6 +219,14 @@ export const ExpenseDB = {
       date: expenseData.date || new Date(),
       source: expenseData.source || 'manual',
       external_id: expenseData.external_id || null,
+      // Foreign-currency expenses: amount is converted to the user's base currency
+      original_amount: expenseData.original_amount ?? null,
+      original_currency: expenseData.original_currency || null,
+      fx_rate: expenseData.fx_rate ?? null,
+      tags: expenseData.tags || [], // Cross-cutting labels, without "#"
+      notes: expenseData.notes || null, // Free-form notes
+      account_id: expenseData.account_id || null, // Payment account (PaymentAccountDB) that paid it
+      merchant_id: expenseData.merchant_id || null, // Merchant (MerchantDB) it was paid to
       createdAt: new Date()
     };
 
@@ -294,6 +304,49 @@ export const ExpenseDB = {
     return null;
   },
 
+  /**
+   * Apply the same updates to several expenses
+   * @returns {number} Number of expenses updated
+   */
+  updateMany(phone, ids, updates) {
+    const userExpenses = expenses.get(phone) || [];
+    let count = 0;
+    for (const expense of userExpenses) {
+      if (ids.includes(expense.id)) {
+        Object.assign(expense, updates);
+        count++;
+      }
+    }
+    return count;
+  },
+
+  /**
+   * Delete several expenses
+   * @returns {number} Number of expenses deleted
+   */
+  deleteMany(phone, ids) {
+    const userExpenses = expenses.get(phone) || [];
+    const filtered = userExpenses.filter(e => !ids.includes(e.id));
+    expenses.set(phone, filtered);
+    return userExpenses.length - filtered.length;
+  },
+
+  /**
+   * Put back previously deleted expenses, keeping their IDs (undo)
+   * @param {Array} records - Full expense snapshots
+   * @returns {number} Number of expenses restored
+   */
+  restore(phone, records) {
+    const userExpenses = expenses.get(phone) || [];
+    for (const record of records) {
+      const index = userExpenses.findIndex(e => e.id === record.id);
+      if (index === -1) userExpenses.push(structuredClone(record));
+      else userExpenses[index] = structuredClone(record);
+    }
+    expenses.set(phone, userExpenses);
+    return records.length;
+  },
+
   getTotalByCategory(phone, category, startDate, endDate) {
     const userExpenses = this.getByDateRange(phone, startDate, endDate);
     return userExpenses
@@ -301,6 +354,35 @@ export const ExpenseDB = {
       .reduce((sum, e) => sum + e.amount, 0);
   },
 
+  /**
+   * Dates and amounts of a category's expenses in a range (for replaying budget periods)
+   * @returns {Array<{date: string, amount: number}>}
+   */
+  getCategoryAmounts(phone, category, startDate, endDate) {
+    return this.getByDateRange(phone, startDate, endDate)
+      .filter(e => e.category === category)
+      .map(e => ({ date: e.date, amount: e.amount }));
+  },
+
+  /**
+   * Move expenses from one payment account to another (or to none)
+   * @param {string} phone - User's phone number
+   * @param {number} fromAccountId
+   * @param {number|null} toAccountId
+   * @returns {number[]} IDs of the expenses updated
+   */
+  reassignAccount(phone, fromAccountId, toAccountId) {
+    const userExpenses = expenses.get(phone) || [];
+    const ids = [];
+    for (const expense of userExpenses) {
+      if (expense.account_id === fromAccountId) {
+        expense.account_id = toAccountId;
+        ids.push(expense.id);
+      }
+    }
+    return ids;
+  },
+
   renameCategory(phone, oldName, newName) {
     const userExpenses = expenses.get(phone) || [];
     let count = 0;
@@ -338,14 +420,18 @@ export const ExpenseDB = {
    * @param {string[]|null} filters.categories - Multiple categories filter (OR)
    * @param {number|null} filters.minAmount - Minimum amount filter
    * @param {number|null} filters.maxAmount - Maximum amount filter
-   * @param {string|null} filters.searchText - Text search in description
+   * @param {string|null} filters.tag - Only expenses with this tag (without "#")
+   * @param {number|null} filters.accountId - Only expenses paid with this payment account
+   * @param {string|null} filters.searchText - Text search in description, category and notes
    * @param {object} options - Query options
    * @param {string} options.sortBy - Sort field: 'date', 'amount', 'category' (default: 'date')
    * @param {string} options.sortOrder - Sort order: 'asc', 'desc' (default: 'desc')
    * @param {number} options.limit - Max results (default: 50, max: 100)
    * @param {number} options.offset - Skip first N results (default: 0)
    * @param {boolean} options.aggregate - Return summary instead of list (default: false)
-   * @param {string|null} options.groupBy - Group by: 'category', 'day', 'week', 'month'
+   * @param {string|null} options.groupBy - Group by: 'category', 'tag', 'account', 'day', 'week', 'month'
+   *   (with 'tag', an expense counts in each of its tags; untagged ones go to UNTAGGED_GROUP.
+   *   With 'account', keys are account IDs and expenses without one go to NO_ACCOUNT_GROUP)
    * @returns {object} { expenses, total, hasMore } or { summary, byGroup } if aggregate
    */
   getByFilter(phone, filters = {}, options = {}) {
@@ -359,6 +445,8 @@ export const ExpenseDB = {
       categories = null,
       minAmount = null,
       maxAmount = null,
+      tag = null,
+      accountId = null,
       searchText = null
     } = filters;
 
@@ -387,12 +475,24 @@ export const ExpenseDB = {
       userExpenses = userExpenses.filter(e => e.amount <= maxAmount);
     }
 
-    // Text search in description
+    // Tag filter
+    if (tag) {
+      const tagLower = tag.toLowerCase();
+      userExpenses = userExpenses.filter(e => (e.tags || []).includes(tagLower));
+    }
+
+    // Payment account filter
+    if (accountId !== null) {
+      userExpenses = userExpenses.filter(e => e.account_id === accountId);
+    }
+
+    // Text search in description, category and notes
     if (searchText) {
       const searchLower = searchText.toLowerCase();
       userExpenses = userExpenses.filter(e =>
         (e.description && e.description.toLowerCase().includes(searchLower)) ||
-        (e.category && e.category.toLowerCase().includes(searchLower))
+        (e.category && e.category.toLowerCase().includes(searchLower)) ||
+        (e.notes && e.notes.toLowerCase().includes(searchLower))
       );
     }
 
@@ -472,30 +572,38 @@ export const ExpenseDB = {
 
     const groups = {};
     for (const expense of expenses) {
-      let key;
+      let keys;
       switch (groupBy) {
         case 'category':
-          key = expense.category;
+          keys = [expense.category];
+          break;
+        case 'tag':
+          keys = expense.tags && expense.tags.length > 0 ? expense.tags : [UNTAGGED_GROUP];
+          break;
+        case 'account':
+          keys = [expense.account_id ?? NO_ACCOUNT_GROUP];
           break;
         case 'day':
-          key = getDayKey(new Date(expense.date));
+          keys = [getDayKey(new Date(expense.date))];
           break;
         case 'week':
-          key = getWeekKey(new Date(expense.date));
+          keys = [getWeekKey(new Date(expense.date))];
           break;
         case 'month':
-          key = getMonthKey(new Date(expense.date));
+          keys = [getMonthKey(new Date(expense.date))];
           break;
         default:
-          key = 'unknown';
+          keys = ['unknown'];
       }
 
-      if (!groups[key]) {
-        groups[key] = { total: 0, count: 0, expenses: [] };
+      for (const key of keys) {
+        if (!groups[key]) {
+          groups[key] = { total: 0, count: 0, expenses: [] };
+        }
+        groups[key].total += expense.amount;
+        groups[key].count += 1;
+        groups[key].expenses.push(expense);
       }
-      groups[key].total += expense.amount;
-      groups[key].count += 1;
-      groups[key].expenses.push(expense);
     }
 
     // Calculate average for each group
@@ -517,7 +625,11 @@ export const BudgetDB = {
       phone,
       category: budgetData.category,
       amount: budgetData.amount,
-      period: budgetData.period || 'monthly', // weekly, monthly, yearly
+      period: budgetData.period || 'monthly', // weekly, biweekly, monthly, yearly, custom
+      anchor_date: budgetData.anchor_date || null, // YYYY-MM-DD, where periods start
+      period_days: budgetData.period_days || null, // Window length for custom periods
+      rollover: budgetData.rollover || 'none', // none, surplus, both
+      rollover_cap: budgetData.rollover_cap ?? null, // Max amount carried between periods
       createdAt: new Date()
     };
     
@@ -537,12 +649,19 @@ export const BudgetDB = {
     return userBudgets.find(b => b.category === category);
   },
 
-  update(phone, category, amount) {
+  /**
+   * Update budget amount and optionally its period/rollover fields
+   * @param {object} fields - { period, anchor_date, period_days, rollover, rollover_cap } (only defined keys are applied)
+   */
+  update(phone, category, amount, fields = {}) {
     const userBudgets = budgets.get(phone) || [];
     const budget = userBudgets.find(b => b.category === category);
     
     if (budget) {
       budget.amount = amount;
+      for (const key of ['period', 'anchor_date', 'period_days', 'rollover', 'rollover_cap']) {
+        if (fields[key] !== undefined) budget[key] = fields[key];
+      }
       budgets.set(phone, userBudgets);
     }
     
@@ -556,6 +675,38 @@ export const BudgetDB = {
     return filtered.length < userBudgets.length;
   },
 
+  /**
+   * Apply the same updates to several budgets
+   * @returns {number} Number of budgets updated
+   */
+  updateMany(phone, ids, updates) {
+    const userBudgets = budgets.get(phone) || [];
+    let count = 0;
+    for (const budget of userBudgets) {
+      if (ids.includes(budget.id)) {
+        Object.assign(budget, updates);
+        count++;
+      }
+    }
+    return count;
+  },
+
+  /**
+   * Put back previously deleted budgets, keeping their IDs (undo)
+   * @param {Array} records - Full budget snapshots
+   * @returns {number} Number of budgets restored
+   */
+  restore(phone, records) {
+    const userBudgets = budgets.get(phone) || [];
+    for (const record of records) {
+      const index = userBudgets.findIndex(b => b.id === record.id);
+      if (index === -1) userBudgets.push(structuredClone(record));
+      else userBudgets[index] = structuredClone(record);
+    }
+    budgets.set(phone, userBudgets);
+    return records.length;
+  },
+
   renameCategory(phone, oldName, newName) {
     const userBudgets = budgets.get(phone) || [];
     let count = 0;
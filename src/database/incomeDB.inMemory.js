@@ -0,0 +1,125 @@
+/**
+ * In-memory Income Database
+ * Stores money coming in (salary, freelance, bank credits) for cash-flow tracking
+ */
+
+// Store incomes per user
+const incomes = new Map();
+
+let incomeIdCounter = 1;
+
+/**
+ * Income operations
+ * Same shape as ExpenseDB so reports can treat both sides alike
+ */
+export const IncomeDB = {
+  /**
+   * Create a new income
+   * @param {string} phone - User's phone number
+   * @param {object} incomeData - { amount, category, description, date, source, external_id }
+   * @returns {object} Created income
+   */
+  create(phone, incomeData) {
+    const income = {
+      id: incomeIdCounter++,
+      phone,
+      amount: incomeData.amount,
+      category: incomeData.category || 'other_income',
+      description: incomeData.description || '',
+      date: incomeData.date || new Date(),
+      source: incomeData.source || 'manual',
+      external_id: incomeData.external_id || null,
+      createdAt: new Date()
+    };
+
+    const userIncomes = incomes.get(phone) || [];
+    userIncomes.push(income);
+    incomes.set(phone, userIncomes);
+
+    return income;
+  },
+
+  /**
+   * Get income by external ID (for bank import deduplication)
+   * @param {string} phone - User's phone number
+   * @param {string} externalId - External transaction ID
+   * @returns {object|undefined}
+   */
+  getByExternalId(phone, externalId) {
+    const userIncomes = incomes.get(phone) || [];
+    return userIncomes.find(i => i.external_id === externalId);
+  },
+
+  /**
+   * Get all incomes for a user
+   * @param {string} phone - User's phone number
+   * @returns {Array}
+   */
+  getByUser(phone) {
+    return incomes.get(phone) || [];
+  },
+
+  /**
+   * Get incomes in a date range (newest first)
+   * @param {string} phone - User's phone number
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Array}
+   */
+  getByDateRange(phone, startDate, endDate) {
+    const userIncomes = incomes.get(phone) || [];
+    return userIncomes
+      .filter(i => {
+        const date = new Date(i.date);
+        return date >= startDate && date <= endDate;
+      })
+      .sort((a, b) => new Date(b.date) - new Date(a.date));
+  },
+
+  /**
+   * Get total income in a date range
+   * @param {string} phone - User's phone number
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {number}
+   */
+  getTotal(phone, startDate, endDate) {
+    return this.getByDateRange(phone, startDate, endDate)
+      .reduce((sum, i) => sum + parseFloat(i.amount), 0);
+  },
+
+  /**
+   * Get income totals grouped by category
+   * @param {string} phone - User's phone number
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {object} { category: { total, count } }
+   */
+  getCategorySummary(phone, startDate, endDate) {
+    const summary = {};
+    for (const i of this.getByDateRange(phone, startDate, endDate)) {
+      if (!summary[i.category]) {
+        summary[i.category] = { total: 0, count: 0 };
+      }
+      summary[i.category].total += parseFloat(i.amount);
+      summary[i.category].count += 1;
+    }
+    return summary;
+  },
+
+  /**
+   * Delete an income
+   * @param {string} phone - User's phone number
+   * @param {number} id - Income ID
+   * @returns {boolean} True if deleted
+   */
+  delete(phone, id) {
+    const userIncomes = incomes.get(phone) || [];
+    const index = userIncomes.findIndex(i => i.id === id);
+    if (index === -1) return false;
+    userIncomes.splice(index, 1);
+    return true;
+  },
+};
+
+export default { IncomeDB };
@@ -0,0 +1,151 @@
+/**
+ * Supabase Income Database
+ * Stores money coming in (salary, freelance, bank credits) for cash-flow tracking
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Income operations
+ * Same shape as ExpenseDB so reports can treat both sides alike
+ */
+export const IncomeDB = {
+  /**
+   * Create a new income
+   * @param {string} phone - User's phone number
+   * @param {object} incomeData - { amount, category, description, date, source, external_id }
+   * @returns {Promise<object>} Created income
+   */
+  async create(phone, incomeData) {
+    const date = incomeData.date ? new Date(incomeData.date) : new Date();
+    const { data, error } = await supabase
+      .from("incomes")
+      .insert([
+        {
+          phone,
+          amount: incomeData.amount,
+          category: incomeData.category || "other_income",
+          description: incomeData.description || "",
+          date: date.toISOString(),
+          source: incomeData.source || "manual",
+          external_id: incomeData.external_id || null,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("[supabase] Error inserting income:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get income by external ID (for bank import deduplication)
+   * @param {string} phone - User's phone number
+   * @param {string} externalId - External transaction ID
+   * @returns {Promise<object|null>}
+   */
+  async getByExternalId(phone, externalId) {
+    const { data, error } = await supabase
+      .from("incomes")
+      .select("*")
+      .eq("phone", phone)
+      .eq("external_id", externalId)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Get all incomes for a user
+   * @param {string} phone - User's phone number
+   * @returns {Promise<Array>}
+   */
+  async getByUser(phone) {
+    const { data, error } = await supabase
+      .from("incomes")
+      .select("*")
+      .eq("phone", phone)
+      .order("date", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Get incomes in a date range (newest first)
+   * @param {string} phone - User's phone number
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<Array>}
+   */
+  async getByDateRange(phone, startDate, endDate) {
+    const { data, error } = await supabase
+      .from("incomes")
+      .select("*")
+      .eq("phone", phone)
+      .gte("date", startDate.toISOString())
+      .lte("date", endDate.toISOString())
+      .order("date", { ascending: false });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Get total income in a date range
+   * @param {string} phone - User's phone number
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<number>}
+   */
+  async getTotal(phone, startDate, endDate) {
+    const incomes = await this.getByDateRange(phone, startDate, endDate);
+    return incomes.reduce((sum, i) => sum + parseFloat(i.amount), 0);
+  },
+
+  /**
+   * Get income totals grouped by category
+   * @param {string} phone - User's phone number
+   * @param {Date} startDate
+   * @param {Date} endDate
+   * @returns {Promise<object>} { category: { total, count } }
+   */
+  async getCategorySummary(phone, startDate, endDate) {
+    const incomes = await this.getByDateRange(phone, startDate, endDate);
+    const summary = {};
+
+    incomes.forEach((i) => {
+      if (!summary[i.category]) {
+        summary[i.category] = { total: 0, count: 0 };
+      }
+      summary[i.category].total += parseFloat(i.amount);
+      summary[i.category].count += 1;
+    });
+
+    return summary;
+  },
+
+  /**
+   * Delete an income
+   * @param {string} phone - User's phone number
+   * @param {number} id - Income ID
+   * @returns {Promise<boolean>}
+   */
+  async delete(phone, id) {
+    const { error } = await supabase
+      .from("incomes")
+      .delete()
+      .eq("phone", phone)
+      .eq("id", id);
+
+    if (error) throw error;
+    return true;
+  },
+};
+
+export default { IncomeDB };
@@ -5,6 +5,19 @@ import * as SubscriptionInMemory from "./subscriptionDB.inMemory.js";
 import * as PaymentSourceInMemory from "./paymentSourceDB.inMemory.js";
 import * as BankLinkInMemory from "./bankLinkDB.inMemory.js";
 import * as SharedExpensesInMemory from "./sharedExpensesDB.inMemory.js";
+import * as IncomeInMemory from "./incomeDB.inMemory.js";
+import * as BudgetTransferInMemory from "./budgetTransferDB.inMemory.js";
+import * as RecurringExpenseInMemory from "./recurringExpenseDB.inMemory.js";
+import * as PaymentAccountInMemory from "./paymentAccountDB.inMemory.js";
+import * as ActionJournalInMemory from "./actionJournalDB.inMemory.js";
+import * as ProcessedMessageInMemory from "./processedMessageDB.inMemory.js";
+import * as BatchedMessageInMemory from "./batchedMessageDB.inMemory.js";
+import * as ChannelIdentityInMemory from "./channelIdentityDB.inMemory.js";
+import * as ConversationInMemory from "./conversationDB.inMemory.js";
+import * as PendingActionInMemory from "./pendingActionDB.inMemory.js";
+import * as MerchantInMemory from "./merchantDB.inMemory.js";
+import * as CategorizationRuleInMemory from "./categorizationRuleDB.inMemory.js";
+import * as LeftOutTransactionInMemory from "./leftOutTransactionDB.inMemory.js";
 
 const driver = (process.env.DB_DRIVER || "inmemory").toLowerCase();
 
@@ -24,6 +37,19 @@ let ExpenseGroupDB = SharedExpensesInMemory.ExpenseGroupDB;
 let GroupMemberDB = SharedExpensesInMemory.GroupMemberDB;
 let SharedExpenseDB = SharedExpensesInMemory.SharedExpenseDB;
 let ExpenseSplitDB = SharedExpensesInMemory.ExpenseSplitDB;
+let IncomeDB = IncomeInMemory.IncomeDB;
+let BudgetTransferDB = BudgetTransferInMemory.BudgetTransferDB;
+let RecurringExpenseDB = RecurringExpenseInMemory.RecurringExpenseDB;
+let PaymentAccountDB = PaymentAccountInMemory.PaymentAccountDB;
+let ActionJournalDB = ActionJournalInMemory.ActionJournalDB;
+let ProcessedMessageDB = ProcessedMessageInMemory.ProcessedMessageDB;
+let BatchedMessageDB = BatchedMessageInMemory.BatchedMessageDB;
+let ChannelIdentityDB = ChannelIdentityInMemory.ChannelIdentityDB;
+let ConversationDB = ConversationInMemory.ConversationDB;
+let PendingActionDB = PendingActionInMemory.PendingActionDB;
+let MerchantDB = MerchantInMemory.MerchantDB;
+let CategorizationRuleDB = CategorizationRuleInMemory.CategorizationRuleDB;
+let LeftOutTransactionDB = LeftOutTransactionInMemory.LeftOutTransactionDB;
 let testConnection = () => Promise.resolve(true);
 let supabase = null;
 
@@ -65,6 +91,58 @@ if (driver === "supabase" || driver === "supa") {
     GroupMemberDB = SharedExpensesSupabase.GroupMemberDB;
     SharedExpenseDB = SharedExpensesSupabase.SharedExpenseDB;
     ExpenseSplitDB = SharedExpensesSupabase.ExpenseSplitDB;
+
+    // Load income DB from Supabase
+    const IncomeSupabase = await import("./incomeDB.supabase.js");
+    IncomeDB = IncomeSupabase.IncomeDB;
+
+    // Load budget transfer DB from Supabase
+    const BudgetTransferSupabase = await import("./budgetTransferDB.supabase.js");
+    BudgetTransferDB = BudgetTransferSupabase.BudgetTransferDB;
+
+    // Load recurring expense DB from Supabase
+    const RecurringExpenseSupabase = await import("./recurringExpenseDB.supabase.js");
+    RecurringExpenseDB = RecurringExpenseSupabase.RecurringExpenseDB;
+
+    // Load payment account DB from Supabase
+    const PaymentAccountSupabase = await import("./paymentAccountDB.supabase.js");
+    PaymentAccountDB = PaymentAccountSupabase.PaymentAccountDB;
+
+    // Load action journal DB from Supabase
+    const ActionJournalSupabase = await import("./actionJournalDB.supabase.js");
+    ActionJournalDB = ActionJournalSupabase.ActionJournalDB;
+
+    // Load processed message DB from Supabase
+    const ProcessedMessageSupabase = await import("./processedMessageDB.supabase.js");
+    ProcessedMessageDB = ProcessedMessageSupabase.ProcessedMessageDB;
+
+    // Load batched message DB from Supabase
+    const BatchedMessageSupabase = await import("./batchedMessageDB.supabase.js");
+    BatchedMessageDB = BatchedMessageSupabase.BatchedMessageDB;
+
+    // Load channel identity DB from Supabase
+    const ChannelIdentitySupabase = await import("./channelIdentityDB.supabase.js");
+    ChannelIdentityDB = ChannelIdentitySupabase.ChannelIdentityDB;
+
+    // Load conversation DB from Supabase
+    const ConversationSupabase = await import("./conversationDB.supabase.js");
+    ConversationDB = ConversationSupabase.ConversationDB;
+
+    // Load pending action DB from Supabase
+    const PendingActionSupabase = await import("./pendingActionDB.supabase.js");
+    PendingActionDB = PendingActionSupabase.PendingActionDB;
+
+    // Load merchant DB from Supabase
+    const MerchantSupabase = await import("./merchantDB.supabase.js");
+    MerchantDB = MerchantSupabase.MerchantDB;
+
+    // Load categorization rule DB from Supabase
+    const CategorizationRuleSupabase = await import("./categorizationRuleDB.supabase.js");
+    CategorizationRuleDB = CategorizationRuleSupabase.CategorizationRuleDB;
+
+    // Load left-out transaction DB from Supabase
+    const LeftOutTransactionSupabase = await import("./leftOutTransactionDB.supabase.js");
+    LeftOutTransactionDB = LeftOutTransactionSupabase.LeftOutTransactionDB;
   } catch (err) {
     // If dynamic import fails, keep using in-memory and warn
     console.warn(
@@ -93,6 +171,19 @@ export {
   GroupMemberDB,
   SharedExpenseDB,
   ExpenseSplitDB,
+  IncomeDB,
+  BudgetTransferDB,
+  RecurringExpenseDB,
+  PaymentAccountDB,
+  ActionJournalDB,
+  ProcessedMessageDB,
+  BatchedMessageDB,
+  ChannelIdentityDB,
+  ConversationDB,
+  PendingActionDB,
+  MerchantDB,
+  CategorizationRuleDB,
+  LeftOutTransactionDB,
   testConnection,
   supabase,
 };
@@ -0,0 +1,46 @@
+/**
+ * In-memory Left-Out Transaction Database
+ * Bank transactions the user's rules skipped or marked as transfers, so later syncs
+ * don't evaluate and report them again
+ */
+
+// Store: phone -> Map(external ID -> record)
+const leftOutTransactions = new Map();
+
+/**
+ * Left-out transaction operations
+ */
+export const LeftOutTransactionDB = {
+  /**
+   * Check whether a transaction was already left out
+   * @param {string} phone - User's phone number
+   * @param {string} externalId - e.g. "belvo_<transaction id>"
+   * @returns {boolean}
+   */
+  has(phone, externalId) {
+    return leftOutTransactions.get(phone)?.has(externalId) || false;
+  },
+
+  /**
+   * Remember a transaction the rules left out
+   * @param {string} phone - User's phone number
+   * @param {string} externalId - e.g. "belvo_<transaction id>"
+   * @param {string} reason - 'skip' or 'transfer'
+   * @param {Array<number>} ruleIds - Rules that matched
+   * @returns {object} The record
+   */
+  add(phone, externalId, reason, ruleIds = []) {
+    if (!leftOutTransactions.has(phone)) leftOutTransactions.set(phone, new Map());
+    const record = {
+      phone,
+      external_id: externalId,
+      reason,
+      rule_ids: ruleIds,
+      created_at: new Date(),
+    };
+    leftOutTransactions.get(phone).set(externalId, record);
+    return record;
+  },
+};
+
+export default { LeftOutTransactionDB };
@@ -0,0 +1,54 @@
+/**
+ * Supabase Left-Out Transaction Database
+ * Bank transactions the user's rules skipped or marked as transfers, so later syncs
+ * don't evaluate and report them again
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Left-out transaction operations
+ */
+export const LeftOutTransactionDB = {
+  /**
+   * Check whether a transaction was already left out
+   * @param {string} phone - User's phone number
+   * @param {string} externalId - e.g. "belvo_<transaction id>"
+   * @returns {Promise<boolean>}
+   */
+  async has(phone, externalId) {
+    const { data, error } = await supabase
+      .from("left_out_transactions")
+      .select("external_id")
+      .eq("phone", phone)
+      .eq("external_id", externalId)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return !!data;
+  },
+
+  /**
+   * Remember a transaction the rules left out
+   * @param {string} phone - User's phone number
+   * @param {string} externalId - e.g. "belvo_<transaction id>"
+   * @param {string} reason - 'skip' or 'transfer'
+   * @param {Array<number>} ruleIds - Rules that matched
+   * @returns {Promise<object>} The record
+   */
+  async add(phone, externalId, reason, ruleIds = []) {
+    const { data, error } = await supabase
+      .from("left_out_transactions")
+      .upsert(
+        [{ phone, external_id: externalId, reason, rule_ids: ruleIds }],
+        { onConflict: "phone,external_id" }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+};
+
+export default { LeftOutTransactionDB };
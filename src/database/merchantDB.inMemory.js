@@ -0,0 +1,128 @@
+/**
+ * In-memory Merchant Database
+ * Normalized merchants ("rappi") and the category each user files them under
+ */
+
+// Store: normalized name -> merchant (shared by all users)
+const merchants = new Map();
+
+// Store: phone -> Map(merchant ID -> { merchant_id, category, updated_at })
+const userCategories = new Map();
+
+let merchantIdCounter = 1;
+
+/**
+ * Merchant operations
+ */
+export const MerchantDB = {
+  /**
+   * Get a merchant by ID
+   * @param {number} id
+   * @returns {object|null}
+   */
+  getById(id) {
+    for (const merchant of merchants.values()) {
+      if (merchant.id === id) return merchant;
+    }
+    return null;
+  },
+
+  /**
+   * Get a merchant by normalized name
+   * @param {string} normalizedName - e.g. "rappi"
+   * @returns {object|null}
+   */
+  getByName(normalizedName) {
+    return merchants.get(normalizedName) || null;
+  },
+
+  /**
+   * Get a merchant, creating it the first time the name shows up
+   * @param {string} normalizedName - e.g. "rappi"
+   * @param {string} name - Display name, e.g. "Rappi"
+   * @returns {object}
+   */
+  getOrCreate(normalizedName, name) {
+    const existing = merchants.get(normalizedName);
+    if (existing) return existing;
+
+    const merchant = {
+      id: merchantIdCounter++,
+      normalized_name: normalizedName,
+      name,
+      created_at: new Date(),
+    };
+    merchants.set(normalizedName, merchant);
+    return merchant;
+  },
+
+  /**
+   * Every merchant a user has a category for, with the merchant's names
+   * @param {string} phone - User's phone number
+   * @returns {Array<{merchant_id, category, name, normalized_name, updated_at}>}
+   */
+  getUserCategories(phone) {
+    const mappings = userCategories.get(phone);
+    if (!mappings) return [];
+
+    return [...mappings.values()].map(mapping => {
+      const merchant = this.getById(mapping.merchant_id);
+      return { ...mapping, name: merchant?.name, normalized_name: merchant?.normalized_name };
+    });
+  },
+
+  /**
+   * Get the category a user files a merchant under
+   * @param {string} phone - User's phone number
+   * @param {number} merchantId
+   * @returns {object|null}
+   */
+  getUserCategory(phone, merchantId) {
+    return userCategories.get(phone)?.get(merchantId) || null;
+  },
+
+  /**
+   * Set (or replace) the category a user files a merchant under
+   * @param {string} phone - User's phone number
+   * @param {number} merchantId
+   * @param {string} category - Category ID
+   * @returns {object} The mapping
+   */
+  setUserCategory(phone, merchantId, category) {
+    const mapping = { merchant_id: merchantId, category, updated_at: new Date() };
+    if (!userCategories.has(phone)) userCategories.set(phone, new Map());
+    userCategories.get(phone).set(merchantId, mapping);
+    return mapping;
+  },
+
+  /**
+   * Forget the category a user files a merchant under
+   * @param {string} phone - User's phone number
+   * @param {number} merchantId
+   * @returns {boolean} Whether there was one
+   */
+  deleteUserCategory(phone, merchantId) {
+    return userCategories.get(phone)?.delete(merchantId) || false;
+  },
+
+  /**
+   * Move a user's merchants from one category to another (category rename)
+   * @param {string} phone - User's phone number
+   * @param {string} oldName
+   * @param {string} newName
+   * @returns {number} Number of merchants updated
+   */
+  renameCategory(phone, oldName, newName) {
+    let count = 0;
+    for (const mapping of userCategories.get(phone)?.values() || []) {
+      if (mapping.category === oldName) {
+        mapping.category = newName;
+        mapping.updated_at = new Date();
+        count++;
+      }
+    }
+    return count;
+  },
+};
+
+export default { MerchantDB };
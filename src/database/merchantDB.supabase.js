@@ -0,0 +1,166 @@
+/**
+ * Supabase Merchant Database
+ * Normalized merchants ("rappi") and the category each user files them under
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Merchant operations
+ */
+export const MerchantDB = {
+  /**
+   * Get a merchant by ID
+   * @param {number} id
+   * @returns {Promise<object|null>}
+   */
+  async getById(id) {
+    const { data, error } = await supabase
+      .from("merchants")
+      .select("*")
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Get a merchant by normalized name
+   * @param {string} normalizedName - e.g. "rappi"
+   * @returns {Promise<object|null>}
+   */
+  async getByName(normalizedName) {
+    const { data, error } = await supabase
+      .from("merchants")
+      .select("*")
+      .eq("normalized_name", normalizedName)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Get a merchant, creating it the first time the name shows up
+   * @param {string} normalizedName - e.g. "rappi"
+   * @param {string} name - Display name, e.g. "Rappi"
+   * @returns {Promise<object>}
+   */
+  async getOrCreate(normalizedName, name) {
+    const existing = await this.getByName(normalizedName);
+    if (existing) return existing;
+
+    const { data, error } = await supabase
+      .from("merchants")
+      .insert([{ normalized_name: normalizedName, name }])
+      .select()
+      .single();
+
+    // Another request created it in the meantime
+    if (error?.code === "23505") return this.getByName(normalizedName);
+    if (error) {
+      console.error("[supabase] Error inserting merchant:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Every merchant a user has a category for, with the merchant's names
+   * @param {string} phone - User's phone number
+   * @returns {Promise<Array<{merchant_id, category, name, normalized_name, updated_at}>>}
+   */
+  async getUserCategories(phone) {
+    const { data, error } = await supabase
+      .from("user_merchant_categories")
+      .select("merchant_id, category, updated_at, merchants(name, normalized_name)")
+      .eq("phone", phone);
+
+    if (error) throw error;
+    return (data || []).map(({ merchants, ...mapping }) => ({
+      ...mapping,
+      name: merchants?.name,
+      normalized_name: merchants?.normalized_name,
+    }));
+  },
+
+  /**
+   * Get the category a user files a merchant under
+   * @param {string} phone - User's phone number
+   * @param {number} merchantId
+   * @returns {Promise<object|null>}
+   */
+  async getUserCategory(phone, merchantId) {
+    const { data, error } = await supabase
+      .from("user_merchant_categories")
+      .select("*")
+      .eq("phone", phone)
+      .eq("merchant_id", merchantId)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Set (or replace) the category a user files a merchant under
+   * @param {string} phone - User's phone number
+   * @param {number} merchantId
+   * @param {string} category - Category ID
+   * @returns {Promise<object>} The mapping
+   */
+  async setUserCategory(phone, merchantId, category) {
+    const { data, error } = await supabase
+      .from("user_merchant_categories")
+      .upsert(
+        [{ phone, merchant_id: merchantId, category, updated_at: new Date().toISOString() }],
+        { onConflict: "phone,merchant_id" }
+      )
+      .select()
+      .single();
+
+    if (error) throw error;
+    return data;
+  },
+
+  /**
+   * Forget the category a user files a merchant under
+   * @param {string} phone - User's phone number
+   * @param {number} merchantId
+   * @returns {Promise<boolean>} Whether there was one
+   */
+  async deleteUserCategory(phone, merchantId) {
+    const { data, error } = await supabase
+      .from("user_merchant_categories")
+      .delete()
+      .eq("phone", phone)
+      .eq("merchant_id", merchantId)
+      .select();
+
+    if (error) throw error;
+    return (data || []).length > 0;
+  },
+
+  /**
+   * Move a user's merchants from one category to another (category rename)
+   * @param {string} phone - User's phone number
+   * @param {string} oldName
+   * @param {string} newName
+   * @returns {Promise<number>} Number of merchants updated
+   */
+  async renameCategory(phone, oldName, newName) {
+    const { data, error } = await supabase
+      .from("user_merchant_categories")
+      .update({ category: newName, updated_at: new Date().toISOString() })
+      .eq("phone", phone)
+      .eq("category", oldName)
+      .select();
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+};
+
+export default { MerchantDB };
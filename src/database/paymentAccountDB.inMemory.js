@@ -0,0 +1,134 @@
+/**
+ * In-memory Payment Account Database
+ * Accounts and cards the user pays with ("tarjeta Bancolombia", "efectivo", "Nequi")
+ */
+
+// Store accounts per user
+const accounts = new Map();
+
+let accountIdCounter = 1;
+
+/**
+ * Payment account operations
+ */
+export const PaymentAccountDB = {
+  /**
+   * Create an account
+   * @param {string} phone - User's phone number
+   * @param {object} accountData - { name, type, institution, last4, external_id, is_default }
+   * @returns {object} Created account
+   */
+  create(phone, accountData) {
+    const account = {
+      id: accountIdCounter++,
+      phone,
+      name: accountData.name,
+      type: accountData.type || 'other', // cash, debit_card, credit_card, bank, wallet, other
+      institution: accountData.institution || null,
+      last4: accountData.last4 || null,
+      external_id: accountData.external_id || null, // Belvo account ID for bank imports
+      is_default: accountData.is_default || false,
+      createdAt: new Date()
+    };
+
+    const userAccounts = accounts.get(phone) || [];
+    userAccounts.push(account);
+    accounts.set(phone, userAccounts);
+
+    return account;
+  },
+
+  /**
+   * Get all accounts for a user (oldest first)
+   * @param {string} phone - User's phone number
+   * @returns {Array}
+   */
+  getByUser(phone) {
+    return accounts.get(phone) || [];
+  },
+
+  /**
+   * Get an account by ID
+   * @param {string} phone - User's phone number
+   * @param {number} id - Account ID
+   * @returns {object|null}
+   */
+  getById(phone, id) {
+    const userAccounts = accounts.get(phone) || [];
+    return userAccounts.find(a => a.id === id) || null;
+  },
+
+  /**
+   * Get an account by its external (Belvo) ID
+   * @param {string} phone - User's phone number
+   * @param {string} externalId
+   * @returns {object|null}
+   */
+  getByExternalId(phone, externalId) {
+    const userAccounts = accounts.get(phone) || [];
+    return userAccounts.find(a => a.external_id === externalId) || null;
+  },
+
+  /**
+   * Update an account
+   * @param {string} phone - User's phone number
+   * @param {number} id - Account ID
+   * @param {object} updates - Fields to update
+   * @returns {object|null} Updated account
+   */
+  update(phone, id, updates) {
+    const account = this.getById(phone, id);
+    if (!account) return null;
+    Object.assign(account, updates);
+    return account;
+  },
+
+  /**
+   * Make an account the default (and unset the previous one)
+   * @param {string} phone - User's phone number
+   * @param {number} id - Account ID
+   * @returns {object|null} Updated account
+   */
+  setDefault(phone, id) {
+    const userAccounts = accounts.get(phone) || [];
+    for (const account of userAccounts) {
+      account.is_default = account.id === id;
+    }
+    return this.getById(phone, id);
+  },
+
+  /**
+   * Delete an account
+   * @param {string} phone - User's phone number
+   * @param {number} id - Account ID
+   * @returns {boolean} True if deleted
+   */
+  delete(phone, id) {
+    const userAccounts = accounts.get(phone) || [];
+    const index = userAccounts.findIndex(a => a.id === id);
+    if (index === -1) return false;
+    userAccounts.splice(index, 1);
+    return true;
+  },
+
+  /**
+   * Put back previously deleted accounts, keeping their IDs (undo)
+   * @param {string} phone - User's phone number
+   * @param {Array} records - Full account snapshots
+   * @returns {number} Number of accounts restored
+   */
+  restore(phone, records) {
+    const userRecords = accounts.get(phone) || [];
+    for (const record of records) {
+      const index = userRecords.findIndex(r => r.id === record.id);
+      if (index === -1) userRecords.push(structuredClone(record));
+      else userRecords[index] = structuredClone(record);
+    }
+    // Back in creation order
+    userRecords.sort((a, b) => a.id - b.id);
+    accounts.set(phone, userRecords);
+    return records.length;
+  },
+};
+
+export default { PaymentAccountDB };
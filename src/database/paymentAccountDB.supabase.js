@@ -0,0 +1,166 @@
+/**
+ * Supabase Payment Account Database
+ * Accounts and cards the user pays with ("tarjeta Bancolombia", "efectivo", "Nequi")
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Payment account operations
+ */
+export const PaymentAccountDB = {
+  /**
+   * Create an account
+   * @param {string} phone - User's phone number
+   * @param {object} accountData - { name, type, institution, last4, external_id, is_default }
+   * @returns {Promise<object>} Created account
+   */
+  async create(phone, accountData) {
+    const { data, error } = await supabase
+      .from("payment_accounts")
+      .insert([
+        {
+          phone,
+          name: accountData.name,
+          type: accountData.type || "other",
+          institution: accountData.institution || null,
+          last4: accountData.last4 || null,
+          external_id: accountData.external_id || null,
+          is_default: accountData.is_default || false,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("[supabase] Error inserting payment account:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get all accounts for a user (oldest first)
+   * @param {string} phone - User's phone number
+   * @returns {Promise<Array>}
+   */
+  async getByUser(phone) {
+    const { data, error } = await supabase
+      .from("payment_accounts")
+      .select("*")
+      .eq("phone", phone)
+      .order("created_at", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Get an account by ID
+   * @param {string} phone - User's phone number
+   * @param {number} id - Account ID
+   * @returns {Promise<object|null>}
+   */
+  async getById(phone, id) {
+    const { data, error } = await supabase
+      .from("payment_accounts")
+      .select("*")
+      .eq("phone", phone)
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Get an account by its external (Belvo) ID
+   * @param {string} phone - User's phone number
+   * @param {string} externalId
+   * @returns {Promise<object|null>}
+   */
+  async getByExternalId(phone, externalId) {
+    const { data, error } = await supabase
+      .from("payment_accounts")
+      .select("*")
+      .eq("phone", phone)
+      .eq("external_id", externalId)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Update an account
+   * @param {string} phone - User's phone number
+   * @param {number} id - Account ID
+   * @param {object} updates - Fields to update
+   * @returns {Promise<object|null>} Updated account
+   */
+  async update(phone, id, updates) {
+    const { data, error } = await supabase
+      .from("payment_accounts")
+      .update(updates)
+      .eq("phone", phone)
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Make an account the default (and unset the previous one)
+   * @param {string} phone - User's phone number
+   * @param {number} id - Account ID
+   * @returns {Promise<object|null>} Updated account
+   */
+  async setDefault(phone, id) {
+    const { error } = await supabase
+      .from("payment_accounts")
+      .update({ is_default: false })
+      .eq("phone", phone)
+      .neq("id", id);
+
+    if (error) throw error;
+    return this.update(phone, id, { is_default: true });
+  },
+
+  /**
+   * Delete an account
+   * @param {string} phone - User's phone number
+   * @param {number} id - Account ID
+   * @returns {Promise<boolean>}
+   */
+  async delete(phone, id) {
+    const { error } = await supabase
+      .from("payment_accounts")
+      .delete()
+      .eq("phone", phone)
+      .eq("id", id);
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Put back previously deleted accounts, keeping their IDs (undo)
+   * @param {string} phone - User's phone number
+   * @param {Array} records - Full account rows
+   * @returns {Promise<number>} Number of accounts restored
+   */
+  async restore(phone, records) {
+    const { data, error } = await supabase
+      .from("payment_accounts")
+      .upsert(records.map((r) => ({ ...r, phone })), { onConflict: "id" })
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+};
+
+export default { PaymentAccountDB };
@@ -0,0 +1,85 @@
+/**
+ * In-memory Pending Action Database
+ * Tool calls waiting for the user to answer: Sí/No buttons, or a picker (choice).
+ * A user can have several at once; each one lasts until answered or expired
+ */
+
+// Store: action ID -> pending action
+const pendingActions = new Map();
+
+let actionIdCounter = 1;
+
+/**
+ * Pending action operations
+ */
+export const PendingActionDB = {
+  /**
+   * Store a tool call to run once answered
+   * @param {string} phone - User's phone number
+   * @param {object} actionData - { tool, params, preview, choice, expires_at }
+   * @returns {object} Created action
+   */
+  create(phone, actionData) {
+    const action = {
+      id: actionIdCounter++,
+      phone,
+      tool: actionData.tool,
+      params: structuredClone(actionData.params || {}),
+      preview: actionData.preview || null,
+      choice: actionData.choice ? structuredClone(actionData.choice) : null,
+      created_at: new Date(),
+      expires_at: actionData.expires_at,
+    };
+
+    pendingActions.set(action.id, action);
+    return action;
+  },
+
+  /**
+   * Get the user's most recent pending action that hasn't expired
+   * @param {string} phone - User's phone number
+   * @returns {object|null}
+   */
+  get(phone) {
+    const now = new Date();
+    let latest = null;
+    for (const action of pendingActions.values()) {
+      if (action.phone === phone && new Date(action.expires_at) > now && (!latest || action.id > latest.id)) {
+        latest = action;
+      }
+    }
+    return latest;
+  },
+
+  /**
+   * Remove and return a pending action, so a repeated tap can't run it twice
+   * @param {string} phone - User's phone number
+   * @param {number} id - Action ID (from the button)
+   * @returns {object|null} The action, or null if it was already taken or cleaned up
+   */
+  take(phone, id) {
+    const action = pendingActions.get(id);
+    if (!action || action.phone !== phone) return null;
+
+    pendingActions.delete(id);
+    return action;
+  },
+
+  /**
+   * Delete expired actions
+   * @returns {number} Number of actions deleted
+   */
+  deleteExpired() {
+    const now = new Date();
+    let count = 0;
+    for (const [id, action] of pendingActions) {
+      if (new Date(action.expires_at) <= now) {
+        pendingActions.delete(id);
+        count++;
+      }
+    }
+    return count;
+  },
+};
+
+export default { PendingActionDB };
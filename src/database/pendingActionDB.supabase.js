@@ -0,0 +1,97 @@
+/**
+ * Supabase Pending Action Database
+ * Tool calls waiting for the user to answer: Sí/No buttons, or a picker (choice).
+ * Kept in Postgres so the answer can land on another instance or after a deploy.
+ * A user can have several at once; each one lasts until answered or expired
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Pending action operations
+ */
+export const PendingActionDB = {
+  /**
+   * Store a tool call to run once answered
+   * @param {string} phone - User's phone number
+   * @param {object} actionData - { tool, params, preview, choice, expires_at }
+   * @returns {Promise<object>} Created action
+   */
+  async create(phone, actionData) {
+    const { data, error } = await supabase
+      .from("pending_actions")
+      .insert([
+        {
+          phone,
+          tool: actionData.tool,
+          params: actionData.params || {},
+          preview: actionData.preview || null,
+          choice: actionData.choice || null,
+          expires_at: new Date(actionData.expires_at).toISOString(),
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("[supabase] Error inserting pending action:", error);
+      throw error;
+    }
+
+    return data;
+  },
+
+  /**
+   * Get the user's most recent pending action that hasn't expired
+   * @param {string} phone - User's phone number
+   * @returns {Promise<object|null>}
+   */
+  async get(phone) {
+    const { data, error } = await supabase
+      .from("pending_actions")
+      .select("*")
+      .eq("phone", phone)
+      .gt("expires_at", new Date().toISOString())
+      .order("id", { ascending: false })
+      .limit(1);
+
+    if (error) throw error;
+    return data?.[0] || null;
+  },
+
+  /**
+   * Remove and return a pending action, so a repeated tap can't run it twice.
+   * The delete is the claim: only one instance gets the row back
+   * @param {string} phone - User's phone number
+   * @param {number} id - Action ID (from the button)
+   * @returns {Promise<object|null>} The action, or null if it was already taken or cleaned up
+   */
+  async take(phone, id) {
+    const { data, error } = await supabase
+      .from("pending_actions")
+      .delete()
+      .eq("phone", phone)
+      .eq("id", id)
+      .select();
+
+    if (error) throw error;
+    return data?.[0] || null;
+  },
+
+  /**
+   * Delete expired actions
+   * @returns {Promise<number>} Number of actions deleted
+   */
+  async deleteExpired() {
+    const { data, error } = await supabase
+      .from("pending_actions")
+      .delete()
+      .lte("expires_at", new Date().toISOString())
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+};
+
+export default { PendingActionDB };
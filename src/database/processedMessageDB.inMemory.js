@@ -0,0 +1,85 @@
+/**
+ * In-memory Processed Message Database
+ * WhatsApp message IDs already received, so retried webhook deliveries are skipped
+ */
+
+// Store: message ID -> record (message IDs are unique across users)
+const processedMessages = new Map();
+
+/**
+ * Processed message operations
+ */
+export const ProcessedMessageDB = {
+  /**
+   * Claim a message ID for processing. Only processed or in-flight IDs count as
+   * duplicates: an expired one, or one still 'received' since before staleBefore, is reclaimed
+   * @param {string} messageId - WhatsApp message ID (wamid...)
+   * @param {string} phone - Sender's phone number
+   * @param {Date} expiresAt - When the ID can be forgotten
+   * @param {Date} staleBefore - A 'received' claim older than this was abandoned
+   * @returns {boolean} True if this is the first delivery (or a retry of an abandoned one), false if already claimed
+   */
+  claim(messageId, phone, expiresAt, staleBefore = null) {
+    const existing = processedMessages.get(messageId);
+    const abandoned = existing?.status === 'received' && staleBefore
+      && new Date(existing.received_at) <= new Date(staleBefore);
+    if (existing && new Date(existing.expires_at) > new Date() && !abandoned) {
+      return false;
+    }
+
+    processedMessages.set(messageId, {
+      message_id: messageId,
+      phone,
+      status: 'received', // received, processed
+      received_at: new Date(),
+      processed_at: null,
+      expires_at: expiresAt,
+    });
+    return true;
+  },
+
+  /**
+   * Mark messages as processed (after their response was sent)
+   * @param {Array<string>} messageIds
+   * @returns {number} Number of messages updated
+   */
+  markProcessed(messageIds) {
+    let count = 0;
+    for (const id of messageIds) {
+      const record = processedMessages.get(id);
+      if (record) {
+        record.status = 'processed';
+        record.processed_at = new Date();
+        count++;
+      }
+    }
+    return count;
+  },
+
+  /**
+   * Get a message record
+   * @param {string} messageId
+   * @returns {object|null}
+   */
+  get(messageId) {
+    return processedMessages.get(messageId) || null;
+  },
+
+  /**
+   * Delete expired records
+   * @returns {number} Number of records deleted
+   */
+  deleteExpired() {
+    const now = new Date();
+    let count = 0;
+    for (const [id, record] of processedMessages) {
+      if (new Date(record.expires_at) <= now) {
+        processedMessages.delete(id);
+        count++;
+      }
+    }
+    return count;
+  },
+};
+
+export default { ProcessedMessageDB };
@@ -0,0 +1,108 @@
+/**
+ * Supabase Processed Message Database
+ * WhatsApp message IDs already received, so retried webhook deliveries are skipped
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Processed message operations
+ */
+export const ProcessedMessageDB = {
+  /**
+   * Claim a message ID for processing.
+   * The primary key makes this atomic across instances: only one insert wins.
+   * Only processed or in-flight IDs count as duplicates: an expired one, or one still
+   * 'received' since before staleBefore, is reclaimed (again by one instance only)
+   * @param {string} messageId - WhatsApp message ID (wamid...)
+   * @param {string} phone - Sender's phone number
+   * @param {Date} expiresAt - When the ID can be forgotten
+   * @param {Date} staleBefore - A 'received' claim older than this was abandoned
+   * @returns {Promise<boolean>} True if this is the first delivery (or a retry of an abandoned one), false if already claimed
+   */
+  async claim(messageId, phone, expiresAt, staleBefore = null) {
+    const { error } = await supabase
+      .from("processed_messages")
+      .insert([
+        {
+          message_id: messageId,
+          phone,
+          status: "received",
+          expires_at: expiresAt.toISOString(),
+        },
+      ]);
+
+    if (!error) return true;
+    if (error.code !== "23505") throw error; // Anything but a unique violation
+
+    // Already there: only reclaim it if the old record expired or was abandoned
+    const now = new Date().toISOString();
+    const reclaimable = staleBefore
+      ? `expires_at.lte.${now},and(status.eq.received,received_at.lte.${new Date(staleBefore).toISOString()})`
+      : `expires_at.lte.${now}`;
+    const { data, error: updateError } = await supabase
+      .from("processed_messages")
+      .update({
+        phone,
+        status: "received",
+        received_at: new Date().toISOString(),
+        processed_at: null,
+        expires_at: expiresAt.toISOString(),
+      })
+      .eq("message_id", messageId)
+      .or(reclaimable)
+      .select("message_id");
+
+    if (updateError) throw updateError;
+    return (data || []).length > 0;
+  },
+
+  /**
+   * Mark messages as processed (after their response was sent)
+   * @param {Array<string>} messageIds
+   * @returns {Promise<number>} Number of messages updated
+   */
+  async markProcessed(messageIds) {
+    const { data, error } = await supabase
+      .from("processed_messages")
+      .update({ status: "processed", processed_at: new Date().toISOString() })
+      .in("message_id", messageIds)
+      .select("message_id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+
+  /**
+   * Get a message record
+   * @param {string} messageId
+   * @returns {Promise<object|null>}
+   */
+  async get(messageId) {
+    const { data, error } = await supabase
+      .from("processed_messages")
+      .select("*")
+      .eq("message_id", messageId)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Delete expired records
+   * @returns {Promise<number>} Number of records deleted
+   */
+  async deleteExpired() {
+    const { data, error } = await supabase
+      .from("processed_messages")
+      .delete()
+      .lte("expires_at", new Date().toISOString())
+      .select("message_id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+};
+
+export default { ProcessedMessageDB };
@@ -0,0 +1,133 @@
+/**
+ * In-memory Recurring Expense Database
+ * Stores rules like "arriendo 1.200.000 every 1st" that the scheduler logs on their due date
+ */
+
+// Store rules per user
+const recurringExpenses = new Map();
+
+let recurringIdCounter = 1;
+
+/**
+ * Recurring expense operations
+ */
+export const RecurringExpenseDB = {
+  /**
+   * Create a recurring expense rule
+   * @param {string} phone - User's phone number
+   * @param {object} data - { amount, category, description, frequency, day_of_month, day_of_week, month, mode, next_due_date }
+   * @returns {object} Created rule
+   */
+  create(phone, data) {
+    const rule = {
+      id: recurringIdCounter++,
+      phone,
+      amount: data.amount,
+      category: data.category,
+      description: data.description || '',
+      frequency: data.frequency || 'monthly', // weekly, monthly, yearly
+      day_of_month: data.day_of_month ?? null, // 1-31 (monthly, yearly)
+      day_of_week: data.day_of_week ?? null, // 0-6, Sunday = 0 (weekly)
+      month: data.month ?? null, // 1-12 (yearly)
+      mode: data.mode || 'auto', // auto: log on due date, confirm: ask first
+      status: 'active', // active, paused
+      next_due_date: data.next_due_date, // YYYY-MM-DD in user's timezone
+      last_logged_date: null,
+      createdAt: new Date()
+    };
+
+    const userRules = recurringExpenses.get(phone) || [];
+    userRules.push(rule);
+    recurringExpenses.set(phone, userRules);
+
+    return rule;
+  },
+
+  /**
+   * Get a rule by ID
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @returns {object|null}
+   */
+  getById(phone, id) {
+    const userRules = recurringExpenses.get(phone) || [];
+    return userRules.find(r => r.id === Number(id)) || null;
+  },
+
+  /**
+   * Get all rules for a user (soonest due first)
+   * @param {string} phone - User's phone number
+   * @returns {Array}
+   */
+  getByUser(phone) {
+    const userRules = recurringExpenses.get(phone) || [];
+    return [...userRules].sort((a, b) => a.next_due_date.localeCompare(b.next_due_date));
+  },
+
+  /**
+   * Get active rules due on or before a date (all users, for the scheduler)
+   * Dates are compared per user's local calendar, so callers pass the latest possible date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Array}
+   */
+  getDueUntil(date) {
+    const due = [];
+    for (const userRules of recurringExpenses.values()) {
+      for (const rule of userRules) {
+        if (rule.status === 'active' && rule.next_due_date <= date) {
+          due.push(rule);
+        }
+      }
+    }
+    return due;
+  },
+
+  /**
+   * Update a rule
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @param {object} updates - Fields to update
+   * @returns {object|null} Updated rule
+   */
+  update(phone, id, updates) {
+    const rule = this.getById(phone, id);
+    if (!rule) return null;
+    Object.assign(rule, updates);
+    return rule;
+  },
+
+  /**
+   * Delete a rule
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @returns {boolean} True if deleted
+   */
+  delete(phone, id) {
+    const userRules = recurringExpenses.get(phone) || [];
+    const index = userRules.findIndex(r => r.id === Number(id));
+    if (index === -1) return false;
+    userRules.splice(index, 1);
+    return true;
+  },
+
+  /**
+   * Put back previously deleted recurring expenses, keeping their IDs (undo)
+   * @param {string} phone - User's phone number
+   * @param {Array} records - Full recurring expense snapshots
+   * @returns {number} Number of recurring expenses restored
+   */
+  restore(phone, records) {
+    const userRecords = recurringExpenses.get(phone) || [];
+    for (const record of records) {
+      const index = userRecords.findIndex(r => r.id === record.id);
+      if (index === -1) userRecords.push(structuredClone(record));
+      else userRecords[index] = structuredClone(record);
+    }
+    // Back in creation order
+    userRecords.sort((a, b) => a.id - b.id);
+    recurringExpenses.set(phone, userRecords);
+    return records.length;
+  },
+};
+
+export default { RecurringExpenseDB };
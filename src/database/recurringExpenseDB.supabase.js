@@ -0,0 +1,152 @@
+/**
+ * Supabase Recurring Expense Database
+ * Stores rules like "arriendo 1.200.000 every 1st" that the scheduler logs on their due date
+ */
+
+import { supabase } from "./supabaseDB.js";
+
+/**
+ * Recurring expense operations
+ */
+export const RecurringExpenseDB = {
+  /**
+   * Create a recurring expense rule
+   * @param {string} phone - User's phone number
+   * @param {object} data - { amount, category, description, frequency, day_of_month, day_of_week, month, mode, next_due_date }
+   * @returns {Promise<object>} Created rule
+   */
+  async create(phone, data) {
+    const { data: rule, error } = await supabase
+      .from("recurring_expenses")
+      .insert([
+        {
+          phone,
+          amount: data.amount,
+          category: data.category,
+          description: data.description || "",
+          frequency: data.frequency || "monthly",
+          day_of_month: data.day_of_month ?? null,
+          day_of_week: data.day_of_week ?? null,
+          month: data.month ?? null,
+          mode: data.mode || "auto",
+          status: "active",
+          next_due_date: data.next_due_date,
+        },
+      ])
+      .select()
+      .single();
+
+    if (error) {
+      console.error("[supabase] Error inserting recurring expense:", error);
+      throw error;
+    }
+
+    return rule;
+  },
+
+  /**
+   * Get a rule by ID
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @returns {Promise<object|null>}
+   */
+  async getById(phone, id) {
+    const { data, error } = await supabase
+      .from("recurring_expenses")
+      .select("*")
+      .eq("phone", phone)
+      .eq("id", id)
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Get all rules for a user (soonest due first)
+   * @param {string} phone - User's phone number
+   * @returns {Promise<Array>}
+   */
+  async getByUser(phone) {
+    const { data, error } = await supabase
+      .from("recurring_expenses")
+      .select("*")
+      .eq("phone", phone)
+      .order("next_due_date", { ascending: true });
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Get active rules due on or before a date (all users, for the scheduler)
+   * Dates are compared per user's local calendar, so callers pass the latest possible date
+   * @param {string} date - YYYY-MM-DD
+   * @returns {Promise<Array>}
+   */
+  async getDueUntil(date) {
+    const { data, error } = await supabase
+      .from("recurring_expenses")
+      .select("*")
+      .eq("status", "active")
+      .lte("next_due_date", date);
+
+    if (error) throw error;
+    return data || [];
+  },
+
+  /**
+   * Update a rule
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @param {object} updates - Fields to update
+   * @returns {Promise<object|null>} Updated rule
+   */
+  async update(phone, id, updates) {
+    const { data, error } = await supabase
+      .from("recurring_expenses")
+      .update({ ...updates, updated_at: new Date().toISOString() })
+      .eq("phone", phone)
+      .eq("id", id)
+      .select()
+      .single();
+
+    if (error && error.code !== "PGRST116") throw error;
+    return data || null;
+  },
+
+  /**
+   * Delete a rule
+   * @param {string} phone - User's phone number
+   * @param {number} id - Rule ID
+   * @returns {Promise<boolean>}
+   */
+  async delete(phone, id) {
+    const { error } = await supabase
+      .from("recurring_expenses")
+      .delete()
+      .eq("phone", phone)
+      .eq("id", id);
+
+    if (error) throw error;
+    return true;
+  },
+
+  /**
+   * Put back previously deleted recurring expenses, keeping their IDs (undo)
+   * @param {string} phone - User's phone number
+   * @param {Array} records - Full recurring expense rows
+   * @returns {Promise<number>} Number of recurring expenses restored
+   */
+  async restore(phone, records) {
+    const { data, error } = await supabase
+      .from("recurring_expenses")
+      .upsert(records.map((r) => ({ ...r, phone })), { onConflict: "id" })
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+};
+
+export default { RecurringExpenseDB };
@@ -13,6 +13,8 @@
 
 import { createClient } from "@supabase/supabase-js";
 import { getDayKey, getWeekKey, getMonthKey } from '../utils/dateUtils.js';
+import { UNTAGGED_GROUP } from '../utils/tagUtils.js';
+import { NO_ACCOUNT_GROUP } from '../utils/accountUtils.js';
 
 const supabaseUrl = process.env.SUPABASE_URL;
 
@@ -320,6 +322,13 @@ export const ExpenseDB = {
             date: expenseData.date || new Date().toISOString(),
             source: expenseData.source || "manual",
             external_id: expenseData.external_id || null,
+            original_amount: expenseData.original_amount ?? null,
+            original_currency: expenseData.original_currency || null,
+            fx_rate: expenseData.fx_rate ?? null,
+            tags: expenseData.tags || [],
+            notes: expenseData.notes || null,
+            account_id: expenseData.account_id || null,
+            merchant_id: expenseData.merchant_id || null,
           },
         ])
         .select()
@@ -443,6 +452,53 @@ export const ExpenseDB = {
     return data;
   },
 
+  /**
+   * Apply the same updates to several expenses
+   * @returns {Promise<number>} Number of expenses updated
+   */
+  async updateMany(phone, ids, updates) {
+    const { data, error } = await supabase
+      .from("expenses")
+      .update(updates)
+      .eq("phone", phone)
+      .in("id", ids)
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+
+  /**
+   * Delete several expenses
+   * @returns {Promise<number>} Number of expenses deleted
+   */
+  async deleteMany(phone, ids) {
+    const { data, error } = await supabase
+      .from("expenses")
+      .delete()
+      .eq("phone", phone)
+      .in("id", ids)
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+
+  /**
+   * Put back previously deleted expenses, keeping their IDs (undo)
+   * @param {Array} records - Full expense rows
+   * @returns {Promise<number>} Number of expenses restored
+   */
+  async restore(phone, records) {
+    const { data, error } = await supabase
+      .from("expenses")
+      .upsert(records.map((r) => ({ ...r, phone })), { onConflict: "id" })
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+
   async getTotalByCategory(phone, category, startDate, endDate) {
     const expenses = await this.getByDateRange(phone, startDate, endDate);
     return expenses
@@ -450,6 +506,50 @@ export const ExpenseDB = {
       .reduce((sum, e) => sum + parseFloat(e.amount), 0);
   },
 
+  /**
+   * Dates and amounts of a category's expenses in a range (for replaying budget periods)
+   * Pages through the rows so long histories aren't cut at the API's row limit
+   * @returns {Promise<Array<{date: string, amount: number}>>}
+   */
+  async getCategoryAmounts(phone, category, startDate, endDate) {
+    const pageSize = 1000;
+    const rows = [];
+    for (let offset = 0; ; offset += pageSize) {
+      const { data, error } = await supabase
+        .from("expenses")
+        .select("id, date, amount")
+        .eq("phone", phone)
+        .eq("category", category)
+        .gte("date", startDate.toISOString())
+        .lte("date", endDate.toISOString())
+        .order("id", { ascending: true })
+        .range(offset, offset + pageSize - 1);
+
+      if (error) throw error;
+      rows.push(...(data || []).map((e) => ({ date: e.date, amount: parseFloat(e.amount) })));
+      if (!data || data.length < pageSize) return rows;
+    }
+  },
+
+  /**
+   * Move expenses from one payment account to another (or to none)
+   * @param {string} phone - User's phone number
+   * @param {number} fromAccountId
+   * @param {number|null} toAccountId
+   * @returns {Promise<number[]>} IDs of the expenses updated
+   */
+  async reassignAccount(phone, fromAccountId, toAccountId) {
+    const { data, error } = await supabase
+      .from("expenses")
+      .update({ account_id: toAccountId })
+      .eq("phone", phone)
+      .eq("account_id", fromAccountId)
+      .select("id");
+
+    if (error) throw error;
+    return (data || []).map((e) => e.id);
+  },
+
   async renameCategory(phone, oldName, newName) {
     const { data, error } = await supabase
       .from("expenses")
@@ -487,14 +587,18 @@ export const ExpenseDB = {
    * @param {string[]|null} filters.categories - Multiple categories filter (OR)
    * @param {number|null} filters.minAmount - Minimum amount filter
    * @param {number|null} filters.maxAmount - Maximum amount filter
-   * @param {string|null} filters.searchText - Text search in description
+   * @param {string|null} filters.tag - Only expenses with this tag (without "#")
+   * @param {number|null} filters.accountId - Only expenses paid with this payment account
+   * @param {string|null} filters.searchText - Text search in description, category and notes
    * @param {object} options - Query options
    * @param {string} options.sortBy - Sort field: 'date', 'amount', 'category' (default: 'date')
    * @param {string} options.sortOrder - Sort order: 'asc', 'desc' (default: 'desc')
    * @param {number} options.limit - Max results (default: 50, max: 100)
    * @param {number} options.offset - Skip first N results (default: 0)
    * @param {boolean} options.aggregate - Return summary instead of list (default: false)
-   * @param {string|null} options.groupBy - Group by: 'category', 'day', 'week', 'month'
+   * @param {string|null} options.groupBy - Group by: 'category', 'tag', 'account', 'day', 'week', 'month'
+   *   (with 'tag', an expense counts in each of its tags; untagged ones go to UNTAGGED_GROUP.
+   *   With 'account', keys are account IDs and expenses without one go to NO_ACCOUNT_GROUP)
    * @returns {Promise<object>} { expenses, total, hasMore } or { summary, byGroup } if aggregate
    */
   async getByFilter(phone, filters = {}, options = {}) {
@@ -505,6 +609,8 @@ export const ExpenseDB = {
       categories = null,
       minAmount = null,
       maxAmount = null,
+      tag = null,
+      accountId = null,
       searchText = null
     } = filters;
 
@@ -546,10 +652,20 @@ export const ExpenseDB = {
       query = query.lte("amount", maxAmount);
     }
 
-    // Text search in description (ilike for case-insensitive)
+    // Tag filter (tags is a text[] column)
+    if (tag) {
+      query = query.contains("tags", [tag.toLowerCase()]);
+    }
+
+    // Payment account filter
+    if (accountId !== null) {
+      query = query.eq("account_id", accountId);
+    }
+
+    // Text search (ilike for case-insensitive)
     if (searchText) {
-      // Search in both description and category
-      query = query.or(`description.ilike.%${searchText}%,category.ilike.%${searchText}%`);
+      // Search in description, category and notes
+      query = query.or(`description.ilike.%${searchText}%,category.ilike.%${searchText}%,notes.ilike.%${searchText}%`);
     }
 
     // If aggregate mode, we need all matching expenses for computation
@@ -610,30 +726,38 @@ export const ExpenseDB = {
 
     const groups = {};
     for (const expense of expenses) {
-      let key;
+      let keys;
       switch (groupBy) {
         case 'category':
-          key = expense.category;
+          keys = [expense.category];
+          break;
+        case 'tag':
+          keys = expense.tags && expense.tags.length > 0 ? expense.tags : [UNTAGGED_GROUP];
+          break;
+        case 'account':
+          keys = [expense.account_id ?? NO_ACCOUNT_GROUP];
           break;
         case 'day':
-          key = getDayKey(new Date(expense.date));
+          keys = [getDayKey(new Date(expense.date))];
           break;
         case 'week':
-          key = getWeekKey(new Date(expense.date));
+          keys = [getWeekKey(new Date(expense.date))];
           break;
         case 'month':
-          key = getMonthKey(new Date(expense.date));
+          keys = [getMonthKey(new Date(expense.date))];
           break;
         default:
-          key = 'unknown';
+          keys = ['unknown'];
       }
 
-      if (!groups[key]) {
-        groups[key] = { total: 0, count: 0, expenses: [] };
+      for (const key of keys) {
+        if (!groups[key]) {
+          groups[key] = { total: 0, count: 0, expenses: [] };
+        }
+        groups[key].total += parseFloat(expense.amount);
+        groups[key].count += 1;
+        groups[key].expenses.push(expense);
       }
-      groups[key].total += parseFloat(expense.amount);
-      groups[key].count += 1;
-      groups[key].expenses.push(expense);
     }
 
     // Calculate average for each group
@@ -660,6 +784,10 @@ export const BudgetDB = {
             category: budgetData.category,
             amount: budgetData.amount,
             period: budgetData.period || "monthly",
+            anchor_date: budgetData.anchor_date || null,
+            period_days: budgetData.period_days || null,
+            rollover: budgetData.rollover || "none",
+            rollover_cap: budgetData.rollover_cap ?? null,
           },
         ],
         {
@@ -695,10 +823,19 @@ export const BudgetDB = {
     return data;
   },
 
-  async update(phone, category, amount) {
+  /**
+   * Update budget amount and optionally its period/rollover fields
+   * @param {object} fields - { period, anchor_date, period_days, rollover, rollover_cap } (only defined keys are applied)
+   */
+  async update(phone, category, amount, fields = {}) {
+    const updates = { amount };
+    for (const key of ["period", "anchor_date", "period_days", "rollover", "rollover_cap"]) {
+      if (fields[key] !== undefined) updates[key] = fields[key];
+    }
+
     const { data, error } = await supabase
       .from("budgets")
-      .update({ amount })
+      .update(updates)
       .eq("phone", phone)
       .eq("category", category)
       .select()
@@ -719,6 +856,37 @@ export const BudgetDB = {
     return true;
   },
 
+  /**
+   * Apply the same updates to several budgets
+   * @returns {Promise<number>} Number of budgets updated
+   */
+  async updateMany(phone, ids, updates) {
+    const { data, error } = await supabase
+      .from("budgets")
+      .update(updates)
+      .eq("phone", phone)
+      .in("id", ids)
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+
+  /**
+   * Put back previously deleted budgets, keeping their IDs (undo)
+   * @param {Array} records - Full budget rows
+   * @returns {Promise<number>} Number of budgets restored
+   */
+  async restore(phone, records) {
+    const { data, error } = await supabase
+      .from("budgets")
+      .upsert(records.map((r) => ({ ...r, phone })), { onConflict: "id" })
+      .select("id");
+
+    if (error) throw error;
+    return data ? data.length : 0;
+  },
+
   async renameCategory(phone, oldName, newName) {
     const { data, error } = await supabase
       .from("budgets")
@@ -9,11 +9,15 @@
  * - TRANSACTIONS_CREATED: New transactions available
  */
 
-import { BankLinkDB, BankImportUsageDB, ExpenseDB, UserDB, UserSubscriptionDB, SubscriptionPlanDB } from "../database/index.js";
-import { getLink, getTransactions, formatDateForBelvo } from "../services/belvoService.js";
-import { categorizeTransaction } from "../services/transactionCategorizer.js";
-import { sendTextMessage } from "../utils/whatsappClient.js";
+import { BankLinkDB, BankImportUsageDB, ExpenseDB, IncomeDB, UserDB, UserSubscriptionDB, SubscriptionPlanDB, CategorizationRuleDB, LeftOutTransactionDB } from "../database/index.js";
+import { getLink, getTransactions, formatDateForBelvo, parseTransactionToIncome } from "../services/belvoService.js";
+import { categorizeTransaction, categorizeIncomeTransaction } from "../services/transactionCategorizer.js";
+import { sendTextMessage } from "../channels/index.js";
 import { formatAmount } from "../utils/currencyUtils.js";
+import { getOrCreateBelvoAccount } from "../services/paymentAccountService.js";
+import { getUserCategories } from "../utils/categoryUtils.js";
+import { categorizeByMerchant } from "../services/merchantService.js";
+import { applyRules } from "../utils/categorizationRuleUtils.js";
 
 // Webhook messages for different languages
 const WEBHOOK_MESSAGES = {
@@ -28,10 +32,20 @@ From now on, your transactions will be imported automatically.`,
 
 {institution} has been successfully connected.
 
-*{count}* transactions imported ({total}).
+*{count}* transactions imported ({total}).{incomes}
 
 From now on, new transactions will be imported automatically.`,
 
+    link_success_incomes_only: `*Bank Connected!*
+
+{institution} has been successfully connected.
+
+💵 *{count}* incomes imported ({total}).
+
+From now on, new transactions will be imported automatically.`,
+
+    incomes_imported: "💵 Also imported *{count}* incomes ({total}).",
+
     link_error: `*Bank Connection Failed*
 
 There was an error connecting to {institution}.
@@ -49,10 +63,20 @@ A partir de ahora, tus transacciones se importarán automáticamente.`,
 
 {institution} ha sido conectado exitosamente.
 
-Se importaron *{count}* transacciones ({total}).
+Se importaron *{count}* transacciones ({total}).{incomes}
+
+A partir de ahora, las nuevas transacciones se importarán automáticamente.`,
+
+    link_success_incomes_only: `*¡Banco Conectado!*
+
+{institution} ha sido conectado exitosamente.
+
+💵 Se importaron *{count}* ingresos ({total}).
 
 A partir de ahora, las nuevas transacciones se importarán automáticamente.`,
 
+    incomes_imported: "💵 También se importaron *{count}* ingresos ({total}).",
+
     link_error: `*Conexión Bancaria Fallida*
 
 Hubo un error al conectar con {institution}.
@@ -70,10 +94,20 @@ A partir de agora, suas transações serão importadas automaticamente.`,
 
 {institution} foi conectado com sucesso.
 
-*{count}* transações importadas ({total}).
+*{count}* transações importadas ({total}).{incomes}
+
+A partir de agora, novas transações serão importadas automaticamente.`,
+
+    link_success_incomes_only: `*Banco Conectado!*
+
+{institution} foi conectado com sucesso.
+
+💵 Foram importadas *{count}* receitas ({total}).
 
 A partir de agora, novas transações serão importadas automaticamente.`,
 
+    incomes_imported: "💵 Também foram importadas *{count}* receitas ({total}).",
+
     link_error: `*Conexão Bancária Falhou*
 
 Houve um erro ao conectar com {institution}.
@@ -205,16 +239,32 @@ async function handleLinkCreated(data) {
     const userCurrency = user?.currency || "COP";
 
     // AUTO-SYNC: Import transactions from TODAY only (not historical)
-    const syncResult = await autoSyncTransactions(phone, linkId, institutionName, userCurrency);
+    const syncResult = await autoSyncTransactions(phone, linkId, institutionName, userCurrency, lang);
 
-    // Notify user via WhatsApp
+    // Notify user via WhatsApp, counting the credits imported as income too
     if (syncResult.count > 0) {
+      const incomeLine = syncResult.incomeCount > 0
+        ? `\n\n${getWebhookMessage("incomes_imported", lang, {
+          count: syncResult.incomeCount,
+          total: syncResult.incomeTotalFormatted,
+        })}`
+        : "";
       await sendTextMessage(
         phone,
         getWebhookMessage("link_success_with_sync", lang, {
           institution: institutionName,
           count: syncResult.count,
           total: syncResult.totalFormatted,
+          incomes: incomeLine,
+        })
+      );
+    } else if (syncResult.incomeCount > 0) {
+      await sendTextMessage(
+        phone,
+        getWebhookMessage("link_success_incomes_only", lang, {
+          institution: institutionName,
+          count: syncResult.incomeCount,
+          total: syncResult.incomeTotalFormatted,
         })
       );
     } else {
@@ -226,7 +276,7 @@ async function handleLinkCreated(data) {
       );
     }
 
-    console.log(`[belvo webhook] ✅ Successfully processed LINK_CREATED for ${phone} (synced ${syncResult.count} transactions)`);
+    console.log(`[belvo webhook] ✅ Successfully processed LINK_CREATED for ${phone} (synced ${syncResult.count} transactions, ${syncResult.incomeCount} incomes)`);
   } catch (error) {
     console.error("[belvo webhook] Error processing LINK_CREATED:", error);
     throw error;
@@ -239,17 +289,22 @@ async function handleLinkCreated(data) {
  * @param {string} linkId - Belvo link ID
  * @param {string} institution - Institution name
  * @param {string} currency - User's currency
- * @returns {Promise<{count: number, total: number, totalFormatted: string}>}
+ * @param {string} lang - User's language (for their category list)
+ * @returns {Promise<{count: number, total: number, totalFormatted: string, incomeCount: number, incomeTotal: number, incomeTotalFormatted: string}>}
  */
-async function autoSyncTransactions(phone, linkId, institution, currency) {
+async function autoSyncTransactions(phone, linkId, institution, currency, lang) {
   let totalImported = 0;
   let totalAmount = 0;
+  let incomesImported = 0;
+  let incomeAmount = 0;
 
   try {
     // Get user's plan limits
     const subscription = await UserSubscriptionDB.getOrCreate(phone);
     const plan = await SubscriptionPlanDB.get(subscription.planId);
     const monthlyLimit = plan.bank_transactions_per_month || plan.bankTransactionsPerMonth || 500;
+    const categories = await getUserCategories(phone, lang);
+    const rules = (await CategorizationRuleDB.getByUser(phone)) || [];
 
     // Sync only TODAY's transactions (from midnight)
     const today = new Date();
@@ -262,16 +317,20 @@ async function autoSyncTransactions(phone, linkId, institution, currency) {
 
     if (!transactions || transactions.length === 0) {
       console.log("[belvo webhook] No transactions found for today");
-      return { count: 0, total: 0, totalFormatted: formatAmount(0, currency) };
+      return {
+        count: 0,
+        total: 0,
+        totalFormatted: formatAmount(0, currency),
+        incomeCount: 0,
+        incomeTotal: 0,
+        incomeTotalFormatted: formatAmount(0, currency),
+      };
     }
 
     console.log(`[belvo webhook] Found ${transactions.length} transactions for today`);
 
     // Filter and process transactions
     for (const transaction of transactions) {
-      // Skip income (positive amounts)
-      if (transaction.amount >= 0) continue;
-
       // Skip pending transactions
       if (transaction.status === "PENDING") continue;
 
@@ -282,17 +341,64 @@ async function autoSyncTransactions(phone, linkId, institution, currency) {
         break;
       }
 
-      // Check if transaction already exists (by external_id)
+      // Skip zero-amount entries
+      if (transaction.amount === 0) continue;
+
+      // Check if transaction already exists (by external_id), as income or expense,
+      // or the user's rules already left it out
       const externalId = `belvo_${transaction.id}`;
-      const expenses = await ExpenseDB.getByUser(phone);
-      const exists = expenses.some(e => e.external_id === externalId);
+      const exists = transaction.amount > 0
+        ? await IncomeDB.getByExternalId(phone, externalId)
+        : (await ExpenseDB.getByUser(phone)).some(e => e.external_id === externalId);
+
+      if (exists || await LeftOutTransactionDB.has(phone, externalId)) {
+        continue;
+      }
+
+      // Attribute the transaction to the card/account it came from
+      const account = await getOrCreateBelvoAccount(phone, transaction.account, institution);
+
+      // The user's rules can leave it out: skipped, or a transfer between their own accounts
+      const ruled = applyRules(rules, {
+        description: transaction.description,
+        merchantName: transaction.merchant?.name,
+        amount: transaction.amount,
+        source: "bank_import",
+        accountId: account?.id ?? null,
+      }, { categories });
+      if (ruled.skip || ruled.transfer) {
+        await LeftOutTransactionDB.add(phone, externalId, ruled.transfer ? "transfer" : "skip", ruled.ruleIds);
+        console.log(`[belvo webhook] Rules ${ruled.ruleIds.join(", ")} left out transaction ${transaction.id}`);
+        continue;
+      }
 
-      if (exists) {
+      // Credits (positive amounts) are imported as income
+      if (transaction.amount > 0) {
+        const income = parseTransactionToIncome(transaction, phone);
+        if (!income) continue;
+
+        await IncomeDB.create(phone, {
+          amount: income.amount,
+          category: categorizeIncomeTransaction(transaction),
+          description: income.description,
+          date: income.date,
+          source: income.source,
+          external_id: externalId,
+        });
+        await BankImportUsageDB.increment(phone, 1);
+        incomesImported++;
+        incomeAmount += income.amount;
         continue;
       }
 
-      // Categorize transaction
-      const category = categorizeTransaction(transaction);
+      // Categorize transaction: the user's rules, then where they file this merchant,
+      // else by merchant patterns
+      const merchant = await categorizeByMerchant(
+        phone,
+        { merchantName: transaction.merchant?.name, description: transaction.description },
+        { create: true, categories }
+      );
+      const category = ruled.category || merchant.category || categorizeTransaction(transaction);
 
       // Create expense
       const expenseData = {
@@ -302,6 +408,9 @@ async function autoSyncTransactions(phone, linkId, institution, currency) {
         date: new Date(transaction.value_date || transaction.accounting_date),
         source: "bank_import",
         external_id: externalId,
+        account_id: account?.id || null,
+        merchant_id: merchant.merchantId,
+        tags: ruled.tags,
       };
 
       await ExpenseDB.create(phone, expenseData);
@@ -316,6 +425,9 @@ async function autoSyncTransactions(phone, linkId, institution, currency) {
     // Update last sync timestamp
     await BankLinkDB.updateLastSync(linkId);
 
+    if (incomesImported > 0) {
+      console.log(`[belvo webhook] Imported ${incomesImported} incomes`);
+    }
   } catch (error) {
     console.error("[belvo webhook] Error auto-syncing:", error);
   }
@@ -324,6 +436,9 @@ async function autoSyncTransactions(phone, linkId, institution, currency) {
     count: totalImported,
     total: totalAmount,
     totalFormatted: formatAmount(totalAmount, currency),
+    incomeCount: incomesImported,
+    incomeTotal: incomeAmount,
+    incomeTotalFormatted: formatAmount(incomeAmount, currency),
   };
 }
 
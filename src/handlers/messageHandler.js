@@ -6,20 +6,24 @@ import {
   downloadMedia,
   showProcessingIndicator,
   sendContactCard,
-} from "../utils/whatsappClient.js";
+} from "../channels/index.js";
 import {
+  setBatchHandler,
   queueMessage,
   flushBatch,
 } from "../services/messageBatcher.js";
 import {
   handleBudgetPromptResponse,
 } from "../services/budgetPromptService.js";
-import { UserDB, ExpenseDB, BudgetDB, UnprocessedDB } from "../database/index.js";
+import { UserDB, ExpenseDB, UnprocessedDB } from "../database/index.js";
 import { FinanceAgent } from "../agents/financeAgent.js";
+import { executeTool, isConfirmationButton, handleConfirmationButton, isChoiceReply, handleChoiceReply } from "../tools/index.js";
 import {
   getCurrencyFromPhone,
   validateAmount,
   formatAmount,
+  normalizeCurrencyCode,
+  formatOriginalAmount,
 } from "../utils/currencyUtils.js";
 import {
   processExpenseImage,
@@ -30,6 +34,16 @@ import {
   getMessage,
 } from "../utils/languageUtils.js";
 import { getUserCategories, getDefaultCategories } from "../utils/categoryUtils.js";
+import { resolveExpenseDate, getExpenseDateErrorMessage, formatExpenseDateLabel } from "../utils/expenseDateUtils.js";
+import { getCategoryBudgetProgress } from "../services/budgetService.js";
+import { isRecurringButton, handleRecurringButton } from "../services/recurringExpenseService.js";
+import { convertToBaseCurrency } from "../services/fxRateService.js";
+import { resolveExpenseAccount } from "../services/paymentAccountService.js";
+import { categorizeByMerchant } from "../services/merchantService.js";
+import { recordAction, describeExpenses } from "../services/actionJournalService.js";
+import { claimMessage, markMessagesProcessed } from "../services/messageDedupService.js";
+import { enqueueForUser } from "../services/userQueue.js";
+import { tryFastPath, recordAgentCost } from "../services/fastPathService.js";
 import {
   checkMoneditas,
   consumeMoneditas,
@@ -48,11 +62,60 @@ import { createTimeline, startTimer } from "../utils/performanceTimer.js";
 // In-memory backup for test commands (phone -> categories)
 const testCategoryBackups = new Map();
 
+// Batches are processed once the 10s window closes, possibly after a restart
+// or on another instance, so the user is loaded again at that point.
+// They go through the user's queue like any other event
+setBatchHandler(async (phone, batchedMessage) => {
+  await enqueueForUser(phone, { type: 'text', content: batchedMessage.text.body }, async () => {
+    const user = await UserDB.get(phone);
+    if (!user) {
+      console.warn(`[messageHandler] Dropping batch for unknown user ${phone}`);
+      return;
+    }
+    await processBatchedMessage(phone, batchedMessage, user, user.language || 'en');
+    await markMessagesProcessed(batchedMessage.messageIds);
+  });
+});
+
 /**
  * Handle incoming WhatsApp messages
- * Uses message batching (10s window) for text messages
+ * Uses message batching (10s window) for text messages, and the user's queue
+ * so a user's messages are processed one at a time, in order
  */
 export async function handleIncomingMessage(message, phone) {
+  // Meta retries deliveries: a message already claimed is skipped before it can be
+  // queued for batching or sent to media processing (and charged twice)
+  if (!(await claimMessage(message.id, phone))) {
+    return;
+  }
+
+  // For media messages, answer any pending text batch first (it's queued ahead of them)
+  if (message.type === "image" || message.type === "audio" || message.type === "document") {
+    await flushBatch(phone);
+  }
+
+  await enqueueForUser(phone, describeMessageEvent(message), () => processIncomingMessage(message, phone));
+}
+
+/**
+ * What a message is, for the user queue's logs and dead-letter entries
+ */
+function describeMessageEvent(message) {
+  return {
+    type: message.type,
+    content: message.text?.body
+      || message.interactive?.button_reply?.title
+      || message.interactive?.list_reply?.title
+      || message.document?.filename
+      || null,
+    media_id: message.image?.id || message.audio?.id || message.document?.id || null,
+  };
+}
+
+/**
+ * Process one incoming message (runs in the user's queue)
+ */
+async function processIncomingMessage(message, phone) {
   let user;
   let clearIndicator = null;
 
@@ -145,10 +208,8 @@ export async function handleIncomingMessage(message, phone) {
 
     // For text messages, use batching (10-second window)
     if (message.type === "text") {
-      const wasQueued = queueMessage(phone, message, async (batchPhone, batchedMessage) => {
-        // This callback is called after 10 seconds of no new messages
-        await processBatchedMessage(batchPhone, batchedMessage, user, lang);
-      }, clearIndicator);  // Pass the indicator so batcher can clear when done
+      // The batch handler runs after 10 seconds of no new messages
+      const wasQueued = await queueMessage(phone, message, clearIndicator);  // Pass the indicator so batcher can clear when done
 
       if (wasQueued) {
         // Message was queued, indicator stays on until batch is processed
@@ -157,16 +218,11 @@ export async function handleIncomingMessage(message, phone) {
       }
     }
 
-    // For non-text messages (image, audio, document, interactive), flush any pending batch first
-    if (message.type === "image" || message.type === "audio" || message.type === "document") {
-      flushBatch(phone);
-    }
-
     // Handle different message types immediately
     let response;
 
     if (message.type === "text") {
-      // This path is only hit if queueMessage returns false (shouldn't happen for text)
+      // This path is only hit if queueMessage returns false (the batch store is unavailable)
       const messageText = message.text.body;
       console.log(`📨 Text from ${phone}: ${messageText}`);
 
@@ -174,13 +230,26 @@ export async function handleIncomingMessage(message, phone) {
       response = await agent.processMessage(messageText);
 
     } else if (message.type === "interactive") {
-      const buttonId = message.interactive.button_reply.id;
-      const buttonTitle = message.interactive.button_reply.title;
+      // A tapped button and a row picked from a list carry the same id/title
+      const reply = message.interactive.button_reply || message.interactive.list_reply;
+      const buttonId = reply.id;
+      const buttonTitle = reply.title;
       console.log(`📨 Button from ${phone}: ${buttonTitle} (${buttonId})`);
 
-      // Process button responses via agent
-      const agent = new FinanceAgent(phone, user.currency, lang);
-      response = await agent.processMessage(buttonTitle);
+      if (isRecurringButton(buttonId)) {
+        // Recurring expense confirmation (Log / Skip) carries its rule and due date
+        response = await handleRecurringButton(phone, buttonId, lang, user.currency);
+      } else if (isConfirmationButton(buttonId)) {
+        // Sí / No on a high-impact tool call (bulk delete, import...) runs or drops it
+        response = await handleConfirmationButton(phone, buttonId, lang, user.currency);
+      } else if (isChoiceReply(buttonId)) {
+        // A pick from a tool's picker (category, period...) fills in the call that asked for it
+        response = await handleChoiceReply(phone, buttonId, lang, user.currency);
+      } else {
+        // Process button responses via agent
+        const agent = new FinanceAgent(phone, user.currency, lang);
+        response = await agent.processMessage(buttonTitle);
+      }
 
     } else if (message.type === "image") {
       console.log(`📷 Image from ${phone}`);
@@ -206,12 +275,14 @@ export async function handleIncomingMessage(message, phone) {
     if (response) {
       await sendTextMessage(phone, response);
     }
+    await markMessagesProcessed([message.id]);
   } catch (error) {
     console.error("Error handling message:", error);
     // Clear indicator on error too
     if (clearIndicator) await clearIndicator();
     const errorLang = user?.language || 'en';
     await sendTextMessage(phone, getMessage('error_generic', errorLang));
+    throw error; // The user queue dead-letters it
   }
 }
 
@@ -286,52 +357,6 @@ Suas moneditas renovam no próximo ciclo de cobrança.`
   return messages[lang] || messages.en;
 }
 
-/**
- * Check if user is confirming/canceling a pending Excel import
- */
-async function checkPendingImportConfirmation(phone, messageText, lang, userCurrency) {
-  try {
-    const { hasPendingImport, handler, cancelImport } = await import('../tools/importExpenses.js');
-
-    if (!hasPendingImport(phone)) {
-      return null; // No pending import
-    }
-
-    const text = messageText.toLowerCase().trim();
-
-    // Check for confirmation
-    const confirmPhrases = ['sí', 'si', 'yes', 'sim', 'ok', 'dale', 'confirmar', 'importar'];
-    const cancelPhrases = ['no', 'cancelar', 'cancel', 'não', 'nao'];
-
-    if (confirmPhrases.some(p => text.includes(p))) {
-      const result = await handler(phone, { confirm: true }, lang, userCurrency);
-      return result.message;
-    }
-
-    if (cancelPhrases.some(p => text.includes(p))) {
-      cancelImport(phone);
-      const messages = {
-        en: "Import canceled.",
-        es: "Importación cancelada.",
-        pt: "Importação cancelada."
-      };
-      return messages[lang] || messages.es;
-    }
-
-    // If there's a pending import but user sent something else, remind them
-    const messages = {
-      en: "You have a pending import. Reply 'yes' to confirm or 'no' to cancel.",
-      es: "Tienes una importación pendiente. Responde 'sí' para confirmar o 'no' para cancelar.",
-      pt: "Você tem uma importação pendente. Responda 'sim' para confirmar ou 'não' para cancelar."
-    };
-    return messages[lang] || messages.es;
-
-  } catch (error) {
-    console.error('[checkPendingImportConfirmation] Error:', error);
-    return null;
-  }
-}
-
 /**
  * Process batched messages (called after 10-second window)
  * @param {string} phone - User's phone number
@@ -361,16 +386,6 @@ async function processBatchedMessage(phone, batchedMessage, user, lang) {
       return;
     }
 
-    // Check if user is confirming/canceling a pending Excel import
-    const importConfirmResult = await checkPendingImportConfirmation(phone, messageText, lang, user.currency);
-    if (importConfirmResult) {
-      if (clearIndicator) await clearIndicator();
-      await sendTextMessage(phone, importConfirmResult);
-      timeline.mark('response_sent');
-      timeline.summary();
-      return;
-    }
-
     // TEST: Simulate new user without categories (for testing purposes)
     if (messageText.toLowerCase().trim() === "test nuevo") {
       if (clearIndicator) await clearIndicator();
@@ -412,6 +427,19 @@ async function processBatchedMessage(phone, batchedMessage, user, lang) {
       return;
     }
 
+    // Simple expenses ("uber 12k") are logged without calling the LLM
+    const fastPath = await tryFastPath(phone, messageText, lang, user.currency);
+    timeline.mark('fast_path_checked');
+    if (fastPath.handled) {
+      if (clearIndicator) await clearIndicator();
+      if (fastPath.response) {
+        await sendTextMessage(phone, fastPath.response);
+        timeline.mark('response_sent');
+      }
+      timeline.summary();
+      return;
+    }
+
     // Use the AI agent to process the combined message
     const agent = new FinanceAgent(phone, user.currency, lang);
     const response = await agent.processMessage(messageText);
@@ -420,7 +448,7 @@ async function processBatchedMessage(phone, batchedMessage, user, lang) {
     // Calculate REAL cost based on actual token usage
     const tokenUsage = agent.getLastTokenUsage();
     const costResult = calculateTotalCost({
-      claude: tokenUsage,
+      llm: tokenUsage?.calls,
       whatsappMessages: 1, // Response message
     });
 
@@ -429,6 +457,7 @@ async function processBatchedMessage(phone, batchedMessage, user, lang) {
     // Consume actual moneditas (minimum 1)
     const actualCost = Math.max(1, costResult.totalMoneditas);
     await consumeMoneditas(phone, actualCost, "text_message");
+    recordAgentCost(actualCost);
 
     // Clear the processing indicator (was set when first message arrived)
     if (clearIndicator) await clearIndicator();
@@ -446,12 +475,13 @@ async function processBatchedMessage(phone, batchedMessage, user, lang) {
     await sendTextMessage(phone, getMessage('error_generic', lang));
     timeline.mark('error');
     timeline.summary();
+    throw error; // The user queue dead-letters it
   }
 }
 
 /**
  * Process image message (receipt/bill OCR)
- * Charges based on actual Claude Vision tokens used
+ * Charges based on actual vision model tokens used
  */
 async function processImageMessage(phone, imageData, userCurrency, lang = 'en') {
   try {
@@ -472,13 +502,13 @@ async function processImageMessage(phone, imageData, userCurrency, lang = 'en')
     // Download the image
     const { buffer, mimeType } = await downloadMedia(imageData.id);
 
-    // Process with Claude Vision
+    // Process with the vision model
     const categories = await getUserCategories(phone, lang);
-    const result = await processExpenseImage(buffer, mimeType, categories, userCurrency);
+    const result = await processExpenseImage(buffer, mimeType, categories, userCurrency, moneditasCheck.planId);
 
     // Calculate REAL cost based on actual token usage
     const costResult = calculateTotalCost({
-      claude: result._tokenUsage,
+      llm: result._tokenUsage,
       whatsappMessages: 1, // Response message
     });
 
@@ -501,7 +531,8 @@ async function processImageMessage(phone, imageData, userCurrency, lang = 'en')
     // Validate amounts for detected expenses
     const validationErrors = [];
     for (const exp of result.expenses) {
-      const validation = validateAmount(exp.amount, userCurrency);
+      exp.currency = normalizeCurrencyCode(exp.currency) || userCurrency;
+      const validation = validateAmount(exp.amount, exp.currency);
       if (!validation.valid) {
         validationErrors.push(`• ${exp.description || exp.category}: ${validation.error}`);
       }
@@ -511,15 +542,30 @@ async function processImageMessage(phone, imageData, userCurrency, lang = 'en')
       return getMessage('validation_error_multi', lang) + validationErrors.join("\n");
     }
 
+    // Resolve receipt dates in user's timezone
+    const dateResult = await resolveMediaExpenseDates(phone, result.expenses);
+    if (dateResult.error) {
+      return getExpenseDateErrorMessage(dateResult.error, lang);
+    }
+
     // Create all expenses
     const createdExpenses = [];
     const budgetAlerts = [];
 
-    for (const exp of result.expenses) {
+    for (const [index, exp] of result.expenses.entries()) {
+      // Receipts name the store: remember it, and file it where the user files that merchant
+      const merchant = await categorizeByMerchant(phone, { merchantName: exp.description }, { create: true, categories });
+      exp.category = merchant.category || exp.category;
+
+      const conversion = await convertToBaseCurrency(exp.amount, exp.currency, userCurrency, dateResult.dates[index]);
+      const account = await resolveMediaExpenseAccount(phone, exp.account, lang);
       const expense = await ExpenseDB.create(phone, {
-        amount: exp.amount,
+        ...conversion,
         category: exp.category,
         description: exp.description,
+        date: dateResult.dates[index],
+        account_id: account?.id || null,
+        merchant_id: merchant.merchantId,
       });
       createdExpenses.push(expense);
 
@@ -529,25 +575,36 @@ async function processImageMessage(phone, imageData, userCurrency, lang = 'en')
       }
     }
 
+    await recordAction(
+      phone,
+      'log_expense',
+      [{ type: 'create', entity: 'expense', ids: createdExpenses.map(e => e.id) }],
+      describeExpenses(createdExpenses, userCurrency)
+    );
+
     // Build response
     let response;
     if (createdExpenses.length === 1) {
       const expense = createdExpenses[0];
-      response = `${getMessage('image_logged', lang)} ${formatAmount(expense.amount, userCurrency)} ${getMessage('expense_for', lang)} ${expense.category}`;
+      response = `${getMessage('image_logged', lang)} ${formatAmount(expense.amount, userCurrency)}${formatOriginalAmount(expense)} ${getMessage('expense_for', lang)} ${expense.category}`;
       if (expense.description) {
         response += ` (${expense.description})`;
       }
+      response += formatDateSuffix(expense.date, phone, lang);
     } else {
       response = getMessage('image_logged_multi', lang, { count: createdExpenses.length }) + "\n";
       for (const expense of createdExpenses) {
-        response += `• ${formatAmount(expense.amount, userCurrency)} - ${expense.category}`;
+        response += `• ${formatAmount(expense.amount, userCurrency)}${formatOriginalAmount(expense)} - ${expense.category}`;
         if (expense.description) {
           response += ` (${expense.description})`;
         }
+        response += formatDateSuffix(expense.date, phone, lang);
         response += "\n";
       }
     }
 
+    response += formatUnreadDates(dateResult.unreadDates, lang);
+
     if (budgetAlerts.length > 0) {
       response += `\n${budgetAlerts.join("\n")}`;
     }
@@ -567,7 +624,7 @@ async function processImageMessage(phone, imageData, userCurrency, lang = 'en')
 
 /**
  * Process audio message (voice note)
- * Charges based on actual Whisper + Claude tokens used
+ * Charges based on actual Whisper + extraction model tokens used
  */
 async function processAudioMessage(phone, audioData, userCurrency, lang = 'en') {
   try {
@@ -590,11 +647,11 @@ async function processAudioMessage(phone, audioData, userCurrency, lang = 'en')
 
     // Process: transcribe and extract expenses
     const categories = await getUserCategories(phone, lang);
-    const result = await processExpenseAudio(buffer, mimeType, categories);
+    const result = await processExpenseAudio(buffer, mimeType, categories, moneditasCheck.planId);
 
     // Calculate REAL cost based on actual usage
     const costResult = calculateTotalCost({
-      claude: result._tokenUsage,
+      llm: result._tokenUsage,
       whisper: result._whisperUsage,
       whatsappMessages: 1, // Response message
     });
@@ -626,7 +683,8 @@ async function processAudioMessage(phone, audioData, userCurrency, lang = 'en')
     // Validate amounts for detected expenses
     const validationErrors = [];
     for (const exp of result.expenses) {
-      const validation = validateAmount(exp.amount, userCurrency);
+      exp.currency = normalizeCurrencyCode(exp.currency) || userCurrency;
+      const validation = validateAmount(exp.amount, exp.currency);
       if (!validation.valid) {
         validationErrors.push(`• ${exp.description || exp.category}: ${validation.error}`);
       }
@@ -636,15 +694,30 @@ async function processAudioMessage(phone, audioData, userCurrency, lang = 'en')
       return `${getMessage('audio_heard', lang)} "${result.transcription}"\n\n${getMessage('validation_error_multi', lang)}${validationErrors.join("\n")}`;
     }
 
+    // Resolve spoken dates ("ayer", "el viernes") in user's timezone
+    const dateResult = await resolveMediaExpenseDates(phone, result.expenses);
+    if (dateResult.error) {
+      return `${getMessage('audio_heard', lang)} "${result.transcription}"\n\n${getExpenseDateErrorMessage(dateResult.error, lang)}`;
+    }
+
     // Create all expenses
     const createdExpenses = [];
     const budgetAlerts = [];
 
-    for (const exp of result.expenses) {
+    for (const [index, exp] of result.expenses.entries()) {
+      // Merchants the user already filed somewhere go there again, unless they named the category
+      const merchant = await categorizeByMerchant(phone, { description: exp.description }, { categories });
+      exp.category = (!exp.categoryNamed && merchant.category) || exp.category;
+
+      const conversion = await convertToBaseCurrency(exp.amount, exp.currency, userCurrency, dateResult.dates[index]);
+      const account = await resolveMediaExpenseAccount(phone, exp.account, lang);
       const expense = await ExpenseDB.create(phone, {
-        amount: exp.amount,
+        ...conversion,
         category: exp.category,
         description: exp.description,
+        date: dateResult.dates[index],
+        account_id: account?.id || null,
+        merchant_id: merchant.merchantId,
       });
       createdExpenses.push(expense);
 
@@ -654,25 +727,36 @@ async function processAudioMessage(phone, audioData, userCurrency, lang = 'en')
       }
     }
 
+    await recordAction(
+      phone,
+      'log_expense',
+      [{ type: 'create', entity: 'expense', ids: createdExpenses.map(e => e.id) }],
+      describeExpenses(createdExpenses, userCurrency)
+    );
+
     // Build response
     let response = `${getMessage('audio_heard', lang)} "${result.transcription}"\n\n`;
     if (createdExpenses.length === 1) {
       const expense = createdExpenses[0];
-      response += `${getMessage('expense_logged', lang)} ${formatAmount(expense.amount, userCurrency)} ${getMessage('expense_for', lang)} ${expense.category}`;
+      response += `${getMessage('expense_logged', lang)} ${formatAmount(expense.amount, userCurrency)}${formatOriginalAmount(expense)} ${getMessage('expense_for', lang)} ${expense.category}`;
       if (expense.description) {
         response += ` (${expense.description})`;
       }
+      response += formatDateSuffix(expense.date, phone, lang);
     } else {
       response += getMessage('expense_logged_multi', lang, { count: createdExpenses.length }) + "\n";
       for (const expense of createdExpenses) {
-        response += `• ${formatAmount(expense.amount, userCurrency)} - ${expense.category}`;
+        response += `• ${formatAmount(expense.amount, userCurrency)}${formatOriginalAmount(expense)} - ${expense.category}`;
         if (expense.description) {
           response += ` (${expense.description})`;
         }
+        response += formatDateSuffix(expense.date, phone, lang);
         response += "\n";
       }
     }
 
+    response += formatUnreadDates(dateResult.unreadDates, lang);
+
     if (budgetAlerts.length > 0) {
       response += `\n${budgetAlerts.join("\n")}`;
     }
@@ -690,6 +774,58 @@ async function processAudioMessage(phone, audioData, userCurrency, lang = 'en')
   }
 }
 
+/**
+ * Resolve dates extracted from receipts/voice notes
+ * Unparseable dates fall back to now (and are returned so the user is told);
+ * dates outside the plan window are rejected
+ * @returns {Promise<{dates: Date[], unreadDates: string[], error?: object}>}
+ */
+async function resolveMediaExpenseDates(phone, expenses) {
+  const dates = [];
+  const unreadDates = [];
+  for (const exp of expenses) {
+    const dateResult = await resolveExpenseDate(phone, exp.date);
+    if (!dateResult.valid) {
+      if (dateResult.error === 'invalid_date') {
+        console.log(`[messageHandler] Unparseable expense date, using today: ${exp.date}`);
+        dates.push(new Date());
+        if (!unreadDates.includes(exp.date)) unreadDates.push(exp.date);
+        continue;
+      }
+      return { dates, unreadDates, error: dateResult };
+    }
+    dates.push(dateResult.date);
+  }
+  return { dates, unreadDates };
+}
+
+/**
+ * Note for dates a receipt or voice note had but that couldn't be read
+ */
+function formatUnreadDates(unreadDates, lang) {
+  return unreadDates.map(date => `\n${getMessage('media_date_unread', lang, { date })}`).join('');
+}
+
+/**
+ * Resolve the account a receipt or voice note says was used.
+ * Media can't ask back, so an unknown or ambiguous account falls back to the default
+ */
+async function resolveMediaExpenseAccount(phone, query, lang) {
+  const lookup = await resolveExpenseAccount(phone, query || null, lang);
+  if (lookup.account || !query) return lookup.account;
+
+  console.log(`[messageHandler] Could not match account "${query}" (${lookup.error}), using default`);
+  return (await resolveExpenseAccount(phone, null, lang)).account;
+}
+
+/**
+ * Format " 📅 ayer" suffix for expenses not dated today
+ */
+function formatDateSuffix(date, phone, lang) {
+  const label = formatExpenseDateLabel(date, phone, lang);
+  return label ? ` 📅 ${label}` : '';
+}
+
 /**
  * Process document message (Excel/CSV import)
  */
@@ -720,13 +856,10 @@ async function processDocumentMessage(phone, documentData, userCurrency, lang =
       return messages[lang] || messages.es;
     }
 
-    // Import the tool directly
-    const { handler } = await import('../tools/importExpenses.js');
+    // The preview goes out with Sí/No buttons; the import runs on the button reply
+    const result = await executeTool('import_expenses', phone, { mediaId: documentData.id }, lang, userCurrency);
 
-    // Call the import handler with the media ID
-    const result = await handler(phone, { mediaId: documentData.id }, lang, userCurrency);
-
-    return result.message;
+    return result.awaitingReply ? null : result.message;
 
   } catch (error) {
     console.error("Error processing document:", error);
@@ -760,15 +893,11 @@ async function sendMoneditaContactCard(phone, lang = 'en') {
  * Check if expense triggers budget alert
  */
 async function checkBudgetAlert(phone, category, userCurrency, lang = 'en') {
-  const budget = await BudgetDB.getByCategory(phone, category);
-  if (!budget) return null;
-
-  const now = new Date();
-  const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-  const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  // Spending in the budget's current period (weekly, quincena, monthly...)
+  const progress = await getCategoryBudgetProgress(phone, category);
+  if (!progress) return null;
 
-  const spent = await ExpenseDB.getTotalByCategory(phone, category, startOfMonth, endOfMonth);
-  const percentage = (spent / parseFloat(budget.amount || 0)) * 100;
+  const { budget, spent, percentage } = progress;
 
   if (percentage >= 100) {
     return getMessage('budget_alert_exceeded', lang, {
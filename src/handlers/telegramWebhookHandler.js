@@ -0,0 +1,134 @@
+/**
+ * Telegram Webhook Handler
+ * Receives Telegram Bot API updates, links each chat to an account and hands
+ * the messages to the same message handler WhatsApp uses.
+ *
+ * Accounts are keyed by phone number, so a new chat is asked to share its number
+ * (Telegram's contact button): that links it to the user's existing account,
+ * or creates one just like a first WhatsApp message would.
+ */
+
+import crypto from "crypto";
+import { ChannelIdentityDB, UserDB } from "../database/index.js";
+import telegramChannel from "../channels/telegramChannel.js";
+import { recordInboundChannel } from "../channels/index.js";
+import { handleIncomingMessage } from "./messageHandler.js";
+import { isReplayedMessage } from "../utils/webhookVerification.js";
+
+const MESSAGES = {
+  en: {
+    share_phone: "👋 Hi! I'm Monedita, your expense assistant.\n\nTo get started, share your phone number with the button below. If you already use Monedita on WhatsApp, you'll keep all your expenses.",
+    share_button: "📱 Share my number",
+    own_contact_only: "Please share *your own* number with the button below.",
+    linked_existing: "✅ Done! This chat is now connected to your Monedita account. You can keep logging your expenses here.",
+    linked_new: "✅ Done! Your number is saved.",
+  },
+  es: {
+    share_phone: "👋 ¡Hola! Soy Monedita, tu asistente de gastos.\n\nPara empezar, comparte tu número de teléfono con el botón de abajo. Si ya usas Monedita en WhatsApp, conservas todos tus gastos.",
+    share_button: "📱 Compartir mi número",
+    own_contact_only: "Comparte *tu propio* número con el botón de abajo.",
+    linked_existing: "✅ ¡Listo! Este chat quedó conectado a tu cuenta de Monedita. Puedes seguir registrando tus gastos aquí.",
+    linked_new: "✅ ¡Listo! Guardé tu número.",
+  },
+  pt: {
+    share_phone: "👋 Olá! Sou o Monedita, seu assistente de despesas.\n\nPara começar, compartilhe seu número de telefone com o botão abaixo. Se você já usa o Monedita no WhatsApp, mantém todas as suas despesas.",
+    share_button: "📱 Compartilhar meu número",
+    own_contact_only: "Compartilhe *seu próprio* número com o botão abaixo.",
+    linked_existing: "✅ Pronto! Este chat agora está conectado à sua conta do Monedita. Pode continuar registrando suas despesas aqui.",
+    linked_new: "✅ Pronto! Salvei seu número.",
+  },
+};
+
+/**
+ * Language for users we don't know yet, from their Telegram app language
+ */
+function getLanguage(from) {
+  const code = (from?.language_code || '').slice(0, 2).toLowerCase();
+  return MESSAGES[code] ? code : 'es';
+}
+
+/**
+ * Verify the X-Telegram-Bot-Api-Secret-Token header (set with setWebhook's secret_token)
+ * @param {string} secretToken - Header value
+ * @returns {boolean}
+ */
+export function verifyTelegramSecret(secretToken) {
+  const expected = process.env.TELEGRAM_WEBHOOK_SECRET;
+  if (!expected) {
+    console.warn('[telegram] TELEGRAM_WEBHOOK_SECRET not configured, skipping verification');
+    return true; // Allow in development
+  }
+
+  if (typeof secretToken !== 'string' || secretToken.length !== expected.length) {
+    return false;
+  }
+  return crypto.timingSafeEqual(Buffer.from(secretToken), Buffer.from(expected));
+}
+
+/**
+ * Handle a Telegram update
+ * @param {object} update - Telegram Update
+ */
+export async function handleTelegramUpdate(update) {
+  const parsed = telegramChannel.parseUpdate(update);
+  if (!parsed) return;
+
+  const { chatId, from, message, contact, callbackQueryId } = parsed;
+
+  if (callbackQueryId) {
+    await telegramChannel.answerCallbackQuery(callbackQueryId);
+  }
+
+  if (isReplayedMessage(message)) {
+    console.warn(`[telegram] Ignoring replayed message ${message.id}`);
+    return;
+  }
+
+  const identity = await ChannelIdentityDB.getByExternalId('telegram', chatId);
+  if (identity) {
+    await recordInboundChannel(identity.phone, 'telegram', chatId);
+    await handleIncomingMessage(message, identity.phone);
+    return;
+  }
+
+  await linkChat(chatId, from, message, contact);
+}
+
+/**
+ * Link an unknown chat to an account, or ask for the phone number
+ */
+async function linkChat(chatId, from, message, contact) {
+  const lang = getLanguage(from);
+  const msgs = MESSAGES[lang];
+
+  if (!contact) {
+    await telegramChannel.sendContactRequest(chatId, msgs.share_phone, msgs.share_button);
+    return;
+  }
+
+  // Only the user's own contact: otherwise anyone could read someone else's expenses
+  if (contact.user_id !== from?.id) {
+    await telegramChannel.sendContactRequest(chatId, msgs.own_contact_only, msgs.share_button);
+    return;
+  }
+
+  // Same format as WhatsApp's sender numbers (digits only)
+  const phone = String(contact.phone_number).replace(/\D/g, '');
+  const existingUser = await UserDB.get(phone);
+
+  await ChannelIdentityDB.link('telegram', chatId, phone);
+  await recordInboundChannel(phone, 'telegram', chatId);
+  console.log(`[telegram] Linked chat ${chatId} to ${phone}${existingUser ? '' : ' (new user)'}`);
+
+  await telegramChannel.sendText(chatId, existingUser ? msgs.linked_existing : msgs.linked_new, { removeKeyboard: true });
+
+  // New users get the same welcome as on WhatsApp (their first message creates the account)
+  if (!existingUser) {
+    await handleIncomingMessage(message, phone);
+  }
+}
+
+export default {
+  verifyTelegramSecret,
+  handleTelegramUpdate,
+};
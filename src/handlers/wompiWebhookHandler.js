@@ -14,7 +14,7 @@ import {
 } from "../services/wompiService.js";
 import { createPaymentSource } from "../services/wompiRecurringService.js";
 import { UserSubscriptionDB, BillingHistoryDB } from "../database/index.js";
-import { sendTextMessage } from "../utils/whatsappClient.js";
+import { sendTextMessage } from "../channels/index.js";
 import { getMessage } from "../utils/languageUtils.js";
 import { UserDB } from "../database/index.js";
 
@@ -4,9 +4,12 @@
  */
 
 import express from 'express';
-import { UserDB, BudgetDB } from '../database/index.js';
+import { UserDB, BudgetDB, CategorizationRuleDB } from '../database/index.js';
 import { validateSetupToken } from '../services/statsTokenService.js';
 import { getDefaultCategories } from '../utils/categoryUtils.js';
+import { normalizeBudgetPeriod, DEFAULT_BUDGET_PERIOD } from '../utils/budgetPeriodUtils.js';
+import { saveRule, deleteRule } from '../services/categorizationRuleService.js';
+import { recordAction, snapshotFields } from '../services/actionJournalService.js';
 
 const router = express.Router();
 
@@ -33,6 +36,16 @@ function requireSetupToken(req, res, next) {
   next();
 }
 
+/**
+ * Check a custom budget's anchor date: YYYY-MM-DD and a real calendar day
+ */
+function isValidAnchorDate(value) {
+  const match = String(value).match(/^(\d{4})-(\d{2})-(\d{2})$/);
+  if (!match) return false;
+  const date = new Date(Date.UTC(+match[1], +match[2] - 1, +match[3]));
+  return date.getUTCMonth() === +match[2] - 1 && date.getUTCDate() === +match[3];
+}
+
 /**
  * GET /api/setup
  * Get user's current setup (categories, budgets, currency)
@@ -70,9 +83,13 @@ router.get('/api/setup', requireSetupToken, async (req, res) => {
  * Body: {
  *   categories: [
  *     { id: "food", name: "Comida", emoji: "🍔", budget: 500000 },
- *     { id: "transport", name: "Transporte", emoji: "🚗", budget: 200000 }
+ *     { id: "transport", name: "Transporte", emoji: "🚗", budget: 200000 },
+ *     { id: "groceries", name: "Mercado", emoji: "🛒", budget: 300000, budgetPeriod: "biweekly" }
  *   ]
  * }
+ * Per category (optional):
+ *   budgetPeriod: weekly | biweekly | monthly | yearly | custom (default monthly)
+ *   budgetAnchorDate / budgetPeriodDays: YYYY-MM-DD start and window length for custom
  */
 router.post('/api/setup', requireSetupToken, async (req, res) => {
   try {
@@ -84,7 +101,13 @@ router.post('/api/setup', requireSetupToken, async (req, res) => {
       return res.status(400).json({ error: 'At least one category is required' });
     }
 
+    const badAnchor = categories.find(cat => cat.budgetAnchorDate && !isValidAnchorDate(cat.budgetAnchorDate));
+    if (badAnchor) {
+      return res.status(400).json({ error: `Invalid budgetAnchorDate for ${badAnchor.id} (expected YYYY-MM-DD)` });
+    }
+
     // Save categories to user
+    const previousCategories = structuredClone((await UserDB.getCategories(phone)) ?? null);
     const categoryList = categories.map(cat => ({
       id: cat.id,
       name: cat.name,
@@ -93,14 +116,28 @@ router.post('/api/setup', requireSetupToken, async (req, res) => {
     await UserDB.setCategories(phone, categoryList);
 
     // Create/update budgets for categories that have a budget set
+    // (journaled with the categories, so "deshacer" in the chat reverts the whole setup)
+    const changes = [
+      { type: 'update', entity: 'categories', before: { categories: previousCategories }, after: { categories: categoryList } },
+    ];
     const budgetsCreated = [];
     for (const cat of categories) {
       if (cat.budget && parseFloat(cat.budget) > 0) {
-        await BudgetDB.create(phone, {
-          category: cat.id,
-          amount: parseFloat(cat.budget),
-          period: 'monthly',
-        });
+        const amount = parseFloat(cat.budget);
+        const fields = {
+          period: normalizeBudgetPeriod(cat.budgetPeriod) || DEFAULT_BUDGET_PERIOD,
+          anchor_date: cat.budgetAnchorDate || null,
+          period_days: parseInt(cat.budgetPeriodDays, 10) || null,
+        };
+        const existing = await BudgetDB.getByCategory(phone, cat.id);
+        if (existing) {
+          const before = snapshotFields(existing, { amount, ...fields });
+          await BudgetDB.update(phone, cat.id, amount, fields);
+          changes.push({ type: 'update', entity: 'budget', ids: [existing.id], before, after: { amount, ...fields } });
+        } else {
+          const budget = await BudgetDB.create(phone, { category: cat.id, amount, ...fields });
+          changes.push({ type: 'create', entity: 'budget', ids: [budget.id] });
+        }
         budgetsCreated.push({
           category: cat.id,
           amount: parseFloat(cat.budget),
@@ -108,6 +145,8 @@ router.post('/api/setup', requireSetupToken, async (req, res) => {
       }
     }
 
+    await recordAction(phone, 'manage_categories', changes, categoryList.map(c => c.name).join(', '));
+
     // Mark user as setup complete
     await UserDB.update(phone, { setup_complete: true });
 
@@ -125,6 +164,85 @@ router.post('/api/setup', requireSetupToken, async (req, res) => {
   }
 });
 
+/**
+ * GET /api/setup/rules
+ * Get user's categorization rules (in the order they're applied)
+ */
+router.get('/api/setup/rules', requireSetupToken, async (req, res) => {
+  try {
+    const rules = await CategorizationRuleDB.getByUser(req.userPhone);
+    res.json({ rules: rules || [] });
+  } catch (error) {
+    console.error('[setupRoutes] Error getting rules:', error);
+    res.status(500).json({ error: 'Failed to get rules' });
+  }
+});
+
+/**
+ * POST /api/setup/rules
+ * Create a categorization rule. Every condition must match; at least one condition and one action
+ * Body: {
+ *   conditions: { description, merchant, min_amount, max_amount, source, account_id },
+ *   actions: { category, tags, skip, transfer }
+ * }
+ * e.g. { conditions: { description: "arriendo", min_amount: 1000000 }, actions: { category: "vivienda" } }
+ * 400 error codes: no_conditions, no_actions, invalid_merchant, invalid_amount, invalid_source,
+ * invalid_account, conflicting_actions, unknown_category, unknown_account
+ */
+router.post('/api/setup/rules', requireSetupToken, async (req, res) => {
+  try {
+    const user = await UserDB.get(req.userPhone);
+    const result = await saveRule(req.userPhone, req.body || {}, user?.language);
+
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.status(201).json({ success: true, rule: result.rule });
+  } catch (error) {
+    console.error('[setupRoutes] Error creating rule:', error);
+    res.status(500).json({ error: 'Failed to save rule' });
+  }
+});
+
+/**
+ * PUT /api/setup/rules/:id
+ * Replace a rule's conditions and actions (same body and errors as POST)
+ */
+router.put('/api/setup/rules/:id', requireSetupToken, async (req, res) => {
+  try {
+    const user = await UserDB.get(req.userPhone);
+    const result = await saveRule(req.userPhone, req.body || {}, user?.language, parseInt(req.params.id, 10));
+
+    if (result.error === 'not_found') {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    if (result.error) {
+      return res.status(400).json({ error: result.error });
+    }
+    res.json({ success: true, rule: result.rule });
+  } catch (error) {
+    console.error('[setupRoutes] Error updating rule:', error);
+    res.status(500).json({ error: 'Failed to save rule' });
+  }
+});
+
+/**
+ * DELETE /api/setup/rules/:id
+ * Delete a rule
+ */
+router.delete('/api/setup/rules/:id', requireSetupToken, async (req, res) => {
+  try {
+    const rule = await deleteRule(req.userPhone, parseInt(req.params.id, 10));
+    if (!rule) {
+      return res.status(404).json({ error: 'Rule not found' });
+    }
+    res.json({ success: true });
+  } catch (error) {
+    console.error('[setupRoutes] Error deleting rule:', error);
+    res.status(500).json({ error: 'Failed to delete rule' });
+  }
+});
+
 /**
  * GET /api/setup/categories
  * Get default categories for a language (public, no auth required)
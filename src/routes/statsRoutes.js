@@ -5,9 +5,11 @@
 
 import express from 'express';
 import { validateStatsToken } from '../services/statsTokenService.js';
-import { ExpenseDB, BudgetDB, UserDB } from '../database/index.js';
+import { ExpenseDB, BudgetDB, UserDB, PaymentAccountDB } from '../database/index.js';
 import { getSubscriptionStatus } from '../services/subscriptionService.js';
 import { formatAmount } from '../utils/currencyUtils.js';
+import { getBudgetProgress } from '../services/budgetService.js';
+import { getCashflow } from '../services/cashflowService.js';
 
 const router = express.Router();
 
@@ -74,10 +76,35 @@ router.get('/api/stats', requireStatsToken, async (req, res) => {
       byCategory[cat].expenses.push(expense);
     }
 
+    // Group by tag (an expense counts once in each of its tags)
+    const byTag = {};
+    for (const expense of expenses) {
+      for (const tag of expense.tags || []) {
+        if (!byTag[tag]) {
+          byTag[tag] = { total: 0, count: 0 };
+        }
+        byTag[tag].total += parseFloat(expense.amount || 0);
+        byTag[tag].count++;
+      }
+    }
+
+    // Group by payment account (card statements are reconciled against these)
+    const accounts = await PaymentAccountDB.getByUser(phone) || [];
+    const accountsById = new Map(accounts.map(a => [a.id, a]));
+    const byAccount = {};
+    for (const expense of expenses) {
+      const key = expense.account_id ?? 'none';
+      if (!byAccount[key]) {
+        byAccount[key] = { total: 0, count: 0 };
+      }
+      byAccount[key].total += parseFloat(expense.amount || 0);
+      byAccount[key].count++;
+    }
+
     // Group by day for chart
     const byDay = {};
     for (const expense of expenses) {
-      const expenseDate = new Date(expense.createdAt || expense.date);
+      const expenseDate = new Date(expense.date || expense.createdAt);
       if (isNaN(expenseDate.getTime())) continue; // Skip invalid dates
       const day = expenseDate.toISOString().split('T')[0];
       if (!byDay[day]) {
@@ -86,19 +113,24 @@ router.get('/api/stats', requireStatsToken, async (req, res) => {
       byDay[day] += parseFloat(expense.amount || 0);
     }
 
-    // Calculate budget progress
-    const now = new Date();
-    const monthStart = new Date(now.getFullYear(), now.getMonth(), 1);
-    const monthEnd = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+    // Income and net balance for the same range
+    const cashflow = await getCashflow(phone, startDate, endDate);
 
+    // Calculate budget progress (each budget in its own period window)
     const budgetProgress = [];
     for (const budget of budgets) {
-      const categoryExpenses = await ExpenseDB.getTotalByCategory(phone, budget.category, monthStart, monthEnd);
+      const progress = await getBudgetProgress(phone, budget);
       budgetProgress.push({
         category: budget.category,
-        budgetAmount: parseFloat(budget.amount),
-        spent: categoryExpenses,
-        percentage: Math.round((categoryExpenses / parseFloat(budget.amount)) * 100),
+        budgetAmount: progress.amount,
+        baseAmount: progress.baseAmount,
+        carryover: progress.carryover,
+        transferred: progress.transferred,
+        spent: progress.spent,
+        percentage: Math.round(progress.percentage),
+        period: progress.period,
+        periodStart: progress.startDate.toISOString(),
+        periodEnd: progress.endDate.toISOString(),
       });
     }
 
@@ -122,24 +154,54 @@ router.get('/api/stats', requireStatsToken, async (req, res) => {
         totalSpent,
         expenseCount: expenses.length,
         averageExpense: expenses.length > 0 ? totalSpent / expenses.length : 0,
+        totalIncome: cashflow.totalIncome,
+        incomeCount: cashflow.incomeCount,
+        net: cashflow.totalIncome - totalSpent,
       },
+      incomeByCategory: Object.entries(cashflow.incomeByCategory).map(([category, data]) => ({
+        category,
+        total: data.total,
+        count: data.count,
+      })).sort((a, b) => b.total - a.total),
       byCategory: Object.entries(byCategory).map(([category, data]) => ({
         category,
         total: data.total,
         count: data.count,
         percentage: totalSpent > 0 ? Math.round((data.total / totalSpent) * 100) : 0,
       })).sort((a, b) => b.total - a.total),
+      byTag: Object.entries(byTag).map(([tag, data]) => ({
+        tag,
+        total: data.total,
+        count: data.count,
+      })).sort((a, b) => b.total - a.total),
+      byAccount: Object.entries(byAccount).map(([key, data]) => {
+        const account = accountsById.get(Number(key)) || null;
+        return {
+          accountId: account ? account.id : null,
+          name: account ? account.name : null,
+          type: account ? account.type : null,
+          last4: account ? account.last4 : null,
+          total: data.total,
+          count: data.count,
+        };
+      }).sort((a, b) => b.total - a.total),
       byDay: Object.entries(byDay).map(([date, total]) => ({ date, total })).sort((a, b) => a.date.localeCompare(b.date)),
       budgets: budgetProgress,
       recentExpenses: expenses
-        .sort((a, b) => new Date(b.createdAt || b.date || 0) - new Date(a.createdAt || a.date || 0))
+        .sort((a, b) => new Date(b.date || b.createdAt || 0) - new Date(a.date || a.createdAt || 0))
         .slice(0, 20)
         .map(e => ({
           id: e.id,
           amount: parseFloat(e.amount),
           category: e.category,
           description: e.description,
-          date: e.createdAt || e.date,
+          date: e.date || e.createdAt,
+          originalAmount: e.original_amount != null ? parseFloat(e.original_amount) : null,
+          originalCurrency: e.original_currency || null,
+          tags: e.tags || [],
+          notes: e.notes || null,
+          accountId: e.account_id ?? null,
+          account: accountsById.get(e.account_id)?.name || null,
         })),
     });
   } catch (error) {
@@ -15,7 +15,7 @@ import {
   getAcceptanceToken,
 } from '../services/wompiRecurringService.js';
 import { SUBSCRIPTION_PLANS, formatPriceCOP } from '../services/wompiService.js';
-import { sendTextMessage } from '../utils/whatsappClient.js';
+import { sendTextMessage } from '../channels/index.js';
 
 const router = express.Router();
 
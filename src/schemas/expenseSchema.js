@@ -13,6 +13,11 @@ export const ExpenseInputSchema = z.object({
   amount: z.number().positive('Amount must be positive'),
   category: z.string().min(1, 'Category is required'),
   description: z.string().optional().default(''),
+  date: z.string().nullish(), // Absolute or relative, resolved by expenseDateUtils
+  currency: z.string().nullish(), // Original currency when not the user's (converted by fxRateService)
+  tags: z.array(z.string()).nullish(), // Cross-cutting labels (normalized by tagUtils)
+  notes: z.string().nullish(), // Free-form notes
+  account: z.string().nullish(), // How it was paid, matched against the user's payment accounts
 });
 
 /**
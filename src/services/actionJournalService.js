@@ -0,0 +1,269 @@
+/**
+ * Action Journal Service
+ * Records what mutating tools change and reverses it when the user says "deshacer"
+ *
+ * Each journal entry holds a list of changes:
+ * - { type: 'create', entity, ids }                → undo deletes the records
+ * - { type: 'delete', entity, records }            → undo restores the records with their IDs
+ * - { type: 'update', entity, ids, before, after } → undo writes `before` back
+ * Entities: expense, income, budget, budget_transfer, payment_account, recurring_expense,
+ * categories (the user's category list), user (profile fields like the currency),
+ * merchant_category (where the user files a merchant) and categorization_rule
+ *
+ * An entry with no changes marks an action that can't be undone (a cancelled subscription,
+ * a shared expense): undo stops there instead of reverting something older
+ */
+
+import {
+  ActionJournalDB,
+  ExpenseDB,
+  IncomeDB,
+  BudgetDB,
+  BudgetTransferDB,
+  PaymentAccountDB,
+  RecurringExpenseDB,
+  UserDB,
+  MerchantDB,
+  CategorizationRuleDB,
+} from "../database/index.js";
+import { formatAmount } from "../utils/currencyUtils.js";
+
+// How long actions can be undone (hours). Older entries are purged
+export const UNDO_WINDOW_HOURS = parseInt(process.env.UNDO_WINDOW_HOURS || "48", 10);
+
+// Max actions undone in one request ("deshaz los últimos 3")
+export const MAX_UNDO_COUNT = 10;
+
+// How each entity is reverted
+const ENTITIES = {
+  expense: {
+    remove: (phone, ids) => ExpenseDB.deleteMany(phone, ids),
+    restore: (phone, records) => ExpenseDB.restore(phone, records),
+    update: (phone, ids, fields) => ExpenseDB.updateMany(phone, ids, fields),
+  },
+  budget: {
+    async remove(phone, ids) {
+      const budgets = (await BudgetDB.getByUser(phone)) || [];
+      for (const budget of budgets.filter(b => ids.includes(b.id))) {
+        await BudgetDB.delete(phone, budget.category);
+      }
+    },
+    async restore(phone, records) {
+      // One budget per category: a budget created since then gives way to the restored one
+      for (const record of records) {
+        const existing = await BudgetDB.getByCategory(phone, record.category);
+        if (existing && existing.id !== record.id) {
+          await BudgetDB.delete(phone, record.category);
+        }
+      }
+      return BudgetDB.restore(phone, records);
+    },
+    update: (phone, ids, fields) => BudgetDB.updateMany(phone, ids, fields),
+  },
+  income: {
+    async remove(phone, ids) {
+      for (const id of ids) await IncomeDB.delete(phone, id);
+    },
+  },
+  budget_transfer: {
+    async remove(phone, ids) {
+      for (const id of ids) await BudgetTransferDB.delete(phone, id);
+    },
+    update: (phone, ids, fields) => BudgetTransferDB.updateMany(phone, ids, fields),
+  },
+  payment_account: {
+    async remove(phone, ids) {
+      // Expenses logged with the account since then stay, without one
+      for (const id of ids) {
+        await ExpenseDB.reassignAccount(phone, id, null);
+        await PaymentAccountDB.delete(phone, id);
+      }
+    },
+    restore: (phone, records) => PaymentAccountDB.restore(phone, records),
+    async update(phone, ids, fields) {
+      for (const id of ids) await PaymentAccountDB.update(phone, id, fields);
+    },
+  },
+  recurring_expense: {
+    async remove(phone, ids) {
+      for (const id of ids) await RecurringExpenseDB.delete(phone, id);
+    },
+    restore: (phone, records) => RecurringExpenseDB.restore(phone, records),
+    async update(phone, ids, fields) {
+      for (const id of ids) await RecurringExpenseDB.update(phone, id, fields);
+    },
+  },
+  categories: {
+    update: (phone, ids, fields) => UserDB.setCategories(phone, fields.categories),
+  },
+  user: {
+    update: (phone, ids, fields) => UserDB.update(phone, fields),
+  },
+  // IDs are merchant IDs; a null category means the user had none for that merchant
+  merchant_category: {
+    async update(phone, ids, fields) {
+      for (const merchantId of ids) {
+        if (fields.category) await MerchantDB.setUserCategory(phone, merchantId, fields.category);
+        else await MerchantDB.deleteUserCategory(phone, merchantId);
+      }
+    },
+  },
+  // Updates only journal the category a rule sets (category renames)
+  categorization_rule: {
+    async remove(phone, ids) {
+      for (const id of ids) await CategorizationRuleDB.delete(phone, id);
+    },
+    restore: (phone, records) => CategorizationRuleDB.restore(phone, records),
+    async update(phone, ids, fields) {
+      for (const ruleId of ids) {
+        const rule = await CategorizationRuleDB.getById(phone, ruleId);
+        if (rule) await CategorizationRuleDB.update(phone, ruleId, { actions: { ...rule.actions, category: fields.category } });
+      }
+    },
+  },
+};
+
+/**
+ * Take the current values of the fields an update is about to change
+ * @param {object} record - Record before the update
+ * @param {object} updates - Fields about to be written
+ * @returns {object} Same keys with the old values
+ */
+export function snapshotFields(record, updates) {
+  const before = {};
+  for (const key of Object.keys(updates)) {
+    before[key] = record[key] ?? null;
+  }
+  return structuredClone(before);
+}
+
+/**
+ * Short description of the expenses an action touched, for the undo reply
+ * ("$25,000 - food (almuerzo)" or "3 · $60,000")
+ * @param {Array} expenses - Expenses created, deleted or edited
+ * @param {string} currency - User's currency
+ * @returns {string}
+ */
+export function describeExpenses(expenses, currency) {
+  if (expenses.length === 1) {
+    const [expense] = expenses;
+    const description = expense.description ? ` (${expense.description})` : '';
+    return `${formatAmount(expense.amount, currency)} - ${expense.category}${description}`;
+  }
+  const total = expenses.reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
+  return `${expenses.length} · ${formatAmount(total, currency)}`;
+}
+
+/**
+ * Record a mutating tool call so it can be undone.
+ * Never throws: a journal failure must not fail the action itself
+ * @param {string} phone - User's phone number
+ * @param {string} tool - Tool name (e.g. 'delete_expense')
+ * @param {Array} changes - Changes made (see header)
+ * @param {string} detail - Short description shown when undoing ("$25,000 - food (almuerzo)")
+ * @returns {Promise<object|null>} Journal entry, or null if nothing was recorded
+ */
+export async function recordAction(phone, tool, changes, detail = null) {
+  const meaningful = (changes || []).filter(c =>
+    c.entity === 'categories' || c.entity === 'user' || (c.ids || c.records || []).length > 0
+  );
+  if (meaningful.length === 0) return null;
+
+  try {
+    await ActionJournalDB.deleteOlderThan(phone, getUndoWindowStart());
+    return await ActionJournalDB.create(phone, { tool, detail, changes: meaningful });
+  } catch (error) {
+    console.error(`[actionJournal] Could not record ${tool}:`, error.message || error);
+    return null;
+  }
+}
+
+/**
+ * Record an action that can't be undone, so undo doesn't skip past it.
+ * Never throws
+ * @param {string} phone - User's phone number
+ * @param {string} tool - Tool name (e.g. 'settle_debt')
+ * @param {string} detail - Short description shown when the user tries to undo it
+ * @returns {Promise<object|null>} Journal entry, or null if nothing was recorded
+ */
+export async function recordIrreversibleAction(phone, tool, detail = null) {
+  try {
+    await ActionJournalDB.deleteOlderThan(phone, getUndoWindowStart());
+    return await ActionJournalDB.create(phone, { tool, detail, changes: [] });
+  } catch (error) {
+    console.error(`[actionJournal] Could not record ${tool}:`, error.message || error);
+    return null;
+  }
+}
+
+/**
+ * Undo the user's most recent actions, newest first.
+ * An action that can't be undone stops the undo; it's set aside, so asking again goes on
+ * with the ones before it
+ * @param {string} phone - User's phone number
+ * @param {number} count - How many actions to undo
+ * @returns {Promise<{undone: Array, failed: object|null, blocked: object|null}>}
+ *   Entries undone, the entry that failed (if any) and the one that can't be undone (if any)
+ */
+export async function undoActions(phone, count = 1) {
+  const limit = Math.min(Math.max(1, Math.floor(count) || 1), MAX_UNDO_COUNT);
+  const entries = (await ActionJournalDB.getUndoable(phone, getUndoWindowStart(), limit)) || [];
+
+  const undone = [];
+  for (const entry of entries) {
+    if ((entry.changes || []).length === 0) {
+      await ActionJournalDB.markUndone(phone, entry.id);
+      console.log(`[actionJournal] #${entry.id} (${entry.tool}) can't be undone for ${phone}`);
+      return { undone, failed: null, blocked: entry };
+    }
+
+    try {
+      await revertEntry(phone, entry);
+      await ActionJournalDB.markUndone(phone, entry.id);
+      undone.push(entry);
+      console.log(`[actionJournal] Undid #${entry.id} (${entry.tool}) for ${phone}`);
+    } catch (error) {
+      // Stop here: older actions may depend on this one
+      console.error(`[actionJournal] Failed to undo #${entry.id} (${entry.tool}):`, error.message || error);
+      return { undone, failed: entry, blocked: null };
+    }
+  }
+
+  return { undone, failed: null, blocked: null };
+}
+
+/**
+ * Revert one entry's changes, last change first
+ */
+async function revertEntry(phone, entry) {
+  for (const change of [...entry.changes].reverse()) {
+    const entity = ENTITIES[change.entity];
+    if (!entity) {
+      throw new Error(`Unknown journal entity: ${change.entity}`);
+    }
+
+    if (change.type === 'create') {
+      await entity.remove(phone, change.ids);
+    } else if (change.type === 'delete') {
+      await entity.restore(phone, change.records);
+    } else if (change.type === 'update') {
+      await entity.update(phone, change.ids || [], change.before);
+    } else {
+      throw new Error(`Unknown journal change type: ${change.type}`);
+    }
+  }
+}
+
+function getUndoWindowStart() {
+  return new Date(Date.now() - UNDO_WINDOW_HOURS * 60 * 60 * 1000);
+}
+
+export default {
+  UNDO_WINDOW_HOURS,
+  MAX_UNDO_COUNT,
+  snapshotFields,
+  describeExpenses,
+  recordAction,
+  recordIrreversibleAction,
+  undoActions,
+};
@@ -334,6 +334,33 @@ export function parseTransactionToExpense(transaction, phone) {
   };
 }
 
+/**
+ * Parse Belvo transaction to income format
+ * @param {object} transaction - Belvo transaction
+ * @param {string} phone - User's phone number
+ * @returns {object|null} Income data or null if should be ignored
+ */
+export function parseTransactionToIncome(transaction, phone) {
+  // Skip outflows (negative amounts) and zero-amount entries
+  if (transaction.amount <= 0) {
+    return null;
+  }
+
+  // Skip pending transactions
+  if (transaction.status === "PENDING") {
+    return null;
+  }
+
+  return {
+    phone,
+    amount: transaction.amount,
+    description: transaction.description || transaction.merchant?.name || "",
+    date: new Date(transaction.value_date || transaction.accounting_date),
+    source: "bank_import",
+    externalId: transaction.id,
+  };
+}
+
 /**
  * Map Belvo category to Monedita category
  * @param {string} belvoCategory - Belvo category
@@ -444,6 +471,7 @@ export default {
   getInstitutions,
   verifyWebhookSignature,
   parseTransactionToExpense,
+  parseTransactionToIncome,
   mapBelvoCategory,
   formatDateForBelvo,
   getDefaultSyncRange,
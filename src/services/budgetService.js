@@ -0,0 +1,228 @@
+/**
+ * Budget Service
+ * Evaluates budgets against spending in their current period window,
+ * including rollover from previous periods and envelope transfers
+ */
+
+import { ExpenseDB, BudgetDB, BudgetTransferDB } from "../database/index.js";
+import { getBudgetPeriodRange, getPreviousBudgetPeriodRange } from "../utils/budgetPeriodUtils.js";
+
+/**
+ * Rollover policies
+ * - none:    every period starts fresh
+ * - surplus: unspent money carries into the next period
+ * - both:    unspent money carries and overspending is subtracted next period
+ */
+export const ROLLOVER_POLICIES = ['none', 'surplus', 'both'];
+
+/**
+ * Normalize a rollover policy name
+ * @param {string} policy
+ * @returns {string|null} Policy ID or null if unknown
+ */
+export function normalizeRolloverPolicy(policy) {
+  if (!policy) return null;
+  const key = String(policy).toLowerCase().trim();
+  return ROLLOVER_POLICIES.includes(key) ? key : null;
+}
+
+/**
+ * Amount a period's leftover contributes to the next one under the budget's policy
+ * @param {object} budget - Budget ({ rollover, rollover_cap })
+ * @param {number} leftover - Available minus spent (negative when overspent)
+ * @returns {number}
+ */
+function applyRolloverPolicy(budget, leftover) {
+  const policy = normalizeRolloverPolicy(budget.rollover) || 'none';
+  if (policy === 'none') return 0;
+
+  let carry = policy === 'surplus' ? Math.max(leftover, 0) : leftover;
+
+  const cap = budget.rollover_cap;
+  if (cap !== null && cap !== undefined && cap !== '') {
+    const limit = Math.abs(parseFloat(cap));
+    carry = Math.max(-limit, Math.min(limit, carry));
+  }
+  return carry;
+}
+
+/**
+ * Net amount moved into a category's budget within a window
+ * @param {Array} transfers - Budget transfers
+ * @param {string} category - Category ID
+ * @param {{startDate: Date, endDate: Date}} range
+ * @returns {number} Positive when money came in, negative when it went out
+ */
+function getTransferNet(transfers, category, range) {
+  let net = 0;
+  for (const transfer of transfers) {
+    const date = new Date(transfer.date);
+    if (date < range.startDate || date > range.endDate) continue;
+    const amount = parseFloat(transfer.amount || 0);
+    if (transfer.to_category === category) net += amount;
+    if (transfer.from_category === category) net -= amount;
+  }
+  return net;
+}
+
+/**
+ * Previous windows to replay for rollover (oldest first), back to the budget's creation
+ * @returns {Array<{startDate: Date, endDate: Date}>}
+ */
+function getRolloverHistory(phone, budget, currentRange) {
+  const policy = normalizeRolloverPolicy(budget.rollover) || 'none';
+  if (policy === 'none') return [];
+
+  // Budgets without a creation date (legacy rows) have nothing to carry
+  const createdAt = new Date(budget.created_at || budget.createdAt || NaN);
+  if (Number.isNaN(createdAt.getTime())) return [];
+
+  const history = [];
+  let range = currentRange;
+  for (;;) {
+    range = getPreviousBudgetPeriodRange(budget, phone, range.startDate);
+    if (range.endDate < createdAt) break;
+    history.unshift(range);
+  }
+  return history;
+}
+
+/**
+ * Total spent in each window, from a single fetch of the category's expenses
+ * @param {Array<{date: string, amount: number}>} expenses - Category's expenses over all the windows
+ * @param {Array<{startDate: Date, endDate: Date}>} ranges - Windows, oldest first
+ * @returns {number[]} Spent per window, in the same order
+ */
+function sumByRange(expenses, ranges) {
+  const totals = ranges.map(() => 0);
+  for (const expense of expenses) {
+    const date = new Date(expense.date);
+    const index = ranges.findIndex(range => date >= range.startDate && date <= range.endDate);
+    if (index !== -1) totals[index] += parseFloat(expense.amount || 0);
+  }
+  return totals;
+}
+
+/**
+ * Get spending progress for a budget in its current period
+ * amount = base budget + carryover from previous periods + net transfers this period
+ * @param {string} phone - User's phone number
+ * @param {object} budget - Budget row
+ * @param {Date} referenceDate - Instant inside the period (defaults to now)
+ * @returns {Promise<{budget: object, startDate: Date, endDate: Date, period: string, baseAmount: number, carryover: number, transferred: number, amount: number, spent: number, remaining: number, percentage: number}>}
+ */
+export async function getBudgetProgress(phone, budget, referenceDate = new Date()) {
+  const currentRange = getBudgetPeriodRange(budget, phone, referenceDate);
+  const { startDate, endDate, period } = currentRange;
+  const baseAmount = parseFloat(budget.amount || 0);
+
+  // Every window since the budget was created, fetched once whatever the history length
+  const ranges = [...getRolloverHistory(phone, budget, currentRange), currentRange];
+  const [expenses, transfers] = await Promise.all([
+    ExpenseDB.getCategoryAmounts(phone, budget.category, ranges[0].startDate, endDate),
+    BudgetTransferDB.getByDateRange(phone, ranges[0].startDate, endDate),
+  ]);
+  const spentByRange = sumByRange(expenses || [], ranges);
+
+  // Replay previous periods to find what carries into this one
+  let carryover = 0;
+  for (const [index, range] of ranges.slice(0, -1).entries()) {
+    const available = baseAmount + carryover + getTransferNet(transfers || [], budget.category, range);
+    carryover = applyRolloverPolicy(budget, available - spentByRange[index]);
+  }
+
+  const transferred = getTransferNet(transfers || [], budget.category, currentRange);
+  const spent = spentByRange[ranges.length - 1];
+  const amount = baseAmount + carryover + transferred;
+
+  return {
+    budget,
+    startDate,
+    endDate,
+    period,
+    baseAmount,
+    carryover,
+    transferred,
+    amount,
+    spent,
+    remaining: amount - spent,
+    percentage: amount > 0 ? (spent / amount) * 100 : (spent > 0 ? 100 : 0),
+  };
+}
+
+/**
+ * Get progress for a category's budget, or null if it has none
+ * @param {string} phone - User's phone number
+ * @param {string} category - Category ID
+ * @returns {Promise<object|null>} Same shape as getBudgetProgress
+ */
+export async function getCategoryBudgetProgress(phone, category) {
+  const budget = await BudgetDB.getByCategory(phone, category);
+  if (!budget) return null;
+  return getBudgetProgress(phone, budget);
+}
+
+/**
+ * Get progress for all of a user's budgets
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Array>} Array of getBudgetProgress results
+ */
+export async function getAllBudgetProgress(phone) {
+  const budgets = (await BudgetDB.getByUser(phone)) || [];
+  const results = [];
+  for (const budget of budgets) {
+    results.push(await getBudgetProgress(phone, budget));
+  }
+  return results;
+}
+
+/**
+ * Move money between two budgets (envelope mode)
+ * Only what's left in the source's current period can be moved
+ * @param {string} phone - User's phone number
+ * @param {string} fromCategory - Source budget category
+ * @param {string} toCategory - Destination budget category
+ * @param {number} amount - Amount to move
+ * @returns {Promise<{success: boolean, error?: string, available?: number, transfer?: object, from?: object, to?: object}>}
+ *   error: 'same_category' | 'from_not_found' | 'to_not_found' | 'insufficient'
+ */
+export async function transferBetweenBudgets(phone, fromCategory, toCategory, amount) {
+  if (fromCategory === toCategory) {
+    return { success: false, error: 'same_category' };
+  }
+
+  const [fromBudget, toBudget] = await Promise.all([
+    BudgetDB.getByCategory(phone, fromCategory),
+    BudgetDB.getByCategory(phone, toCategory),
+  ]);
+  if (!fromBudget) return { success: false, error: 'from_not_found' };
+  if (!toBudget) return { success: false, error: 'to_not_found' };
+
+  const fromProgress = await getBudgetProgress(phone, fromBudget);
+  if (amount > fromProgress.remaining) {
+    return { success: false, error: 'insufficient', available: Math.max(fromProgress.remaining, 0) };
+  }
+
+  const transfer = await BudgetTransferDB.create(phone, {
+    from_category: fromCategory,
+    to_category: toCategory,
+    amount,
+    date: new Date(),
+  });
+
+  return {
+    success: true,
+    transfer,
+    from: await getBudgetProgress(phone, fromBudget),
+    to: await getBudgetProgress(phone, toBudget),
+  };
+}
+
+export default {
+  ROLLOVER_POLICIES,
+  normalizeRolloverPolicy,
+  getBudgetProgress,
+  getCategoryBudgetProgress,
+  getAllBudgetProgress,
+  transferBetweenBudgets,
+};
@@ -0,0 +1,65 @@
+/**
+ * Cash-flow Service
+ * Combines incomes and expenses to answer "¿cuánto me queda?"
+ */
+
+import { ExpenseDB, IncomeDB } from "../database/index.js";
+import { formatAmount } from "../utils/currencyUtils.js";
+import { getMessage } from "../utils/languageUtils.js";
+
+/**
+ * Get income, expenses and net balance for a date range
+ * @param {string} phone - User's phone number
+ * @param {Date} startDate
+ * @param {Date} endDate
+ * @returns {Promise<{totalIncome: number, totalExpenses: number, net: number, incomeCount: number, expenseCount: number, incomeByCategory: object}>}
+ */
+export async function getCashflow(phone, startDate, endDate) {
+  const [incomes, expenses] = await Promise.all([
+    IncomeDB.getByDateRange(phone, startDate, endDate),
+    ExpenseDB.getByDateRange(phone, startDate, endDate),
+  ]);
+
+  const totalIncome = (incomes || []).reduce((sum, i) => sum + parseFloat(i.amount || 0), 0);
+  const totalExpenses = (expenses || []).reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
+
+  const incomeByCategory = {};
+  for (const income of incomes || []) {
+    if (!incomeByCategory[income.category]) {
+      incomeByCategory[income.category] = { total: 0, count: 0 };
+    }
+    incomeByCategory[income.category].total += parseFloat(income.amount || 0);
+    incomeByCategory[income.category].count += 1;
+  }
+
+  return {
+    totalIncome,
+    totalExpenses,
+    net: totalIncome - totalExpenses,
+    incomeCount: (incomes || []).length,
+    expenseCount: (expenses || []).length,
+    incomeByCategory,
+  };
+}
+
+/**
+ * Format the net balance line ("🟢 Te quedan: $500.000")
+ * Returns null when there's no income logged (net would just be -expenses)
+ * @param {object} cashflow - Result from getCashflow
+ * @param {string} currency - User's currency
+ * @param {string} lang - Language code
+ * @returns {string|null}
+ */
+export function formatNetLine(cashflow, currency, lang) {
+  if (cashflow.totalIncome <= 0) return null;
+
+  if (cashflow.net >= 0) {
+    return getMessage('cashflow_net_positive', lang, { amount: formatAmount(cashflow.net, currency) });
+  }
+  return getMessage('cashflow_net_negative', lang, { amount: formatAmount(Math.abs(cashflow.net), currency) });
+}
+
+export default {
+  getCashflow,
+  formatNetLine,
+};
@@ -0,0 +1,63 @@
+/**
+ * Categorization Rule Service
+ * Saves the rules users write for their expenses and checks them against what they
+ * reference (categories, accounts). An explicit rule is applied before anything is
+ * guessed: it beats a learned merchant category, the model and the bank patterns
+ */
+
+import { CategorizationRuleDB, PaymentAccountDB } from "../database/index.js";
+import { normalizeRule } from "../utils/categorizationRuleUtils.js";
+import { getUserCategories, findCategory } from "../utils/categoryUtils.js";
+
+/**
+ * Create a rule, or replace an existing one's conditions and actions
+ * @param {string} phone - User's phone number
+ * @param {object} input - { conditions, actions } (see categorizationRuleUtils)
+ * @param {string} lang - Language code (for the default category list)
+ * @param {number|null} ruleId - Rule to replace, or null to create one
+ * @returns {Promise<{rule: object}|{error: string}>}
+ *   error: any from normalizeRule, unknown_category, unknown_account or not_found
+ */
+export async function saveRule(phone, input, lang, ruleId = null) {
+  const normalized = normalizeRule(input);
+  if (normalized.error) return normalized;
+  const { conditions, actions } = normalized.rule;
+
+  if (actions.category) {
+    const category = findCategory(await getUserCategories(phone, lang), actions.category);
+    if (!category) return { error: 'unknown_category' };
+    actions.category = category.id;
+  }
+
+  if (conditions.account_id && !(await PaymentAccountDB.getById(phone, conditions.account_id))) {
+    return { error: 'unknown_account' };
+  }
+
+  if (ruleId === null) {
+    const rule = await CategorizationRuleDB.create(phone, { conditions, actions });
+    console.log(`[rules] ${phone} created rule #${rule.id}`);
+    return { rule };
+  }
+
+  const rule = await CategorizationRuleDB.update(phone, ruleId, { conditions, actions });
+  return rule ? { rule } : { error: 'not_found' };
+}
+
+/**
+ * Delete a rule
+ * @param {string} phone - User's phone number
+ * @param {number} ruleId
+ * @returns {Promise<object|null>} The deleted rule, or null if the user has no such rule
+ */
+export async function deleteRule(phone, ruleId) {
+  const rule = await CategorizationRuleDB.getById(phone, ruleId);
+  if (!rule) return null;
+
+  await CategorizationRuleDB.delete(phone, ruleId);
+  return rule;
+}
+
+export default {
+  saveRule,
+  deleteRule,
+};
@@ -3,15 +3,40 @@
  * Manages the last 20 messages per user for context in AI conversations.
  * STRICT LIMIT: Always maintains exactly 20 messages max, older ones are dropped.
  *
- * Persistence: Messages are saved to Supabase and cached in memory.
+ * Compaction: once the older turns pass their token budget, compactContext folds them
+ * into a running summary (one cheap LLM call) instead of letting them fall off,
+ * so the agent still knows what was said earlier.
+ *
+ * Persistence: Messages (and the summary) are saved to Supabase and cached in memory.
  * On server restart, context is restored from the database.
  */
 
-import { saveMessage, getRecentMessages, clearMessages as dbClearMessages } from '../database/conversationDB.js';
+import { ConversationDB } from '../database/index.js';
 import { startTimer } from '../utils/performanceTimer.js';
+import { callWithFallback } from './llmFallbackService.js';
+import { TASKS } from './modelConfig.js';
 
 const MAX_MESSAGES = 20;
 
+// Compact when the older messages (all but the recent ones) pass this many (estimated)
+// tokens or the context nears MAX_MESSAGES. The recent ones are sent as they are anyway,
+// so they don't count: a few long messages alone never trigger a summary call
+const CONTEXT_TOKEN_BUDGET = parseInt(process.env.CONTEXT_TOKEN_BUDGET) || 1500;
+
+// Most recent messages kept word for word when compacting (even: whole user/assistant turns)
+const KEEP_RECENT_MESSAGES = 6;
+
+// Fewer older messages than this aren't worth a summary call (two whole turns)
+const MIN_MESSAGES_TO_FOLD = 4;
+
+const SUMMARY_PROMPT = `You summarize a WhatsApp conversation between a user and Monedita, their expense tracking assistant.
+Write at most 6 short bullet points in the user's language. Keep amounts, categories, dates, names and anything still pending (questions the assistant asked, confirmations it is waiting for). Leave out greetings and small talk.
+If there is a summary so far, merge it with the new messages into one summary.`;
+
+// In-memory store: phone -> { summary: string|null, summarizedUntil: number }
+// Messages before summarizedUntil are covered by the summary
+const summaries = new Map();
+
 // In-memory store: phone -> messages[]
 // Each message: { role: 'user'|'assistant', content: string, timestamp: number }
 const contexts = new Map();
@@ -53,7 +78,7 @@ export function addMessage(phone, role, content) {
 
   // Persist to database (async, fire-and-forget)
   // Errors are logged but don't interrupt the chat flow
-  saveMessage(phone, role, trimmedContent).catch(err => {
+  Promise.resolve(ConversationDB.saveMessage(phone, role, trimmedContent)).catch(err => {
     console.error(`[context] Failed to persist message for ${phone}:`, err);
   });
 }
@@ -83,16 +108,19 @@ export async function getContextForClaude(phone) {
   if (!context || context.length === 0) {
     try {
       const timer = startTimer('context_db_load', phone);
-      const dbMessages = await getRecentMessages(phone, MAX_MESSAGES);
+      const dbMessages = await ConversationDB.getRecentMessages(phone, MAX_MESSAGES);
+      const { summarizedUntil } = await loadSummary(phone);
       timer.end();
 
       if (dbMessages && dbMessages.length > 0) {
-        // Convert DB format to our format and cache
-        context = dbMessages.map(msg => ({
-          role: msg.role,
-          content: msg.content,
-          timestamp: new Date(msg.created_at).getTime()
-        }));
+        // Convert DB format to our format and cache (skipping what the summary covers)
+        context = dbMessages
+          .map(msg => ({
+            role: msg.role,
+            content: msg.content,
+            timestamp: new Date(msg.created_at).getTime()
+          }))
+          .filter(msg => msg.timestamp >= summarizedUntil);
         contexts.set(phone, context);
         console.log(`[context] Loaded ${context.length} messages from DB for ${phone}`);
       } else {
@@ -134,10 +162,11 @@ export function getContextAsString(phone) {
  */
 export function clearContext(phone) {
   contexts.delete(phone);
+  summaries.delete(phone);
   console.log(`[context] Cleared memory context for ${phone}`);
 
   // Also clear from database (async, fire-and-forget)
-  dbClearMessages(phone).catch(err => {
+  Promise.resolve(ConversationDB.clearMessages(phone)).catch(err => {
     console.error(`[context] Failed to clear DB context for ${phone}:`, err);
   });
 }
@@ -159,8 +188,14 @@ export function getContextSize(phone) {
  * @returns {number} - Estimated tokens
  */
 export function estimateContextTokens(phone) {
-  const context = getContext(phone);
-  const totalChars = context.reduce((sum, msg) => sum + msg.content.length, 0);
+  return estimateTokens(getContext(phone));
+}
+
+/**
+ * Estimate token count for some messages (~4 characters per token)
+ */
+function estimateTokens(messages) {
+  const totalChars = messages.reduce((sum, msg) => sum + msg.content.length, 0);
   return Math.ceil(totalChars / 4);
 }
 
@@ -181,6 +216,95 @@ export function pruneToTokenLimit(phone, maxTokens) {
   console.log(`[context] Pruned context for ${phone} to ${context.length} messages`);
 }
 
+/**
+ * Summary for a user (memory first, then the database)
+ * @returns {Promise<{summary: string|null, summarizedUntil: number}>}
+ */
+async function loadSummary(phone) {
+  if (summaries.has(phone)) return summaries.get(phone);
+
+  let loaded = { summary: null, summarizedUntil: 0 };
+  try {
+    const row = await ConversationDB.getSummary(phone);
+    if (row?.summary) {
+      loaded = { summary: row.summary, summarizedUntil: new Date(row.summarized_until).getTime() };
+    }
+  } catch (err) {
+    console.error(`[context] Failed to load summary for ${phone}:`, err);
+  }
+  summaries.set(phone, loaded);
+  return loaded;
+}
+
+/**
+ * Get the summary of a user's older turns (for the system prompt)
+ * @param {string} phone - User's phone number
+ * @returns {Promise<string|null>}
+ */
+export async function getContextSummary(phone) {
+  return (await loadSummary(phone)).summary;
+}
+
+/**
+ * Fold older turns into the summary once they pass the token budget (or the context
+ * nears MAX_MESSAGES, where they'd be dropped). Keeps the last KEEP_RECENT_MESSAGES,
+ * and only folds at least MIN_MESSAGES_TO_FOLD.
+ * If the LLM call fails nothing changes: the context is still capped at MAX_MESSAGES
+ * @param {string} phone - User's phone number
+ * @param {object} options
+ * @param {string} options.plan - User's plan ID (selects the provider chain)
+ * @returns {Promise<object|null>} - The summarization LLM response (for cost accounting), null if nothing was compacted
+ */
+export async function compactContext(phone, { plan = null } = {}) {
+  const context = contexts.get(phone);
+  if (!context || context.length < KEEP_RECENT_MESSAGES + MIN_MESSAGES_TO_FOLD) return null;
+
+  const older = context.slice(0, context.length - KEEP_RECENT_MESSAGES);
+  const overBudget = estimateTokens(older) > CONTEXT_TOKEN_BUDGET;
+  const nearLimit = context.length > MAX_MESSAGES - 2;
+  if (!overBudget && !nearLimit) return null;
+
+  const previous = await loadSummary(phone);
+  const transcript = older
+    .map(msg => `${msg.role === 'user' ? 'User' : 'Assistant'}: ${msg.content}`)
+    .join('\n');
+  const request = previous.summary
+    ? `Summary so far:\n${previous.summary}\n\nNew messages:\n${transcript}`
+    : `Messages:\n${transcript}`;
+
+  let response;
+  try {
+    const timer = startTimer('context_compaction', phone);
+    response = await callWithFallback(SUMMARY_PROMPT, [{ role: 'user', content: request }], [], {
+      task: TASKS.EXTRACTION,
+      plan,
+    });
+    timer.end();
+  } catch (err) {
+    console.error(`[context] Failed to summarize context for ${phone}:`, err.message || err);
+    return null;
+  }
+
+  const summary = response.content
+    .filter(block => block.type === 'text')
+    .map(block => block.text)
+    .join('\n')
+    .trim();
+  if (!summary) return response;
+
+  // The first kept message marks where the summary ends (also for messages reloaded from the DB)
+  const summarizedUntil = context[older.length].timestamp;
+  summaries.set(phone, { summary, summarizedUntil });
+  context.splice(0, older.length);
+  console.log(`[context] Summarized ${older.length} older messages for ${phone}, ${context.length} kept`);
+
+  Promise.resolve(ConversationDB.saveSummary(phone, summary, new Date(summarizedUntil))).catch(err => {
+    console.error(`[context] Failed to persist summary for ${phone}:`, err);
+  });
+
+  return response;
+}
+
 export default {
   addMessage,
   getContext,
@@ -190,5 +314,7 @@ export default {
   getContextSize,
   estimateContextTokens,
   pruneToTokenLimit,
+  getContextSummary,
+  compactContext,
   MAX_MESSAGES
 };
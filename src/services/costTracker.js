@@ -2,20 +2,18 @@
  * Cost Tracker Service - Dynamic cost calculation based on real API usage
  *
  * Instead of fixed monedita costs, this service calculates real costs based on:
- * - Claude API tokens (input/output)
+ * - LLM tokens (input/output/cached), priced per provider and model (see modelConfig.js)
  * - WhatsApp messages sent
  * - Whisper transcription (if using OpenAI, not Groq)
  *
  * 1 monedita = $0.002 USD
  */
 
+import { getModelPricing } from "./modelConfig.js";
+
 // API Pricing (as of February 2026)
+// LLM pricing per model lives in modelConfig.js
 const PRICING = {
-  // Claude Sonnet 4
-  claude: {
-    inputPerMillion: 3,    // $3 per 1M input tokens
-    outputPerMillion: 15,  // $15 per 1M output tokens
-  },
   // WhatsApp Business API (Colombia average)
   whatsapp: {
     perMessage: 0.0008,    // ~$0.0008 per message
@@ -36,24 +34,55 @@ export const MAX_ESTIMATES = {
 };
 
 /**
- * Calculate moneditas from Claude API usage
- * @param {number} inputTokens - Input tokens used
- * @param {number} outputTokens - Output tokens used
- * @returns {{costUSD: number, moneditas: number}}
+ * Calculate moneditas from LLM usage, each call priced by its provider and model
+ * @param {Array<{provider: string, model: string, inputTokens: number, outputTokens: number, cacheReadTokens?: number, cacheWriteTokens?: number}>|object} calls
+ *   One call or several (e.g. every iteration of the agent's tool loop). inputTokens
+ *   excludes cached tokens, which are priced separately
+ * @returns {{inputTokens: number, outputTokens: number, cacheReadTokens: number, cacheWriteTokens: number, costUSD: number, moneditas: number, models: Array<string>}}
  */
-export function calculateClaudeCost(inputTokens, outputTokens) {
-  const inputCost = (inputTokens / 1_000_000) * PRICING.claude.inputPerMillion;
-  const outputCost = (outputTokens / 1_000_000) * PRICING.claude.outputPerMillion;
-  const costUSD = inputCost + outputCost;
+export function calculateLLMCost(calls) {
+  const list = (Array.isArray(calls) ? calls : [calls]).filter(Boolean);
+  let inputTokens = 0;
+  let outputTokens = 0;
+  let cacheReadTokens = 0;
+  let cacheWriteTokens = 0;
+  let costUSD = 0;
+
+  for (const call of list) {
+    const pricing = getModelPricing(call.provider || 'claude', call.model);
+    inputTokens += call.inputTokens || 0;
+    outputTokens += call.outputTokens || 0;
+    cacheReadTokens += call.cacheReadTokens || 0;
+    cacheWriteTokens += call.cacheWriteTokens || 0;
+    costUSD += ((call.inputTokens || 0) / 1_000_000) * pricing.inputPerMillion;
+    costUSD += ((call.outputTokens || 0) / 1_000_000) * pricing.outputPerMillion;
+    costUSD += ((call.cacheReadTokens || 0) / 1_000_000) * (pricing.cacheReadPerMillion ?? pricing.inputPerMillion);
+    costUSD += ((call.cacheWriteTokens || 0) / 1_000_000) * (pricing.cacheWritePerMillion ?? pricing.inputPerMillion);
+  }
 
   return {
     inputTokens,
     outputTokens,
+    cacheReadTokens,
+    cacheWriteTokens,
     costUSD,
     moneditas: Math.ceil(costUSD / PRICING.moneditaValue),
+    models: [...new Set(list.map(c => c.model || c.provider).filter(Boolean))],
   };
 }
 
+/**
+ * Calculate moneditas from Claude API usage (priced as Claude Sonnet)
+ * @param {number} inputTokens - Uncached input tokens
+ * @param {number} outputTokens - Output tokens used
+ * @param {number} cacheReadTokens - Input tokens read from the prompt cache
+ * @param {number} cacheWriteTokens - Input tokens written to the prompt cache
+ * @returns {{costUSD: number, moneditas: number}}
+ */
+export function calculateClaudeCost(inputTokens, outputTokens, cacheReadTokens = 0, cacheWriteTokens = 0) {
+  return calculateLLMCost({ provider: 'claude', inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens });
+}
+
 /**
  * Calculate moneditas from WhatsApp messages
  * @param {number} messageCount - Number of messages sent
@@ -94,7 +123,7 @@ export function calculateWhisperCost(durationSeconds, isGroq = false) {
 /**
  * Calculate total moneditas for an operation
  * @param {object} usage - Usage data from various APIs
- * @param {object} usage.claude - {inputTokens, outputTokens}
+ * @param {Array|object} usage.llm - LLM calls: {provider, model, inputTokens, outputTokens, cacheReadTokens, cacheWriteTokens}
  * @param {number} usage.whatsappMessages - Number of WA messages
  * @param {object} usage.whisper - {durationSeconds, isGroq}
  * @returns {{totalCostUSD: number, totalMoneditas: number, breakdown: object}}
@@ -103,14 +132,11 @@ export function calculateTotalCost(usage = {}) {
   const breakdown = {};
   let totalCostUSD = 0;
 
-  // Claude costs
-  if (usage.claude) {
-    const claudeCost = calculateClaudeCost(
-      usage.claude.inputTokens || 0,
-      usage.claude.outputTokens || 0
-    );
-    breakdown.claude = claudeCost;
-    totalCostUSD += claudeCost.costUSD;
+  // LLM costs
+  if (usage.llm) {
+    const llmCost = calculateLLMCost(usage.llm);
+    breakdown.llm = llmCost;
+    totalCostUSD += llmCost.costUSD;
   }
 
   // WhatsApp costs
@@ -162,9 +188,12 @@ export function estimateAudioDuration(bufferSize) {
 export function formatCostLog(costResult) {
   const parts = [];
 
-  if (costResult.breakdown.claude) {
-    const c = costResult.breakdown.claude;
-    parts.push(`Claude: ${c.inputTokens}in/${c.outputTokens}out = $${c.costUSD.toFixed(4)}`);
+  if (costResult.breakdown.llm) {
+    const c = costResult.breakdown.llm;
+    const cached = c.cacheReadTokens || c.cacheWriteTokens
+      ? ` (cache ${c.cacheReadTokens}read/${c.cacheWriteTokens}write)`
+      : '';
+    parts.push(`LLM(${c.models.join(',') || 'none'}): ${c.inputTokens}in/${c.outputTokens}out${cached} = $${c.costUSD.toFixed(4)}`);
   }
 
   if (costResult.breakdown.whatsapp) {
@@ -183,6 +212,7 @@ export function formatCostLog(costResult) {
 export default {
   PRICING,
   MAX_ESTIMATES,
+  calculateLLMCost,
   calculateClaudeCost,
   calculateWhatsAppCost,
   calculateWhisperCost,
@@ -0,0 +1,175 @@
+/**
+ * Fast Path Service
+ * Logs simple expense messages ("uber 12k", "almuerzo 25mil y café 5k") without calling
+ * the LLM. expenseParser extracts the amounts and this service picks the category from
+ * the user's own history first, so "mercado" goes where they always put it.
+ * Anything the parser isn't sure about goes to the FinanceAgent as before.
+ *
+ * Disable with FAST_PATH_ENABLED=false
+ */
+
+import { ExpenseDB } from "../database/index.js";
+import { executeTool } from "../tools/index.js";
+import { addMessage } from "./conversationContext.js";
+import { sendContextStickerWithLimit } from "./stickerService.js";
+import { consumeMoneditas } from "./moneditasService.js";
+import { calculateTotalCost, formatCostLog } from "./costTracker.js";
+import { getUserCategories } from "../utils/categoryUtils.js";
+import { extractExpenseCandidates, learnKeywords, resolveCategory } from "../utils/expenseParser.js";
+
+// Past expenses the keywords are learned from
+const HISTORY_SIZE = 200;
+
+// Most rows ExpenseDB.getByFilter returns per page
+const FILTER_PAGE_SIZE = 100;
+
+// Moneditas an agent text message costs, until real ones are recorded
+const DEFAULT_AGENT_COST = 5;
+
+const stats = {
+  attempts: 0,
+  hits: 0,
+  misses: {}, // reason -> count
+  moneditasCharged: 0,
+  moneditasSaved: 0,
+  agentMessages: 0,
+  agentMoneditas: 0,
+};
+
+/**
+ * Whether the fast path is on
+ */
+export function isFastPathEnabled() {
+  return process.env.FAST_PATH_ENABLED !== 'false';
+}
+
+function recordMiss(reason) {
+  stats.misses[reason] = (stats.misses[reason] || 0) + 1;
+  return { handled: false, reason };
+}
+
+/**
+ * Average moneditas an agent text message costs
+ */
+function getAverageAgentCost() {
+  return stats.agentMessages > 0
+    ? stats.agentMoneditas / stats.agentMessages
+    : DEFAULT_AGENT_COST;
+}
+
+/**
+ * Keywords learned from the user's most recent expenses
+ */
+async function getLearnedKeywords(phone) {
+  const recent = [];
+  let page;
+  do {
+    page = await ExpenseDB.getByFilter(phone, {}, {
+      sortBy: 'date',
+      sortOrder: 'desc',
+      limit: Math.min(FILTER_PAGE_SIZE, HISTORY_SIZE - recent.length),
+      offset: recent.length,
+    });
+    recent.push(...page.expenses);
+  } while (page.hasMore && page.expenses.length > 0 && recent.length < HISTORY_SIZE);
+  return learnKeywords(recent);
+}
+
+/**
+ * Try to log a message without the LLM
+ * @param {string} phone - User's phone number
+ * @param {string} text - Message text
+ * @param {string} lang - Language code
+ * @param {string} userCurrency - User's currency
+ * @returns {Promise<{handled: boolean, response?: string, reason?: string}>}
+ */
+export async function tryFastPath(phone, text, lang, userCurrency) {
+  if (!isFastPathEnabled()) return { handled: false, reason: 'disabled' };
+  stats.attempts++;
+
+  let expenses;
+  try {
+    const parsed = extractExpenseCandidates(text, { lang, currency: userCurrency });
+    if (parsed.reason) return recordMiss(parsed.reason);
+
+    const categories = await getUserCategories(phone, lang);
+    if (categories.length === 0) return recordMiss('no_categories');
+
+    const learnedKeywords = await getLearnedKeywords(phone);
+    expenses = [];
+    for (const candidate of parsed.candidates) {
+      const resolved = resolveCategory(candidate.words, { categories, learnedKeywords });
+      if (resolved.reason) return recordMiss(resolved.reason);
+      expenses.push({
+        amount: candidate.amount,
+        category: resolved.category,
+        description: candidate.description,
+        // "comida 20k": the user named it, so rules and learned merchants don't override it
+        ...(resolved.source === 'name' && { categoryNamed: true }),
+      });
+    }
+  } catch (error) {
+    console.error('[fastPath] Error, falling back to the agent:', error.message);
+    return recordMiss('error');
+  }
+
+  const result = await executeTool('log_expense', phone, { expenses }, lang, userCurrency);
+  // A tool asking the user to pick (e.g. a category) already sent its picker: falling
+  // back to the agent would only ask again
+  if (!result.success && !result.awaitingReply) return recordMiss('tool_failed');
+  stats.hits++;
+
+  // The expenses are logged from here on: handing the message to the agent would log
+  // them twice, so bookkeeping errors are only logged
+  try {
+    addMessage(phone, 'user', text);
+    if (result.message) addMessage(phone, 'assistant', result.message);
+    if (result.sticker) await sendContextStickerWithLimit(phone, result.sticker);
+
+    // Only the reply message is charged
+    const costResult = calculateTotalCost({ whatsappMessages: 1 });
+    console.log(formatCostLog(costResult));
+    const actualCost = Math.max(1, costResult.totalMoneditas);
+    await consumeMoneditas(phone, actualCost, "text_message_fast_path");
+
+    stats.moneditasCharged += actualCost;
+    stats.moneditasSaved += Math.max(0, getAverageAgentCost() - actualCost);
+
+    console.log(`[fastPath] Logged ${expenses.length} expense(s) for ${phone} without the LLM`);
+  } catch (error) {
+    console.error('[fastPath] Error after logging the expenses:', error.message);
+  }
+  return { handled: true, response: result.awaitingReply ? null : result.message };
+}
+
+/**
+ * Record what an agent text message cost (the baseline for moneditasSaved)
+ * @param {number} moneditas
+ */
+export function recordAgentCost(moneditas) {
+  stats.agentMessages++;
+  stats.agentMoneditas += moneditas;
+}
+
+/**
+ * Hit rate and savings since startup
+ */
+export function getFastPathStats() {
+  return {
+    enabled: isFastPathEnabled(),
+    attempts: stats.attempts,
+    hits: stats.hits,
+    hitRate: stats.attempts > 0 ? Math.round((stats.hits / stats.attempts) * 1000) / 1000 : 0,
+    misses: { ...stats.misses },
+    moneditasCharged: stats.moneditasCharged,
+    moneditasSaved: Math.round(stats.moneditasSaved * 100) / 100,
+    averageAgentMoneditas: Math.round(getAverageAgentCost() * 100) / 100,
+  };
+}
+
+export default {
+  isFastPathEnabled,
+  tryFastPath,
+  recordAgentCost,
+  getFastPathStats,
+};
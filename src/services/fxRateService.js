@@ -0,0 +1,139 @@
+/**
+ * FX Rate Service
+ * Converts foreign-currency expenses ("20 USD taxi") to the user's base currency
+ *
+ * Rate providers are pluggable: { name, getRate(from, to, date) => Promise<number> }
+ * - static:      built-in approximate rates, offline and deterministic (tests, local dev)
+ * - open_er_api: daily rates from open.er-api.com (no API key needed)
+ *
+ * Select with FX_RATE_PROVIDER (default: open_er_api). If the provider fails,
+ * the static table is used so logging never blocks on the network
+ */
+
+import axios from "axios";
+import { CURRENCY_RULES } from "../utils/currencyUtils.js";
+
+// Approximate units per 1 USD, for the static provider
+const STATIC_USD_RATES = {
+  USD: 1, EUR: 0.92, GBP: 0.79, COP: 4000, MXN: 18, BRL: 5.4, ARS: 1000, CLP: 930,
+  PEN: 3.75, JPY: 150, KRW: 1350, CNY: 7.2, INR: 83, AUD: 1.52, NZD: 1.65, CHF: 0.88,
+  SEK: 10.5, NOK: 10.7, DKK: 6.9, PLN: 4, RUB: 92, TRY: 32, ZAR: 18.5, AED: 3.67,
+  SAR: 3.75, SGD: 1.34, HKD: 7.8, MYR: 4.7, THB: 36, PHP: 56, IDR: 15700, VND: 25000,
+};
+
+// Cache live rates per base currency for a few hours
+const RATE_CACHE_TTL_MS = 6 * 60 * 60 * 1000;
+const rateCache = new Map();
+
+const providers = new Map();
+
+/**
+ * Register a rate provider
+ * @param {{name: string, getRate: Function}} provider
+ */
+export function registerRateProvider(provider) {
+  providers.set(provider.name, provider);
+}
+
+/**
+ * Get the active provider (FX_RATE_PROVIDER, default open_er_api)
+ * @returns {{name: string, getRate: Function}}
+ */
+export function getRateProvider() {
+  const name = process.env.FX_RATE_PROVIDER || 'open_er_api';
+  return providers.get(name) || providers.get('static');
+}
+
+registerRateProvider({
+  name: 'static',
+  async getRate(from, to) {
+    const fromRate = STATIC_USD_RATES[from];
+    const toRate = STATIC_USD_RATES[to];
+    if (!fromRate || !toRate) {
+      throw new Error(`No static rate for ${from}/${to}`);
+    }
+    return toRate / fromRate;
+  },
+});
+
+registerRateProvider({
+  name: 'open_er_api',
+  async getRate(from, to) {
+    const cached = rateCache.get(from);
+    let rates = cached && Date.now() - cached.timestamp < RATE_CACHE_TTL_MS ? cached.rates : null;
+
+    if (!rates) {
+      const response = await axios.get(`https://open.er-api.com/v6/latest/${from}`, { timeout: 5000 });
+      if (response.data?.result !== 'success') {
+        throw new Error(`open.er-api error: ${response.data?.['error-type'] || 'unknown'}`);
+      }
+      rates = response.data.rates;
+      rateCache.set(from, { rates, timestamp: Date.now() });
+    }
+
+    if (!rates[to]) {
+      throw new Error(`No rate for ${from}/${to}`);
+    }
+    return rates[to];
+  },
+});
+
+/**
+ * Get the exchange rate from one currency to another
+ * @param {string} from - ISO currency code
+ * @param {string} to - ISO currency code
+ * @param {Date} date - When the expense happened (providers may only have current rates)
+ * @returns {Promise<{rate: number, provider: string}>}
+ */
+export async function getExchangeRate(from, to, date = new Date()) {
+  if (from === to) return { rate: 1, provider: 'identity' };
+
+  const provider = getRateProvider();
+  try {
+    return { rate: await provider.getRate(from, to, date), provider: provider.name };
+  } catch (error) {
+    if (provider.name === 'static') throw error;
+    console.warn(`[fxRate] ${provider.name} failed for ${from}/${to}, using static rates:`, error.message);
+    return { rate: await providers.get('static').getRate(from, to, date), provider: 'static' };
+  }
+}
+
+/**
+ * Round an amount to a currency's decimal places
+ */
+function roundToCurrency(amount, currency) {
+  const decimals = CURRENCY_RULES[currency]?.decimalPlaces ?? 2;
+  const factor = 10 ** decimals;
+  return Math.round(amount * factor) / factor;
+}
+
+/**
+ * Convert an expense amount to the user's base currency
+ * Returns the fields to store on the expense; original_* are null for base-currency amounts
+ * @param {number} amount - Amount in the original currency
+ * @param {string|null} currency - Original currency (null = base currency)
+ * @param {string} baseCurrency - User's currency
+ * @param {Date} date - When the expense happened
+ * @returns {Promise<{amount: number, original_amount: number|null, original_currency: string|null, fx_rate: number|null}>}
+ */
+export async function convertToBaseCurrency(amount, currency, baseCurrency, date = new Date()) {
+  const from = (currency || baseCurrency || '').toUpperCase();
+  if (!from || !baseCurrency || from === baseCurrency) {
+    return { amount, original_amount: null, original_currency: null, fx_rate: null };
+  }
+
+  const { rate } = await getExchangeRate(from, baseCurrency, date);
+  return {
+    amount: roundToCurrency(amount * rate, baseCurrency),
+    original_amount: amount,
+    original_currency: from,
+    fx_rate: rate,
+  };
+}
+
+export default {
+  registerRateProvider,
+  getRateProvider,
+  getExchangeRate,
+  convertToBaseCurrency,
+};
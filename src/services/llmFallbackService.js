@@ -2,15 +2,21 @@
  * LLM Fallback Service
  * Provides fallback to Gemini/OpenAI when Claude API is overloaded
  *
- * Order: Claude → Gemini → OpenAI
+ * Order: Claude → Gemini → OpenAI (configurable per plan, see modelConfig.js)
+ * Providers that keep failing are skipped for a while (circuit breaker)
+ *
+ * Providers live in a registry, so others can be plugged in (the "replay" provider
+ * serves recorded responses, see llmFixtures.js; the WhatsApp simulator adds a scripted one)
  */
 
 import axios from "axios";
 import { startTimer } from "../utils/performanceTimer.js";
+import { getLlmMode, recordFixture, replayProvider } from "./llmFixtures.js";
+import { TASKS, getModelForTask, getProviderChainForPlan } from "./modelConfig.js";
 
 // API configurations
 const CLAUDE_API_URL = "https://api.anthropic.com/v1/messages";
-const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta/models/gemini-2.0-flash:generateContent";
+const GEMINI_API_URL = "https://generativelanguage.googleapis.com/v1beta/models";
 const OPENAI_API_URL = "https://api.openai.com/v1/chat/completions";
 
 // Check if error is recoverable (should try fallback)
@@ -29,18 +35,77 @@ function isRecoverableError(error) {
   );
 }
 
+// Circuit breaker: after BREAKER_THRESHOLD failures in a row a provider is skipped
+// for BREAKER_COOLDOWN_MS, then gets one trial call (success closes it again)
+const BREAKER_THRESHOLD = parseInt(process.env.LLM_BREAKER_THRESHOLD) || 3;
+const BREAKER_COOLDOWN_MS = parseInt(process.env.LLM_BREAKER_COOLDOWN_MS) || 60 * 1000;
+
+// Store: provider -> { failures, openUntil }
+const breakers = new Map();
+
+function isProviderAvailable(name) {
+  const breaker = breakers.get(name);
+  return !breaker || breaker.openUntil <= Date.now();
+}
+
+function recordProviderSuccess(name) {
+  breakers.delete(name);
+}
+
+function recordProviderFailure(name, error) {
+  // A rejected request (400, 401...) says nothing about whether the provider is up
+  if (error.response && !isRecoverableError(error)) return;
+
+  const breaker = breakers.get(name) || { failures: 0, openUntil: 0 };
+  breaker.failures++;
+  if (breaker.failures >= BREAKER_THRESHOLD) {
+    breaker.openUntil = Date.now() + BREAKER_COOLDOWN_MS;
+    console.warn(`[llmFallback] ${name} failed ${breaker.failures} times in a row, skipping it for ${BREAKER_COOLDOWN_MS / 1000}s`);
+  }
+  breakers.set(name, breaker);
+}
+
+/**
+ * Circuit breaker state of every provider that failed recently
+ * @returns {Object<string, {failures: number, open: boolean, openUntil: string|null}>}
+ */
+export function getProviderHealth() {
+  const health = {};
+  for (const [name, breaker] of breakers) {
+    const open = breaker.openUntil > Date.now();
+    health[name] = {
+      failures: breaker.failures,
+      open,
+      openUntil: open ? new Date(breaker.openUntil).toISOString() : null,
+    };
+  }
+  return health;
+}
+
+/**
+ * Text of a system prompt: a string, or Claude-style text blocks (the agent marks its
+ * static prefix with cache_control so Claude caches it)
+ * @param {string|Array<{type: string, text: string}>} systemPrompt
+ * @returns {string}
+ */
+export function getSystemPromptText(systemPrompt) {
+  if (!Array.isArray(systemPrompt)) return systemPrompt || '';
+  return systemPrompt.map(block => block.text).filter(Boolean).join('\n\n');
+}
+
 /**
  * Call Claude API
+ * Takes the system prompt as given: blocks with cache_control are cached with the tools before them
  */
-async function callClaude(systemPrompt, messages, tools) {
+async function callClaude(systemPrompt, messages, tools, { model, maxTokens }) {
   const timer = startTimer('claude_api');
   const response = await axios.post(
     CLAUDE_API_URL,
     {
-      model: "claude-sonnet-4-20250514",
-      max_tokens: 1024,
+      model,
+      max_tokens: maxTokens,
       system: systemPrompt,
-      tools: tools,
+      ...(tools && tools.length > 0 && { tools }),
       messages: messages,
     },
     {
@@ -54,13 +119,49 @@ async function callClaude(systemPrompt, messages, tools) {
   );
   timer.end();
 
+  // Claude reports cached tokens apart from input_tokens already
+  const usage = response.data.usage || {};
   return {
     provider: 'claude',
+    model,
     content: response.data.content,
-    usage: response.data.usage || { input_tokens: 0, output_tokens: 0 },
+    usage: {
+      input_tokens: usage.input_tokens || 0,
+      output_tokens: usage.output_tokens || 0,
+      cache_read_input_tokens: usage.cache_read_input_tokens || 0,
+      cache_creation_input_tokens: usage.cache_creation_input_tokens || 0,
+    },
   };
 }
 
+/**
+ * Generate a tool_use ID for providers that don't return one (Gemini)
+ * Claude requires every tool_result to reference the tool_use it answers
+ */
+function generateToolUseId(provider) {
+  return `${provider}_${Date.now().toString(36)}_${Math.random().toString(36).slice(2, 8)}`;
+}
+
+/**
+ * Normalize message content to an array of Claude content blocks
+ * History messages are plain strings, tool loop messages are block arrays
+ */
+function toContentBlocks(content) {
+  if (Array.isArray(content)) return content;
+  return [{ type: 'text', text: content || '' }];
+}
+
+/**
+ * Get the text of a tool_result block (string or array of text blocks)
+ */
+function getToolResultText(block) {
+  if (typeof block.content === 'string') return block.content;
+  if (Array.isArray(block.content)) {
+    return block.content.filter(c => c.type === 'text').map(c => c.text).join('\n');
+  }
+  return '';
+}
+
 /**
  * Convert Claude tools format to Gemini function declarations
  */
@@ -75,7 +176,7 @@ function convertToolsToGemini(tools) {
 /**
  * Call Gemini API
  */
-async function callGemini(systemPrompt, messages, tools) {
+async function callGemini(systemPrompt, messages, tools, { model, maxTokens }) {
   const apiKey = process.env.GEMINI_API_KEY;
   if (!apiKey) {
     throw new Error('GEMINI_API_KEY not configured');
@@ -84,15 +185,12 @@ async function callGemini(systemPrompt, messages, tools) {
   const timer = startTimer('gemini_api');
 
   // Convert messages to Gemini format
-  const geminiMessages = messages.map(m => ({
-    role: m.role === 'assistant' ? 'model' : 'user',
-    parts: [{ text: m.content }],
-  }));
+  const geminiMessages = convertMessagesToGemini(messages);
 
   // Add system prompt as first user message (Gemini doesn't have system role in same way)
   geminiMessages.unshift({
     role: 'user',
-    parts: [{ text: `System instructions: ${systemPrompt}\n\nNow respond to the user's messages.` }],
+    parts: [{ text: `System instructions: ${getSystemPromptText(systemPrompt)}\n\nNow respond to the user's messages.` }],
   });
   geminiMessages.splice(1, 0, {
     role: 'model',
@@ -102,7 +200,7 @@ async function callGemini(systemPrompt, messages, tools) {
   const requestBody = {
     contents: geminiMessages,
     generationConfig: {
-      maxOutputTokens: 1024,
+      maxOutputTokens: maxTokens,
       temperature: 0.7,
     },
   };
@@ -115,7 +213,7 @@ async function callGemini(systemPrompt, messages, tools) {
   }
 
   const response = await axios.post(
-    `${GEMINI_API_URL}?key=${apiKey}`,
+    `${GEMINI_API_URL}/${model}:generateContent?key=${apiKey}`,
     requestBody,
     {
       headers: { "content-type": "application/json" },
@@ -137,22 +235,130 @@ async function callGemini(systemPrompt, messages, tools) {
     } else if (part.functionCall) {
       content.push({
         type: 'tool_use',
+        id: generateToolUseId('gemini'),
         name: part.functionCall.name,
-        input: part.functionCall.args,
+        input: part.functionCall.args || {},
       });
     }
   }
 
+  // Gemini counts cached tokens (implicit caching) inside promptTokenCount
+  const usage = response.data.usageMetadata || {};
+  const cachedTokens = usage.cachedContentTokenCount || 0;
   return {
     provider: 'gemini',
+    model,
     content: content,
     usage: {
-      input_tokens: response.data.usageMetadata?.promptTokenCount || 0,
-      output_tokens: response.data.usageMetadata?.candidatesTokenCount || 0,
+      input_tokens: (usage.promptTokenCount || 0) - cachedTokens,
+      output_tokens: usage.candidatesTokenCount || 0,
+      cache_read_input_tokens: cachedTokens,
     },
   };
 }
 
+/**
+ * Convert Claude-format messages (including tool_use/tool_result blocks) to Gemini contents
+ * Gemini identifies function responses by name, so tool_use IDs are mapped back to names
+ */
+function convertMessagesToGemini(messages) {
+  const toolNamesById = new Map();
+  const contents = [];
+
+  for (const m of messages) {
+    const parts = [];
+
+    for (const block of toContentBlocks(m.content)) {
+      if (block.type === 'text') {
+        if (block.text) parts.push({ text: block.text });
+      } else if (block.type === 'image') {
+        parts.push({ inlineData: { mimeType: block.source.media_type, data: block.source.data } });
+      } else if (block.type === 'tool_use') {
+        toolNamesById.set(block.id, block.name);
+        parts.push({ functionCall: { name: block.name, args: block.input || {} } });
+      } else if (block.type === 'tool_result') {
+        parts.push({
+          functionResponse: {
+            name: toolNamesById.get(block.tool_use_id) || 'unknown_tool',
+            response: { content: getToolResultText(block) },
+          },
+        });
+      }
+    }
+
+    if (parts.length === 0) continue;
+
+    contents.push({
+      role: m.role === 'assistant' ? 'model' : 'user',
+      parts,
+    });
+  }
+
+  return contents;
+}
+
+/**
+ * Convert Claude-format messages (including tool_use/tool_result blocks) to OpenAI chat messages
+ * Each tool_result becomes its own "tool" message linked by tool_call_id
+ */
+function convertMessagesToOpenAI(messages) {
+  const openaiMessages = [];
+
+  for (const m of messages) {
+    if (typeof m.content === 'string') {
+      openaiMessages.push({ role: m.role, content: m.content });
+      continue;
+    }
+
+    if (m.role === 'assistant') {
+      const text = m.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+      const toolCalls = m.content
+        .filter(b => b.type === 'tool_use')
+        .map(b => ({
+          id: b.id,
+          type: 'function',
+          function: { name: b.name, arguments: JSON.stringify(b.input || {}) },
+        }));
+
+      openaiMessages.push({
+        role: 'assistant',
+        content: text || null,
+        ...(toolCalls.length > 0 && { tool_calls: toolCalls }),
+      });
+      continue;
+    }
+
+    // User message: tool results first (they must follow the assistant tool_calls), then any text
+    for (const block of m.content) {
+      if (block.type === 'tool_result') {
+        openaiMessages.push({
+          role: 'tool',
+          tool_call_id: block.tool_use_id,
+          content: getToolResultText(block),
+        });
+      }
+    }
+    const text = m.content.filter(b => b.type === 'text').map(b => b.text).join('\n');
+    const images = m.content.filter(b => b.type === 'image');
+    if (images.length > 0) {
+      openaiMessages.push({
+        role: 'user',
+        content: [
+          ...images.map(b => ({
+            type: 'image_url',
+            image_url: { url: `data:${b.source.media_type};base64,${b.source.data}` },
+          })),
+          ...(text ? [{ type: 'text', text }] : []),
+        ],
+      });
+    } else if (text) {
+      openaiMessages.push({ role: 'user', content: text });
+    }
+  }
+
+  return openaiMessages;
+}
+
 /**
  * Convert Claude tools format to OpenAI functions
  */
@@ -170,7 +376,7 @@ function convertToolsToOpenAI(tools) {
 /**
  * Call OpenAI API
  */
-async function callOpenAI(systemPrompt, messages, tools) {
+async function callOpenAI(systemPrompt, messages, tools, { model, maxTokens }) {
   const apiKey = process.env.OPENAI_API_KEY;
   if (!apiKey) {
     throw new Error('OPENAI_API_KEY not configured');
@@ -180,14 +386,14 @@ async function callOpenAI(systemPrompt, messages, tools) {
 
   // Convert messages to OpenAI format
   const openaiMessages = [
-    { role: 'system', content: systemPrompt },
-    ...messages.map(m => ({ role: m.role, content: m.content })),
+    { role: 'system', content: getSystemPromptText(systemPrompt) },
+    ...convertMessagesToOpenAI(messages),
   ];
 
   const requestBody = {
-    model: 'gpt-4o-mini',
+    model,
     messages: openaiMessages,
-    max_tokens: 1024,
+    max_tokens: maxTokens,
   };
 
   // Add tools if provided
@@ -225,52 +431,130 @@ async function callOpenAI(systemPrompt, messages, tools) {
     for (const toolCall of message.tool_calls) {
       content.push({
         type: 'tool_use',
+        id: toolCall.id,
         name: toolCall.function.name,
-        input: JSON.parse(toolCall.function.arguments),
+        input: JSON.parse(toolCall.function.arguments || '{}'),
       });
     }
   }
 
+  // OpenAI caches long prompt prefixes on its own and counts them inside prompt_tokens
+  const usage = response.data.usage || {};
+  const cachedTokens = usage.prompt_tokens_details?.cached_tokens || 0;
   return {
     provider: 'openai',
+    model,
     content: content,
     usage: {
-      input_tokens: response.data.usage?.prompt_tokens || 0,
-      output_tokens: response.data.usage?.completion_tokens || 0,
+      input_tokens: (usage.prompt_tokens || 0) - cachedTokens,
+      output_tokens: usage.completion_tokens || 0,
+      cache_read_input_tokens: cachedTokens,
     },
   };
 }
 
+// Provider name -> async (systemPrompt, messages, tools, { model, maxTokens }) => { provider, model, content, usage }
+const providers = new Map([
+  ['claude', callClaude],
+  ['gemini', callGemini],
+  ['openai', callOpenAI],
+  ['replay', (systemPrompt, ...rest) => replayProvider(getSystemPromptText(systemPrompt), ...rest)],
+]);
+
+// Set with setProviderChain: replaces the per-plan chains from modelConfig
+let providerChainOverride = null;
+
+/**
+ * Add or replace a provider
+ * @param {string} name
+ * @param {Function} fn - async (systemPrompt, messages, tools, { model, maxTokens }) => { provider, model, content, usage }
+ */
+export function registerProvider(name, fn) {
+  providers.set(name, fn);
+}
+
+/**
+ * Set the providers callWithFallback tries, in order, for every plan
+ * @param {Array<string>|null} names - Registered provider names; null restores the configured chains
+ */
+export function setProviderChain(names) {
+  const unknown = (names || []).filter(name => !providers.has(name));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown LLM provider: ${unknown.join(', ')}`);
+  }
+  providerChainOverride = names && names.length > 0 ? [...names] : null;
+}
+
+/**
+ * Providers callWithFallback tries, in order
+ * @param {string} planId - User's plan (null for the default chain)
+ * @returns {Array<string>}
+ */
+export function getProviderChain(planId = null) {
+  if (getLlmMode() === 'replay') return ['replay'];
+  if (providerChainOverride) return [...providerChainOverride];
+
+  const chain = getProviderChainForPlan(planId);
+  const unknown = chain.filter(name => !providers.has(name));
+  if (unknown.length > 0) {
+    console.warn(`[llmFallback] Ignoring unknown providers in chain: ${unknown.join(', ')}`);
+  }
+  return chain.filter(name => providers.has(name));
+}
+
 /**
  * Call LLM with automatic fallback
- * Tries Claude → Gemini → OpenAI
+ * Tries the plan's provider chain (Claude → Gemini → OpenAI by default), skipping
+ * providers whose circuit breaker is open, with each provider's model for the task
+ *
+ * Messages use Claude's format. Content can be a string or an array of
+ * text/image/tool_use/tool_result blocks; each adapter converts them to its own format,
+ * so a tool loop can switch providers between iterations.
+ *
+ * LLM_MODE=replay answers from recorded fixtures only; LLM_MODE=record saves
+ * every response as a fixture.
  *
- * @param {string} systemPrompt - System prompt
+ * @param {string|Array} systemPrompt - System prompt: a string, or text blocks (see getSystemPromptText)
  * @param {Array} messages - Conversation messages
- * @param {Array} tools - Tool definitions
- * @returns {Promise<{provider: string, content: Array, usage: object}>}
+ * @param {Array} tools - Tool definitions (empty for plain completions)
+ * @param {object} options
+ * @param {string} options.task - One of TASKS in modelConfig.js (default: analytics)
+ * @param {string} options.plan - User's plan ID, selects the provider chain
+ * @returns {Promise<{provider: string, model: string, content: Array, usage: object}>}
+ *   usage: input_tokens (uncached), output_tokens, cache_read_input_tokens, cache_creation_input_tokens
  */
-export async function callWithFallback(systemPrompt, messages, tools) {
-  const providers = [
-    { name: 'claude', fn: callClaude },
-    { name: 'gemini', fn: callGemini },
-    { name: 'openai', fn: callOpenAI },
-  ];
-
+export async function callWithFallback(systemPrompt, messages, tools = [], { task = TASKS.ANALYTICS, plan = null } = {}) {
+  const mode = getLlmMode();
+  const chain = getProviderChain(plan);
   let lastError = null;
 
-  for (const provider of providers) {
+  // With every provider's breaker open, try them all anyway rather than fail without trying
+  const available = chain.filter(isProviderAvailable);
+  const candidates = available.length > 0 ? available : chain;
+  if (available.length > 0 && available.length < chain.length) {
+    console.log(`[llmFallback] Skipping ${chain.filter(name => !available.includes(name)).join(', ')} (circuit open)`);
+  }
+
+  for (const name of candidates) {
+    const { model, maxTokens } = getModelForTask(task, name);
     try {
-      console.log(`[llmFallback] Trying ${provider.name}...`);
-      const result = await provider.fn(systemPrompt, messages, tools);
-      console.log(`[llmFallback] ✅ ${provider.name} succeeded`);
-      return result;
+      console.log(`[llmFallback] Trying ${name}${model ? ` (${model})` : ''} for ${task}...`);
+      const result = await providers.get(name)(systemPrompt, messages, tools, { model, maxTokens });
+      console.log(`[llmFallback] ✅ ${name} succeeded`);
+      recordProviderSuccess(name);
+
+      const response = { ...result, model: result.model || model };
+      if (mode === 'record') {
+        recordFixture(getSystemPromptText(systemPrompt), messages, tools, response);
+      }
+      return response;
     } catch (error) {
-      console.error(`[llmFallback] ❌ ${provider.name} failed:`, error.response?.data?.error || error.message);
+      console.error(`[llmFallback] ❌ ${name} failed:`, error.response?.data?.error || error.message);
+      recordProviderFailure(name, error);
       lastError = error;
 
       // If not recoverable, don't try fallbacks
-      if (!isRecoverableError(error) && provider.name === 'claude') {
+      if (!isRecoverableError(error) && name === 'claude') {
         console.log(`[llmFallback] Non-recoverable error, not trying fallbacks`);
         throw error;
       }
@@ -282,4 +566,4 @@ export async function callWithFallback(systemPrompt, messages, tools) {
   throw lastError;
 }
 
-export default { callWithFallback };
+export default { callWithFallback, registerProvider, setProviderChain, getProviderChain, getProviderHealth, getSystemPromptText };
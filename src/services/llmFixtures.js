@@ -0,0 +1,172 @@
+/**
+ * LLM Fixtures
+ * Recorded LLM responses for offline runs. Each fixture is a JSON file named after a
+ * hash of the request (system prompt, messages and tools):
+ * - LLM_MODE=record: live calls go through as usual and every response is saved
+ * - LLM_MODE=replay: responses come from the fixtures, no API calls at all
+ *
+ * Values that change between runs (dates, tool_use IDs) are masked before hashing,
+ * so a fixture recorded today still matches tomorrow
+ */
+
+import crypto from "crypto";
+import fs from "fs";
+import path from "path";
+import { fileURLToPath } from "url";
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = path.dirname(__filename);
+
+const DEFAULT_FIXTURES_DIR = path.join(__dirname, "../../fixtures/llm");
+
+const WEEKDAYS = 'Sunday|Monday|Tuesday|Wednesday|Thursday|Friday|Saturday';
+const MONTHS = 'January|February|March|April|May|June|July|August|September|October|November|December';
+
+// Masked before hashing: [pattern, placeholder]
+const VOLATILE_PATTERNS = [
+  [/\d{4}-\d{2}-\d{2}T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:?\d{2})?/g, '<timestamp>'],
+  [new RegExp(`\\b\\d{4}-\\d{2}-\\d{2}\\b( \\((${WEEKDAYS})\\))?`, 'g'), '<date>'],
+  [new RegExp(`\\b(${MONTHS}) \\d{4}\\b`, 'g'), '<month>'],
+];
+
+/**
+ * Current mode: 'live' (default), 'record' or 'replay'
+ * @returns {string}
+ */
+export function getLlmMode() {
+  const mode = (process.env.LLM_MODE || 'live').toLowerCase();
+  return ['record', 'replay'].includes(mode) ? mode : 'live';
+}
+
+/**
+ * Directory fixtures are read from and written to
+ */
+function getFixturesDir() {
+  return process.env.LLM_FIXTURES_DIR
+    ? path.resolve(process.env.LLM_FIXTURES_DIR)
+    : DEFAULT_FIXTURES_DIR;
+}
+
+/**
+ * Copy of the request with volatile values masked and object keys sorted
+ */
+function normalizeRequest(request) {
+  const toolIds = new Map(); // real tool_use ID -> "tool_N" (by order of appearance)
+  const maskToolId = (id) => {
+    if (!toolIds.has(id)) toolIds.set(id, `tool_${toolIds.size + 1}`);
+    return toolIds.get(id);
+  };
+
+  const walk = (value) => {
+    if (typeof value === 'string') {
+      return VOLATILE_PATTERNS.reduce((text, [pattern, placeholder]) => text.replace(pattern, placeholder), value);
+    }
+    if (Array.isArray(value)) {
+      return value.map(walk);
+    }
+    if (value && typeof value === 'object') {
+      const normalized = {};
+      for (const key of Object.keys(value).sort()) {
+        normalized[key] = walk(value[key]);
+      }
+      if (value.type === 'tool_use' && value.id) normalized.id = maskToolId(value.id);
+      if (value.type === 'tool_result' && value.tool_use_id) normalized.tool_use_id = maskToolId(value.tool_use_id);
+      return normalized;
+    }
+    return value;
+  };
+
+  return walk(request);
+}
+
+/**
+ * Fixture key for a request
+ * @param {string} systemPrompt
+ * @param {Array} messages
+ * @param {Array} tools
+ * @returns {string}
+ */
+export function fixtureKey(systemPrompt, messages, tools) {
+  const canonical = JSON.stringify(normalizeRequest({ systemPrompt, messages, tools: tools || [] }));
+  return crypto.createHash('sha256').update(canonical).digest('hex').slice(0, 32);
+}
+
+/**
+ * Messages with image data left out (receipt photos would make fixtures huge)
+ */
+function withoutImageData(messages) {
+  return messages.map(m => (Array.isArray(m.content)
+    ? {
+      ...m,
+      content: m.content.map(block => (block.type === 'image'
+        ? { ...block, source: { ...block.source, data: '<omitted>' } }
+        : block)),
+    }
+    : m));
+}
+
+/**
+ * Save a live response as a fixture (never throws: recording must not break the call)
+ * @param {string} systemPrompt
+ * @param {Array} messages
+ * @param {Array} tools
+ * @param {{provider: string, model: string, content: Array, usage: object}} result
+ */
+export function recordFixture(systemPrompt, messages, tools, result) {
+  const key = fixtureKey(systemPrompt, messages, tools);
+  const dir = getFixturesDir();
+
+  try {
+    fs.mkdirSync(dir, { recursive: true });
+    const fixture = {
+      key,
+      recordedAt: new Date().toISOString(),
+      provider: result.provider,
+      model: result.model || null,
+      // Request kept for reviewing the fixture (tools by name only, they're large)
+      request: {
+        systemPrompt,
+        messages: withoutImageData(messages),
+        tools: (tools || []).map(t => t.name),
+      },
+      response: {
+        content: result.content,
+        usage: result.usage,
+      },
+    };
+    fs.writeFileSync(path.join(dir, `${key}.json`), JSON.stringify(fixture, null, 2));
+    console.log(`[llmFixtures] Recorded ${key} (${result.provider})`);
+  } catch (error) {
+    console.error(`[llmFixtures] Could not record ${key}:`, error.message);
+  }
+  return key;
+}
+
+/**
+ * The "replay" provider: serve the recorded response for this request
+ * @throws {Error} When no fixture was recorded for it
+ */
+export async function replayProvider(systemPrompt, messages, tools) {
+  const key = fixtureKey(systemPrompt, messages, tools);
+  const file = path.join(getFixturesDir(), `${key}.json`);
+
+  if (!fs.existsSync(file)) {
+    throw new Error(`No LLM fixture for request ${key} (record it with LLM_MODE=record)`);
+  }
+
+  const fixture = JSON.parse(fs.readFileSync(file, 'utf8'));
+  console.log(`[llmFixtures] Replaying ${key} (${fixture.provider})`);
+  return {
+    provider: fixture.provider,
+    model: fixture.model || undefined,
+    content: fixture.response.content,
+    usage: fixture.response.usage || { input_tokens: 0, output_tokens: 0 },
+  };
+}
+
+export default {
+  getLlmMode,
+  fixtureKey,
+  recordFixture,
+  replayProvider,
+};
@@ -0,0 +1,79 @@
+/**
+ * Merchant Service
+ * Recognizes the merchant behind an expense and learns where each user files it:
+ * after the user recategorizes one Rappi expense, the next ones (typed, from a
+ * receipt or imported from the bank) go to the same category
+ */
+
+import { MerchantDB } from "../database/index.js";
+import { normalizeMerchantName, isMerchantLikeName, formatMerchantName, matchMerchant } from "../utils/merchantUtils.js";
+
+/**
+ * Find the merchant for a name or description
+ * @param {string} name - Merchant name or expense description
+ * @param {object} options
+ * @param {boolean} options.create - Add it the first time it shows up (bank and receipt names)
+ * @returns {Promise<object|null>}
+ */
+export async function findMerchant(name, { create = false } = {}) {
+  const normalized = normalizeMerchantName(name);
+  if (!normalized) return null;
+
+  return create
+    ? MerchantDB.getOrCreate(normalized, formatMerchantName(normalized))
+    : MerchantDB.getByName(normalized);
+}
+
+/**
+ * The merchant of a new expense and the category the user files it under, if they taught us one
+ * @param {string} phone - User's phone number
+ * @param {object} source - { merchantName: Belvo merchant or receipt vendor, description }
+ * @param {object} options
+ * @param {boolean} options.create - Add the merchant if it's new
+ * @param {Array<{id: string}>} options.categories - User's categories: a learned one that no longer exists is ignored
+ * @returns {Promise<{merchantId: number|null, category: string|null}>}
+ */
+export async function categorizeByMerchant(phone, { merchantName, description }, { create = false, categories = null } = {}) {
+  const merchant = await findMerchant(merchantName || description, { create });
+  const learned = (await MerchantDB.getUserCategories(phone)) || [];
+
+  // Same merchant, or a learned one named in the text ("pedido rappi")
+  let mapping = merchant ? learned.find(m => m.merchant_id === merchant.id) : null;
+  for (const text of [merchantName, description].filter(Boolean)) {
+    mapping = mapping || matchMerchant(text, learned);
+  }
+
+  const known = mapping && (!categories || categories.some(c => c.id === mapping.category));
+  return {
+    merchantId: merchant?.id ?? mapping?.merchant_id ?? null,
+    category: known ? mapping.category : null,
+  };
+}
+
+/**
+ * Remember the category the user just gave one of a merchant's expenses: the merchant the
+ * expense was linked to (bank merchant, receipt vendor), else the one its description
+ * names, added if it's new. A long description ("almuerzo con los del trabajo") isn't a merchant
+ * @param {string} phone - User's phone number
+ * @param {object} expense - The expense they recategorized
+ * @param {string} category - New category ID
+ * @returns {Promise<{merchant: object, previousCategory: string|null}|null>} Null if the expense has no recognizable merchant
+ */
+export async function learnMerchantCategory(phone, expense, category) {
+  const merchant = expense.merchant_id
+    ? await MerchantDB.getById(expense.merchant_id)
+    : await findMerchant(expense.description, { create: isMerchantLikeName(expense.description || '') });
+  if (!merchant) return null;
+
+  const previous = await MerchantDB.getUserCategory(phone, merchant.id);
+  await MerchantDB.setUserCategory(phone, merchant.id, category);
+  console.log(`[merchants] ${phone} files ${merchant.name} under ${category}`);
+
+  return { merchant, previousCategory: previous?.category ?? null };
+}
+
+export default {
+  findMerchant,
+  categorizeByMerchant,
+  learnMerchantCategory,
+};
@@ -2,183 +2,273 @@
  * Message Batcher Service
  * Collects messages from users and batches them with a 10-second window.
  * If user sends multiple messages within 10 seconds, they're combined into one.
+ *
+ * Pending messages live in BatchedMessageDB (not in process memory), so a restart
+ * mid-window doesn't lose them: startBatchRecovery() flushes them on startup.
+ * A batch is claimed before it's processed, so with several server instances
+ * only one of them handles each user's batch.
  */
 
+import os from 'os';
+import crypto from 'crypto';
+import { BatchedMessageDB } from '../database/index.js';
+
 const BATCH_WINDOW_MS = 10000; // 10 seconds
-const CLEANUP_INTERVAL_MS = 300000; // 5 minutes - cleanup stale batches
+const CLAIM_TTL_MS = 10 * 60 * 1000; // 10 minutes - covers waiting in the user's queue; a claim held longer belongs to a dead instance
+const RECOVERY_INTERVAL_MS = 30000; // 30 seconds - pick up batches orphaned by other instances
+
+// Identifies this instance on the batches it claims
+const WORKER_ID = `${os.hostname()}:${process.pid}:${crypto.randomBytes(4).toString('hex')}`;
+
+// Per-instance state (losing it only delays a batch until the next recovery pass)
+const batchTimers = new Map(); // phone -> NodeJS.Timeout
+const clearIndicators = new Map(); // phone -> Function (first message's indicator)
+
+let batchHandler = null;
+let recoveryInterval = null;
 
-// Store: phone -> { messages: [], timer: NodeJS.Timeout, callback: Function }
-const userBatches = new Map();
+/**
+ * Register the function that processes a ready batch.
+ * It must not rely on request state, since a batch can be processed
+ * by another instance or after a restart
+ * @param {Function} handler - async (phone, batchedMessage) => void
+ */
+export function setBatchHandler(handler) {
+  batchHandler = handler;
+}
 
 /**
  * Add a message to the user's batch queue
  * @param {string} phone - User's phone number
  * @param {object} message - Message object { type, content, id, ... }
- * @param {Function} onBatchReady - Callback when batch is ready to process
  * @param {Function} clearIndicator - Function to clear processing indicator when done
- * @returns {boolean} - true if message was queued, false if should process immediately
+ * @returns {Promise<boolean>} - true if message was queued, false if should process immediately
  */
-export function queueMessage(phone, message, onBatchReady, clearIndicator = null) {
+export async function queueMessage(phone, message, clearIndicator = null) {
   // Immediately process non-text messages (images, audio, etc.)
   // They shouldn't be batched
   if (message.type !== 'text') {
     return false; // Signal to process immediately
   }
 
-  let batch = userBatches.get(phone);
-
-  if (!batch) {
-    // Create new batch for this user
-    batch = {
-      messages: [],
-      timer: null,
-      callback: onBatchReady,
-      createdAt: Date.now(),
-      lastMessageId: null,
-      clearIndicator: null
-    };
-    userBatches.set(phone, batch);
+  let added;
+  try {
+    added = await BatchedMessageDB.add(phone, {
+      messageId: message.id || `local_${Date.now()}_${crypto.randomBytes(4).toString('hex')}`,
+      content: message.text?.body || '',
+      receivedAt: new Date()
+    });
+  } catch (error) {
+    // Without the store the message can't survive the window: answer it right away instead
+    console.error(`[batcher] Could not queue message for ${phone}, processing immediately:`, error.message || error);
+    return false;
+  }
+
+  // Same message delivered twice while the batch is open: keep one copy
+  if (!added) {
+    console.log(`[batcher] Ignoring duplicate message ${message.id} for ${phone}`);
+    return true;
   }
 
   // Store the clearIndicator (first message's indicator is used)
-  if (clearIndicator && !batch.clearIndicator) {
-    batch.clearIndicator = clearIndicator;
+  if (clearIndicator && !clearIndicators.has(phone)) {
+    clearIndicators.set(phone, clearIndicator);
   }
 
-  // Add message to batch and track last message ID
-  batch.messages.push({
-    type: message.type,
-    content: message.text?.body || '',
-    timestamp: Date.now(),
-    id: message.id
-  });
+  // Restart the window
+  scheduleBatch(phone, BATCH_WINDOW_MS);
 
-  // Keep track of the last message ID for processing indicator
-  batch.lastMessageId = message.id;
+  console.log(`[batcher] Queued message for ${phone}`);
+
+  return true; // Message was queued
+}
 
-  // Clear existing timer and set new one
-  if (batch.timer) {
-    clearTimeout(batch.timer);
+/**
+ * (Re)start the timer that processes a user's batch
+ * @param {string} phone - User's phone number
+ * @param {number} delayMs
+ */
+function scheduleBatch(phone, delayMs) {
+  if (batchTimers.has(phone)) {
+    clearTimeout(batchTimers.get(phone));
   }
 
-  batch.timer = setTimeout(() => {
+  batchTimers.set(phone, setTimeout(() => {
+    batchTimers.delete(phone);
     processBatch(phone);
-  }, BATCH_WINDOW_MS);
-
-  console.log(`[batcher] Queued message for ${phone}, batch size: ${batch.messages.length}`);
-
-  return true; // Message was queued
+  }, delayMs));
 }
 
 /**
  * Process the batched messages for a user
  * @param {string} phone - User's phone number
+ * @param {object} options
+ * @param {boolean} options.force - Process even if the window hasn't closed
  */
-function processBatch(phone) {
-  const batch = userBatches.get(phone);
-
-  if (!batch || batch.messages.length === 0) {
-    userBatches.delete(phone);
+async function processBatch(phone, { force = false } = {}) {
+  if (!batchHandler) {
+    console.warn(`[batcher] No batch handler registered, leaving batch for ${phone} pending`);
     return;
   }
 
-  // Combine all text messages into one
-  const combinedContent = batch.messages
-    .map(m => m.content)
-    .join(' ')
-    .trim();
-
-  console.log(`[batcher] Processing batch for ${phone}: "${combinedContent.substring(0, 50)}..."`);
-
-  // Call the callback with combined message and clearIndicator function
-  if (batch.callback) {
-    batch.callback(phone, {
-      type: 'text',
-      text: { body: combinedContent },
-      batched: true,
-      messageCount: batch.messages.length,
-      lastMessageId: batch.lastMessageId,
-      clearIndicator: batch.clearIndicator
-    });
-  }
+  try {
+    if (!force) {
+      const pending = await BatchedMessageDB.getPending(phone);
+      if (pending.length === 0) {
+        clearIndicators.delete(phone);
+        return;
+      }
+
+      // A message may have reached another instance after ours: wait for its window too
+      const lastReceivedAt = Math.max(...pending.map(m => new Date(m.received_at).getTime()));
+      const remainingMs = lastReceivedAt + BATCH_WINDOW_MS - Date.now();
+      if (remainingMs > 0) {
+        scheduleBatch(phone, remainingMs);
+        return;
+      }
+    }
 
-  // Clear the batch
-  userBatches.delete(phone);
+    const messages = await BatchedMessageDB.claim(phone, WORKER_ID, new Date(Date.now() + CLAIM_TTL_MS));
+    if (messages.length === 0) {
+      return; // Nothing pending, or another instance claimed it first
+    }
+
+    const clearIndicator = clearIndicators.get(phone) || null;
+    clearIndicators.delete(phone);
+
+    // Combine all text messages into one
+    const combinedContent = messages
+      .map(m => m.content)
+      .join(' ')
+      .trim();
+    const messageIds = messages.map(m => m.message_id);
+
+    console.log(`[batcher] Processing batch for ${phone}: "${combinedContent.substring(0, 50)}..."`);
+
+    try {
+      await batchHandler(phone, {
+        type: 'text',
+        text: { body: combinedContent },
+        batched: true,
+        messageCount: messages.length,
+        lastMessageId: messageIds[messageIds.length - 1],
+        messageIds,
+        clearIndicator
+      });
+    } finally {
+      // Clear the batch (if this instance dies before here, the claim expires and it's retried)
+      await BatchedMessageDB.complete(WORKER_ID, messageIds);
+    }
+  } catch (error) {
+    console.error(`[batcher] Error processing batch for ${phone}:`, error.message || error);
+  }
 }
 
 /**
  * Force process a user's batch immediately (e.g., on media message)
  * @param {string} phone - User's phone number
  */
-export function flushBatch(phone) {
-  const batch = userBatches.get(phone);
-
-  if (batch && batch.timer) {
-    clearTimeout(batch.timer);
-    processBatch(phone);
+export async function flushBatch(phone) {
+  if (batchTimers.has(phone)) {
+    clearTimeout(batchTimers.get(phone));
+    batchTimers.delete(phone);
   }
+  await processBatch(phone, { force: true });
 }
 
 /**
  * Check if user has pending messages in batch
  * @param {string} phone - User's phone number
- * @returns {boolean}
+ * @returns {Promise<boolean>}
  */
-export function hasPendingBatch(phone) {
-  return userBatches.has(phone);
+export async function hasPendingBatch(phone) {
+  return (await getBatchSize(phone)) > 0;
 }
 
 /**
  * Get batch size for a user
  * @param {string} phone - User's phone number
- * @returns {number}
+ * @returns {Promise<number>}
  */
-export function getBatchSize(phone) {
-  const batch = userBatches.get(phone);
-  return batch ? batch.messages.length : 0;
+export async function getBatchSize(phone) {
+  const pending = await BatchedMessageDB.getPending(phone);
+  return pending.length;
 }
 
 /**
  * Cancel a user's pending batch
  * @param {string} phone - User's phone number
  */
-export function cancelBatch(phone) {
-  const batch = userBatches.get(phone);
+export async function cancelBatch(phone) {
+  if (batchTimers.has(phone)) {
+    clearTimeout(batchTimers.get(phone));
+    batchTimers.delete(phone);
+  }
+  clearIndicators.delete(phone);
 
-  if (batch) {
-    if (batch.timer) {
-      clearTimeout(batch.timer);
-    }
-    userBatches.delete(phone);
+  const deleted = await BatchedMessageDB.deleteByPhone(phone);
+  if (deleted > 0) {
     console.log(`[batcher] Cancelled batch for ${phone}`);
   }
 }
 
 /**
- * Cleanup stale batches (older than 5 minutes)
+ * Process batches nobody is waiting on: left by a restart or a dead instance,
+ * or whose claim expired mid-processing
  */
-function cleanupStaleBatches() {
-  const now = Date.now();
-  const staleThreshold = 5 * 60 * 1000; // 5 minutes
-
-  for (const [phone, batch] of userBatches.entries()) {
-    if (now - batch.createdAt > staleThreshold) {
-      console.log(`[batcher] Cleaning up stale batch for ${phone}`);
-      if (batch.timer) {
-        clearTimeout(batch.timer);
-      }
-      userBatches.delete(phone);
+export async function recoverPendingBatches() {
+  let pendingPhones;
+  try {
+    pendingPhones = await BatchedMessageDB.getPendingPhones();
+  } catch (error) {
+    console.error('[batcher] Could not load pending batches:', error.message || error);
+    return;
+  }
+
+  for (const { phone, lastReceivedAt } of pendingPhones) {
+    // This instance already has a timer for it
+    if (batchTimers.has(phone)) continue;
+
+    const remainingMs = new Date(lastReceivedAt).getTime() + BATCH_WINDOW_MS - Date.now();
+    if (remainingMs > 0) {
+      scheduleBatch(phone, remainingMs);
+    } else {
+      console.log(`[batcher] Recovering orphaned batch for ${phone}`);
+      await processBatch(phone);
     }
   }
 }
 
-// Run cleanup every 5 minutes
-setInterval(cleanupStaleBatches, CLEANUP_INTERVAL_MS);
+/**
+ * Flush batches left pending by a previous run, then keep checking
+ * for batches orphaned by other instances
+ */
+export function startBatchRecovery() {
+  if (recoveryInterval) return;
+
+  console.log(`[batcher] Starting batch recovery (worker ${WORKER_ID})`);
+  recoverPendingBatches();
+  recoveryInterval = setInterval(recoverPendingBatches, RECOVERY_INTERVAL_MS);
+}
+
+/**
+ * Stop the recovery loop
+ */
+export function stopBatchRecovery() {
+  if (recoveryInterval) {
+    clearInterval(recoveryInterval);
+    recoveryInterval = null;
+  }
+}
 
 export default {
+  setBatchHandler,
   queueMessage,
   flushBatch,
   hasPendingBatch,
   getBatchSize,
-  cancelBatch
+  cancelBatch,
+  recoverPendingBatches,
+  startBatchRecovery,
+  stopBatchRecovery
 };
@@ -0,0 +1,84 @@
+/**
+ * Message Dedup Service
+ * Makes WhatsApp message handling idempotent: Meta retries webhook deliveries,
+ * and a retried message must not log the same expense or charge moneditas twice
+ */
+
+import { ProcessedMessageDB } from "../database/index.js";
+import { MAX_MESSAGE_AGE_SECONDS } from "../utils/webhookVerification.js";
+import { JOB_TIMEOUT_MS } from "./userQueue.js";
+
+// IDs are remembered as long as the webhook accepts a message by age
+const PROCESSED_MESSAGE_TTL_MS = MAX_MESSAGE_AGE_SECONDS * 1000;
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000; // 1 hour
+
+let lastCleanup = 0;
+
+/**
+ * Claim a message before processing it
+ * @param {string} messageId - WhatsApp message ID
+ * @param {string} phone - Sender's phone number
+ * @returns {Promise<boolean>} True to process it, false if it's a duplicate delivery
+ */
+export async function claimMessage(messageId, phone) {
+  if (!messageId) return true;
+
+  await cleanupExpired();
+
+  try {
+    // A claim never marked processed within the queue's job timeout died mid-way
+    // (crash, deploy): Meta's retry gets to process it again
+    const claimed = await ProcessedMessageDB.claim(
+      messageId,
+      phone,
+      new Date(Date.now() + PROCESSED_MESSAGE_TTL_MS),
+      new Date(Date.now() - JOB_TIMEOUT_MS)
+    );
+    if (!claimed) {
+      console.log(`[dedup] Skipping duplicate message ${messageId} from ${phone}`);
+    }
+    return claimed;
+  } catch (error) {
+    // Don't drop the user's message because the store is down
+    console.error(`[dedup] Could not claim message ${messageId}, processing anyway:`, error.message || error);
+    return true;
+  }
+}
+
+/**
+ * Mark messages as processed once their response was sent
+ * @param {Array<string>} messageIds - WhatsApp message IDs (a batch can hold several)
+ */
+export async function markMessagesProcessed(messageIds) {
+  const ids = (messageIds || []).filter(Boolean);
+  if (ids.length === 0) return;
+
+  try {
+    await ProcessedMessageDB.markProcessed(ids);
+  } catch (error) {
+    console.error("[dedup] Could not mark messages processed:", error.message || error);
+  }
+}
+
+/**
+ * Delete expired IDs (at most once an hour per instance)
+ */
+async function cleanupExpired() {
+  const now = Date.now();
+  if (now - lastCleanup < CLEANUP_INTERVAL_MS) return;
+  lastCleanup = now;
+
+  try {
+    const deleted = await ProcessedMessageDB.deleteExpired();
+    if (deleted > 0) {
+      console.log(`[dedup] Cleaned up ${deleted} expired message IDs`);
+    }
+  } catch (error) {
+    console.error("[dedup] Cleanup failed:", error.message || error);
+  }
+}
+
+export default {
+  claimMessage,
+  markMessagesProcessed,
+};
@@ -0,0 +1,114 @@
+/**
+ * Model Configuration
+ * Which model each provider uses for each task, the provider order per plan, and
+ * what every model costs. llmFallbackService reads the models and chains from here,
+ * costTracker the pricing.
+ *
+ * Tasks:
+ * - extraction: pulling expenses out of a short text (cheap and fast)
+ * - analytics: the agent answering questions about the user's money (stronger)
+ * - vision: reading receipts from photos
+ *
+ * Overrides (.env):
+ * - LLM_MODEL_<TASK>_<PROVIDER>=model-id   e.g. LLM_MODEL_EXTRACTION_CLAUDE=claude-sonnet-4-20250514
+ * - LLM_PROVIDERS=claude,gemini,openai     provider order for everyone
+ * - LLM_PROVIDERS_<PLAN>=gemini,claude     provider order for one plan (free, basic, premium)
+ */
+
+export const TASKS = {
+  EXTRACTION: 'extraction',
+  ANALYTICS: 'analytics',
+  VISION: 'vision',
+};
+
+// Task -> provider -> model, plus the task's output token limit
+const TASK_MODELS = {
+  extraction: {
+    maxTokens: 1024,
+    claude: 'claude-3-5-haiku-20241022',
+    gemini: 'gemini-2.0-flash-lite',
+    openai: 'gpt-4o-mini',
+  },
+  analytics: {
+    maxTokens: 1024,
+    claude: 'claude-sonnet-4-20250514',
+    gemini: 'gemini-2.0-flash',
+    openai: 'gpt-4o-mini',
+  },
+  vision: {
+    maxTokens: 500,
+    claude: 'claude-sonnet-4-20250514',
+    gemini: 'gemini-2.0-flash',
+    openai: 'gpt-4o-mini',
+  },
+};
+
+const DEFAULT_TASK = TASKS.ANALYTICS;
+
+const DEFAULT_PROVIDER_CHAIN = ['claude', 'gemini', 'openai'];
+
+// USD per 1M tokens (as of February 2026)
+// Prompt caching: cache reads are discounted; Claude also charges extra to write the cache.
+// Without cache prices a cached token costs the same as any input token
+const MODEL_PRICING = {
+  'claude-sonnet-4-20250514': { inputPerMillion: 3, outputPerMillion: 15, cacheReadPerMillion: 0.3, cacheWritePerMillion: 3.75 },
+  'claude-3-5-haiku-20241022': { inputPerMillion: 0.8, outputPerMillion: 4, cacheReadPerMillion: 0.08, cacheWritePerMillion: 1 },
+  'gemini-2.0-flash': { inputPerMillion: 0.1, outputPerMillion: 0.4, cacheReadPerMillion: 0.025 },
+  'gemini-2.0-flash-lite': { inputPerMillion: 0.075, outputPerMillion: 0.3 },
+  'gpt-4o-mini': { inputPerMillion: 0.15, outputPerMillion: 0.6, cacheReadPerMillion: 0.075 },
+  'gpt-4o': { inputPerMillion: 2.5, outputPerMillion: 10, cacheReadPerMillion: 1.25 },
+};
+
+// Models missing from the table above are priced like their provider's analytics model,
+// anything else (scripted, unknown) like Claude Sonnet: never undercharge
+const FALLBACK_PRICING = MODEL_PRICING['claude-sonnet-4-20250514'];
+
+/**
+ * Model and token limit for a task on a provider
+ * @param {string} task - One of TASKS (unknown tasks use analytics)
+ * @param {string} provider - 'claude' | 'gemini' | 'openai' (others get no model)
+ * @returns {{model: string|undefined, maxTokens: number}}
+ */
+export function getModelForTask(task, provider) {
+  const config = TASK_MODELS[task] || TASK_MODELS[DEFAULT_TASK];
+  const taskName = TASK_MODELS[task] ? task : DEFAULT_TASK;
+  const override = process.env[`LLM_MODEL_${taskName}_${provider}`.toUpperCase()];
+
+  return {
+    model: override || config[provider],
+    maxTokens: config.maxTokens,
+  };
+}
+
+/**
+ * Providers to try, in order, for a user's plan
+ * @param {string} planId - 'free' | 'basic' | 'premium' (null for the default chain)
+ * @returns {Array<string>}
+ */
+export function getProviderChainForPlan(planId) {
+  const configured = (planId && process.env[`LLM_PROVIDERS_${planId}`.toUpperCase()])
+    || process.env.LLM_PROVIDERS;
+
+  if (!configured) return [...DEFAULT_PROVIDER_CHAIN];
+  return configured.split(',').map(name => name.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * Price of a model
+ * @param {string} provider
+ * @param {string} model
+ * @returns {{inputPerMillion: number, outputPerMillion: number, cacheReadPerMillion?: number, cacheWritePerMillion?: number}}
+ */
+export function getModelPricing(provider, model) {
+  if (model && MODEL_PRICING[model]) return MODEL_PRICING[model];
+
+  const providerModel = TASK_MODELS[DEFAULT_TASK][provider];
+  return MODEL_PRICING[providerModel] || FALLBACK_PRICING;
+}
+
+export default {
+  TASKS,
+  getModelForTask,
+  getProviderChainForPlan,
+  getModelPricing,
+};
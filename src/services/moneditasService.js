@@ -29,7 +29,7 @@ export const OPERATION_COSTS = {
  * Check if user has enough moneditas for an operation
  * @param {string} phone - User's phone number
  * @param {number} cost - Cost in moneditas (use OPERATION_COSTS)
- * @returns {Promise<{allowed: boolean, used: number, limit: number, remaining: number}>}
+ * @returns {Promise<{allowed: boolean, used: number, limit: number, remaining: number, planId: string}>}
  */
 export async function checkMoneditas(phone, cost) {
   try {
@@ -46,6 +46,7 @@ export async function checkMoneditas(phone, cost) {
       limit,
       remaining,
       cost,
+      planId: plan.id,
     };
   } catch (error) {
     console.error("[moneditasService] Error checking moneditas:", error);
@@ -0,0 +1,142 @@
+/**
+ * Payment Account Service
+ * Resolves which account or card paid an expense (from the message, the default
+ * account or the linked bank account for Belvo imports)
+ */
+
+import { PaymentAccountDB, ExpenseDB } from "../database/index.js";
+import { matchAccount, inferAccountType, normalizeAccountType, getAccountTypeLabel, formatAccountName } from "../utils/accountUtils.js";
+import { getMessage } from "../utils/languageUtils.js";
+
+// Belvo account categories → account type
+const BELVO_ACCOUNT_TYPES = {
+  CREDIT_CARD: 'credit_card',
+  CHECKING_ACCOUNT: 'bank',
+  SAVINGS_ACCOUNT: 'bank',
+  LOAN_ACCOUNT: 'other',
+  INVESTMENT_ACCOUNT: 'other',
+  PENSION_FUND_ACCOUNT: 'other',
+};
+
+/**
+ * Find one of the user's accounts by what they said
+ * @param {string} phone - User's phone number
+ * @param {string} query - "tarjeta Bancolombia", "efectivo", "4821"...
+ * @returns {Promise<{account: object|null, error?: 'not_found'|'ambiguous', matches?: Array}>}
+ */
+export async function findPaymentAccount(phone, query) {
+  const accounts = (await PaymentAccountDB.getByUser(phone)) || [];
+  return matchAccount(accounts, query);
+}
+
+/**
+ * Resolve the account for a new expense
+ * - With a query: the matching account. Cash is created on first use since everyone has it
+ * - Without one: the user's default account (or none)
+ * @param {string} phone - User's phone number
+ * @param {string|null} query - What the user said about how they paid
+ * @param {string} lang - Language code (names the cash account)
+ * @returns {Promise<{account: object|null, error?: 'not_found'|'ambiguous', matches?: Array}>}
+ */
+export async function resolveExpenseAccount(phone, query, lang = 'es') {
+  const accounts = (await PaymentAccountDB.getByUser(phone)) || [];
+
+  if (!query) {
+    return { account: accounts.find(a => a.is_default) || null };
+  }
+
+  const result = matchAccount(accounts, query);
+  if (result.error === 'not_found' && normalizeAccountType(query) === 'cash') {
+    const account = await PaymentAccountDB.create(phone, { name: capitalize(getAccountTypeLabel('cash', lang)), type: 'cash' });
+    return { account };
+  }
+  return result;
+}
+
+/**
+ * Message for a failed account lookup (not found or ambiguous)
+ * @param {string} phone - User's phone number
+ * @param {object} lookup - Result from findPaymentAccount / resolveExpenseAccount
+ * @param {string} name - What the user said
+ * @param {string} lang - Language code
+ * @returns {Promise<string>}
+ */
+export async function getAccountLookupError(phone, lookup, name, lang) {
+  if (lookup.error === 'ambiguous') {
+    const options = lookup.matches.map(a => `• ${formatAccountName(a)}`).join('\n');
+    return getMessage('account_ambiguous', lang, { accounts: options });
+  }
+
+  let message = getMessage('account_not_found', lang, { name });
+  const accounts = (await PaymentAccountDB.getByUser(phone)) || [];
+  if (accounts.length > 0) {
+    const names = accounts.map(a => formatAccountName(a, { emoji: false })).join(', ');
+    message += `\n${getMessage('account_list_hint', lang, { accounts: names })}`;
+  }
+  return message;
+}
+
+/**
+ * Get (or create on first import) the account for a Belvo bank account
+ * @param {string} phone - User's phone number
+ * @param {object} belvoAccount - transaction.account from Belvo
+ * @param {string} institution - Fallback institution name (from the bank link)
+ * @returns {Promise<object|null>} Payment account, or null if the transaction has no account
+ */
+export async function getOrCreateBelvoAccount(phone, belvoAccount, institution = null) {
+  if (!belvoAccount?.id) return null;
+
+  const externalId = `belvo_${belvoAccount.id}`;
+  const existing = await PaymentAccountDB.getByExternalId(phone, externalId);
+  if (existing) return existing;
+
+  const institutionName = belvoAccount.institution?.name || institution || null;
+  const name = belvoAccount.name || institutionName || 'Bank account';
+  const digits = String(belvoAccount.number || '').replace(/\D/g, '');
+
+  const account = await PaymentAccountDB.create(phone, {
+    name,
+    type: BELVO_ACCOUNT_TYPES[belvoAccount.category] || inferAccountType(name),
+    institution: institutionName,
+    last4: digits.length >= 4 ? digits.slice(-4) : null,
+    external_id: externalId,
+  });
+  console.log(`[accounts] Created account #${account.id} for Belvo account ${belvoAccount.id}`);
+  return account;
+}
+
+/**
+ * Delete an account, leaving its expenses without one
+ * @param {string} phone - User's phone number
+ * @param {object} account - Payment account
+ * @returns {Promise<number[]>} IDs of the expenses that were unassigned
+ */
+export async function deletePaymentAccount(phone, account) {
+  const unassigned = (await ExpenseDB.reassignAccount(phone, account.id, null)) || [];
+  await PaymentAccountDB.delete(phone, account.id);
+  return unassigned;
+}
+
+/**
+ * Map of account ID → account, for displaying expenses
+ * @param {string} phone - User's phone number
+ * @returns {Promise<Map<number, object>>}
+ */
+export async function getAccountMap(phone) {
+  const accounts = (await PaymentAccountDB.getByUser(phone)) || [];
+  return new Map(accounts.map(a => [a.id, a]));
+}
+
+function capitalize(text) {
+  const trimmed = String(text).trim();
+  return trimmed.charAt(0).toUpperCase() + trimmed.slice(1);
+}
+
+export default {
+  findPaymentAccount,
+  resolveExpenseAccount,
+  getAccountLookupError,
+  getOrCreateBelvoAccount,
+  deletePaymentAccount,
+  getAccountMap,
+};
@@ -0,0 +1,359 @@
+/**
+ * Recurring Expense Service
+ * Computes due dates for recurring expenses ("Netflix 38.900 on the 14th") and
+ * logs them on their due date, or asks the user to confirm first
+ *
+ * Due dates are calendar dates (YYYY-MM-DD) in the user's local timezone
+ */
+
+import cron from "node-cron";
+import { ExpenseDB, RecurringExpenseDB, UserDB } from "../database/index.js";
+import { sendInteractiveButtons, sendTextMessage } from "../channels/index.js";
+import { getMessage } from "../utils/languageUtils.js";
+import { formatAmount } from "../utils/currencyUtils.js";
+import { recordAction, describeExpenses } from "./actionJournalService.js";
+import { getUserLocalDate, getUserLocalHour, getTimezoneFromPhone, zonedTimeToUtc } from "../utils/timezoneUtils.js";
+
+export const RECURRING_FREQUENCIES = ['weekly', 'monthly', 'yearly'];
+
+// auto: log on the due date, confirm: ask with Yes/Skip buttons
+export const RECURRING_MODES = ['auto', 'confirm'];
+
+// Local hour from which due expenses are processed (avoid messaging at midnight)
+const RECURRING_LOCAL_HOUR = 9;
+
+// Button IDs: recurring_log:<ruleId>:<YYYY-MM-DD> / recurring_skip:<ruleId>:<YYYY-MM-DD>
+const BUTTON_PATTERN = /^recurring_(log|skip):(\d+):(\d{4}-\d{2}-\d{2})$/;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Format calendar parts as YYYY-MM-DD
+ */
+function toDateKey({ year, month, day }) {
+  return `${year}-${String(month).padStart(2, '0')}-${String(day).padStart(2, '0')}`;
+}
+
+/**
+ * Parse YYYY-MM-DD into calendar parts
+ */
+function parseDateKey(key) {
+  const [year, month, day] = String(key).slice(0, 10).split('-').map(Number);
+  return { year, month, day };
+}
+
+/**
+ * Add days to a YYYY-MM-DD key
+ */
+function addDays(key, days) {
+  const { year, month, day } = parseDateKey(key);
+  const d = new Date(Date.UTC(year, month - 1, day) + days * DAY_MS);
+  return toDateKey({ year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() });
+}
+
+/**
+ * YYYY-MM-DD for a day of month, clamped to the month's length (31 → 30 in November)
+ */
+function clampedDateKey(year, month, day) {
+  const normalized = new Date(Date.UTC(year, month - 1, 1));
+  const y = normalized.getUTCFullYear();
+  const m = normalized.getUTCMonth() + 1;
+  const lastDay = new Date(Date.UTC(y, m, 0)).getUTCDate();
+  return toDateKey({ year: y, month: m, day: Math.min(day, lastDay) });
+}
+
+/**
+ * Today's date in the user's timezone as YYYY-MM-DD
+ * @param {string} phone - User's phone number
+ * @returns {string}
+ */
+export function getLocalDateKey(phone) {
+  return toDateKey(getUserLocalDate(phone));
+}
+
+/**
+ * Get the first due date of a rule on or after a date
+ * @param {object} rule - { frequency, day_of_month, day_of_week, month }
+ * @param {string} fromKey - YYYY-MM-DD
+ * @returns {string} YYYY-MM-DD
+ */
+export function getNextDueDate(rule, fromKey) {
+  const from = parseDateKey(fromKey);
+
+  switch (rule.frequency) {
+    case 'weekly': {
+      const fromDow = new Date(Date.UTC(from.year, from.month - 1, from.day)).getUTCDay();
+      const targetDow = rule.day_of_week ?? fromDow;
+      return addDays(fromKey, (targetDow - fromDow + 7) % 7);
+    }
+
+    case 'yearly': {
+      const month = rule.month || from.month;
+      const day = rule.day_of_month || from.day;
+      const candidate = clampedDateKey(from.year, month, day);
+      return candidate >= fromKey ? candidate : clampedDateKey(from.year + 1, month, day);
+    }
+
+    case 'monthly':
+    default: {
+      const day = rule.day_of_month || from.day;
+      const candidate = clampedDateKey(from.year, from.month, day);
+      return candidate >= fromKey ? candidate : clampedDateKey(from.year, from.month + 1, day);
+    }
+  }
+}
+
+/**
+ * Create a recurring expense; the first charge is the next occurrence from today (inclusive)
+ * @param {string} phone - User's phone number
+ * @param {object} data - { amount, category, description, frequency, day_of_month, day_of_week, month, mode }
+ * @returns {Promise<object>} Created rule
+ */
+export async function createRecurringExpense(phone, data) {
+  const rule = {
+    ...data,
+    frequency: RECURRING_FREQUENCIES.includes(data.frequency) ? data.frequency : 'monthly',
+    mode: RECURRING_MODES.includes(data.mode) ? data.mode : 'auto',
+  };
+  const today = getLocalDateKey(phone);
+  rule.next_due_date = getNextDueDate(rule, today);
+  return RecurringExpenseDB.create(phone, rule);
+}
+
+/**
+ * Find a user's rule by ID or by description/category text
+ * @param {string} phone - User's phone number
+ * @param {{id?: number, name?: string}} query
+ * @returns {Promise<{rule?: object, error?: 'not_found'|'ambiguous', matches?: Array}>}
+ */
+export async function findRecurringExpense(phone, { id, name } = {}) {
+  if (id) {
+    const rule = await RecurringExpenseDB.getById(phone, Number(id));
+    return rule ? { rule } : { error: 'not_found' };
+  }
+
+  const needle = String(name || '').toLowerCase().trim();
+  if (!needle) return { error: 'not_found' };
+
+  const rules = (await RecurringExpenseDB.getByUser(phone)) || [];
+  const matches = rules.filter(r =>
+    (r.description || '').toLowerCase().includes(needle) || r.category === needle
+  );
+  if (matches.length === 0) return { error: 'not_found' };
+  if (matches.length > 1) return { error: 'ambiguous', matches };
+  return { rule: matches[0] };
+}
+
+/**
+ * Active rules due within the next days (for summaries)
+ * @param {string} phone - User's phone number
+ * @param {number} days - Look-ahead window (default 7)
+ * @returns {Promise<Array>} Rules sorted by next_due_date
+ */
+export async function getUpcomingRecurringExpenses(phone, days = 7) {
+  const today = getLocalDateKey(phone);
+  const until = addDays(today, days);
+  const rules = (await RecurringExpenseDB.getByUser(phone)) || [];
+  return rules
+    .filter(r => r.status === 'active' && String(r.next_due_date).slice(0, 10) <= until)
+    .sort((a, b) => String(a.next_due_date).localeCompare(String(b.next_due_date)));
+}
+
+/**
+ * Describe how often a rule repeats ("every month on the 14th")
+ * @param {object} rule
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+export function formatRecurrence(rule, lang) {
+  const localeMap = { en: 'en-US', es: 'es-CO', pt: 'pt-BR' };
+  const locale = localeMap[lang] || 'es-CO';
+
+  if (rule.frequency === 'weekly') {
+    // 2023-01-01 was a Sunday (day_of_week 0)
+    const weekday = new Date(Date.UTC(2023, 0, 1 + (rule.day_of_week ?? 0)))
+      .toLocaleDateString(locale, { weekday: 'long', timeZone: 'UTC' });
+    return getMessage('recurring_every_week', lang, { weekday });
+  }
+  if (rule.frequency === 'yearly') {
+    const date = new Date(Date.UTC(2024, (rule.month || 1) - 1, rule.day_of_month || 1))
+      .toLocaleDateString(locale, { day: 'numeric', month: 'long', timeZone: 'UTC' });
+    return getMessage('recurring_every_year', lang, { date });
+  }
+  return getMessage('recurring_every_month', lang, { day: rule.day_of_month });
+}
+
+/**
+ * Format a due date key for display ("14/11")
+ * @param {string} dateKey - YYYY-MM-DD
+ * @returns {string}
+ */
+export function formatDueDate(dateKey) {
+  const { month, day } = parseDateKey(dateKey);
+  return `${String(day).padStart(2, '0')}/${String(month).padStart(2, '0')}`;
+}
+
+/**
+ * Log one occurrence of a rule as an expense dated on its due date (local noon)
+ * @returns {Promise<object>} Created expense
+ */
+async function logOccurrence(rule, dueKey) {
+  const { year, month, day } = parseDateKey(dueKey);
+  const expense = await ExpenseDB.create(rule.phone, {
+    amount: parseFloat(rule.amount),
+    category: rule.category,
+    description: rule.description,
+    date: zonedTimeToUtc(year, month, day, 12, 0, getTimezoneFromPhone(rule.phone)),
+  });
+  await RecurringExpenseDB.update(rule.phone, rule.id, { last_logged_date: dueKey });
+  return expense;
+}
+
+/**
+ * Handle one due rule: advance it and log or ask for confirmation
+ */
+async function processDueRule(rule) {
+  const phone = rule.phone;
+  const dueKey = String(rule.next_due_date).slice(0, 10);
+  const lang = (await UserDB.getLanguage(phone)) || 'es';
+  const currency = (await UserDB.getCurrency(phone)) || 'COP';
+
+  // Advance first so a failed send can't log the same occurrence twice
+  await RecurringExpenseDB.update(phone, rule.id, {
+    next_due_date: getNextDueDate(rule, addDays(dueKey, 1)),
+  });
+
+  const params = {
+    description: rule.description || rule.category,
+    amount: formatAmount(rule.amount, currency),
+    category: rule.category,
+  };
+
+  if (rule.mode === 'confirm') {
+    await sendInteractiveButtons(phone, getMessage('recurring_confirm_prompt', lang, params), [
+      { id: `recurring_log:${rule.id}:${dueKey}`, title: getMessage('recurring_btn_log', lang) },
+      { id: `recurring_skip:${rule.id}:${dueKey}`, title: getMessage('recurring_btn_skip', lang) },
+    ]);
+    return 'asked';
+  }
+
+  await logOccurrence(rule, dueKey);
+  await sendTextMessage(phone, getMessage('recurring_auto_logged', lang, params));
+  return 'logged';
+}
+
+/**
+ * Process recurring expenses that are due in each user's local calendar
+ * @param {Date} now - Current instant (defaults to now)
+ * @returns {Promise<{logged: number, asked: number, skipped: number, failed: number}>}
+ */
+export async function processDueRecurringExpenses(now = new Date()) {
+  // Timezones run up to a day ahead of UTC, so fetch everything due by tomorrow (UTC)
+  const latestKey = toDateKey({
+    year: now.getUTCFullYear(),
+    month: now.getUTCMonth() + 1,
+    day: now.getUTCDate(),
+  });
+  const rules = (await RecurringExpenseDB.getDueUntil(addDays(latestKey, 1))) || [];
+
+  const result = { logged: 0, asked: 0, skipped: 0, failed: 0 };
+
+  for (const rule of rules) {
+    const today = getLocalDateKey(rule.phone);
+    if (String(rule.next_due_date).slice(0, 10) > today || getUserLocalHour(rule.phone) < RECURRING_LOCAL_HOUR) {
+      result.skipped++;
+      continue;
+    }
+
+    try {
+      const outcome = await processDueRule(rule);
+      result[outcome]++;
+    } catch (error) {
+      console.error(`[recurring] Error processing rule ${rule.id} for ${rule.phone}:`, error.message);
+      result.failed++;
+    }
+
+    // Small delay to avoid rate limiting
+    await new Promise((resolve) => setTimeout(resolve, 100));
+  }
+
+  console.log(`[recurring] Due check: ${result.logged} logged, ${result.asked} asked, ${result.skipped} skipped, ${result.failed} failed`);
+  return result;
+}
+
+/**
+ * Check if a button ID belongs to a recurring expense confirmation
+ * @param {string} buttonId
+ * @returns {boolean}
+ */
+export function isRecurringButton(buttonId) {
+  return BUTTON_PATTERN.test(buttonId || '');
+}
+
+/**
+ * Handle the user's answer to a recurring expense confirmation
+ * @param {string} phone - User's phone number
+ * @param {string} buttonId - recurring_log:<id>:<date> or recurring_skip:<id>:<date>
+ * @param {string} lang - Language code
+ * @param {string} userCurrency - User's currency
+ * @returns {Promise<string>} Response message
+ */
+export async function handleRecurringButton(phone, buttonId, lang, userCurrency) {
+  const [, action, ruleId, dueKey] = buttonId.match(BUTTON_PATTERN);
+  const rule = await RecurringExpenseDB.getById(phone, Number(ruleId));
+  if (!rule) {
+    return getMessage('recurring_not_found', lang);
+  }
+
+  const params = {
+    description: rule.description || rule.category,
+    amount: formatAmount(rule.amount, userCurrency),
+    category: rule.category,
+  };
+
+  if (action === 'skip') {
+    return getMessage('recurring_skipped', lang, params);
+  }
+
+  // Repeated taps on the same button must not log twice
+  if (rule.last_logged_date && String(rule.last_logged_date).slice(0, 10) >= dueKey) {
+    return getMessage('recurring_already_logged', lang, params);
+  }
+
+  const lastLogged = rule.last_logged_date ?? null;
+  const expense = await logOccurrence(rule, dueKey);
+  await recordAction(phone, 'log_expense', [
+    { type: 'create', entity: 'expense', ids: [expense.id] },
+    { type: 'update', entity: 'recurring_expense', ids: [rule.id], before: { last_logged_date: lastLogged }, after: { last_logged_date: dueKey } },
+  ], describeExpenses([expense], userCurrency));
+  return getMessage('recurring_logged', lang, params);
+}
+
+/**
+ * Start the cron job that processes due recurring expenses
+ * Runs every hour (at minute 5, after the reminder check) to cover all timezones
+ */
+export function startRecurringExpenseScheduler() {
+  cron.schedule("5 * * * *", async () => {
+    console.log("[recurring] Running hourly due check...");
+    await processDueRecurringExpenses();
+  });
+
+  console.log(`[recurring] Scheduler started (checks every hour, logs from ${RECURRING_LOCAL_HOUR}:00 local time)`);
+}
+
+export default {
+  RECURRING_FREQUENCIES,
+  RECURRING_MODES,
+  getLocalDateKey,
+  getNextDueDate,
+  createRecurringExpense,
+  findRecurringExpense,
+  getUpcomingRecurringExpenses,
+  formatRecurrence,
+  formatDueDate,
+  processDueRecurringExpenses,
+  isRecurringButton,
+  handleRecurringButton,
+  startRecurringExpenseScheduler,
+};
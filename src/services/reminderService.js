@@ -5,11 +5,12 @@
  */
 
 import cron from "node-cron";
-import { UserDB, ExpenseDB } from "../database/index.js";
-import { sendInteractiveButtons, sendTextMessage } from "../utils/whatsappClient.js";
+import { UserDB } from "../database/index.js";
+import { sendInteractiveButtons, sendTextMessage } from "../channels/index.js";
 import { getMessage } from "../utils/languageUtils.js";
 import { getUserLocalHour, getTimezoneFromPhone, getUserLocalDay } from "../utils/timezoneUtils.js";
 import { generateStatsUrl, getTokenExpiryDescription } from "./statsTokenService.js";
+import { getCashflow, formatNetLine } from "./cashflowService.js";
 import { formatAmount } from "../utils/currencyUtils.js";
 
 // Track reminder state per user (to handle Yes responses)
@@ -185,9 +186,17 @@ export async function sendWeeklySummary(phone) {
     startOfWeek.setDate(startOfWeek.getDate() - 7);
     startOfWeek.setHours(0, 0, 0, 0);
 
-    // Get expenses from last week
-    const expenses = (await ExpenseDB.getByDateRange(phone, startOfWeek, endOfWeek)) || [];
-    const totalSpent = expenses.reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
+    // Get expenses and income from last week
+    const cashflow = await getCashflow(phone, startOfWeek, endOfWeek);
+    const totalSpent = cashflow.totalExpenses;
+    const expenseCount = cashflow.expenseCount;
+
+    // Income and net balance (only shown once the user logs income)
+    const netLine = formatNetLine(cashflow, userCurrency, userLang);
+    const incomeLabels = { en: 'Income', es: 'Ingresos', pt: 'Receitas' };
+    const cashflowLines = netLine
+      ? `\n💵 ${incomeLabels[userLang] || incomeLabels.es}: ${formatAmount(cashflow.totalIncome, userCurrency)}\n${netLine}\n`
+      : '';
 
     // Generate stats URL
     const statsUrl = generateStatsUrl(phone);
@@ -196,8 +205,8 @@ export async function sendWeeklySummary(phone) {
     const messages = {
       en: `📊 *Your Weekly Summary*
 
-This week you spent ${formatAmount(totalSpent, userCurrency)} in ${expenses.length} expenses.
-
+This week you spent ${formatAmount(totalSpent, userCurrency)} in ${expenseCount} expenses.
+${cashflowLines}
 See your complete report with charts and category breakdown:
 
 ${statsUrl}
@@ -205,8 +214,8 @@ ${statsUrl}
 This link is valid for ${expiryTime}.`,
       es: `📊 *Tu Resumen Semanal*
 
-Esta semana gastaste ${formatAmount(totalSpent, userCurrency)} en ${expenses.length} gastos.
-
+Esta semana gastaste ${formatAmount(totalSpent, userCurrency)} en ${expenseCount} gastos.
+${cashflowLines}
 Ve tu reporte completo con gráficos y desglose por categoría:
 
 ${statsUrl}
@@ -214,8 +223,8 @@ ${statsUrl}
 Este link es válido por ${expiryTime}.`,
       pt: `📊 *Seu Resumo Semanal*
 
-Esta semana você gastou ${formatAmount(totalSpent, userCurrency)} em ${expenses.length} despesas.
-
+Esta semana você gastou ${formatAmount(totalSpent, userCurrency)} em ${expenseCount} despesas.
+${cashflowLines}
 Veja seu relatório completo com gráficos e detalhamento por categoria:
 
 ${statsUrl}
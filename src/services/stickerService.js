@@ -16,7 +16,7 @@
  * 3. Ensure file is under 500KB
  */
 
-import { sendSticker } from "../utils/whatsappClient.js";
+import { sendSticker } from "../channels/index.js";
 
 // Rate limiting: track last sticker sent per user
 const lastStickerSent = new Map(); // phone -> { timestamp, stickerId }
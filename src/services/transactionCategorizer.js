@@ -1,6 +1,7 @@
 /**
  * Transaction Categorizer
- * Enhanced categorization for bank-imported transactions using merchant patterns
+ * Enhanced categorization for bank-imported transactions using merchant patterns.
+ * Fallback for merchants the user hasn't filed anywhere yet (see merchantService)
  */
 
 // Merchant name patterns to categories
@@ -206,6 +207,41 @@ function mapBelvoCategory(belvoCategory) {
   return categoryMap[belvoCategory] || "other";
 }
 
+// Description patterns for incoming money (credits) to income categories
+const INCOME_PATTERNS = {
+  salary: [
+    /\b(nomina|nómina|salario|sueldo|payroll|salary|quincena|prima|salário|folha)\b/i,
+  ],
+  refunds: [
+    /\b(reembolso|devolucion|devolución|reversion|reversión|refund|reversal|estorno)\b/i,
+  ],
+  investments: [
+    /\b(intereses|rendimientos?|dividendos?|interest|dividends?|cdt|juros|rendimento)\b/i,
+  ],
+  freelance: [
+    /\b(honorarios|freelance|fee|upwork|fiverr|payoneer|deel)\b/i,
+  ],
+};
+
+/**
+ * Categorize an incoming bank transaction (credit) into an income category
+ * @param {object} transaction - Belvo transaction
+ * @returns {string} Income category ID (see INCOME_CATEGORIES in categoryUtils)
+ */
+export function categorizeIncomeTransaction(transaction) {
+  const text = `${transaction.description || ""} ${transaction.merchant?.name || ""}`.toLowerCase();
+
+  for (const [category, patterns] of Object.entries(INCOME_PATTERNS)) {
+    for (const pattern of patterns) {
+      if (pattern.test(text)) {
+        return category;
+      }
+    }
+  }
+
+  return "other_income";
+}
+
 /**
  * Batch categorize transactions
  * @param {Array} transactions - Array of Belvo transactions
@@ -254,8 +290,10 @@ export function getCategoryStats(transactions) {
 
 export default {
   categorizeTransaction,
+  categorizeIncomeTransaction,
   batchCategorize,
   getCategoryStats,
   MERCHANT_PATTERNS,
   MCC_MAPPING,
+  INCOME_PATTERNS,
 };
@@ -0,0 +1,169 @@
+/**
+ * User Queue Service
+ * Processes each user's inbound events (text batches, images, audio, documents, buttons)
+ * one at a time and in arrival order, so they never race on moneditas, pending budget
+ * prompts or pending imports. Events that fail or time out are dead-lettered into
+ * UnprocessedDB so they can be reviewed.
+ */
+
+import { UnprocessedDB } from "../database/index.js";
+
+// A job taking longer than this is abandoned so the user's next events aren't stuck behind it
+export const JOB_TIMEOUT_MS = parseInt(process.env.USER_QUEUE_TIMEOUT_MS || '120000', 10); // 2 minutes
+const DEPTH_WARNING = 5; // Log when a user has this many events waiting
+
+// Store: phone -> { jobs: [], running: boolean }
+const userQueues = new Map();
+
+// Counters since startup
+const metrics = {
+  enqueued: 0,
+  completed: 0,
+  failed: 0,
+  timedOut: 0,
+  deadLettered: 0,
+  peakDepth: 0,
+};
+
+/**
+ * Add an event to the user's queue
+ * @param {string} phone - User's phone number
+ * @param {object} event - What is being processed, for logs and dead-lettering { type, content, media_id }
+ * @param {Function} job - async () => void
+ * @returns {Promise<boolean>} Resolves when the job finished: true if it succeeded,
+ *   false if it failed or timed out (it's dead-lettered, never rejected)
+ */
+export function enqueueForUser(phone, event, job) {
+  let queue = userQueues.get(phone);
+  if (!queue) {
+    queue = { jobs: [], running: false };
+    userQueues.set(phone, queue);
+  }
+
+  metrics.enqueued++;
+
+  return new Promise(resolve => {
+    queue.jobs.push({ event, job, resolve, enqueuedAt: Date.now() });
+
+    const depth = queue.jobs.length + (queue.running ? 1 : 0);
+    metrics.peakDepth = Math.max(metrics.peakDepth, depth);
+    if (depth >= DEPTH_WARNING) {
+      console.warn(`[userQueue] ${depth} events waiting for ${phone}`);
+    }
+
+    if (!queue.running) {
+      runQueue(phone, queue);
+    }
+  });
+}
+
+/**
+ * Run a user's jobs one after another until the queue is empty
+ */
+async function runQueue(phone, queue) {
+  queue.running = true;
+
+  while (queue.jobs.length > 0) {
+    const entry = queue.jobs.shift();
+    const waitedMs = Date.now() - entry.enqueuedAt;
+    if (waitedMs > 1000) {
+      console.log(`[userQueue] ${entry.event.type} for ${phone} waited ${waitedMs}ms`);
+    }
+
+    let ok = false;
+    try {
+      await runWithTimeout(entry.job);
+      metrics.completed++;
+      ok = true;
+    } catch (error) {
+      const timedOut = error.code === 'QUEUE_TIMEOUT';
+      if (timedOut) {
+        metrics.timedOut++;
+        console.error(`[userQueue] ${entry.event.type} for ${phone} timed out after ${JOB_TIMEOUT_MS}ms`);
+      } else {
+        metrics.failed++;
+        console.error(`[userQueue] ${entry.event.type} for ${phone} failed:`, error.message || error);
+      }
+      await deadLetter(phone, entry.event, timedOut ? 'queue_timeout' : 'queue_error', error);
+    }
+
+    entry.resolve(ok);
+  }
+
+  queue.running = false;
+  userQueues.delete(phone);
+}
+
+/**
+ * Run a job, rejecting if it doesn't finish in JOB_TIMEOUT_MS.
+ * A timed-out job isn't cancelled, but the queue stops waiting for it
+ */
+function runWithTimeout(job) {
+  let timer;
+  const timeout = new Promise((_, reject) => {
+    timer = setTimeout(() => {
+      const error = new Error(`Job timed out after ${JOB_TIMEOUT_MS}ms`);
+      error.code = 'QUEUE_TIMEOUT';
+      reject(error);
+    }, JOB_TIMEOUT_MS);
+  });
+
+  return Promise.race([Promise.resolve().then(job), timeout]).finally(() => clearTimeout(timer));
+}
+
+/**
+ * Save a failed event for review
+ */
+async function deadLetter(phone, event, reason, error) {
+  try {
+    await UnprocessedDB.create(phone, {
+      type: event.type,
+      content: event.content || null,
+      media_id: event.media_id || null,
+      reason,
+      raw_result: { error: error.message || String(error) },
+    });
+    metrics.deadLettered++;
+  } catch (dlError) {
+    console.error(`[userQueue] Could not dead-letter ${event.type} for ${phone}:`, dlError.message || dlError);
+  }
+}
+
+/**
+ * Number of events waiting or running for a user
+ * @param {string} phone - User's phone number
+ * @returns {number}
+ */
+export function getQueueDepth(phone) {
+  const queue = userQueues.get(phone);
+  if (!queue) return 0;
+  return queue.jobs.length + (queue.running ? 1 : 0);
+}
+
+/**
+ * Queue metrics for monitoring
+ * @returns {object}
+ */
+export function getQueueStats() {
+  let totalDepth = 0;
+  let maxDepth = 0;
+  for (const phone of userQueues.keys()) {
+    const depth = getQueueDepth(phone);
+    totalDepth += depth;
+    maxDepth = Math.max(maxDepth, depth);
+  }
+
+  return {
+    activeUsers: userQueues.size,
+    totalDepth,
+    maxDepth,
+    timeoutMs: JOB_TIMEOUT_MS,
+    ...metrics,
+  };
+}
+
+export default {
+  enqueueForUser,
+  getQueueDepth,
+  getQueueStats,
+};
@@ -3,7 +3,7 @@
  * Sends pre-generated TTS audio welcome messages to new users
  */
 
-import { sendAudio } from "../utils/whatsappClient.js";
+import { sendAudio } from "../channels/index.js";
 import fs from "fs";
 import path from "path";
 import { fileURLToPath } from "url";
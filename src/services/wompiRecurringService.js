@@ -13,7 +13,7 @@
 import crypto from "crypto";
 import { PaymentSourceDB, BillingHistoryDB, UserSubscriptionDB } from "../database/index.js";
 import { UserDB } from "../database/index.js";
-import { sendTextMessage } from "../utils/whatsappClient.js";
+import { sendTextMessage } from "../channels/index.js";
 import { SUBSCRIPTION_PLANS } from "./wompiService.js";
 
 const WOMPI_API_URL = process.env.WOMPI_ENV === "production"
@@ -0,0 +1,118 @@
+/**
+ * Tool: Add Account
+ * Adds (or updates) an account or card the user pays with
+ */
+
+import { PaymentAccountDB } from "../database/index.js";
+import { ACCOUNT_TYPES, normalizeAccountType, inferAccountType, getAccountTypeLabel, formatAccountName } from "../utils/accountUtils.js";
+import { recordAction, snapshotFields } from "../services/actionJournalService.js";
+
+export const definition = {
+  name: "add_account",
+  description: "Add a payment account or card the user pays with, or update one (e.g. make it the default). Use when user says they want to register an account/card, or that they usually pay with one. Examples: 'agrega mi tarjeta Visa Bancolombia terminada en 4821', 'add my Nequi account', 'casi siempre pago con la tarjeta débito', 'adicione meu cartão Nubank'",
+  input_schema: {
+    type: "object",
+    properties: {
+      name: {
+        type: "string",
+        description: "Account name as the user calls it (e.g. 'Visa Bancolombia', 'Nequi', 'Efectivo')"
+      },
+      type: {
+        type: "string",
+        enum: ACCOUNT_TYPES,
+        description: "Account type. Infer from the name when not said (Nequi/Daviplata → wallet)"
+      },
+      institution: {
+        type: "string",
+        description: "Optional. Bank or provider (e.g. 'Bancolombia')"
+      },
+      last4: {
+        type: "string",
+        description: "Optional. Last 4 digits of the card or account"
+      },
+      is_default: {
+        type: "boolean",
+        description: "Set true if the user says they usually pay with this account. Expenses without an account use the default"
+      }
+    },
+    required: ["name"]
+  }
+};
+
+const MESSAGES = {
+  en: {
+    added: "✅ Added account {account} ({type}).",
+    updated: "✅ Updated account {account} ({type}).",
+    is_default: "I'll use it when you don't say how you paid.",
+    hint: "Tell me how you paid when logging (\"lunch 20 with {name}\") to track it.",
+    invalid_last4: "The last digits should be 4 numbers (e.g. 4821).",
+    missing_name: "What's the account called? (e.g. \"Visa Bancolombia\", \"Nequi\")",
+  },
+  es: {
+    added: "✅ Agregué la cuenta {account} ({type}).",
+    updated: "✅ Actualicé la cuenta {account} ({type}).",
+    is_default: "La usaré cuando no me digas cómo pagaste.",
+    hint: "Dime cómo pagaste al registrar (\"almuerzo 20k con {name}\") para llevar la cuenta.",
+    invalid_last4: "Los últimos dígitos deben ser 4 números (ej: 4821).",
+    missing_name: "¿Cómo se llama la cuenta? (ej: \"Visa Bancolombia\", \"Nequi\")",
+  },
+  pt: {
+    added: "✅ Adicionei a conta {account} ({type}).",
+    updated: "✅ Atualizei a conta {account} ({type}).",
+    is_default: "Vou usá-la quando você não disser como pagou.",
+    hint: "Me diga como pagou ao registrar (\"almoço 20 com {name}\") para acompanhar.",
+    invalid_last4: "Os últimos dígitos devem ser 4 números (ex: 4821).",
+    missing_name: "Como se chama a conta? (ex: \"Nubank\", \"Pix\")",
+  },
+};
+
+export async function handler(phone, params, lang) {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+  const name = String(params.name || '').trim();
+  const last4 = params.last4 ? String(params.last4).replace(/\D/g, '') : null;
+
+  if (!name) {
+    return { success: false, message: messages.missing_name };
+  }
+  if (last4 !== null && last4.length !== 4) {
+    return { success: false, message: messages.invalid_last4 };
+  }
+
+  // Same name updates the existing account instead of duplicating it
+  const accounts = (await PaymentAccountDB.getByUser(phone)) || [];
+  const existing = accounts.find(a => a.name.toLowerCase() === name.toLowerCase());
+
+  const fields = {
+    type: normalizeAccountType(params.type) || existing?.type || inferAccountType(name),
+  };
+  if (params.institution) fields.institution = params.institution;
+  if (last4) fields.last4 = last4;
+
+  let account;
+  const changes = [];
+  if (existing) {
+    const changed = params.is_default ? { ...fields, is_default: true } : fields;
+    changes.push({ type: 'update', entity: 'payment_account', ids: [existing.id], before: snapshotFields(existing, changed), after: changed });
+    account = await PaymentAccountDB.update(phone, existing.id, fields);
+  } else {
+    account = await PaymentAccountDB.create(phone, { name, ...fields });
+    changes.push({ type: 'create', entity: 'payment_account', ids: [account.id] });
+  }
+
+  if (params.is_default) {
+    const previousDefaults = accounts.filter(a => a.is_default && a.id !== account.id).map(a => a.id);
+    account = await PaymentAccountDB.setDefault(phone, account.id);
+    changes.push({ type: 'update', entity: 'payment_account', ids: previousDefaults, before: { is_default: true }, after: { is_default: false } });
+  }
+
+  await recordAction(phone, 'add_account', changes, formatAccountName(account));
+
+  let response = (existing ? messages.updated : messages.added)
+    .replace('{account}', formatAccountName(account))
+    .replace('{type}', getAccountTypeLabel(account.type, lang));
+  response += `\n${account.is_default ? messages.is_default : messages.hint.replace('{name}', account.name)}`;
+
+  return { success: true, message: response };
+}
+
+export default { definition, handler };
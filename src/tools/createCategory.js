@@ -4,6 +4,7 @@
  */
 
 import { UserDB } from "../database/index.js";
+import { recordAction } from "../services/actionJournalService.js";
 
 // Default emojis based on common category names
 const CATEGORY_EMOJIS = {
@@ -91,10 +92,14 @@ export async function handler(phone, params, lang) {
     }
 
     // Add new category
+    const previousCategories = structuredClone(categories);
     const newCategory = { id: categoryId, name: categoryName, emoji: categoryEmoji };
     categories.push(newCategory);
 
     await UserDB.setCategories(phone, categories);
+    await recordAction(phone, 'create_category', [
+      { type: 'update', entity: 'categories', before: { categories: previousCategories }, after: { categories } },
+    ], `${categoryEmoji} ${categoryName}`);
 
     const messages = {
       en: `${categoryEmoji} Category "${categoryName}" created!`,
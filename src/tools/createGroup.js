@@ -4,7 +4,8 @@
  */
 
 import { ExpenseGroupDB, GroupMemberDB, UserDB } from "../database/index.js";
-import { sendTextMessage } from "../utils/whatsappClient.js";
+import { sendTextMessage } from "../channels/index.js";
+import { recordIrreversibleAction } from "../services/actionJournalService.js";
 
 export const definition = {
   name: "create_group",
@@ -43,6 +44,8 @@ export async function handler(phone, params, lang, userCurrency) {
   try {
     // Create the group
     const group = await ExpenseGroupDB.create(phone, { name: name.trim() });
+    // Members are told right away, so the group can't be taken back
+    await recordIrreversibleAction(phone, 'create_group', name.trim());
 
     // Get creator's name
     const creator = await UserDB.get(phone);
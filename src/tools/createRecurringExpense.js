@@ -0,0 +1,171 @@
+/**
+ * Tool: Create Recurring Expense
+ * Declares an expense that repeats (rent, subscriptions, bills) so it's logged on its due date
+ */
+
+import { validateAmount, formatAmount } from "../utils/currencyUtils.js";
+import { getMessage } from "../utils/languageUtils.js";
+import { getUserCategories, getCategoryIds, getCategoryNames } from "../utils/categoryUtils.js";
+import { getUserLocalDate } from "../utils/timezoneUtils.js";
+import { recordAction } from "../services/actionJournalService.js";
+import {
+  RECURRING_FREQUENCIES,
+  RECURRING_MODES,
+  createRecurringExpense,
+  formatRecurrence,
+  formatDueDate,
+} from "../services/recurringExpenseService.js";
+
+export const definition = {
+  name: "create_recurring_expense",
+  description: `Create a recurring expense that repeats on a schedule (rent, subscriptions, bills). It's logged automatically on each due date, or the user is asked first if mode is 'confirm'.
+
+Examples:
+- "arriendo 1.200.000 cada 1ro de mes" → frequency: monthly, day_of_month: 1
+- "Netflix 38.900 el 14" → frequency: monthly, day_of_month: 14
+- "gym 25k todos los lunes" → frequency: weekly, day_of_week: 1
+- "seguro del carro 1.5M cada 10 de marzo" → frequency: yearly, month: 3, day_of_month: 10
+- "recuérdame el recibo de luz el 20" → mode: confirm
+
+DO NOT use for one-time expenses - use log_expense instead.`,
+  input_schema: {
+    type: "object",
+    properties: {
+      amount: {
+        type: "number",
+        description: "The amount charged each time"
+      },
+      category: {
+        type: "string",
+        description: "Category ID from the user's categories"
+      },
+      description: {
+        type: "string",
+        description: "What it is (e.g. 'Netflix', 'arriendo')"
+      },
+      frequency: {
+        type: "string",
+        enum: RECURRING_FREQUENCIES,
+        description: "How often it repeats (default: monthly)"
+      },
+      day_of_month: {
+        type: "number",
+        description: "Day of month 1-31 for monthly/yearly (31 = last day in shorter months)"
+      },
+      day_of_week: {
+        type: "number",
+        description: "Day of week for weekly: 0=Sunday, 1=Monday ... 6=Saturday"
+      },
+      month: {
+        type: "number",
+        description: "Month 1-12 for yearly"
+      },
+      mode: {
+        type: "string",
+        enum: RECURRING_MODES,
+        description: "auto = log it on the due date (default). confirm = ask the user first (use when amount varies, like utility bills, or user says 'remind me')"
+      }
+    },
+    required: ["amount", "category", "description"]
+  }
+};
+
+const MESSAGES = {
+  en: {
+    created: "🔁 Recurring expense saved: {description} {amount} ({category}), {recurrence}",
+    next_auto: "Next: {date}. I'll log it automatically.",
+    next_confirm: "Next: {date}. I'll ask you before logging it.",
+    invalid_category: "Which category should I use for {description}?\n{categories}",
+    invalid_day: "Tell me which day it's charged (e.g. 'on the 14th' or 'every Monday').",
+  },
+  es: {
+    created: "🔁 Gasto recurrente guardado: {description} {amount} ({category}), {recurrence}",
+    next_auto: "Próximo: {date}. Lo registraré automáticamente.",
+    next_confirm: "Próximo: {date}. Te preguntaré antes de registrarlo.",
+    invalid_category: "¿En qué categoría pongo {description}?\n{categories}",
+    invalid_day: "Dime qué día se cobra (ej: 'el 14' o 'todos los lunes').",
+  },
+  pt: {
+    created: "🔁 Despesa recorrente salva: {description} {amount} ({category}), {recurrence}",
+    next_auto: "Próxima: {date}. Vou registrar automaticamente.",
+    next_confirm: "Próxima: {date}. Vou te perguntar antes de registrar.",
+    invalid_category: "Em qual categoria coloco {description}?\n{categories}",
+    invalid_day: "Me diga em que dia é cobrado (ex: 'dia 14' ou 'toda segunda').",
+  },
+};
+
+function t(key, lang, params = {}) {
+  let message = (MESSAGES[lang] || MESSAGES.es)[key];
+  for (const [param, value] of Object.entries(params)) {
+    message = message.replace(new RegExp(`\\{${param}\\}`, 'g'), value);
+  }
+  return message;
+}
+
+export async function handler(phone, params, lang, userCurrency) {
+  const { amount, description = "" } = params;
+  const frequency = RECURRING_FREQUENCIES.includes(params.frequency) ? params.frequency : 'monthly';
+  const category = (params.category || '').toLowerCase();
+
+  if (!userCurrency) {
+    return { success: false, message: getMessage('currency_not_set', lang) };
+  }
+
+  const validation = validateAmount(amount, userCurrency);
+  if (!validation.valid) {
+    return { success: false, message: validation.error };
+  }
+
+  const allowedCategories = await getUserCategories(phone, lang);
+  if (!getCategoryIds(allowedCategories).includes(category)) {
+    return {
+      success: false,
+      message: t('invalid_category', lang, { description, categories: getCategoryNames(allowedCategories) }),
+      sticker: 'thinking',
+    };
+  }
+
+  const dayOfMonth = Number.isInteger(params.day_of_month) && params.day_of_month >= 1 && params.day_of_month <= 31
+    ? params.day_of_month : null;
+  const dayOfWeek = Number.isInteger(params.day_of_week) && params.day_of_week >= 0 && params.day_of_week <= 6
+    ? params.day_of_week : null;
+  // Yearly without a month means "this month every year"
+  const month = Number.isInteger(params.month) && params.month >= 1 && params.month <= 12
+    ? params.month : getUserLocalDate(phone).month;
+
+  if ((frequency === 'weekly' && dayOfWeek === null) || (frequency !== 'weekly' && dayOfMonth === null)) {
+    return { success: false, message: t('invalid_day', lang) };
+  }
+
+  const rule = await createRecurringExpense(phone, {
+    amount,
+    category,
+    description,
+    frequency,
+    day_of_month: frequency === 'weekly' ? null : dayOfMonth,
+    day_of_week: frequency === 'weekly' ? dayOfWeek : null,
+    month: frequency === 'yearly' ? month : null,
+    mode: params.mode,
+  });
+
+  await recordAction(
+    phone,
+    'create_recurring_expense',
+    [{ type: 'create', entity: 'recurring_expense', ids: [rule.id] }],
+    `${rule.description || rule.category} (${formatAmount(rule.amount, userCurrency)})`
+  );
+
+  const response = [
+    t('created', lang, {
+      description: rule.description || rule.category,
+      amount: formatAmount(rule.amount, userCurrency),
+      category: rule.category,
+      recurrence: formatRecurrence(rule, lang),
+    }),
+    t(rule.mode === 'confirm' ? 'next_confirm' : 'next_auto', lang, { date: formatDueDate(rule.next_due_date) }),
+  ].join('\n');
+
+  return { success: true, message: response, sticker: 'success' };
+}
+
+export default { definition, handler };
@@ -0,0 +1,69 @@
+/**
+ * Tool: Delete Account
+ * Removes a payment account (its expenses are kept, without an account)
+ */
+
+import { findPaymentAccount, deletePaymentAccount, getAccountLookupError } from "../services/paymentAccountService.js";
+import { formatAccountName } from "../utils/accountUtils.js";
+import { recordAction } from "../services/actionJournalService.js";
+
+export const definition = {
+  name: "delete_account",
+  description: "Delete one of the user's payment accounts or cards. Expenses paid with it are kept. Examples: 'borra la tarjeta Falabella', 'cancelé la tarjeta, elimínala', 'delete my Nequi account'",
+  input_schema: {
+    type: "object",
+    properties: {
+      name: {
+        type: "string",
+        description: "Account name, bank or last 4 digits (e.g. 'Falabella', 'Nequi', '4821')"
+      }
+    },
+    required: ["name"]
+  }
+};
+
+const MESSAGES = {
+  en: {
+    deleted: "🗑️ Deleted account {account}.",
+    unassigned: "{count} expenses paid with it are kept, without an account.",
+  },
+  es: {
+    deleted: "🗑️ Eliminé la cuenta {account}.",
+    unassigned: "Los {count} gastos pagados con ella se mantienen, sin cuenta.",
+  },
+  pt: {
+    deleted: "🗑️ Excluí a conta {account}.",
+    unassigned: "As {count} despesas pagas com ela são mantidas, sem conta.",
+  },
+};
+
+export async function handler(phone, params, lang) {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+
+  const lookup = await findPaymentAccount(phone, params.name);
+  if (!lookup.account) {
+    return { success: false, message: await getAccountLookupError(phone, lookup, params.name, lang) };
+  }
+
+  const unassigned = await deletePaymentAccount(phone, lookup.account);
+
+  // Undo brings the account back first, then reattaches its expenses
+  await recordAction(
+    phone,
+    'delete_account',
+    [
+      { type: 'update', entity: 'expense', ids: unassigned, before: { account_id: lookup.account.id }, after: { account_id: null } },
+      { type: 'delete', entity: 'payment_account', records: [structuredClone(lookup.account)] },
+    ],
+    formatAccountName(lookup.account)
+  );
+
+  let response = messages.deleted.replace('{account}', formatAccountName(lookup.account));
+  if (unassigned.length > 0) {
+    response += `\n${messages.unassigned.replace('{count}', unassigned.length)}`;
+  }
+
+  return { success: true, message: response };
+}
+
+export default { definition, handler };
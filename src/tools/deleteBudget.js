@@ -6,6 +6,8 @@
 import { BudgetDB } from "../database/index.js";
 import { formatAmount } from "../utils/currencyUtils.js";
 import { getMessage } from "../utils/languageUtils.js";
+import { getBudgetPeriodLabel } from "../utils/budgetPeriodUtils.js";
+import { recordAction } from "../services/actionJournalService.js";
 
 export const definition = {
   name: "delete_budget",
@@ -22,36 +24,70 @@ export const definition = {
   }
 };
 
-export async function handler(phone, params, lang, userCurrency) {
-  const { category } = params;
-
+/**
+ * Look up the budget to delete, or the failure to answer with
+ */
+async function findBudget(phone, category, lang) {
   if (!category) {
     return {
-      success: false,
-      message: getLocalizedMessage('delete_budget_help', lang)
+      error: { success: false, message: getLocalizedMessage('delete_budget_help', lang) }
     };
   }
 
   const categoryLower = category.toLowerCase();
-
-  // Check if budget exists
   const budget = await BudgetDB.getByCategory(phone, categoryLower);
 
   if (!budget) {
     return {
-      success: false,
-      message: getLocalizedMessage('budget_not_found', lang, { category: categoryLower })
+      error: {
+        success: false,
+        message: getLocalizedMessage('budget_not_found', lang, { category: categoryLower })
+      }
+    };
+  }
+
+  return { budget, categoryLower };
+}
+
+/**
+ * Deleting a budget is confirmed with Sí/No buttons first (see tools/index.js)
+ */
+export const confirmation = {
+  async preview(phone, params, lang, userCurrency) {
+    const { budget, categoryLower, error } = await findBudget(phone, params.category, lang);
+    if (error) return error;
+
+    return {
+      success: true,
+      message: getLocalizedMessage('confirm_delete', lang, {
+        category: categoryLower,
+        amount: formatAmount(budget.amount, userCurrency),
+        period: getBudgetPeriodLabel(budget, lang)
+      })
     };
   }
+};
+
+export async function handler(phone, params, lang, userCurrency) {
+  const { budget, categoryLower, error } = await findBudget(phone, params.category, lang);
+  if (error) return error;
 
   // Delete the budget
+  const snapshot = structuredClone(budget);
   await BudgetDB.delete(phone, categoryLower);
+  await recordAction(
+    phone,
+    'delete_budget',
+    [{ type: 'delete', entity: 'budget', records: [snapshot] }],
+    `${categoryLower} (${formatAmount(budget.amount, userCurrency)})`
+  );
 
   return {
     success: true,
     message: getLocalizedMessage('budget_deleted', lang, {
       category: categoryLower,
-      amount: formatAmount(budget.amount, userCurrency)
+      amount: formatAmount(budget.amount, userCurrency),
+      period: getBudgetPeriodLabel(budget, lang)
     })
   };
 }
@@ -61,17 +97,20 @@ function getLocalizedMessage(key, lang, params = {}) {
     en: {
       delete_budget_help: "To delete a budget, say: 'delete food budget' or 'remove transport budget'",
       budget_not_found: "No budget found for '{category}'. Use 'show budgets' to see your budgets.",
-      budget_deleted: "Deleted {category} budget ({amount}/month)"
+      confirm_delete: "Delete your {category} budget ({amount}, {period})?",
+      budget_deleted: "Deleted {category} budget ({amount}, {period})"
     },
     es: {
       delete_budget_help: "Para eliminar un presupuesto, di: 'eliminar presupuesto de comida' o 'borrar presupuesto de transporte'",
       budget_not_found: "No hay presupuesto para '{category}'. Usa 'ver presupuestos' para ver tus presupuestos.",
-      budget_deleted: "Presupuesto de {category} eliminado ({amount}/mes)"
+      confirm_delete: "¿Eliminar tu presupuesto de {category} ({amount}, {period})?",
+      budget_deleted: "Presupuesto de {category} eliminado ({amount}, {period})"
     },
     pt: {
       delete_budget_help: "Para excluir um orçamento, diga: 'excluir orçamento de comida' ou 'remover orçamento de transporte'",
       budget_not_found: "Nenhum orçamento encontrado para '{category}'. Use 'ver orçamentos' para ver seus orçamentos.",
-      budget_deleted: "Orçamento de {category} excluído ({amount}/mês)"
+      confirm_delete: "Excluir seu orçamento de {category} ({amount}, {period})?",
+      budget_deleted: "Orçamento de {category} excluído ({amount}, {period})"
     }
   };
 
@@ -85,4 +124,4 @@ function getLocalizedMessage(key, lang, params = {}) {
   return message;
 }
 
-export default { definition, handler };
+export default { definition, confirmation, handler };
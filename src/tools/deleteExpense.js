@@ -1,17 +1,20 @@
 /**
  * Tool: Delete Expense
  * Removes an expense by ID, description, time period, or the most recent one
- * Supports filtering by time period and category to narrow down search
+ * Supports filtering by time period and category to narrow down search.
+ * deleteAll removes every match at once, after the user confirms with buttons.
+ * When it's unclear which expenses are meant, the user picks from a list (see tools/index.js)
  */
 
 import { ExpenseDB } from "../database/index.js";
-import { formatAmount } from "../utils/currencyUtils.js";
+import { formatAmount, formatOriginalAmount } from "../utils/currencyUtils.js";
 import { getMessage } from "../utils/languageUtils.js";
-import { resolveDateRange, getPeriodLabel } from "../utils/dateUtils.js";
+import { resolveDateRange, getPeriodLabel, formatDateRange } from "../utils/dateUtils.js";
+import { recordAction, describeExpenses } from "../services/actionJournalService.js";
 
 export const definition = {
   name: "delete_expense",
-  description: "Delete an expense. Use when user wants to remove, delete, or undo an expense. Can delete by ID, by description/category name, by time period, or the last expense. If multiple expenses match, will ask user to confirm which one. Examples: 'delete expense 5', 'remove last expense', 'undo', 'delete the coffee expense', 'eliminar el de arriendo', 'eliminar gasto de comida de ayer', 'delete yesterday food expense'",
+  description: "Delete an expense. Use when user wants to remove or delete an expense (to undo a recent change use undo_action). Can delete by ID, by description/category name, by time period, or the last expense. If multiple expenses match, will ask user to confirm which one, unless they asked to delete all of them (deleteAll). Examples: 'delete expense 5', 'remove last expense', 'delete the coffee expense', 'eliminar el de arriendo', 'eliminar gasto de comida de ayer', 'delete yesterday food expense', 'borra todos los gastos de comida de enero'",
   input_schema: {
     type: "object",
     properties: {
@@ -27,10 +30,22 @@ export const definition = {
         type: "string",
         description: "Description to match if user refers to expense by name"
       },
+      deleteAll: {
+        type: "boolean",
+        description: "If true, delete every expense matching the filters (period or startDate/endDate, category, description) instead of just one. The user confirms with buttons before anything is deleted"
+      },
       period: {
         type: "string",
-        enum: ["today", "yesterday", "this_week", "last_week", "this_month", "last_month"],
-        description: "Filter expenses by time period before selecting"
+        enum: ["today", "yesterday", "this_week", "last_week", "this_month", "last_month", "all_time"],
+        description: "Filter expenses by time period before selecting (all_time: with deleteAll, when the user clearly means every expense they have)"
+      },
+      startDate: {
+        type: "string",
+        description: "Start date in YYYY-MM-DD format for a custom range (e.g. a whole month: 'de enero')"
+      },
+      endDate: {
+        type: "string",
+        description: "End date in YYYY-MM-DD format for a custom range"
       },
       category: {
         type: "string",
@@ -41,45 +56,202 @@ export const definition = {
   }
 };
 
-export async function handler(phone, params, lang, userCurrency) {
-  const { expenseId, deleteLast, description, period, category } = params;
+// Periods offered when the user asks to delete "all" their expenses without saying which
+const DELETE_ALL_PERIODS = ['today', 'this_week', 'this_month', 'last_month', 'all_time'];
 
-  // Get expenses based on filters
-  let expenses;
+// Matches offered in the picker when several expenses fit (WhatsApp lists show up to 10)
+const MAX_EXPENSE_OPTIONS = 10;
 
-  // If we have period or category filters, use getByFilter
-  if ((period || category) && typeof ExpenseDB.getByFilter === 'function') {
+// getByFilter returns at most this many per call: a bulk delete pages through all of them
+const FILTER_PAGE_SIZE = 100;
+
+/**
+ * Get every one of the user's expenses, narrowed by period/date range and category when given
+ */
+async function getFilteredExpenses(phone, { period, startDate, endDate, category }) {
+  // If we have period, date range or category filters, use getByFilter
+  if ((period || startDate || endDate || category) && typeof ExpenseDB.getByFilter === 'function') {
     const filters = {};
 
-    if (period) {
-      const { startDate, endDate } = resolveDateRange(period, null, null);
-      if (startDate) filters.startDate = startDate;
-      if (endDate) filters.endDate = endDate;
-    }
+    const range = resolveDateRange(period, startDate, endDate);
+    if (range.startDate) filters.startDate = range.startDate;
+    if (range.endDate) filters.endDate = range.endDate;
 
     if (category) {
       filters.category = category;
     }
 
-    const result = await ExpenseDB.getByFilter(phone, filters, { sortBy: 'date', sortOrder: 'desc' });
-    expenses = result.expenses;
-  } else {
-    expenses = await ExpenseDB.getByUser(phone);
+    const expenses = [];
+    let page;
+    do {
+      page = await ExpenseDB.getByFilter(phone, filters, {
+        sortBy: 'date',
+        sortOrder: 'desc',
+        limit: FILTER_PAGE_SIZE,
+        offset: expenses.length,
+      });
+      expenses.push(...page.expenses);
+    } while (page.hasMore && page.expenses.length > 0);
+    return expenses;
   }
+  return ExpenseDB.getByUser(phone);
+}
 
-  if (!expenses || expenses.length === 0) {
-    if (period || category) {
-      return {
-        success: false,
-        message: getLocalizedMessage('no_expenses_filtered', lang, {
-          period: period ? getPeriodLabel(period, lang) : '',
-          category: category || ''
-        })
-      };
-    }
+/**
+ * Whether an expense matches what the user called it (description or category)
+ */
+function matchesDescription(expense, description) {
+  const descLower = description.toLowerCase();
+  return (expense.description && expense.description.toLowerCase().includes(descLower)) ||
+    (expense.category && expense.category.toLowerCase().includes(descLower));
+}
+
+/**
+ * Every expense a deleteAll call refers to
+ */
+async function findAllMatching(phone, params) {
+  let expenses = await getFilteredExpenses(phone, params) || [];
+  if (params.expenseIds) {
+    expenses = expenses.filter(e => params.expenseIds.includes(e.id));
+  }
+  return params.description
+    ? expenses.filter(e => matchesDescription(e, params.description))
+    : expenses;
+}
+
+/**
+ * "No expenses" answer, mentioning the filters that were used
+ */
+function noExpensesResult(params, lang) {
+  const { period, startDate, endDate, category, description } = params;
+  if (period || startDate || endDate || category || description) {
+    const range = describeFilters({ period, startDate, endDate }, lang);
+    return {
+      success: false,
+      message: getLocalizedMessage('no_expenses_filtered', lang, {
+        period: range ? ` ${range}` : '',
+        category: category ? ` (${category})` : '',
+        description: description ? ` "${description}"` : ''
+      })
+    };
+  }
+  return { success: false, message: getMessage('expenses_none', lang) };
+}
+
+/**
+ * "Borra todos mis gastos" with nothing to narrow it down: let the user pick the period,
+ * showing how much each one would delete
+ */
+async function periodChoice(phone, lang, userCurrency) {
+  const options = [];
+  for (const period of DELETE_ALL_PERIODS) {
+    const expenses = await getFilteredExpenses(phone, { period }) || [];
+    if (expenses.length === 0) continue;
+
+    const total = expenses.reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
+    options.push({
+      value: period,
+      title: getPeriodLabel(period, lang),
+      description: getLocalizedMessage('period_option', lang, {
+        count: expenses.length,
+        total: formatAmount(total, userCurrency)
+      })
+    });
+  }
+
+  if (options.length === 0) {
     return { success: false, message: getMessage('expenses_none', lang) };
   }
 
+  return {
+    success: false,
+    message: getLocalizedMessage('which_period', lang),
+    choice: { param: 'period', options }
+  };
+}
+
+/**
+ * Deleting several expenses at once is confirmed with Sí/No buttons first (see tools/index.js).
+ * The preview pins the IDs it showed, so expenses logged meanwhile are left alone
+ */
+export const confirmation = {
+  required: (params) => Boolean(params.deleteAll || params.expenseIds),
+
+  async preview(phone, params, lang, userCurrency) {
+    const { period, startDate, endDate, category, description, expenseIds } = params;
+    if (!period && !startDate && !endDate && !category && !description && !expenseIds) {
+      return periodChoice(phone, lang, userCurrency);
+    }
+
+    const matches = await findAllMatching(phone, params);
+    if (matches.length === 0) {
+      return noExpensesResult(params, lang);
+    }
+
+    const total = matches.reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
+    const context = [
+      params.description ? `"${params.description}"` : '',
+      describeFilters(params, lang),
+      params.category ? `(${params.category})` : ''
+    ].filter(Boolean).join(' ');
+
+    let message = getLocalizedMessage('confirm_delete_all', lang, {
+      count: matches.length,
+      context: context ? ` ${context}` : '',
+      total: formatAmount(total, userCurrency)
+    }) + '\n\n' + formatExpenseLines(matches, lang, userCurrency);
+
+    return {
+      success: true,
+      message,
+      params: { expenseIds: matches.map(e => e.id) }
+    };
+  }
+};
+
+/**
+ * Delete the expenses a confirmed deleteAll call pinned, in one undoable step
+ */
+async function deleteAll(phone, params, lang, userCurrency) {
+  const expenses = await findAllMatching(phone, params);
+  if (expenses.length === 0) {
+    return noExpensesResult(params, lang);
+  }
+
+  // Snapshots let "deshacer" bring them all back with the same IDs
+  const snapshots = structuredClone(expenses);
+  await ExpenseDB.deleteMany(phone, snapshots.map(e => e.id));
+  await recordAction(
+    phone,
+    'delete_expense',
+    [{ type: 'delete', entity: 'expense', records: snapshots }],
+    describeExpenses(snapshots, userCurrency)
+  );
+
+  const total = snapshots.reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
+  return {
+    success: true,
+    message: getLocalizedMessage('expenses_deleted', lang, {
+      count: snapshots.length,
+      total: formatAmount(total, userCurrency)
+    })
+  };
+}
+
+export async function handler(phone, params, lang, userCurrency) {
+  const { expenseId, deleteLast, description, period, startDate, endDate, category } = params;
+
+  if (params.deleteAll || params.expenseIds) {
+    return deleteAll(phone, params, lang, userCurrency);
+  }
+
+  // Get expenses based on filters
+  const expenses = await getFilteredExpenses(phone, params);
+
+  if (!expenses || expenses.length === 0) {
+    return noExpensesResult({ period, startDate, endDate, category }, lang);
+  }
+
   let expenseToDelete = null;
 
   // Find expense by ID
@@ -99,11 +271,7 @@ export async function handler(phone, params, lang, userCurrency) {
   }
   // Find by description
   else if (description) {
-    const descLower = description.toLowerCase();
-    const matches = expenses.filter(e =>
-      (e.description && e.description.toLowerCase().includes(descLower)) ||
-      (e.category && e.category.toLowerCase().includes(descLower))
-    );
+    const matches = expenses.filter(e => matchesDescription(e, description));
 
     if (matches.length === 0) {
       return {
@@ -114,16 +282,16 @@ export async function handler(phone, params, lang, userCurrency) {
       expenseToDelete = matches[0];
     } else {
       // Multiple matches - ask user to confirm which one
-      return formatMultipleMatches(matches, description, period, category, lang, userCurrency);
+      return formatMultipleMatches(matches, description, params, lang, userCurrency);
     }
   }
   // We have filters but no specific selector - check how many expenses match
-  else if (period || category) {
+  else if (period || startDate || endDate || category) {
     if (expenses.length === 1) {
       expenseToDelete = expenses[0];
     } else {
       // Multiple matches with just period/category filters
-      return formatMultipleMatches(expenses, null, period, category, lang, userCurrency);
+      return formatMultipleMatches(expenses, null, params, lang, userCurrency);
     }
   }
   else {
@@ -133,10 +301,17 @@ export async function handler(phone, params, lang, userCurrency) {
     };
   }
 
-  // Delete the expense
+  // Delete the expense (the snapshot lets "deshacer" bring it back with the same ID)
+  const snapshot = structuredClone(expenseToDelete);
   await ExpenseDB.delete(phone, expenseToDelete.id);
+  await recordAction(
+    phone,
+    'delete_expense',
+    [{ type: 'delete', entity: 'expense', records: [snapshot] }],
+    describeExpenses([snapshot], userCurrency)
+  );
 
-  const expenseInfo = `${formatAmount(expenseToDelete.amount, userCurrency)} - ${expenseToDelete.category}`;
+  const expenseInfo = `${formatAmount(expenseToDelete.amount, userCurrency)}${formatOriginalAmount(expenseToDelete)} - ${expenseToDelete.category}`;
   const desc = expenseToDelete.description ? ` (${expenseToDelete.description})` : '';
 
   return {
@@ -146,22 +321,67 @@ export async function handler(phone, params, lang, userCurrency) {
 }
 
 /**
- * Format multiple matches response
+ * Describe the period or date range filter ("Yesterday", "Jan 1 - Jan 31")
+ */
+function describeFilters({ period, startDate, endDate }, lang) {
+  if (period) {
+    return getPeriodLabel(period, lang);
+  }
+  const range = resolveDateRange(null, startDate, endDate);
+  if (range.startDate && range.endDate) {
+    return formatDateRange(range.startDate, range.endDate, lang);
+  }
+  return '';
+}
+
+/**
+ * Short date and time of an expense ("8 feb", "10:30 a. m.")
  */
-function formatMultipleMatches(matches, searchTerm, period, category, lang, userCurrency) {
+function formatExpenseDate(expense, lang) {
   const locale = lang === 'es' ? 'es-CO' : lang === 'pt' ? 'pt-BR' : 'en-US';
-  const maxShow = 5;
+  const date = new Date(expense.date);
+  return {
+    dateStr: date.toLocaleDateString(locale, { day: 'numeric', month: 'short' }),
+    timeStr: date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' })
+  };
+}
 
+/**
+ * One line per expense (#id, amount, category, description, date), up to maxShow
+ */
+function formatExpenseLines(expenses, lang, userCurrency, maxShow = 5) {
+  let listMsg = '';
+  for (const exp of expenses.slice(0, maxShow)) {
+    const { dateStr, timeStr } = formatExpenseDate(exp, lang);
+    listMsg += `#${exp.id} • ${formatAmount(exp.amount, userCurrency)}${formatOriginalAmount(exp)} - ${exp.category}`;
+    if (exp.description) {
+      listMsg += ` (${exp.description})`;
+    }
+    listMsg += ` - ${dateStr} ${timeStr}\n`;
+  }
+
+  if (expenses.length > maxShow) {
+    listMsg += `\n... ${getLocalizedMessage('and_more', lang, { count: expenses.length - maxShow })}`;
+  }
+
+  return listMsg.trimEnd();
+}
+
+/**
+ * Format multiple matches response
+ */
+function formatMultipleMatches(matches, searchTerm, filters, lang, userCurrency) {
   // Build context string
   let context = '';
   if (searchTerm) {
     context = ` "${searchTerm}"`;
   }
-  if (period) {
-    context += ` ${getPeriodLabel(period, lang)}`;
+  const range = describeFilters(filters, lang);
+  if (range) {
+    context += ` ${range}`;
   }
-  if (category) {
-    context += ` (${category})`;
+  if (filters.category) {
+    context += ` (${filters.category})`;
   }
 
   let listMsg = getLocalizedMessage('multiple_matches', lang, {
@@ -169,24 +389,20 @@ function formatMultipleMatches(matches, searchTerm, period, category, lang, user
     context: context.trim()
   }) + '\n\n';
 
-  for (const exp of matches.slice(0, maxShow)) {
-    const date = new Date(exp.date);
-    const timeStr = date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
-    const dateStr = date.toLocaleDateString(locale, { day: 'numeric', month: 'short' });
-    listMsg += `#${exp.id} • ${formatAmount(exp.amount, userCurrency)} - ${exp.category}`;
-    if (exp.description) {
-      listMsg += ` (${exp.description})`;
-    }
-    listMsg += ` - ${dateStr} ${timeStr}\n`;
-  }
-
-  if (matches.length > maxShow) {
-    listMsg += `\n... ${getLocalizedMessage('and_more', lang, { count: matches.length - maxShow })}`;
-  }
-
+  listMsg += formatExpenseLines(matches, lang, userCurrency) + '\n';
   listMsg += '\n' + getLocalizedMessage('specify_id', lang);
 
-  return { success: false, message: listMsg };
+  // The user can also just pick it: the same call runs again with its ID
+  const options = matches.slice(0, MAX_EXPENSE_OPTIONS).map(exp => {
+    const { dateStr } = formatExpenseDate(exp, lang);
+    return {
+      value: exp.id,
+      title: `${formatAmount(exp.amount, userCurrency)} ${exp.category}`,
+      description: [exp.description, dateStr].filter(Boolean).join(' · ')
+    };
+  });
+
+  return { success: false, message: listMsg, choice: { param: 'expenseId', options } };
 }
 
 function getLocalizedMessage(key, lang, params = {}) {
@@ -194,32 +410,44 @@ function getLocalizedMessage(key, lang, params = {}) {
     en: {
       expense_not_found: "Expense #{id} not found. Use 'show expenses' to see your expense list with IDs.",
       expense_not_found_desc: "Couldn't find an expense matching \"{description}\". Use 'show expenses' to see your list.",
-      no_expenses_filtered: "No expenses found{period}{category}.",
+      no_expenses_filtered: "No expenses found{description}{period}{category}.",
       multiple_matches: "Found {count} expenses{context}:",
       specify_id: "Which one do you want to delete? Tell me the number. Example: 'delete expense #5'",
       and_more: "and {count} more",
       delete_expense_help: "To delete an expense, say: 'delete expense #5' or 'delete last expense' or 'remove yesterday coffee expense'",
-      expense_deleted: "Deleted: {expense}"
+      expense_deleted: "Deleted: {expense}",
+      confirm_delete_all: "Delete {count} expenses{context} for {total}?",
+      expenses_deleted: "Deleted {count} expenses ({total}). Say 'undo' if it was a mistake.",
+      which_period: "Which expenses do you want to delete?",
+      period_option: "{count} expenses · {total}"
     },
     es: {
       expense_not_found: "Gasto #{id} no encontrado. Usa 'ver gastos' para ver tu lista con IDs.",
       expense_not_found_desc: "No encontré un gasto con \"{description}\". Usa 'ver gastos' para ver tu lista.",
-      no_expenses_filtered: "No se encontraron gastos{period}{category}.",
+      no_expenses_filtered: "No se encontraron gastos{description}{period}{category}.",
       multiple_matches: "Encontré {count} gastos{context}:",
       specify_id: "¿Cuál quieres eliminar? Dime el número. Ejemplo: 'eliminar gasto #5'",
       and_more: "y {count} más",
       delete_expense_help: "Para eliminar un gasto, di: 'eliminar gasto #5' o 'eliminar último gasto' o 'borrar el gasto del café de ayer'",
-      expense_deleted: "Eliminado: {expense}"
+      expense_deleted: "Eliminado: {expense}",
+      confirm_delete_all: "¿Eliminar {count} gastos{context} por {total}?",
+      expenses_deleted: "Eliminé {count} gastos ({total}). Di 'deshacer' si fue un error.",
+      which_period: "¿Qué gastos quieres eliminar?",
+      period_option: "{count} gastos · {total}"
     },
     pt: {
       expense_not_found: "Despesa #{id} não encontrada. Use 'ver despesas' para ver sua lista com IDs.",
       expense_not_found_desc: "Não encontrei uma despesa com \"{description}\". Use 'ver despesas' para ver sua lista.",
-      no_expenses_filtered: "Nenhuma despesa encontrada{period}{category}.",
+      no_expenses_filtered: "Nenhuma despesa encontrada{description}{period}{category}.",
       multiple_matches: "Encontrei {count} despesas{context}:",
       specify_id: "Qual você quer excluir? Me diga o número. Exemplo: 'excluir despesa #5'",
       and_more: "e mais {count}",
       delete_expense_help: "Para excluir uma despesa, diga: 'excluir despesa #5' ou 'excluir última despesa' ou 'remover despesa do café de ontem'",
-      expense_deleted: "Excluído: {expense}"
+      expense_deleted: "Excluído: {expense}",
+      confirm_delete_all: "Excluir {count} despesas{context} no total de {total}?",
+      expenses_deleted: "Excluí {count} despesas ({total}). Diga 'desfazer' se foi um erro.",
+      which_period: "Quais despesas você quer excluir?",
+      period_option: "{count} despesas · {total}"
     }
   };
 
@@ -240,4 +468,4 @@ function getLocalizedMessage(key, lang, params = {}) {
   return message;
 }
 
-export default { definition, handler };
+export default { definition, confirmation, handler };
@@ -0,0 +1,92 @@
+/**
+ * Tool: Delete Recurring Expense
+ * Removes a recurring expense rule (already logged expenses are kept)
+ */
+
+import { RecurringExpenseDB } from "../database/index.js";
+import { formatAmount } from "../utils/currencyUtils.js";
+import { findRecurringExpense } from "../services/recurringExpenseService.js";
+import { recordAction } from "../services/actionJournalService.js";
+
+export const definition = {
+  name: "delete_recurring_expense",
+  description: "Delete a recurring expense so it's no longer logged (expenses already logged are kept). Examples: 'cancelé Netflix, bórralo', 'delete the gym recurring expense', 'elimina el arriendo recurrente'",
+  input_schema: {
+    type: "object",
+    properties: {
+      id: {
+        type: "number",
+        description: "Recurring expense ID (the #number from show_recurring_expenses), if known"
+      },
+      name: {
+        type: "string",
+        description: "Description or category of the recurring expense (e.g. 'Netflix')"
+      }
+    },
+    required: []
+  }
+};
+
+const MESSAGES = {
+  en: {
+    deleted: "🗑️ Deleted recurring expense {description} ({amount}). Past expenses are kept.",
+    not_found: "I couldn't find a recurring expense matching '{name}'. Say 'my recurring expenses' to see them.",
+    ambiguous: "Several recurring expenses match '{name}'. Which one?",
+  },
+  es: {
+    deleted: "🗑️ Eliminé el gasto recurrente {description} ({amount}). Los gastos ya registrados se mantienen.",
+    not_found: "No encontré un gasto recurrente que coincida con '{name}'. Di 'mis gastos recurrentes' para verlos.",
+    ambiguous: "Varios gastos recurrentes coinciden con '{name}'. ¿Cuál?",
+  },
+  pt: {
+    deleted: "🗑️ Excluí a despesa recorrente {description} ({amount}). As despesas já registradas são mantidas.",
+    not_found: "Não encontrei uma despesa recorrente com '{name}'. Diga 'minhas despesas recorrentes' para ver.",
+    ambiguous: "Várias despesas recorrentes correspondem a '{name}'. Qual?",
+  },
+};
+
+/**
+ * Message for a failed findRecurringExpense lookup (shared with pause_recurring_expense)
+ * @param {object} lookup - Result from findRecurringExpense
+ * @param {string} name - What the user asked for
+ * @param {string} lang - Language code
+ * @param {string} userCurrency - User's currency
+ * @returns {string}
+ */
+export function getRecurringLookupError(lookup, name, lang, userCurrency) {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+  if (lookup.error === 'ambiguous') {
+    const options = lookup.matches
+      .map(r => `#${r.id} ${r.description || r.category} - ${formatAmount(r.amount, userCurrency)}`)
+      .join('\n');
+    return `${messages.ambiguous.replace('{name}', name)}\n${options}`;
+  }
+  return messages.not_found.replace('{name}', name || '');
+}
+
+export async function handler(phone, params, lang, userCurrency) {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+
+  const lookup = await findRecurringExpense(phone, { id: params.id, name: params.name });
+  if (!lookup.rule) {
+    return { success: false, message: getRecurringLookupError(lookup, params.name, lang, userCurrency) };
+  }
+
+  const rule = lookup.rule;
+  await RecurringExpenseDB.delete(phone, rule.id);
+  await recordAction(
+    phone,
+    'delete_recurring_expense',
+    [{ type: 'delete', entity: 'recurring_expense', records: [structuredClone(rule)] }],
+    `${rule.description || rule.category} (${formatAmount(rule.amount, userCurrency)})`
+  );
+
+  return {
+    success: true,
+    message: messages.deleted
+      .replace('{description}', rule.description || rule.category)
+      .replace('{amount}', formatAmount(rule.amount, userCurrency)),
+  };
+}
+
+export default { definition, handler };
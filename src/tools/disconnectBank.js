@@ -5,6 +5,7 @@
 
 import { BankLinkDB } from "../database/index.js";
 import { deleteLink, isBelvoConfigured } from "../services/belvoService.js";
+import { recordIrreversibleAction } from "../services/actionJournalService.js";
 
 export const definition = {
   name: "disconnect_bank",
@@ -16,10 +17,6 @@ export const definition = {
         type: "string",
         description: "Name of the bank to disconnect (optional, will disconnect only bank if user has just one)",
       },
-      confirm: {
-        type: "boolean",
-        description: "Set to true if user has confirmed they want to disconnect",
-      },
     },
     required: [],
   },
@@ -37,9 +34,7 @@ const DISCONNECT_MESSAGES = {
 This will:
 • Remove the bank connection
 • Stop importing new transactions
-• Keep your existing imported expenses
-
-Are you sure? Say "yes, disconnect" to confirm.`,
+• Keep your existing imported expenses`,
 
     disconnected: `*Bank Disconnected*
 
@@ -68,9 +63,7 @@ Please specify which bank to disconnect. For example:
 Esto:
 • Eliminará la conexión bancaria
 • Dejará de importar nuevas transacciones
-• Mantendrá tus gastos importados existentes
-
-¿Estás seguro? Di "sí, desconectar" para confirmar.`,
+• Mantendrá tus gastos importados existentes`,
 
     disconnected: `*Banco Desconectado*
 
@@ -99,9 +92,7 @@ Por favor especifica cuál banco desconectar. Por ejemplo:
 Isso irá:
 • Remover a conexão bancária
 • Parar de importar novas transações
-• Manter suas despesas importadas existentes
-
-Tem certeza? Diga "sim, desconectar" para confirmar.`,
+• Manter suas despesas importadas existentes`,
 
     disconnected: `*Banco Desconectado*
 
@@ -133,14 +124,14 @@ function getDisconnectMessage(key, lang, params = {}) {
   return message;
 }
 
-export async function handler(phone, params, lang, userCurrency) {
-  const { institution, confirm } = params;
-
+/**
+ * Find the bank link to disconnect, or the failure to answer with
+ */
+async function findLinkToDisconnect(phone, institution, lang) {
   // Check if Belvo is configured
   if (!isBelvoConfigured()) {
     return {
-      success: false,
-      message: getDisconnectMessage("not_configured", lang),
+      error: { success: false, message: getDisconnectMessage("not_configured", lang) },
     };
   }
 
@@ -149,8 +140,7 @@ export async function handler(phone, params, lang, userCurrency) {
 
   if (bankLinks.length === 0) {
     return {
-      success: false,
-      message: getDisconnectMessage("no_banks", lang),
+      error: { success: false, message: getDisconnectMessage("no_banks", lang) },
     };
   }
 
@@ -158,11 +148,13 @@ export async function handler(phone, params, lang, userCurrency) {
   if (bankLinks.length > 1 && !institution) {
     const bankList = bankLinks.map((l) => `• ${l.institution}`).join("\n");
     return {
-      success: false,
-      message: getDisconnectMessage("multiple_banks", lang, {
-        bankList,
-        firstBank: bankLinks[0].institution,
-      }),
+      error: {
+        success: false,
+        message: getDisconnectMessage("multiple_banks", lang, {
+          bankList,
+          firstBank: bankLinks[0].institution,
+        }),
+      },
     };
   }
 
@@ -181,21 +173,39 @@ export async function handler(phone, params, lang, userCurrency) {
 
   if (!linkToDisconnect) {
     return {
-      success: false,
-      message: `Could not find bank "${institution}". Please check the bank name and try again.`,
+      error: {
+        success: false,
+        message: `Could not find bank "${institution}". Please check the bank name and try again.`,
+      },
     };
   }
 
-  // If not confirmed, ask for confirmation
-  if (!confirm) {
+  return { link: linkToDisconnect };
+}
+
+/**
+ * Disconnecting is confirmed with Sí/No buttons first (see tools/index.js).
+ * The bank found here is the one disconnected on confirm
+ */
+export const confirmation = {
+  async preview(phone, params, lang) {
+    const { link, error } = await findLinkToDisconnect(phone, params.institution, lang);
+    if (error) return error;
+
     return {
       success: true,
       message: getDisconnectMessage("confirm_disconnect", lang, {
-        institution: linkToDisconnect.institution,
+        institution: link.institution,
       }),
-      requiresConfirmation: true,
+      params: { institution: link.institution },
     };
-  }
+  },
+};
+
+export async function handler(phone, params, lang, userCurrency) {
+  const found = await findLinkToDisconnect(phone, params.institution, lang);
+  if (found.error) return found.error;
+  const linkToDisconnect = found.link;
 
   // Perform the disconnect
   try {
@@ -204,6 +214,7 @@ export async function handler(phone, params, lang, userCurrency) {
 
     // Delete from our database
     await BankLinkDB.delete(linkToDisconnect.linkId);
+    await recordIrreversibleAction(phone, "disconnect_bank", linkToDisconnect.institution);
 
     return {
       success: true,
@@ -220,4 +231,4 @@ export async function handler(phone, params, lang, userCurrency) {
   }
 }
 
-export default { definition, handler };
+export default { definition, confirmation, handler };
@@ -1,19 +1,24 @@
 /**
  * Tool: Edit Expense
- * Updates an existing expense (amount, category, or description)
+ * Updates an existing expense (amount, category, description, tags, notes or payment account)
  * Supports filtering by time period and category to narrow down search
  */
 
 import { ExpenseDB } from "../database/index.js";
-import { validateAmount, formatAmount } from "../utils/currencyUtils.js";
+import { validateAmount, formatAmount, formatOriginalAmount } from "../utils/currencyUtils.js";
 import { getMessage } from "../utils/languageUtils.js";
 import { resolveDateRange, getPeriodLabel } from "../utils/dateUtils.js";
 import { getUserCategories, getCategoryNames } from "../utils/categoryUtils.js";
 import { validateCategory } from "../schemas/expenseSchema.js";
+import { normalizeTags, normalizeNotes, formatTags } from "../utils/tagUtils.js";
+import { findPaymentAccount, getAccountLookupError } from "../services/paymentAccountService.js";
+import { formatAccountName } from "../utils/accountUtils.js";
+import { recordAction, snapshotFields, describeExpenses } from "../services/actionJournalService.js";
+import { learnMerchantCategory } from "../services/merchantService.js";
 
 export const definition = {
   name: "edit_expense",
-  description: "Edit/update an existing expense. Can change amount, category, or description. Use when user wants to fix, edit, update, correct, or change an expense. Can find expense by ID, by description/category name, by time period, or edit the last one. If multiple expenses match, will ask user to confirm which one. Examples: 'change expense 5 to 100', 'fix the rent expense to 1000000', 'correct the arriendo amount', 'update last expense category to food', 'edit yesterday food expense', 'editar el gasto de comida de hoy'",
+  description: "Edit/update an existing expense. Can change amount, category, description, tags, notes or the account/card it was paid with. Use when user wants to fix, edit, update, correct, or change an expense. Can find expense by ID, by description/category name, by time period, or edit the last one. If multiple expenses match, will ask user to confirm which one. Examples: 'change expense 5 to 100', 'fix the rent expense to 1000000', 'correct the arriendo amount', 'update last expense category to food', 'edit yesterday food expense', 'editar el gasto de comida de hoy', 'etiqueta el último gasto con #deducible', 'agrega una nota al gasto 12', 'el último lo pagué con Nequi'",
   input_schema: {
     type: "object",
     properties: {
@@ -49,6 +54,29 @@ export const definition = {
       newDescription: {
         type: "string",
         description: "New description for the expense"
+      },
+      newTags: {
+        type: "array",
+        items: { type: "string" },
+        description: "Replace all tags on the expense (without '#'). Pass [] to remove all tags"
+      },
+      addTags: {
+        type: "array",
+        items: { type: "string" },
+        description: "Tags to add, keeping the existing ones (e.g. ['deducible'])"
+      },
+      removeTags: {
+        type: "array",
+        items: { type: "string" },
+        description: "Tags to remove from the expense"
+      },
+      newNotes: {
+        type: "string",
+        description: "New notes for the expense. Pass an empty string to clear them"
+      },
+      newAccount: {
+        type: "string",
+        description: "Account or card it was paid with, as the user said it (e.g. 'Nequi', 'tarjeta Bancolombia')"
       }
     },
     required: []
@@ -64,7 +92,12 @@ export async function handler(phone, params, lang, userCurrency) {
     category,
     newAmount,
     newCategory,
-    newDescription
+    newDescription,
+    newTags,
+    addTags,
+    removeTags,
+    newNotes,
+    newAccount
   } = params;
 
   // Get expenses based on filters
@@ -118,11 +151,13 @@ export async function handler(phone, params, lang, userCurrency) {
     // Get the most recent expense from filtered list
     expenseToEdit = expenses[0]; // Already sorted desc
   } else if (searchTerm) {
-    // Search by description or category
+    // Search by description, category or tag
     const termLower = searchTerm.toLowerCase();
+    const termTag = normalizeTags([searchTerm])[0];
     const matches = expenses.filter(e =>
       (e.description && e.description.toLowerCase().includes(termLower)) ||
-      (e.category && e.category.toLowerCase().includes(termLower))
+      (e.category && e.category.toLowerCase().includes(termLower)) ||
+      (termTag && (e.tags || []).includes(termTag))
     );
 
     if (matches.length === 0) {
@@ -152,7 +187,9 @@ export async function handler(phone, params, lang, userCurrency) {
   }
 
   // Check if there's something to update
-  if (!newAmount && !newCategory && !newDescription) {
+  const tagsChanged = Array.isArray(newTags) || addTags?.length > 0 || removeTags?.length > 0;
+  const notesChanged = newNotes !== undefined && newNotes !== null;
+  if (!newAmount && !newCategory && !newDescription && !tagsChanged && !notesChanged && !newAccount) {
     return {
       success: false,
       message: getLocalizedMessage('edit_nothing_specified', lang)
@@ -185,12 +222,26 @@ export async function handler(phone, params, lang, userCurrency) {
     normalizedCategory = categoryValidation.matchedCategory.id;
   }
 
+  // Resolve new payment account if provided
+  let account = null;
+  if (newAccount) {
+    const lookup = await findPaymentAccount(phone, newAccount);
+    if (!lookup.account) {
+      return { success: false, message: await getAccountLookupError(phone, lookup, newAccount, lang) };
+    }
+    account = lookup.account;
+  }
+
   // Build update object
   const updates = {};
   const changes = [];
 
   if (newAmount) {
+    // New amount is in the base currency, so drop any foreign original
     updates.amount = newAmount;
+    updates.original_amount = null;
+    updates.original_currency = null;
+    updates.fx_rate = null;
     changes.push(`${getLocalizedMessage('amount', lang)}: ${formatAmount(newAmount, userCurrency)}`);
   }
   if (normalizedCategory) {
@@ -201,17 +252,60 @@ export async function handler(phone, params, lang, userCurrency) {
     updates.description = newDescription;
     changes.push(`${getLocalizedMessage('description', lang)}: ${newDescription}`);
   }
+  if (tagsChanged) {
+    const removed = normalizeTags(removeTags);
+    const base = Array.isArray(newTags) ? normalizeTags(newTags) : (expenseToEdit.tags || []);
+    updates.tags = normalizeTags([...base, ...normalizeTags(addTags)].filter(t => !removed.includes(t)));
+    changes.push(`${getLocalizedMessage('tags', lang)}: ${formatTags(updates.tags) || getLocalizedMessage('none', lang)}`);
+  }
+  if (notesChanged) {
+    updates.notes = normalizeNotes(newNotes);
+    changes.push(`${getLocalizedMessage('notes', lang)}: ${updates.notes || getLocalizedMessage('none', lang)}`);
+  }
+  if (account) {
+    updates.account_id = account.id;
+    changes.push(`${getLocalizedMessage('account', lang)}: ${formatAccountName(account, { emoji: false })}`);
+  }
+
+  // A new category teaches where this merchant goes: its next expenses are filed there too
+  let learned = null;
+  if (normalizedCategory && normalizedCategory !== expenseToEdit.category) {
+    learned = await learnMerchantCategory(phone, expenseToEdit, normalizedCategory);
+    if (learned && !expenseToEdit.merchant_id) {
+      updates.merchant_id = learned.merchant.id;
+    }
+  }
 
   // Update the expense in database (preserves original ID)
+  const before = snapshotFields(expenseToEdit, updates);
   await ExpenseDB.update(phone, expenseToEdit.id, updates);
 
-  return {
-    success: true,
-    message: getLocalizedMessage('expense_updated', lang, {
-      id: expenseToEdit.id,
-      changes: changes.join(', ')
-    })
-  };
+  const journalChanges = [{ type: 'update', entity: 'expense', ids: [expenseToEdit.id], before, after: updates }];
+  if (learned) {
+    journalChanges.push({
+      type: 'update',
+      entity: 'merchant_category',
+      ids: [learned.merchant.id],
+      before: { category: learned.previousCategory },
+      after: { category: normalizedCategory },
+    });
+  }
+  await recordAction(
+    phone,
+    'edit_expense',
+    journalChanges,
+    `#${expenseToEdit.id} ${describeExpenses([{ ...expenseToEdit, ...before }], userCurrency)}`
+  );
+
+  let message = getLocalizedMessage('expense_updated', lang, {
+    id: expenseToEdit.id,
+    changes: changes.join(', ')
+  });
+  if (learned) {
+    message += `\n${getLocalizedMessage('merchant_learned', lang, { merchant: learned.merchant.name, category: normalizedCategory })}`;
+  }
+
+  return { success: true, message };
 }
 
 /**
@@ -242,10 +336,13 @@ function formatMultipleMatches(matches, searchTerm, period, category, lang, user
     const date = new Date(exp.date);
     const timeStr = date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
     const dateStr = date.toLocaleDateString(locale, { day: 'numeric', month: 'short' });
-    listMsg += `#${exp.id} • ${formatAmount(exp.amount, userCurrency)} - ${exp.category}`;
+    listMsg += `#${exp.id} • ${formatAmount(exp.amount, userCurrency)}${formatOriginalAmount(exp)} - ${exp.category}`;
     if (exp.description) {
       listMsg += ` (${exp.description})`;
     }
+    if (exp.tags?.length > 0) {
+      listMsg += ` ${formatTags(exp.tags)}`;
+    }
     listMsg += ` - ${dateStr} ${timeStr}\n`;
   }
 
@@ -268,11 +365,16 @@ function getLocalizedMessage(key, lang, params = {}) {
       specify_id: "Which one do you want to {action}? Tell me the number. Example: '{action} expense #5'",
       and_more: "and {count} more",
       edit_expense_help: "To edit an expense, say: 'edit expense 5 amount to 100' or 'change last expense category to food' or 'edit yesterday food expense'",
-      edit_nothing_specified: "Please specify what to change: amount, category, or description.",
+      edit_nothing_specified: "Please specify what to change: amount, category, description, tags, notes or account.",
       expense_updated: "Updated expense #{id}: {changes}",
+      merchant_learned: "From now on, {merchant} expenses go to {category}.",
       amount: "Amount",
       category: "Category",
-      description: "Description"
+      description: "Description",
+      tags: "Tags",
+      notes: "Notes",
+      account: "Account",
+      none: "none"
     },
     es: {
       expense_not_found: "Gasto #{id} no encontrado. Usa 'ver gastos' para ver tu lista con IDs.",
@@ -282,11 +384,16 @@ function getLocalizedMessage(key, lang, params = {}) {
       specify_id: "¿Cuál quieres {action}? Dime el número. Ejemplo: '{action} gasto #5'",
       and_more: "y {count} más",
       edit_expense_help: "Para editar un gasto, di: 'editar gasto 5 monto a 100' o 'cambiar último gasto categoría a comida' o 'editar gasto de comida de ayer'",
-      edit_nothing_specified: "Por favor especifica qué cambiar: monto, categoría o descripción.",
+      edit_nothing_specified: "Por favor especifica qué cambiar: monto, categoría, descripción, etiquetas, notas o cuenta.",
       expense_updated: "Gasto #{id} actualizado: {changes}",
+      merchant_learned: "De ahora en adelante, los gastos de {merchant} van a {category}.",
       amount: "Monto",
       category: "Categoría",
-      description: "Descripción"
+      description: "Descripción",
+      tags: "Etiquetas",
+      notes: "Notas",
+      account: "Cuenta",
+      none: "ninguna"
     },
     pt: {
       expense_not_found: "Despesa #{id} não encontrada. Use 'ver despesas' para ver sua lista com IDs.",
@@ -296,11 +403,16 @@ function getLocalizedMessage(key, lang, params = {}) {
       specify_id: "Qual você quer {action}? Me diga o número. Exemplo: '{action} despesa #5'",
       and_more: "e mais {count}",
       edit_expense_help: "Para editar uma despesa, diga: 'editar despesa 5 valor para 100' ou 'mudar última despesa categoria para comida' ou 'editar despesa de comida de ontem'",
-      edit_nothing_specified: "Por favor especifique o que mudar: valor, categoria ou descrição.",
+      edit_nothing_specified: "Por favor especifique o que mudar: valor, categoria, descrição, etiquetas, notas ou conta.",
       expense_updated: "Despesa #{id} atualizada: {changes}",
+      merchant_learned: "De agora em diante, as despesas de {merchant} vão para {category}.",
       amount: "Valor",
       category: "Categoria",
-      description: "Descrição"
+      description: "Descrição",
+      tags: "Etiquetas",
+      notes: "Notas",
+      account: "Conta",
+      none: "nenhuma"
     }
   };
 
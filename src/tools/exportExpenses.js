@@ -4,8 +4,11 @@
  */
 
 import { ExpenseDB, UserDB } from "../database/index.js";
-import { sendDocument } from "../utils/whatsappClient.js";
+import { sendDocument } from "../channels/index.js";
 import { getMessage } from "../utils/languageUtils.js";
+import { formatTags } from "../utils/tagUtils.js";
+import { formatAccountName } from "../utils/accountUtils.js";
+import { getAccountMap } from "../services/paymentAccountService.js";
 import { canExport, getSubscriptionStatus, getUpgradeMessage } from "../services/subscriptionService.js";
 
 export const definition = {
@@ -41,15 +44,24 @@ export async function handler(phone, params, lang, userCurrency) {
     return { success: true, message: getMessage('export_empty', lang) };
   }
 
+  const accounts = await getAccountMap(phone);
+
   // Build CSV
-  const rows = ['Date,Amount,Currency,Category,Description'];
+  // Amount is always in the base currency; foreign expenses also keep what was paid
+  const rows = ['Date,Amount,Currency,Category,Description,Original Amount,Original Currency,FX Rate,Tags,Notes,Account'];
   for (const exp of expenses) {
     const date = new Date(exp.date).toISOString().split('T')[0];
     const amount = exp.amount;
     const currency = userCurrency || '';
     const category = csvEscape(exp.category || '');
     const description = csvEscape(exp.description || '');
-    rows.push(`${date},${amount},${currency},${category},${description}`);
+    const originalAmount = exp.original_amount ?? '';
+    const originalCurrency = exp.original_currency || '';
+    const fxRate = exp.fx_rate ?? '';
+    const tags = csvEscape(formatTags(exp.tags));
+    const notes = csvEscape(exp.notes || '');
+    const account = csvEscape(formatAccountName(accounts.get(exp.account_id), { emoji: false }));
+    rows.push(`${date},${amount},${currency},${category},${description},${originalAmount},${originalCurrency},${fxRate},${tags},${notes},${account}`);
   }
 
   const csvString = rows.join('\n');
@@ -1,14 +1,19 @@
 /**
  * Tool: Import Expenses from Excel/CSV
- * Parses uploaded file and imports expenses in batch
+ * Parses uploaded file and imports expenses in batch.
+ * The user confirms the preview with buttons first; the parsed rows are pinned to
+ * the pending action, so the file isn't downloaded again on confirm
  */
 
-import { ExpenseDB, UserDB } from "../database/index.js";
+import { ExpenseDB, UserDB, CategorizationRuleDB } from "../database/index.js";
 import { formatAmount } from "../utils/currencyUtils.js";
 import { getMessage } from "../utils/languageUtils.js";
 import { getUserCategories, findCategory } from "../utils/categoryUtils.js";
 import { parseExcelFile } from "../utils/excelProcessor.js";
-import { downloadMedia } from "../utils/whatsappClient.js";
+import { downloadMedia } from "../channels/index.js";
+import { normalizeTags, formatTags } from "../utils/tagUtils.js";
+import { recordAction, describeExpenses } from "../services/actionJournalService.js";
+import { applyRules } from "../utils/categorizationRuleUtils.js";
 import {
   checkMoneditas,
   consumeMoneditas,
@@ -30,176 +35,184 @@ export const definition = {
         type: "string",
         description: "Media ID of the uploaded document"
       },
-      confirm: {
-        type: "boolean",
-        description: "Set to true to confirm import after preview"
+      tags: {
+        type: "array",
+        items: { type: "string" },
+        description: "Optional. Tags to add to every imported expense, without '#' (e.g. ['viaje-cartagena'])"
       }
     },
     required: ["mediaId"]
   }
 };
 
-// Store pending imports for confirmation flow
-const pendingImports = new Map(); // phone -> { expenses, timestamp }
-
-export async function handler(phone, params, lang, userCurrency) {
-  const { mediaId, confirm } = params;
-
-  // If confirming a previous import
-  if (confirm) {
-    return await confirmImport(phone, lang, userCurrency);
+/**
+ * Download and parse the file, and check the user can pay for the import
+ * @returns {Promise<{expenses: Array, preview: string, errors: Array, estimatedCost: number}|{error: object}>}
+ */
+async function loadImport(phone, mediaId, lang, userCurrency) {
+  // Check if currency is set
+  if (!userCurrency) {
+    return { error: { success: false, message: getMessage('currency_not_set', lang) } };
   }
 
-  // New import - download and parse file
-  try {
-    // Check if currency is set
-    if (!userCurrency) {
-      return { success: false, message: getMessage('currency_not_set', lang) };
-    }
-
-    // Download the document
-    const { buffer, mimeType } = await downloadMedia(mediaId);
+  // Download the document
+  const { buffer, mimeType } = await downloadMedia(mediaId);
 
-    // Validate file type
-    const validTypes = [
-      'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
-      'application/vnd.ms-excel', // .xls
-      'text/csv',
-      'application/csv',
-    ];
+  // Validate file type
+  const validTypes = [
+    'application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', // .xlsx
+    'application/vnd.ms-excel', // .xls
+    'text/csv',
+    'application/csv',
+  ];
 
-    if (!validTypes.some(t => mimeType.includes(t) || mimeType.includes('spreadsheet') || mimeType.includes('excel') || mimeType.includes('csv'))) {
-      const messages = {
-        en: "Please send an Excel file (.xlsx, .xls) or CSV file.",
-        es: "Por favor envía un archivo Excel (.xlsx, .xls) o CSV.",
-        pt: "Por favor envie um arquivo Excel (.xlsx, .xls) ou CSV."
-      };
-      return { success: false, message: messages[lang] || messages.es };
-    }
+  if (!validTypes.some(t => mimeType.includes(t) || mimeType.includes('spreadsheet') || mimeType.includes('excel') || mimeType.includes('csv'))) {
+    const messages = {
+      en: "Please send an Excel file (.xlsx, .xls) or CSV file.",
+      es: "Por favor envía un archivo Excel (.xlsx, .xls) o CSV.",
+      pt: "Por favor envie um arquivo Excel (.xlsx, .xls) ou CSV."
+    };
+    return { error: { success: false, message: messages[lang] || messages.es } };
+  }
 
-    // Parse the file
-    const result = parseExcelFile(buffer, mimeType, userCurrency);
+  // Parse the file
+  const result = parseExcelFile(buffer, mimeType, userCurrency);
 
-    if (!result.success) {
-      return {
+  if (!result.success) {
+    return {
+      error: {
         success: false,
         message: getMessage('import_parse_error', lang) || `Error parsing file: ${result.errors.join(', ')}`
-      };
-    }
-
-    if (result.expenses.length === 0) {
-      const messages = {
-        en: "No expenses found in the file. Make sure it has an 'amount' column.",
-        es: "No se encontraron gastos en el archivo. Asegúrate de que tenga una columna de 'monto' o 'amount'.",
-        pt: "Nenhuma despesa encontrada no arquivo. Certifique-se de que tenha uma coluna 'valor' ou 'amount'."
-      };
-      return { success: false, message: messages[lang] || messages.es };
-    }
-
-    // Estimate moneditas cost
-    const estimatedCost = Math.ceil(result.expenses.length * MONEDITAS_PER_IMPORT);
-
-    // Check if user has enough moneditas
-    const moneditasCheck = await checkMoneditas(phone, estimatedCost);
-    if (!moneditasCheck.allowed) {
-      const status = await getMoneditasStatus(phone);
-      const messages = {
-        en: `Importing ${result.expenses.length} expenses requires ${estimatedCost} moneditas.`,
-        es: `Importar ${result.expenses.length} gastos requiere ${estimatedCost} moneditas.`,
-        pt: `Importar ${result.expenses.length} despesas requer ${estimatedCost} moneditas.`
-      };
-      const upgradeMsg = getUpgradeMessage(status.plan.id, lang);
-      return {
-        success: false,
-        message: `${messages[lang] || messages.es}\n\n${moneditasCheck.message || ''}\n\n${upgradeMsg}`
-      };
-    }
-
-    // Store pending import
-    pendingImports.set(phone, {
-      expenses: result.expenses,
-      timestamp: Date.now(),
-      estimatedCost,
-    });
-
-    // Clean old pending imports (older than 10 minutes)
-    setTimeout(() => {
-      const pending = pendingImports.get(phone);
-      if (pending && Date.now() - pending.timestamp > 10 * 60 * 1000) {
-        pendingImports.delete(phone);
       }
-    }, 10 * 60 * 1000);
+    };
+  }
 
-    // Build preview message
+  if (result.expenses.length === 0) {
     const messages = {
-      en: `📊 **Preview** (${result.expenses.length} expenses)\n\n${result.preview}\n\n💰 Cost: ${estimatedCost} moneditas\n\nReply "yes" or "sí" to import, or "no" to cancel.`,
-      es: `📊 **Vista previa** (${result.expenses.length} gastos)\n\n${result.preview}\n\n💰 Costo: ${estimatedCost} moneditas\n\nResponde "sí" para importar o "no" para cancelar.`,
-      pt: `📊 **Prévia** (${result.expenses.length} despesas)\n\n${result.preview}\n\n💰 Custo: ${estimatedCost} moneditas\n\nResponda "sim" para importar ou "não" para cancelar.`
+      en: "No expenses found in the file. Make sure it has an 'amount' column.",
+      es: "No se encontraron gastos en el archivo. Asegúrate de que tenga una columna de 'monto' o 'amount'.",
+      pt: "Nenhuma despesa encontrada no arquivo. Certifique-se de que tenha uma coluna 'valor' ou 'amount'."
     };
+    return { error: { success: false, message: messages[lang] || messages.es } };
+  }
 
-    let message = messages[lang] || messages.es;
-
-    // Add errors if any
-    if (result.errors.length > 0) {
-      const errorMessages = {
-        en: "\n\n⚠️ Warnings:",
-        es: "\n\n⚠️ Advertencias:",
-        pt: "\n\n⚠️ Avisos:"
-      };
-      message += (errorMessages[lang] || errorMessages.es) + '\n' + result.errors.slice(0, 3).join('\n');
-    }
+  // Estimate moneditas cost
+  const estimatedCost = Math.ceil(result.expenses.length * MONEDITAS_PER_IMPORT);
 
-    return {
-      success: true,
-      message,
-      awaitingConfirmation: true,
+  // Check if user has enough moneditas
+  const moneditasCheck = await checkMoneditas(phone, estimatedCost);
+  if (!moneditasCheck.allowed) {
+    const status = await getMoneditasStatus(phone);
+    const messages = {
+      en: `Importing ${result.expenses.length} expenses requires ${estimatedCost} moneditas.`,
+      es: `Importar ${result.expenses.length} gastos requiere ${estimatedCost} moneditas.`,
+      pt: `Importar ${result.expenses.length} despesas requer ${estimatedCost} moneditas.`
     };
-
-  } catch (error) {
-    console.error('[importExpenses] Error:', error);
+    const upgradeMsg = getUpgradeMessage(status.plan.id, lang);
     return {
-      success: false,
-      message: getMessage('error_generic', lang)
+      error: {
+        success: false,
+        message: `${messages[lang] || messages.es}\n\n${moneditasCheck.message || ''}\n\n${upgradeMsg}`
+      }
     };
   }
+
+  return {
+    expenses: result.expenses,
+    preview: result.preview,
+    errors: result.errors,
+    estimatedCost,
+  };
 }
 
 /**
- * Confirm and execute pending import
+ * Importing is confirmed with Sí/No buttons first (see tools/index.js)
  */
-async function confirmImport(phone, lang, userCurrency) {
-  const pending = pendingImports.get(phone);
+export const confirmation = {
+  async preview(phone, params, lang, userCurrency) {
+    try {
+      const loaded = await loadImport(phone, params.mediaId, lang, userCurrency);
+      if (loaded.error) return loaded.error;
 
-  if (!pending) {
-    const messages = {
-      en: "No pending import found. Please send the file again.",
-      es: "No hay importación pendiente. Por favor envía el archivo de nuevo.",
-      pt: "Nenhuma importação pendente. Por favor envie o arquivo novamente."
-    };
-    return { success: false, message: messages[lang] || messages.es };
-  }
+      const importTags = normalizeTags(params.tags);
 
-  // Check if expired (10 minutes)
-  if (Date.now() - pending.timestamp > 10 * 60 * 1000) {
-    pendingImports.delete(phone);
-    const messages = {
-      en: "Import expired. Please send the file again.",
-      es: "La importación expiró. Por favor envía el archivo de nuevo.",
-      pt: "A importação expirou. Por favor envie o arquivo novamente."
-    };
-    return { success: false, message: messages[lang] || messages.es };
+      // Build preview message
+      const messages = {
+        en: `📊 **Preview** (${loaded.expenses.length} expenses)\n\n${loaded.preview}\n\n💰 Cost: ${loaded.estimatedCost} moneditas`,
+        es: `📊 **Vista previa** (${loaded.expenses.length} gastos)\n\n${loaded.preview}\n\n💰 Costo: ${loaded.estimatedCost} moneditas`,
+        pt: `📊 **Prévia** (${loaded.expenses.length} despesas)\n\n${loaded.preview}\n\n💰 Custo: ${loaded.estimatedCost} moneditas`
+      };
+
+      let message = messages[lang] || messages.es;
+
+      if (importTags.length > 0) {
+        const tagMessages = {
+          en: `🏷️ All will be tagged ${formatTags(importTags)}`,
+          es: `🏷️ Todos quedarán etiquetados ${formatTags(importTags)}`,
+          pt: `🏷️ Todas serão etiquetadas ${formatTags(importTags)}`
+        };
+        message += `\n\n${tagMessages[lang] || tagMessages.es}`;
+      }
+
+      // Add errors if any
+      if (loaded.errors.length > 0) {
+        const errorMessages = {
+          en: "\n\n⚠️ Warnings:",
+          es: "\n\n⚠️ Advertencias:",
+          pt: "\n\n⚠️ Avisos:"
+        };
+        message += (errorMessages[lang] || errorMessages.es) + '\n' + loaded.errors.slice(0, 3).join('\n');
+      }
+
+      const questions = {
+        en: "Import them?",
+        es: "¿Los importo?",
+        pt: "Importo?"
+      };
+      message += `\n\n${questions[lang] || questions.es}`;
+
+      return {
+        success: true,
+        message,
+        params: { mediaId: params.mediaId, tags: importTags, rows: loaded.expenses },
+      };
+
+    } catch (error) {
+      console.error('[importExpenses] Error:', error);
+      return {
+        success: false,
+        message: getMessage('error_generic', lang)
+      };
+    }
   }
+};
+
+/**
+ * Import the rows the user confirmed
+ */
+export async function handler(phone, params, lang, userCurrency) {
+  const importTags = normalizeTags(params.tags);
 
   try {
-    // Get user's categories for mapping
+    let rows = params.rows;
+    if (!rows) {
+      const loaded = await loadImport(phone, params.mediaId, lang, userCurrency);
+      if (loaded.error) return loaded.error;
+      rows = loaded.expenses;
+    }
+
+    // Get user's categories for mapping, and their rules
     const userCategories = await getUserCategories(phone, lang);
+    const rules = (await CategorizationRuleDB.getByUser(phone)) || [];
 
     // Import expenses
     let imported = 0;
     let skipped = 0;
+    let leftOutByRules = 0;
     const categoryStats = {};
+    const createdExpenses = [];
 
-    for (const exp of pending.expenses) {
+    for (const exp of rows) {
       // Map category if exists
       let finalCategory = 'otros';
       if (exp.category) {
@@ -219,35 +232,62 @@ async function confirmImport(phone, lang, userCurrency) {
         continue;
       }
 
+      // The user's rules set the category over the file's, or leave the row out
+      const ruled = applyRules(rules, {
+        description: exp.description,
+        amount: exp.amount,
+        source: 'excel_import',
+      }, { categories: userCategories });
+      if (ruled.skip || ruled.transfer) {
+        leftOutByRules++;
+        continue;
+      }
+      if (ruled.category) finalCategory = ruled.category;
+
       // Create expense
-      await ExpenseDB.create(phone, {
+      const expense = await ExpenseDB.create(phone, {
         amount: exp.amount,
         category: finalCategory,
         description: exp.description || '',
         created_at: exp.date,
         source: 'excel_import',
+        tags: normalizeTags([...(exp.tags || []), ...importTags, ...ruled.tags]),
+        notes: exp.notes || null,
       });
 
+      createdExpenses.push(expense);
       imported++;
       categoryStats[finalCategory] = (categoryStats[finalCategory] || 0) + 1;
     }
 
+    // The whole import is undone in one step
+    await recordAction(
+      phone,
+      'import_expenses',
+      [{ type: 'create', entity: 'expense', ids: createdExpenses.map(e => e.id) }],
+      describeExpenses(createdExpenses, userCurrency)
+    );
+
     // Consume moneditas
     const actualCost = Math.max(1, Math.ceil(imported * MONEDITAS_PER_IMPORT));
     await consumeMoneditas(phone, actualCost, "excel_import");
 
-    // Clear pending import
-    pendingImports.delete(phone);
-
     // Build success message
     const categoryList = Object.entries(categoryStats)
       .map(([cat, count]) => `• ${cat}: ${count}`)
       .join('\n');
 
+    const ruleMessages = {
+      en: `\n📏 Left out by your rules: ${leftOutByRules}`,
+      es: `\n📏 Omitidos por tus reglas: ${leftOutByRules}`,
+      pt: `\n📏 Ignorados pelas suas regras: ${leftOutByRules}`
+    };
+    const rulesLine = leftOutByRules > 0 ? (ruleMessages[lang] || ruleMessages.es) : '';
+
     const messages = {
-      en: `✅ **Import complete!**\n\n📥 Imported: ${imported}\n⏭️ Skipped (duplicates): ${skipped}\n💰 Cost: ${actualCost} moneditas\n\n**By category:**\n${categoryList}`,
-      es: `✅ **¡Importación completa!**\n\n📥 Importados: ${imported}\n⏭️ Omitidos (duplicados): ${skipped}\n💰 Costo: ${actualCost} moneditas\n\n**Por categoría:**\n${categoryList}`,
-      pt: `✅ **Importação concluída!**\n\n📥 Importados: ${imported}\n⏭️ Ignorados (duplicados): ${skipped}\n💰 Custo: ${actualCost} moneditas\n\n**Por categoria:**\n${categoryList}`
+      en: `✅ **Import complete!**\n\n📥 Imported: ${imported}\n⏭️ Skipped (duplicates): ${skipped}${rulesLine}\n💰 Cost: ${actualCost} moneditas\n\n**By category:**\n${categoryList}`,
+      es: `✅ **¡Importación completa!**\n\n📥 Importados: ${imported}\n⏭️ Omitidos (duplicados): ${skipped}${rulesLine}\n💰 Costo: ${actualCost} moneditas\n\n**Por categoría:**\n${categoryList}`,
+      pt: `✅ **Importação concluída!**\n\n📥 Importados: ${imported}\n⏭️ Ignorados (duplicados): ${skipped}${rulesLine}\n💰 Custo: ${actualCost} moneditas\n\n**Por categoria:**\n${categoryList}`
     };
 
     return {
@@ -257,8 +297,7 @@ async function confirmImport(phone, lang, userCurrency) {
     };
 
   } catch (error) {
-    console.error('[importExpenses] Error confirming import:', error);
-    pendingImports.delete(phone);
+    console.error('[importExpenses] Error importing:', error);
     return {
       success: false,
       message: getMessage('error_generic', lang)
@@ -266,21 +305,4 @@ async function confirmImport(phone, lang, userCurrency) {
   }
 }
 
-/**
- * Cancel pending import
- */
-export function cancelImport(phone) {
-  pendingImports.delete(phone);
-}
-
-/**
- * Check if user has pending import
- */
-export function hasPendingImport(phone) {
-  const pending = pendingImports.get(phone);
-  if (!pending) return false;
-  // Check if not expired
-  return Date.now() - pending.timestamp < 10 * 60 * 1000;
-}
-
-export default { definition, handler, cancelImport, hasPendingImport };
+export default { definition, confirmation, handler };
@@ -1,8 +1,25 @@
 /**
  * Tool Registry
  * Collects all tools and provides interface for the FinanceAgent
+ *
+ * High-impact tools export a `confirmation` object: { required?(params), preview(phone, params, lang, userCurrency) }.
+ * Instead of running them, executeTool sends the preview with Sí/No buttons and stores the
+ * call as a pending action; the button reply runs it (or drops it) via handleConfirmationButton.
+ * A preview that returns success: false answers right away (e.g. nothing to delete), and one
+ * that returns params pins what runs on confirm, so it matches what the user saw.
+ *
+ * A tool (or preview) that needs the user to pick something returns
+ * choice: { param, options: [{ value, title, description? }], params? }. executeTool sends
+ * the options as buttons (up to 3) or a list, and the pick goes straight back to the stored
+ * call via handleChoiceReply: the value is set at `param` (a path like "expenses.0.category")
+ * and the tool runs again, without passing the reply through the agent
  */
 
+import { PendingActionDB } from "../database/index.js";
+import { sendInteractiveButtons, sendInteractiveList } from "../channels/index.js";
+import { sendContextStickerWithLimit } from "../services/stickerService.js";
+import { getMessage } from "../utils/languageUtils.js";
+
 import logExpense from "./logExpense.js";
 import setBudget from "./setBudget.js";
 import showSummary from "./showSummary.js";
@@ -33,6 +50,18 @@ import settleDebt from "./settleDebt.js";
 import showGroups from "./showGroups.js";
 import importExpenses from "./importExpenses.js";
 import createCategory from "./createCategory.js";
+import logIncome from "./logIncome.js";
+import showCashflow from "./showCashflow.js";
+import transferBudget from "./transferBudget.js";
+import createRecurringExpense from "./createRecurringExpense.js";
+import showRecurringExpenses from "./showRecurringExpenses.js";
+import pauseRecurringExpense from "./pauseRecurringExpense.js";
+import deleteRecurringExpense from "./deleteRecurringExpense.js";
+import addAccount from "./addAccount.js";
+import showAccounts from "./showAccounts.js";
+import deleteAccount from "./deleteAccount.js";
+import undoAction from "./undoAction.js";
+import manageRules from "./manageRules.js";
 
 // Registry of all available tools
 const tools = {
@@ -66,8 +95,45 @@ const tools = {
   show_groups: showGroups,
   import_expenses: importExpenses,
   create_category: createCategory,
+  log_income: logIncome,
+  show_cashflow: showCashflow,
+  transfer_budget: transferBudget,
+  create_recurring_expense: createRecurringExpense,
+  show_recurring_expenses: showRecurringExpenses,
+  pause_recurring_expense: pauseRecurringExpense,
+  delete_recurring_expense: deleteRecurringExpense,
+  add_account: addAccount,
+  show_accounts: showAccounts,
+  delete_account: deleteAccount,
+  undo_action: undoAction,
+  manage_rules: manageRules,
 };
 
+// How long a confirmation waits for the user's answer
+const CONFIRMATION_TTL_MS = 10 * 60 * 1000;
+
+// A pick only fills in what the user would otherwise type, so it stays usable
+// for as long as WhatsApp lets us answer (24 hours after their last message)
+const CHOICE_TTL_MS = 24 * 60 * 60 * 1000;
+
+// WhatsApp caps the body of a button message
+const MAX_PREVIEW_LENGTH = 1024;
+
+// More options than fit in buttons go in a list, which shows up to 10
+const MAX_CHOICE_BUTTONS = 3;
+const MAX_CHOICE_ROWS = 10;
+
+// Confirmation button IDs: confirm_yes:<action id> or confirm_no:<action id>
+const CONFIRM_BUTTON_PATTERN = /^confirm_(yes|no):(\d+)$/;
+
+// Picker reply IDs: pick:<action id>:<option index>
+const CHOICE_REPLY_PATTERN = /^pick:(\d+):(\d+)$/;
+
+// Expired pending actions are deleted at most this often per instance
+const CLEANUP_INTERVAL_MS = 60 * 60 * 1000;
+
+let lastCleanup = 0;
+
 /**
  * Get tool definitions for Claude API
  * @returns {Array} Array of tool definitions in Claude format
@@ -87,9 +153,11 @@ export function getToolDefinitions() {
  * @param {object} params - Tool parameters
  * @param {string} lang - User's language
  * @param {string} userCurrency - User's currency
- * @returns {Promise<{success: boolean, message: string|null}>}
+ * @param {object} options - { confirmed: run a tool that needs confirmation without asking }
+ * @returns {Promise<{success: boolean, message: string|null, awaitingReply?: boolean}>}
+ *   awaitingReply: the message already went out with buttons or a list, and the user's answer comes next
  */
-export async function executeTool(toolName, phone, params, lang, userCurrency) {
+export async function executeTool(toolName, phone, params, lang, userCurrency, { confirmed = false } = {}) {
   const tool = tools[toolName];
 
   if (!tool) {
@@ -98,9 +166,18 @@ export async function executeTool(toolName, phone, params, lang, userCurrency) {
   }
 
   try {
-    console.log(`[tools] Executing ${toolName} with params:`, JSON.stringify(params));
-    const result = await tool.handler(phone, params, lang, userCurrency);
-    console.log(`[tools] ${toolName} completed:`, result.success ? "success" : "failed");
+    let result;
+    if (!confirmed && needsConfirmation(tool, params)) {
+      result = await requestConfirmation(toolName, phone, params, lang, userCurrency);
+    } else {
+      console.log(`[tools] Executing ${toolName} with params:`, JSON.stringify(params));
+      result = await tool.handler(phone, params, lang, userCurrency);
+      console.log(`[tools] ${toolName} completed:`, result.success ? "success" : "failed");
+    }
+
+    if (result.choice?.options?.length > 0) {
+      return await requestChoice(toolName, phone, params, result, lang);
+    }
     return result;
   } catch (error) {
     console.error(`[tools] Error executing ${toolName}:`, error);
@@ -108,6 +185,207 @@ export async function executeTool(toolName, phone, params, lang, userCurrency) {
   }
 }
 
+/**
+ * Whether a call must be confirmed by the user before it runs
+ */
+function needsConfirmation(tool, params) {
+  if (!tool.confirmation) return false;
+  return tool.confirmation.required ? tool.confirmation.required(params) : true;
+}
+
+/**
+ * Delete expired pending actions (at most once an hour per instance). Actions are kept
+ * per ID, so a new question doesn't void the buttons of an earlier one
+ */
+async function cleanupExpiredActions() {
+  const now = Date.now();
+  if (now - lastCleanup < CLEANUP_INTERVAL_MS) return;
+  lastCleanup = now;
+
+  try {
+    const deleted = await PendingActionDB.deleteExpired();
+    if (deleted > 0) {
+      console.log(`[tools] Cleaned up ${deleted} expired pending actions`);
+    }
+  } catch (error) {
+    console.error("[tools] Pending action cleanup failed:", error.message || error);
+  }
+}
+
+/**
+ * Send the tool's preview with Sí/No buttons and store the call until the user answers
+ */
+async function requestConfirmation(toolName, phone, params, lang, userCurrency) {
+  const preview = await tools[toolName].confirmation.preview(phone, params, lang, userCurrency);
+  if (!preview.success) {
+    return preview;
+  }
+
+  await cleanupExpiredActions();
+  const action = await PendingActionDB.create(phone, {
+    tool: toolName,
+    params: preview.params || params,
+    preview: preview.message,
+    expires_at: new Date(Date.now() + CONFIRMATION_TTL_MS),
+  });
+
+  await sendInteractiveButtons(phone, fitBody(preview.message), [
+    { id: `confirm_yes:${action.id}`, title: getMessage('confirm_btn_yes', lang) },
+    { id: `confirm_no:${action.id}`, title: getMessage('confirm_btn_no', lang) },
+  ]);
+
+  console.log(`[tools] ${toolName} waiting for confirmation (action ${action.id})`);
+  return { success: true, message: preview.message, awaitingReply: true };
+}
+
+/**
+ * Send the options a tool asked the user to pick from and store the call until they do
+ */
+async function requestChoice(toolName, phone, params, result, lang) {
+  const { param, options } = result.choice;
+
+  await cleanupExpiredActions();
+  const action = await PendingActionDB.create(phone, {
+    tool: toolName,
+    params: result.choice.params || params,
+    preview: result.message,
+    choice: { param, options },
+    expires_at: new Date(Date.now() + CHOICE_TTL_MS),
+  });
+
+  const replies = options.map((option, index) => ({
+    id: `pick:${action.id}:${index}`,
+    title: option.title,
+    description: option.description,
+  }));
+
+  if (replies.length <= MAX_CHOICE_BUTTONS && !replies.some(r => r.description)) {
+    await sendInteractiveButtons(phone, fitBody(result.message), replies.map(({ id, title }) => ({ id, title })));
+  } else {
+    // Options past the list's limit can still be typed
+    const hidden = options.slice(MAX_CHOICE_ROWS).map(o => o.title);
+    const body = hidden.length > 0
+      ? `${result.message}\n\n${getMessage('choice_more_options', lang, { options: hidden.join(', ') })}`
+      : result.message;
+    await sendInteractiveList(phone, fitBody(body), getMessage('choice_list_button', lang), replies.slice(0, MAX_CHOICE_ROWS));
+  }
+
+  console.log(`[tools] ${toolName} waiting for the user to pick ${param} (action ${action.id})`);
+  return { success: result.success, message: result.message, sticker: result.sticker, awaitingReply: true };
+}
+
+/**
+ * Cut a message to what fits in the body of a button or list message
+ */
+function fitBody(text) {
+  return text.length > MAX_PREVIEW_LENGTH ? `${text.slice(0, MAX_PREVIEW_LENGTH - 1)}…` : text;
+}
+
+/**
+ * Check if a button ID answers a confirmation
+ * @param {string} buttonId
+ * @returns {boolean}
+ */
+export function isConfirmationButton(buttonId) {
+  return CONFIRM_BUTTON_PATTERN.test(buttonId || '');
+}
+
+/**
+ * Run or drop the pending action a Sí/No button refers to
+ * @param {string} phone - User's phone number
+ * @param {string} buttonId - confirm_yes:<id> or confirm_no:<id>
+ * @param {string} lang - Language code
+ * @param {string} userCurrency - User's currency
+ * @returns {Promise<string|null>} Response message
+ */
+export async function handleConfirmationButton(phone, buttonId, lang, userCurrency) {
+  const [, answer, actionId] = buttonId.match(CONFIRM_BUTTON_PATTERN);
+
+  // Taking it removes it, so a second tap finds nothing
+  const action = await PendingActionDB.take(phone, Number(actionId));
+  if (!action) {
+    return getMessage('confirm_not_pending', lang);
+  }
+
+  if (answer === 'no') {
+    console.log(`[tools] ${action.tool} cancelled by the user (action ${action.id})`);
+    return getMessage('confirm_cancelled', lang);
+  }
+
+  if (new Date(action.expires_at) <= new Date()) {
+    return getMessage('confirm_expired', lang);
+  }
+
+  const result = await executeTool(action.tool, phone, action.params, lang, userCurrency, { confirmed: true });
+  return finishReply(phone, result);
+}
+
+/**
+ * Check if a reply ID is a pick from a tool's buttons or list
+ * @param {string} replyId
+ * @returns {boolean}
+ */
+export function isChoiceReply(replyId) {
+  return CHOICE_REPLY_PATTERN.test(replyId || '');
+}
+
+/**
+ * Run the pending call a pick refers to again, with the picked value filled in.
+ * It goes through executeTool as a new call, so a pick that leads to a bulk delete
+ * still asks Sí/No, and a tool can ask for another pick
+ * @param {string} phone - User's phone number
+ * @param {string} replyId - pick:<action id>:<option index>
+ * @param {string} lang - Language code
+ * @param {string} userCurrency - User's currency
+ * @returns {Promise<string|null>} Response message (null if the tool asked something else with buttons)
+ */
+export async function handleChoiceReply(phone, replyId, lang, userCurrency) {
+  const [, actionId, optionIndex] = replyId.match(CHOICE_REPLY_PATTERN);
+
+  const action = await PendingActionDB.take(phone, Number(actionId));
+  const option = action?.choice?.options[Number(optionIndex)];
+  if (!option) {
+    return getMessage('confirm_not_pending', lang);
+  }
+
+  if (new Date(action.expires_at) <= new Date()) {
+    return getMessage('choice_expired', lang);
+  }
+
+  console.log(`[tools] ${action.tool}: user picked ${action.choice.param} = ${JSON.stringify(option.value)} (action ${action.id})`);
+  const params = setParam(action.params, action.choice.param, option.value);
+  const result = await executeTool(action.tool, phone, params, lang, userCurrency);
+  return finishReply(phone, result);
+}
+
+/**
+ * Set a value at a dotted path ("expenses.0.category") on a copy of a tool's params
+ */
+function setParam(params, path, value) {
+  const copy = structuredClone(params);
+  const keys = path.split('.');
+  const last = keys.pop();
+
+  let target = copy;
+  for (const key of keys) {
+    target[key] ??= {};
+    target = target[key];
+  }
+  target[last] = value;
+  return copy;
+}
+
+/**
+ * Reply for a tool that ran from a button: its sticker goes out on the side, and
+ * nothing more is said if it's waiting on another answer (already sent with buttons)
+ */
+async function finishReply(phone, result) {
+  if (result.sticker) {
+    await sendContextStickerWithLimit(phone, result.sticker);
+  }
+  return result.awaitingReply ? null : result.message;
+}
+
 /**
  * Get list of tool names
  * @returns {Array<string>}
@@ -128,6 +406,10 @@ export function getTool(name) {
 export default {
   getToolDefinitions,
   executeTool,
+  isConfirmationButton,
+  handleConfirmationButton,
+  isChoiceReply,
+  handleChoiceReply,
   getToolNames,
   getTool,
 };
@@ -3,13 +3,23 @@
  * Records one or more expenses from user message
  */
 
-import { ExpenseDB, BudgetDB, UserDB } from "../database/index.js";
-import { validateAmount, formatAmount } from "../utils/currencyUtils.js";
+import { ExpenseDB, BudgetDB, UserDB, CategorizationRuleDB } from "../database/index.js";
+import { validateAmount, formatAmount, normalizeCurrencyCode, formatOriginalAmount } from "../utils/currencyUtils.js";
 import { getMessage } from "../utils/languageUtils.js";
 import { generateSetupUrl } from "../services/statsTokenService.js";
-import { getUserCategories, getCategoryNames } from "../utils/categoryUtils.js";
+import { getUserCategories } from "../utils/categoryUtils.js";
 import { validateExpenses } from "../schemas/expenseSchema.js";
 import { setPendingBudgetPrompt } from "../services/budgetPromptService.js";
+import { getCategoryBudgetProgress } from "../services/budgetService.js";
+import { formatBudgetPeriodDate } from "../utils/budgetPeriodUtils.js";
+import { convertToBaseCurrency } from "../services/fxRateService.js";
+import { normalizeTags, normalizeNotes, formatTags } from "../utils/tagUtils.js";
+import { resolveExpenseAccount, getAccountLookupError } from "../services/paymentAccountService.js";
+import { formatAccountName } from "../utils/accountUtils.js";
+import { recordAction, describeExpenses } from "../services/actionJournalService.js";
+import { categorizeByMerchant } from "../services/merchantService.js";
+import { applyRules } from "../utils/categorizationRuleUtils.js";
+import { resolveExpenseDate, getExpenseDateErrorMessage, formatExpenseDateLabel } from "../utils/expenseDateUtils.js";
 
 export const definition = {
   name: "log_expense",
@@ -27,7 +37,15 @@ Bad examples (unclear category - DO NOT use this tool, ask first):
 - "pagué 50mil" → unclear what for, ASK USER
 - "compré algo por 30k" → "algo" is too vague, ASK USER
 
-When category is unclear, respond with: "¿En qué categoría lo registro? [list categories]"`,
+When category is unclear, respond with: "¿En qué categoría lo registro? [list categories]"
+
+Dates: if the user says when the expense happened ("ayer", "el viernes", "el 15"), pass it in "date". Omit it for today.
+
+Currency: if the user paid in a foreign currency ("20 USD taxi", "15 euros de almuerzo"), pass the amount as said and the ISO code in "currency". It's converted to their currency automatically.
+
+Tags and notes: if the user labels an expense ("#viaje-cartagena", "es deducible", "para el trabajo") pass "tags". Extra details they want to keep go in "notes".
+
+Payment: if the user says how they paid ("con la tarjeta Bancolombia", "en efectivo", "por Nequi"), pass it in "account" as they said it.`,
   input_schema: {
     type: "object",
     properties: {
@@ -45,9 +63,34 @@ When category is unclear, respond with: "¿En qué categoría lo registro? [list
               type: "string",
               description: "Category ID from user's available categories. Must be clearly identifiable from the message context."
             },
+            categoryNamed: {
+              type: "boolean",
+              description: "Optional. true when the user named the category themselves ('comida 20k', 'ponlo en salud'). Omit when you inferred it from the description"
+            },
             description: {
               type: "string",
               description: "Brief description of the expense"
+            },
+            date: {
+              type: "string",
+              description: "Optional. When the expense happened: YYYY-MM-DD, or relative like 'yesterday', 'ayer', 'friday', '3 days ago'. Omit for today."
+            },
+            currency: {
+              type: "string",
+              description: "Optional. ISO code (USD, EUR...) when the amount is NOT in the user's currency. Omit otherwise."
+            },
+            tags: {
+              type: "array",
+              items: { type: "string" },
+              description: "Optional. Labels that cut across categories, without '#' (e.g. ['viaje-cartagena'], ['deducible'], ['trabajo'])"
+            },
+            notes: {
+              type: "string",
+              description: "Optional. Free-form notes the user wants to keep with the expense"
+            },
+            account: {
+              type: "string",
+              description: "Optional. Account or card used to pay, as the user said it (e.g. 'tarjeta Bancolombia', 'efectivo', 'Nequi'). Omit if not mentioned"
             }
           },
           required: ["amount", "category", "description"]
@@ -58,10 +101,29 @@ When category is unclear, respond with: "¿En qué categoría lo registro? [list
   }
 };
 
-export async function handler(phone, params, lang, userCurrency) {
-  const { expenses } = params;
+// Never saved: too generic to be useful ("otros" and friends)
+const GENERIC_CATEGORIES = ['otros', 'other', 'outro', 'misc', 'miscellaneous', 'general'];
 
-  if (!expenses || expenses.length === 0) {
+/**
+ * Category picker for one expense, so the user taps the category instead of typing it.
+ * The pinned params mark the expense as classified by the user, so a vague description
+ * doesn't ask again once they pick
+ */
+function categoryChoice(expenses, index, categories) {
+  const pinned = structuredClone(expenses);
+  pinned[index].categoryPicked = true;
+
+  return {
+    param: `expenses.${index}.category`,
+    options: categories
+      .filter(c => !GENERIC_CATEGORIES.includes(c.id.toLowerCase()))
+      .map(c => ({ value: c.id, title: `${c.emoji} ${c.name}` })),
+    params: { expenses: pinned },
+  };
+}
+
+export async function handler(phone, params, lang, userCurrency) {
+  if (!params.expenses || params.expenses.length === 0) {
     return { success: false, message: getMessage('expenses_none', lang) };
   }
 
@@ -76,47 +138,85 @@ export async function handler(phone, params, lang, userCurrency) {
   // Get user's allowed categories
   const allowedCategories = await getUserCategories(phone, lang);
 
+  // Resolve payment accounts (default account when not mentioned)
+  const expenseAccounts = [];
+  for (const exp of params.expenses) {
+    const lookup = await resolveExpenseAccount(phone, exp.account, lang);
+    if (lookup.error) {
+      return { success: false, message: await getAccountLookupError(phone, lookup, exp.account, lang) };
+    }
+    expenseAccounts.push(lookup.account);
+  }
+
+  // The user's rules, then merchants they already filed somewhere, win over the model's
+  // guess (unless the user named or picked this expense's category themselves). Skip and
+  // transfer rules are for imports: a typed expense is always logged
+  const rules = (await CategorizationRuleDB.getByUser(phone)) || [];
+  const expenses = [];
+  const merchantIds = [];
+  for (const [index, exp] of params.expenses.entries()) {
+    const ruled = applyRules(rules, {
+      description: exp.description,
+      amount: exp.amount,
+      source: 'manual',
+      accountId: expenseAccounts[index]?.id ?? null,
+    }, { categories: allowedCategories });
+    const { merchantId, category } = await categorizeByMerchant(phone, { description: exp.description }, { categories: allowedCategories });
+
+    const assigned = ruled.category || category;
+    expenses.push({
+      ...exp,
+      ...(assigned && !exp.categoryPicked && !exp.categoryNamed && { category: assigned }),
+      ...(ruled.tags.length > 0 && { tags: normalizeTags([...normalizeTags(exp.tags), ...ruled.tags]) }),
+    });
+    merchantIds.push(merchantId);
+  }
+
   // Validate categories using Zod schema
   const categoryValidation = validateExpenses(expenses, allowedCategories);
 
-  // If there are invalid categories, ask user to clarify
+  // If there are invalid categories, ask user to pick one
   if (!categoryValidation.valid && categoryValidation.invalidExpenses.length > 0) {
     const invalidExp = categoryValidation.invalidExpenses[0];
-    const categoryNames = getCategoryNames(allowedCategories);
 
     const messages = {
-      en: `I couldn't classify "${invalidExp.original.description || 'this expense'}" (${formatAmount(invalidExp.original.amount, userCurrency)}).\n\nWhich category should I use?\n${categoryNames}`,
-      es: `No pude clasificar "${invalidExp.original.description || 'este gasto'}" (${formatAmount(invalidExp.original.amount, userCurrency)}).\n\n¿En qué categoría lo pongo?\n${categoryNames}`,
-      pt: `Não consegui classificar "${invalidExp.original.description || 'esta despesa'}" (${formatAmount(invalidExp.original.amount, userCurrency)}).\n\nQual categoria devo usar?\n${categoryNames}`,
+      en: `I couldn't classify "${invalidExp.original.description || 'this expense'}" (${formatAmount(invalidExp.original.amount, userCurrency)}).\n\nWhich category should I use?`,
+      es: `No pude clasificar "${invalidExp.original.description || 'este gasto'}" (${formatAmount(invalidExp.original.amount, userCurrency)}).\n\n¿En qué categoría lo pongo?`,
+      pt: `Não consegui classificar "${invalidExp.original.description || 'esta despesa'}" (${formatAmount(invalidExp.original.amount, userCurrency)}).\n\nQual categoria devo usar?`,
     };
 
+    // Only an unknown category can be fixed by picking one (not e.g. a negative amount)
+    const unknownCategory = invalidExp.error?.startsWith('invalid_category');
+
     return {
       success: false,
       message: messages[lang] || messages.en,
       sticker: 'thinking',
+      ...(unknownCategory && {
+        choice: categoryChoice(expenses, expenses.indexOf(invalidExp.original), allowedCategories),
+      }),
     };
   }
 
   // Safety net: ALWAYS reject "otros/other" variants
   // The enum constraint in financeAgent should prevent this, but this is a backup
   // We never want to save expenses with a generic "otros" category
-  const genericCategories = ['otros', 'other', 'outro', 'misc', 'miscellaneous', 'general'];
-
-  for (const exp of categoryValidation.validExpenses) {
-    const isGenericCategory = genericCategories.includes(exp.category.toLowerCase());
+  // All expenses are valid here, so validExpenses lines up with the expenses in params
+  for (const [index, exp] of categoryValidation.validExpenses.entries()) {
+    const isGenericCategory = GENERIC_CATEGORIES.includes(exp.category.toLowerCase());
 
     // Always reject generic categories - no exceptions
     if (isGenericCategory) {
-      const categoryNames = getCategoryNames(allowedCategories);
       const messages = {
-        en: `I can't use "${exp.category}" as a category.\n\nWhich category should I use for ${formatAmount(exp.amount, userCurrency)}?\n${categoryNames}`,
-        es: `No puedo usar "${exp.category}" como categoría.\n\n¿En qué categoría registro ${formatAmount(exp.amount, userCurrency)}?\n${categoryNames}`,
-        pt: `Não posso usar "${exp.category}" como categoria.\n\nEm qual categoria registro ${formatAmount(exp.amount, userCurrency)}?\n${categoryNames}`,
+        en: `I can't use "${exp.category}" as a category.\n\nWhich category should I use for ${formatAmount(exp.amount, userCurrency)}?`,
+        es: `No puedo usar "${exp.category}" como categoría.\n\n¿En qué categoría registro ${formatAmount(exp.amount, userCurrency)}?`,
+        pt: `Não posso usar "${exp.category}" como categoria.\n\nEm qual categoria registro ${formatAmount(exp.amount, userCurrency)}?`,
       };
       return {
         success: false,
         message: messages[lang] || messages.es,
         sticker: 'thinking',
+        choice: categoryChoice(expenses, index, allowedCategories),
       };
     }
 
@@ -125,17 +225,18 @@ export async function handler(phone, params, lang, userCurrency) {
       ['gasto', 'pago', 'compra', 'expense', 'payment', 'algo', 'cosa', 'thing'].includes(exp.description.toLowerCase().trim());
 
     // If description is vague AND category seems auto-assigned, ask for clarification
-    if (hasVagueDescription) {
-      const categoryNames = getCategoryNames(allowedCategories);
+    // (unless the user just picked the category themselves)
+    if (hasVagueDescription && !expenses[index].categoryPicked) {
       const messages = {
-        en: `I need a bit more context for ${formatAmount(exp.amount, userCurrency)}.\n\nWhat was it for? Or which category?\n${categoryNames}`,
-        es: `Necesito un poco más de contexto para ${formatAmount(exp.amount, userCurrency)}.\n\n¿En qué fue? O ¿qué categoría?\n${categoryNames}`,
-        pt: `Preciso de um pouco mais de contexto para ${formatAmount(exp.amount, userCurrency)}.\n\nNo que foi? Ou qual categoria?\n${categoryNames}`,
+        en: `I need a bit more context for ${formatAmount(exp.amount, userCurrency)}.\n\nWhat was it for? Or which category?`,
+        es: `Necesito un poco más de contexto para ${formatAmount(exp.amount, userCurrency)}.\n\n¿En qué fue? O ¿qué categoría?`,
+        pt: `Preciso de um pouco mais de contexto para ${formatAmount(exp.amount, userCurrency)}.\n\nNo que foi? Ou qual categoria?`,
       };
       return {
         success: false,
         message: messages[lang] || messages.es,
         sticker: 'thinking',
+        choice: categoryChoice(expenses, index, allowedCategories),
       };
     }
   }
@@ -143,10 +244,17 @@ export async function handler(phone, params, lang, userCurrency) {
   // Use validated expenses with normalized category IDs
   const validatedExpenses = categoryValidation.validExpenses;
 
-  // Validate all amounts
+  // Validate all amounts (in the currency they were paid in)
   const validationErrors = [];
+  const expenseCurrencies = [];
   for (const exp of validatedExpenses) {
-    const validation = validateAmount(exp.amount, userCurrency);
+    const currency = exp.currency ? normalizeCurrencyCode(exp.currency) : userCurrency;
+    if (!currency) {
+      return { success: false, message: getMessage('currency_unsupported', lang, { currency: exp.currency }) };
+    }
+    expenseCurrencies.push(currency);
+
+    const validation = validateAmount(exp.amount, currency);
     if (!validation.valid) {
       validationErrors.push(`• ${exp.description || exp.category}: ${validation.error}`);
     }
@@ -159,15 +267,32 @@ export async function handler(phone, params, lang, userCurrency) {
     };
   }
 
+  // Resolve dates in user's timezone (validated against plan history window)
+  const expenseDates = [];
+  for (const exp of validatedExpenses) {
+    const dateResult = await resolveExpenseDate(phone, exp.date);
+    if (!dateResult.valid) {
+      return { success: false, message: getExpenseDateErrorMessage(dateResult, lang) };
+    }
+    expenseDates.push(dateResult.date);
+  }
+
   // Create all expenses
   const createdExpenses = [];
   const budgetAlerts = [];
 
-  for (const exp of validatedExpenses) {
+  for (const [index, exp] of validatedExpenses.entries()) {
+    // Foreign amounts are stored converted to the base currency, keeping the original
+    const conversion = await convertToBaseCurrency(exp.amount, expenseCurrencies[index], userCurrency, expenseDates[index]);
     const expense = await ExpenseDB.create(phone, {
-      amount: exp.amount,
+      ...conversion,
       category: exp.category,
       description: exp.description || "",
+      date: expenseDates[index],
+      tags: normalizeTags(exp.tags),
+      notes: normalizeNotes(exp.notes),
+      account_id: expenseAccounts[index]?.id || null,
+      merchant_id: merchantIds[index],
     });
     createdExpenses.push(expense);
 
@@ -178,23 +303,53 @@ export async function handler(phone, params, lang, userCurrency) {
     }
   }
 
+  await recordAction(
+    phone,
+    'log_expense',
+    [{ type: 'create', entity: 'expense', ids: createdExpenses.map(e => e.id) }],
+    describeExpenses(createdExpenses, userCurrency)
+  );
+
   // Usage already tracked in messageHandler.js
 
   // Build response
   let response;
   if (createdExpenses.length === 1) {
     const expense = createdExpenses[0];
-    response = `${getMessage('expense_logged', lang)} ${formatAmount(expense.amount, userCurrency)} ${getMessage('expense_for', lang)} ${expense.category}`;
+    response = `${getMessage('expense_logged', lang)} ${formatAmount(expense.amount, userCurrency)}${formatOriginalAmount(expense)} ${getMessage('expense_for', lang)} ${expense.category}`;
     if (expense.description) {
       response += ` (${expense.description})`;
     }
+    const dateLabel = formatExpenseDateLabel(expense.date, phone, lang);
+    if (dateLabel) {
+      response += ` 📅 ${dateLabel}`;
+    }
+    if (expense.tags?.length > 0) {
+      response += ` ${formatTags(expense.tags)}`;
+    }
+    if (expenseAccounts[0]) {
+      response += `\n${formatAccountName(expenseAccounts[0])}`;
+    }
+    if (expense.notes) {
+      response += `\n📝 ${expense.notes}`;
+    }
   } else {
     response = getMessage('expense_logged_multi', lang, { count: createdExpenses.length }) + "\n";
-    for (const expense of createdExpenses) {
-      response += `• ${formatAmount(expense.amount, userCurrency)} - ${expense.category}`;
+    for (const [index, expense] of createdExpenses.entries()) {
+      response += `• ${formatAmount(expense.amount, userCurrency)}${formatOriginalAmount(expense)} - ${expense.category}`;
       if (expense.description) {
         response += ` (${expense.description})`;
       }
+      const dateLabel = formatExpenseDateLabel(expense.date, phone, lang);
+      if (dateLabel) {
+        response += ` 📅 ${dateLabel}`;
+      }
+      if (expense.tags?.length > 0) {
+        response += ` ${formatTags(expense.tags)}`;
+      }
+      if (expenseAccounts[index]) {
+        response += ` · ${formatAccountName(expenseAccounts[index])}`;
+      }
       response += "\n";
     }
   }
@@ -308,19 +463,14 @@ function generateProgressBar(percentage, length = 10) {
  * Check budget status and return progress bar with alert if needed
  */
 async function checkBudgetAlert(phone, category, userCurrency, lang) {
-  const budget = await BudgetDB.getByCategory(phone, category);
-  if (!budget) return null;
-
-  const now = new Date();
-  const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-  const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  // Spending in the budget's current period (weekly, quincena, monthly...)
+  const progress = await getCategoryBudgetProgress(phone, category);
+  if (!progress) return null;
 
-  const spent = await ExpenseDB.getTotalByCategory(phone, category, startOfMonth, endOfMonth);
-  const budgetAmount = parseFloat(budget.amount || 0);
-  const percentage = budgetAmount > 0 ? (spent / budgetAmount) * 100 : 0;
+  const { spent, percentage, remaining } = progress;
+  const budgetAmount = progress.amount;
 
   const progressBar = generateProgressBar(percentage);
-  const remaining = budgetAmount - spent;
 
   // Build the message based on percentage
   if (percentage >= 100) {
@@ -332,7 +482,8 @@ async function checkBudgetAlert(phone, category, userCurrency, lang) {
   } else if (percentage >= 80) {
     // Warning: 80%+ used (20% or less remaining)
     return `⚠️ *${category}*: ${progressBar} ${percentage.toFixed(0)}%\n${getMessage('budget_warning_remaining', lang, {
-      remaining: formatAmount(remaining, userCurrency)
+      remaining: formatAmount(remaining, userCurrency),
+      until: formatBudgetPeriodDate(progress.endDate, phone, lang)
     })}`;
   } else {
     // Normal progress (only show if > 0%)
@@ -0,0 +1,92 @@
+/**
+ * Tool: Log Income
+ * Records money the user received (salary, freelance, sales, gifts...)
+ */
+
+import { IncomeDB } from "../database/index.js";
+import { validateAmount, formatAmount } from "../utils/currencyUtils.js";
+import { getMessage } from "../utils/languageUtils.js";
+import { INCOME_CATEGORIES, getIncomeCategoryLabel } from "../utils/categoryUtils.js";
+import { resolveExpenseDate, getExpenseDateErrorMessage, formatExpenseDateLabel } from "../utils/expenseDateUtils.js";
+import { recordAction } from "../services/actionJournalService.js";
+
+const INCOME_CATEGORY_IDS = INCOME_CATEGORIES.en.map(c => c.id);
+
+export const definition = {
+  name: "log_income",
+  description: `Log money the user RECEIVED (income). Use when user says they got paid, received money, sold something, etc.
+
+Examples:
+- "me pagaron el sueldo 3M" → category: salary
+- "recibí 500k de un freelance" → category: freelance
+- "vendí la bici en 800 mil" → category: business
+- "me devolvieron 50k" → category: refunds
+
+DO NOT use for expenses (money spent) - use log_expense instead.`,
+  input_schema: {
+    type: "object",
+    properties: {
+      amount: {
+        type: "number",
+        description: "The income amount as a number"
+      },
+      category: {
+        type: "string",
+        enum: INCOME_CATEGORY_IDS,
+        description: "Income category. Use 'other_income' if none fits."
+      },
+      description: {
+        type: "string",
+        description: "Brief description of the income (e.g. 'sueldo octubre', 'cliente X')"
+      },
+      date: {
+        type: "string",
+        description: "Optional. When it was received: YYYY-MM-DD, or relative like 'yesterday', 'ayer', 'friday'. Omit for today."
+      }
+    },
+    required: ["amount", "category"]
+  }
+};
+
+export async function handler(phone, params, lang, userCurrency) {
+  const { amount, category, description = "", date } = params;
+
+  // Check if currency is set
+  if (!userCurrency) {
+    return { success: false, message: getMessage('currency_not_set', lang) };
+  }
+
+  const validation = validateAmount(amount, userCurrency);
+  if (!validation.valid) {
+    return { success: false, message: validation.error };
+  }
+
+  // Resolve date in user's timezone (validated against plan history window)
+  const dateResult = await resolveExpenseDate(phone, date);
+  if (!dateResult.valid) {
+    return { success: false, message: getExpenseDateErrorMessage(dateResult, lang) };
+  }
+
+  const income = await IncomeDB.create(phone, {
+    amount,
+    category: INCOME_CATEGORY_IDS.includes(category) ? category : 'other_income',
+    description,
+    date: dateResult.date,
+  });
+
+  let detail = `${formatAmount(income.amount, userCurrency)} - ${getIncomeCategoryLabel(income.category, lang)}`;
+  if (income.description) {
+    detail += ` (${income.description})`;
+  }
+  await recordAction(phone, 'log_income', [{ type: 'create', entity: 'income', ids: [income.id] }], detail);
+
+  let response = `${getMessage('income_logged', lang)} ${detail}`;
+  const dateLabel = formatExpenseDateLabel(income.date, phone, lang);
+  if (dateLabel) {
+    response += ` 📅 ${dateLabel}`;
+  }
+
+  return { success: true, message: response, sticker: 'celebrate' };
+}
+
+export default { definition, handler };
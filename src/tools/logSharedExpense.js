@@ -5,7 +5,8 @@
 
 import { ExpenseGroupDB, GroupMemberDB, SharedExpenseDB, ExpenseSplitDB, UserDB } from "../database/index.js";
 import { formatAmount } from "../utils/currencyUtils.js";
-import { sendTextMessage } from "../utils/whatsappClient.js";
+import { sendTextMessage } from "../channels/index.js";
+import { recordIrreversibleAction } from "../services/actionJournalService.js";
 import { getUserCategories, getCategoryNames } from "../utils/categoryUtils.js";
 import { validateCategory } from "../schemas/expenseSchema.js";
 
@@ -144,6 +145,8 @@ export async function handler(phone, params, lang, userCurrency) {
     }));
 
     await ExpenseSplitDB.createMany(expense.id, splits);
+    // The other members are notified, so it can't be taken back
+    await recordIrreversibleAction(phone, 'log_shared_expense', `${formatAmount(amount, userCurrency)}${description ? ` (${description})` : ''}`);
 
     // Get creator's name
     const creator = await UserDB.get(phone);
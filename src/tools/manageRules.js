@@ -0,0 +1,202 @@
+/**
+ * Tool: Manage Rules
+ * Adds, lists and deletes the user's categorization rules
+ * ("todo lo que diga EDS va a transporte", "ignora las transferencias a mi Nequi")
+ */
+
+import { CategorizationRuleDB } from "../database/index.js";
+import { saveRule, deleteRule } from "../services/categorizationRuleService.js";
+import { recordAction } from "../services/actionJournalService.js";
+import { findPaymentAccount, getAccountLookupError, getAccountMap } from "../services/paymentAccountService.js";
+import { RULE_SOURCES, describeRule } from "../utils/categorizationRuleUtils.js";
+import { getMessage } from "../utils/languageUtils.js";
+
+export const definition = {
+  name: "manage_rules",
+  description: "Add, list or delete the user's rules for categorizing future expenses (typed, bank imports and spreadsheet imports). Conditions all must match; actions set a category, add tags, skip importing it, or mark it as a transfer between the user's own accounts. Examples: 'todo lo que diga EDS ponlo en transporte', 'si dice arriendo y es más de 1 millón va a vivienda', 'lo de la cuenta Davivienda etiquétalo #empresa', 'no importes los pagos a la tarjeta', 'las transferencias a mi Nequi no son gastos', 'mis reglas', 'borra la regla 2', 'always put Uber in transport'",
+  input_schema: {
+    type: "object",
+    properties: {
+      action: {
+        type: "string",
+        enum: ["add", "list", "delete"],
+        description: "add a rule, list the rules, or delete one (by ruleId)"
+      },
+      ruleId: {
+        type: "number",
+        description: "For delete: the rule number shown in the list"
+      },
+      description: {
+        type: "string",
+        description: "Condition: the description contains this text (e.g. 'EDS', 'arriendo')"
+      },
+      merchant: {
+        type: "string",
+        description: "Condition: the merchant (e.g. 'Rappi', 'Uber')"
+      },
+      min_amount: {
+        type: "number",
+        description: "Condition: amount is at least this (e.g. 'más de 1 millón' → 1000000)"
+      },
+      max_amount: {
+        type: "number",
+        description: "Condition: amount is at most this"
+      },
+      source: {
+        type: "string",
+        enum: RULE_SOURCES,
+        description: "Condition: where it comes from: manual (typed in the chat), bank_import or excel_import"
+      },
+      account: {
+        type: "string",
+        description: "Condition: the account or card it was paid with, as the user calls it (e.g. 'Davivienda', '4821')"
+      },
+      category: {
+        type: "string",
+        description: "Action: category to file it under"
+      },
+      tags: {
+        type: "array",
+        items: { type: "string" },
+        description: "Action: tags to add (without '#')"
+      },
+      skip: {
+        type: "boolean",
+        description: "Action: don't import it from the bank or a spreadsheet"
+      },
+      transfer: {
+        type: "boolean",
+        description: "Action: it's money moved between the user's own accounts, not an expense or income"
+      }
+    },
+    required: ["action"]
+  }
+};
+
+const MESSAGES = {
+  en: {
+    created: "✅ Rule created:\n{rule}",
+    applies_forward: "I'll apply it to new expenses and imports.",
+    list_title: "📏 *Your rules* (applied in this order):",
+    list_empty: "You don't have rules yet. Try: \"everything that says EDS goes to transport\".",
+    deleted: "🗑️ Deleted rule:\n{rule}",
+    missing_rule_id: "Which rule? Say its number (e.g. \"delete rule 2\").",
+    rule_not_found: "I don't have a rule #{id}. Say \"my rules\" to see them.",
+    no_conditions: "When should the rule apply? E.g. when the description contains \"EDS\", or above an amount.",
+    no_actions: "What should the rule do? Set a category, add tags, skip it or mark it as a transfer.",
+    invalid_merchant: "I couldn't read that merchant name.",
+    invalid_amount: "The amounts should be positive numbers, with the minimum below the maximum.",
+    invalid_source: "The source should be the chat, the bank or a spreadsheet.",
+    conflicting_actions: "Skipped transactions and transfers aren't saved, so they can't also get a category or tags. Make them separate rules.",
+    unknown_category: "You don't have a category called \"{category}\".",
+  },
+  es: {
+    created: "✅ Regla creada:\n{rule}",
+    applies_forward: "La aplicaré a los gastos e importaciones nuevos.",
+    list_title: "📏 *Tus reglas* (se aplican en este orden):",
+    list_empty: "Aún no tienes reglas. Prueba: \"todo lo que diga EDS va a transporte\".",
+    deleted: "🗑️ Eliminé la regla:\n{rule}",
+    missing_rule_id: "¿Cuál regla? Dime su número (ej: \"borra la regla 2\").",
+    rule_not_found: "No tengo una regla #{id}. Di \"mis reglas\" para verlas.",
+    no_conditions: "¿Cuándo aplico la regla? Ej: cuando la descripción contenga \"EDS\", o desde cierto monto.",
+    no_actions: "¿Qué hace la regla? Poner una categoría, agregar etiquetas, no importarlo o marcarlo como transferencia.",
+    invalid_merchant: "No pude leer el nombre de ese comercio.",
+    invalid_amount: "Los montos deben ser números positivos, con el mínimo por debajo del máximo.",
+    invalid_source: "El origen debe ser el chat, el banco o una hoja de cálculo.",
+    conflicting_actions: "Lo que no se importa no se guarda, así que no puede llevar categoría ni etiquetas. Hazlas reglas separadas.",
+    unknown_category: "No tienes una categoría llamada \"{category}\".",
+  },
+  pt: {
+    created: "✅ Regra criada:\n{rule}",
+    applies_forward: "Vou aplicá-la às novas despesas e importações.",
+    list_title: "📏 *Suas regras* (aplicadas nesta ordem):",
+    list_empty: "Você ainda não tem regras. Tente: \"tudo que disser EDS vai para transporte\".",
+    deleted: "🗑️ Excluí a regra:\n{rule}",
+    missing_rule_id: "Qual regra? Diga o número (ex: \"apague a regra 2\").",
+    rule_not_found: "Não tenho uma regra #{id}. Diga \"minhas regras\" para vê-las.",
+    no_conditions: "Quando aplico a regra? Ex: quando a descrição contiver \"EDS\", ou a partir de um valor.",
+    no_actions: "O que a regra faz? Definir uma categoria, adicionar etiquetas, não importar ou marcar como transferência.",
+    invalid_merchant: "Não consegui ler o nome desse estabelecimento.",
+    invalid_amount: "Os valores devem ser números positivos, com o mínimo abaixo do máximo.",
+    invalid_source: "A origem deve ser o chat, o banco ou uma planilha.",
+    conflicting_actions: "O que não é importado não é salvo, então não pode ter categoria nem etiquetas. Faça regras separadas.",
+    unknown_category: "Você não tem uma categoria chamada \"{category}\".",
+  },
+};
+
+export async function handler(phone, params, lang, userCurrency) {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+  const describe = async (rule) => describeRule(rule, lang, { currency: userCurrency, accounts: await getAccountMap(phone) });
+
+  if (params.action === 'list') {
+    const rules = (await CategorizationRuleDB.getByUser(phone)) || [];
+    if (rules.length === 0) {
+      return { success: true, message: messages.list_empty };
+    }
+
+    const accounts = await getAccountMap(phone);
+    const lines = rules.map(rule => `• ${describeRule(rule, lang, { currency: userCurrency, accounts })}`);
+    return { success: true, message: `${messages.list_title}\n${lines.join('\n')}` };
+  }
+
+  if (params.action === 'delete') {
+    if (!params.ruleId) {
+      return { success: false, message: messages.missing_rule_id };
+    }
+
+    const rule = await deleteRule(phone, Number(params.ruleId));
+    if (!rule) {
+      return { success: false, message: messages.rule_not_found.replace('{id}', params.ruleId) };
+    }
+
+    const description = await describe(rule);
+    await recordAction(phone, 'manage_rules', [
+      { type: 'delete', entity: 'categorization_rule', records: [structuredClone(rule)] },
+    ], description);
+    return { success: true, message: messages.deleted.replace('{rule}', description) };
+  }
+
+  // add: the account is named the way the user calls it
+  let accountId = null;
+  if (params.account) {
+    const lookup = await findPaymentAccount(phone, params.account);
+    if (!lookup.account) {
+      return { success: false, message: await getAccountLookupError(phone, lookup, params.account, lang) };
+    }
+    accountId = lookup.account.id;
+  }
+
+  const result = await saveRule(phone, {
+    conditions: {
+      description: params.description,
+      merchant: params.merchant,
+      min_amount: params.min_amount,
+      max_amount: params.max_amount,
+      source: params.source,
+      account_id: accountId,
+    },
+    actions: {
+      category: params.category,
+      tags: params.tags,
+      skip: params.skip,
+      transfer: params.transfer,
+    },
+  }, lang);
+
+  if (result.error) {
+    const error = messages[result.error] || getMessage('error_generic', lang);
+    return { success: false, message: error.replace('{category}', params.category) };
+  }
+
+  const description = await describe(result.rule);
+  await recordAction(phone, 'manage_rules', [
+    { type: 'create', entity: 'categorization_rule', ids: [result.rule.id] },
+  ], description);
+
+  return {
+    success: true,
+    message: `${messages.created.replace('{rule}', description)}\n${messages.applies_forward}`,
+  };
+}
+
+export default { definition, handler };
@@ -9,6 +9,7 @@ import {
   getSubscriptionStatus,
 } from "../services/wompiRecurringService.js";
 import { SUBSCRIPTION_PLANS, formatPriceCOP } from "../services/wompiService.js";
+import { recordIrreversibleAction } from "../services/actionJournalService.js";
 
 export const definition = {
   name: "manage_subscription",
@@ -64,12 +65,27 @@ export async function handler(phone, params, lang = "es") {
 }
 
 /**
- * Handle subscription cancellation
+ * Cancelling is confirmed with Sí/No buttons first (see tools/index.js)
  */
-async function handleCancel(phone, lang) {
-  const status = await getSubscriptionStatus(phone);
+export const confirmation = {
+  required: (params) => params.action === "cancel",
 
-  // Check if already cancelled or on free plan
+  async preview(phone, params, lang = "es") {
+    const status = await getSubscriptionStatus(phone);
+    const notCancellable = checkCancellable(status, lang);
+    if (notCancellable) return notCancellable;
+
+    return {
+      success: true,
+      message: getCancelConfirmMessage(lang, status),
+    };
+  },
+};
+
+/**
+ * Why the subscription can't be cancelled (free plan or already cancelled), if it can't
+ */
+function checkCancellable(status, lang) {
   if (status.planId === "free") {
     return {
       success: false,
@@ -84,6 +100,19 @@ async function handleCancel(phone, lang) {
     };
   }
 
+  return null;
+}
+
+/**
+ * Handle subscription cancellation
+ */
+async function handleCancel(phone, lang) {
+  const status = await getSubscriptionStatus(phone);
+
+  // Check if already cancelled or on free plan
+  const notCancellable = checkCancellable(status, lang);
+  if (notCancellable) return notCancellable;
+
   const result = await cancelAutoRenewal(phone);
 
   if (!result.success) {
@@ -92,6 +121,7 @@ async function handleCancel(phone, lang) {
       message: getCancelErrorMessage(lang, result.error),
     };
   }
+  await recordIrreversibleAction(phone, "manage_subscription");
 
   return {
     success: true,
@@ -134,6 +164,7 @@ async function handleReactivate(phone, lang) {
       message: getReactivateErrorMessage(lang, result.error),
     };
   }
+  await recordIrreversibleAction(phone, "manage_subscription");
 
   return {
     success: true,
@@ -183,6 +214,27 @@ Para reativar, digite "reativar assinatura".`,
   return messages[lang] || messages.es;
 }
 
+function getCancelConfirmMessage(lang, status) {
+  const plan = SUBSCRIPTION_PLANS[status.planId];
+  const planName = plan?.name || status.planId;
+  const expiryDate = status.nextBillingDate
+    ? new Date(status.nextBillingDate).toLocaleDateString(lang === "en" ? "en-US" : "es-CO")
+    : "fin del período";
+
+  const messages = {
+    es: `*¿Cancelar la renovación automática?*
+
+Tu plan *${planName}* seguirá activo hasta *${expiryDate}* y después volverás al plan gratuito.`,
+    en: `*Cancel auto-renewal?*
+
+Your *${planName}* plan will stay active until *${expiryDate}*, then you'll return to the free plan.`,
+    pt: `*Cancelar a renovação automática?*
+
+Seu plano *${planName}* continuará ativo até *${expiryDate}* e depois você voltará ao plano gratuito.`,
+  };
+  return messages[lang] || messages.es;
+}
+
 function getCancelErrorMessage(lang, error) {
   const messages = {
     es: `No pudimos cancelar tu suscripción: ${error}`,
@@ -370,4 +422,4 @@ function getErrorMessage(lang) {
   return messages[lang] || messages.es;
 }
 
-export default { definition, handler };
+export default { definition, confirmation, handler };
@@ -0,0 +1,84 @@
+/**
+ * Tool: Pause Recurring Expense
+ * Pauses or resumes a recurring expense without deleting it
+ */
+
+import { RecurringExpenseDB } from "../database/index.js";
+import { findRecurringExpense, getNextDueDate, getLocalDateKey, formatDueDate } from "../services/recurringExpenseService.js";
+import { getRecurringLookupError } from "./deleteRecurringExpense.js";
+import { recordAction, snapshotFields } from "../services/actionJournalService.js";
+
+export const definition = {
+  name: "pause_recurring_expense",
+  description: "Pause or resume a recurring expense. Paused expenses are not logged until resumed. Examples: 'pausa Netflix', 'pause the gym', 'reactiva el gimnasio', 'resume Spotify'",
+  input_schema: {
+    type: "object",
+    properties: {
+      id: {
+        type: "number",
+        description: "Recurring expense ID (the #number from show_recurring_expenses), if known"
+      },
+      name: {
+        type: "string",
+        description: "Description or category of the recurring expense (e.g. 'Netflix')"
+      },
+      paused: {
+        type: "boolean",
+        description: "true to pause (default), false to resume"
+      }
+    },
+    required: []
+  }
+};
+
+const MESSAGES = {
+  en: {
+    paused: "⏸️ Paused {description}. Say 'resume {description}' to turn it back on.",
+    resumed: "▶️ Resumed {description}. Next: {date}.",
+  },
+  es: {
+    paused: "⏸️ Pausé {description}. Di 'reactiva {description}' para volver a activarlo.",
+    resumed: "▶️ Reactivé {description}. Próximo: {date}.",
+  },
+  pt: {
+    paused: "⏸️ Pausei {description}. Diga 'reativar {description}' para ligar de novo.",
+    resumed: "▶️ Reativei {description}. Próxima: {date}.",
+  },
+};
+
+export async function handler(phone, params, lang, userCurrency) {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+  const paused = params.paused !== false;
+
+  const lookup = await findRecurringExpense(phone, { id: params.id, name: params.name });
+  if (!lookup.rule) {
+    return { success: false, message: getRecurringLookupError(lookup, params.name, lang, userCurrency) };
+  }
+
+  const rule = lookup.rule;
+  const description = rule.description || rule.category;
+
+  // Resume from today so occurrences missed while paused are not logged
+  const updates = paused
+    ? { status: 'paused' }
+    : { status: 'active', next_due_date: getNextDueDate(rule, getLocalDateKey(phone)) };
+  const before = snapshotFields(rule, updates);
+  await RecurringExpenseDB.update(phone, rule.id, updates);
+  await recordAction(
+    phone,
+    'pause_recurring_expense',
+    [{ type: 'update', entity: 'recurring_expense', ids: [rule.id], before, after: updates }],
+    description
+  );
+
+  if (paused) {
+    return { success: true, message: messages.paused.replace(/\{description\}/g, description) };
+  }
+
+  return {
+    success: true,
+    message: messages.resumed.replace('{description}', description).replace('{date}', formatDueDate(updates.next_due_date)),
+  };
+}
+
+export default { definition, handler };
@@ -3,9 +3,10 @@
  * Renames a category across all expenses and budgets
  */
 
-import { ExpenseDB, BudgetDB, UserDB } from "../database/index.js";
+import { ExpenseDB, BudgetDB, BudgetTransferDB, UserDB, MerchantDB, CategorizationRuleDB } from "../database/index.js";
 import { getMessage } from "../utils/languageUtils.js";
 import { getUserCategories } from "../utils/categoryUtils.js";
+import { recordAction } from "../services/actionJournalService.js";
 
 export const definition = {
   name: "rename_category",
@@ -47,9 +48,27 @@ export async function handler(phone, params, lang, userCurrency) {
     return { success: false, message: getMessage('category_not_found', lang, { category: oldNameLower }) };
   }
 
-  // Rename in expenses and budgets
+  // Remember exactly which records are renamed, so undo doesn't touch ones
+  // that already used the new name
+  const expenseIds = allExpenses.filter(e => e.category === oldNameLower).map(e => e.id);
+  const budgetIds = allBudgets.filter(b => b.category === oldNameLower).map(b => b.id);
+  const transfers = (await BudgetTransferDB.getByCategory(phone, oldNameLower)) || [];
+  const fromTransferIds = transfers.filter(t => t.from_category === oldNameLower).map(t => t.id);
+  const toTransferIds = transfers.filter(t => t.to_category === oldNameLower).map(t => t.id);
+  const merchantIds = ((await MerchantDB.getUserCategories(phone)) || [])
+    .filter(m => m.category === oldNameLower)
+    .map(m => m.merchant_id);
+  const ruleIds = ((await CategorizationRuleDB.getByUser(phone)) || [])
+    .filter(r => r.actions?.category === oldNameLower)
+    .map(r => r.id);
+  const previousCategories = structuredClone((await UserDB.getCategories(phone)) ?? null);
+
+  // Rename in expenses, budgets, learned merchant categories and rules
   await ExpenseDB.renameCategory(phone, oldNameLower, newNameLower);
   await BudgetDB.renameCategory(phone, oldNameLower, newNameLower);
+  await BudgetTransferDB.renameCategory(phone, oldNameLower, newNameLower);
+  await MerchantDB.renameCategory(phone, oldNameLower, newNameLower);
+  await CategorizationRuleDB.renameCategory(phone, oldNameLower, newNameLower);
 
   // Update user's custom categories list
   const categories = await getUserCategories(phone, lang);
@@ -59,6 +78,16 @@ export async function handler(phone, params, lang, userCurrency) {
   }
   await UserDB.setCategories(phone, updatedCategories);
 
+  await recordAction(phone, 'rename_category', [
+    { type: 'update', entity: 'expense', ids: expenseIds, before: { category: oldNameLower }, after: { category: newNameLower } },
+    { type: 'update', entity: 'budget', ids: budgetIds, before: { category: oldNameLower }, after: { category: newNameLower } },
+    { type: 'update', entity: 'budget_transfer', ids: fromTransferIds, before: { from_category: oldNameLower }, after: { from_category: newNameLower } },
+    { type: 'update', entity: 'budget_transfer', ids: toTransferIds, before: { to_category: oldNameLower }, after: { to_category: newNameLower } },
+    { type: 'update', entity: 'merchant_category', ids: merchantIds, before: { category: oldNameLower }, after: { category: newNameLower } },
+    { type: 'update', entity: 'categorization_rule', ids: ruleIds, before: { category: oldNameLower }, after: { category: newNameLower } },
+    { type: 'update', entity: 'categories', before: { categories: previousCategories }, after: { categories: updatedCategories } },
+  ], `${oldNameLower} → ${newNameLower}`);
+
   return {
     success: true,
     message: getMessage('category_renamed', lang, { old: oldNameLower, new: newNameLower })
@@ -4,12 +4,15 @@
  */
 
 import { ExpenseDB } from "../database/index.js";
-import { formatAmount } from "../utils/currencyUtils.js";
+import { formatAmount, formatOriginalAmount } from "../utils/currencyUtils.js";
 import { resolveDateRange, getPeriodLabel, formatDateRange } from "../utils/dateUtils.js";
+import { normalizeTag, formatTags, UNTAGGED_GROUP } from "../utils/tagUtils.js";
+import { findPaymentAccount, getAccountLookupError, getAccountMap } from "../services/paymentAccountService.js";
+import { formatAccountName, NO_ACCOUNT_GROUP } from "../utils/accountUtils.js";
 
 export const definition = {
   name: "search_expenses",
-  description: "Advanced expense search with filters, aggregations, and sorting. Use for complex queries like totals, averages, amount ranges, text search, date ranges. Examples: 'how much did I spend this month', 'total by category', 'expenses over 100', 'search uber', 'average spending this week', 'cuanto gaste en comida la semana pasada', 'gasto promedio'",
+  description: "Advanced expense search with filters, aggregations, and sorting. Use for complex queries like totals, averages, amount ranges, text search, date ranges. Examples: 'how much did I spend this month', 'total by category', 'expenses over 100', 'search uber', 'average spending this week', 'cuanto gaste en comida la semana pasada', 'gasto promedio', 'cuánto llevo en #viaje-cartagena', 'gastos por etiqueta', 'cuánto gasté con la tarjeta Bancolombia', 'gastos por cuenta'",
   input_schema: {
     type: "object",
     properties: {
@@ -46,10 +49,20 @@ export const definition = {
         type: "number",
         description: "Maximum amount filter (<=)"
       },
+      // Tag filter
+      tag: {
+        type: "string",
+        description: "Only expenses with this tag, without '#' (e.g. 'viaje-cartagena', 'deducible')"
+      },
+      // Payment account filter
+      account: {
+        type: "string",
+        description: "Only expenses paid with this account or card, as the user said it (e.g. 'tarjeta Bancolombia', 'efectivo', '4821')"
+      },
       // Text search
       searchText: {
         type: "string",
-        description: "Search text in expense descriptions"
+        description: "Search text in expense descriptions and notes"
       },
       // Aggregation
       aggregate: {
@@ -58,8 +71,8 @@ export const definition = {
       },
       groupBy: {
         type: "string",
-        enum: ["category", "day", "week", "month"],
-        description: "Group results by category, day, week, or month"
+        enum: ["category", "tag", "account", "day", "week", "month"],
+        description: "Group results by category, tag, payment account, day, week, or month"
       },
       // Sorting and pagination
       sortBy: {
@@ -90,6 +103,8 @@ export async function handler(phone, params, lang, userCurrency) {
     categories = null,
     minAmount = null,
     maxAmount = null,
+    tag = null,
+    account = null,
     searchText = null,
     aggregate = false,
     groupBy = null,
@@ -114,6 +129,19 @@ export async function handler(phone, params, lang, userCurrency) {
   if (minAmount !== null) filters.minAmount = minAmount;
   if (maxAmount !== null) filters.maxAmount = maxAmount;
 
+  // Tag filter
+  const normalizedTag = normalizeTag(tag);
+  if (normalizedTag) filters.tag = normalizedTag;
+
+  // Payment account filter
+  if (account) {
+    const lookup = await findPaymentAccount(phone, account);
+    if (!lookup.account) {
+      return { success: false, message: await getAccountLookupError(phone, lookup, account, lang) };
+    }
+    filters.accountId = lookup.account.id;
+  }
+
   // Text search
   if (searchText) filters.searchText = searchText;
 
@@ -128,12 +156,13 @@ export async function handler(phone, params, lang, userCurrency) {
 
   try {
     const result = await ExpenseDB.getByFilter(phone, filters, options);
+    const accounts = await getAccountMap(phone);
 
     // Format response based on aggregate mode
     if (options.aggregate) {
-      return formatAggregateResponse(result, filters, params, lang, userCurrency);
+      return formatAggregateResponse(result, filters, params, lang, userCurrency, accounts);
     } else {
-      return formatListResponse(result, filters, params, lang, userCurrency);
+      return formatListResponse(result, filters, params, lang, userCurrency, accounts);
     }
   } catch (error) {
     console.error('[searchExpenses] Error:', error);
@@ -147,7 +176,7 @@ export async function handler(phone, params, lang, userCurrency) {
 /**
  * Format aggregate/summary response
  */
-function formatAggregateResponse(result, filters, params, lang, userCurrency) {
+function formatAggregateResponse(result, filters, params, lang, userCurrency, accounts) {
   const { summary, byGroup } = result;
   const { period, groupBy, category, categories, minAmount, maxAmount, searchText } = params;
 
@@ -187,6 +216,12 @@ function formatAggregateResponse(result, filters, params, lang, userCurrency) {
     if (maxAmount !== null) amountRange.push(`<= ${formatAmount(maxAmount, userCurrency)}`);
     response += `\n${getLocalizedMessage('amount_filter', lang)}: ${amountRange.join(' ')}`;
   }
+  if (filters.tag) {
+    response += `\n${getLocalizedMessage('tag_filter', lang)}: #${filters.tag}`;
+  }
+  if (filters.accountId) {
+    response += `\n${getLocalizedMessage('account_filter', lang)}: ${formatAccountName(accounts.get(filters.accountId), { emoji: false })}`;
+  }
   if (searchText) {
     response += `\n${getLocalizedMessage('search_filter', lang)}: "${searchText}"`;
   }
@@ -200,7 +235,7 @@ function formatAggregateResponse(result, filters, params, lang, userCurrency) {
       .sort(([, a], [, b]) => b.total - a.total);
 
     for (const [key, data] of sortedGroups) {
-      const groupLabel = formatGroupKey(key, groupBy, lang, locale);
+      const groupLabel = formatGroupKey(key, groupBy, lang, locale, accounts);
       const emoji = groupBy === 'category' ? getCategoryEmoji(key) : '';
       response += `${emoji} ${groupLabel}: ${formatAmount(data.total, userCurrency)} (${data.count} ${getLocalizedMessage('expenses', lang)})\n`;
     }
@@ -212,7 +247,7 @@ function formatAggregateResponse(result, filters, params, lang, userCurrency) {
 /**
  * Format list response
  */
-function formatListResponse(result, filters, params, lang, userCurrency) {
+function formatListResponse(result, filters, params, lang, userCurrency, accounts) {
   const { expenses, total, hasMore } = result;
   const { period, category, categories, minAmount, maxAmount, searchText } = params;
 
@@ -241,10 +276,16 @@ function formatListResponse(result, filters, params, lang, userCurrency) {
     const dateStr = date.toLocaleDateString(locale, { month: 'short', day: 'numeric' });
     const timeStr = date.toLocaleTimeString(locale, { hour: '2-digit', minute: '2-digit' });
 
-    response += `#${expense.id} • ${formatAmount(expense.amount, userCurrency)} - ${expense.category}`;
+    response += `#${expense.id} • ${formatAmount(expense.amount, userCurrency)}${formatOriginalAmount(expense)} - ${expense.category}`;
     if (expense.description) {
       response += ` (${expense.description})`;
     }
+    if (expense.tags?.length > 0) {
+      response += ` ${formatTags(expense.tags)}`;
+    }
+    if (expense.account_id && accounts.has(expense.account_id)) {
+      response += ` · ${formatAccountName(accounts.get(expense.account_id), { emoji: false })}`;
+    }
     response += ` - ${dateStr} ${timeStr}\n`;
 
     displayedTotal += parseFloat(expense.amount);
@@ -261,6 +302,12 @@ function formatListResponse(result, filters, params, lang, userCurrency) {
     if (maxAmount !== null) amountRange.push(`<= ${formatAmount(maxAmount, userCurrency)}`);
     appliedFilters.push(`${getLocalizedMessage('amount', lang)}: ${amountRange.join(' ')}`);
   }
+  if (filters.tag) {
+    appliedFilters.push(`${getLocalizedMessage('tag', lang)}: #${filters.tag}`);
+  }
+  if (filters.accountId) {
+    appliedFilters.push(`${getLocalizedMessage('account', lang)}: ${formatAccountName(accounts.get(filters.accountId), { emoji: false })}`);
+  }
   if (searchText) {
     appliedFilters.push(`${getLocalizedMessage('search', lang)}: "${searchText}"`);
   }
@@ -310,9 +357,9 @@ function getCategoryEmoji(category) {
  */
 function getGroupLabel(groupBy, lang) {
   const labels = {
-    en: { category: 'Category', day: 'Day', week: 'Week', month: 'Month' },
-    es: { category: 'Categoría', day: 'Día', week: 'Semana', month: 'Mes' },
-    pt: { category: 'Categoria', day: 'Dia', week: 'Semana', month: 'Mês' }
+    en: { category: 'Category', tag: 'Tag', account: 'Account', day: 'Day', week: 'Week', month: 'Month' },
+    es: { category: 'Categoría', tag: 'Etiqueta', account: 'Cuenta', day: 'Día', week: 'Semana', month: 'Mes' },
+    pt: { category: 'Categoria', tag: 'Etiqueta', account: 'Conta', day: 'Dia', week: 'Semana', month: 'Mês' }
   };
   return (labels[lang] || labels.en)[groupBy] || groupBy;
 }
@@ -320,11 +367,21 @@ function getGroupLabel(groupBy, lang) {
 /**
  * Format group key for display
  */
-function formatGroupKey(key, groupBy, lang, locale) {
+function formatGroupKey(key, groupBy, lang, locale, accounts) {
   if (groupBy === 'category') {
     return key;
   }
 
+  if (groupBy === 'tag') {
+    return key === UNTAGGED_GROUP ? getLocalizedMessage('untagged', lang) : `#${key}`;
+  }
+
+  if (groupBy === 'account') {
+    // Group keys are strings; account IDs are numbers
+    const account = key === NO_ACCOUNT_GROUP ? null : accounts.get(Number(key));
+    return account ? formatAccountName(account) : getLocalizedMessage('no_account', lang);
+  }
+
   if (groupBy === 'day') {
     const date = new Date(key);
     return date.toLocaleDateString(locale, { weekday: 'short', month: 'short', day: 'numeric' });
@@ -363,9 +420,15 @@ function getLocalizedMessage(key, lang, params = {}) {
       category_filter: 'Category',
       amount_filter: 'Amount',
       search_filter: 'Search',
+      tag_filter: 'Tag',
       filters: 'Filters',
       category: 'Category',
       amount: 'Amount',
+      tag: 'Tag',
+      untagged: 'No tag',
+      account_filter: 'Account',
+      account: 'Account',
+      no_account: 'No account',
       search: 'Search'
     },
     es: {
@@ -384,9 +447,15 @@ function getLocalizedMessage(key, lang, params = {}) {
       category_filter: 'Categoría',
       amount_filter: 'Monto',
       search_filter: 'Búsqueda',
+      tag_filter: 'Etiqueta',
       filters: 'Filtros',
       category: 'Categoría',
       amount: 'Monto',
+      tag: 'Etiqueta',
+      untagged: 'Sin etiqueta',
+      account_filter: 'Cuenta',
+      account: 'Cuenta',
+      no_account: 'Sin cuenta',
       search: 'Búsqueda'
     },
     pt: {
@@ -405,9 +474,15 @@ function getLocalizedMessage(key, lang, params = {}) {
       category_filter: 'Categoria',
       amount_filter: 'Valor',
       search_filter: 'Busca',
+      tag_filter: 'Etiqueta',
       filters: 'Filtros',
       category: 'Categoria',
       amount: 'Valor',
+      tag: 'Etiqueta',
+      untagged: 'Sem etiqueta',
+      account_filter: 'Conta',
+      account: 'Conta',
+      no_account: 'Sem conta',
       search: 'Busca'
     }
   };
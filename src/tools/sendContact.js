@@ -3,7 +3,7 @@
  * Sends the Monedita vCard so users can save the contact
  */
 
-import { sendContactCard, sendTextMessage } from "../utils/whatsappClient.js";
+import { sendContactCard, sendTextMessage } from "../channels/index.js";
 
 export const definition = {
   name: "send_contact",
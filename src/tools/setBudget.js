@@ -7,11 +7,14 @@ import { BudgetDB, UserDB } from "../database/index.js";
 import { formatAmount } from "../utils/currencyUtils.js";
 import { getMessage } from "../utils/languageUtils.js";
 import { clearPendingBudgetPrompt } from "../services/budgetPromptService.js";
+import { BUDGET_PERIODS, DEFAULT_BUDGET_PERIOD, normalizeBudgetPeriod, getBudgetPeriodLabel } from "../utils/budgetPeriodUtils.js";
+import { ROLLOVER_POLICIES, normalizeRolloverPolicy } from "../services/budgetService.js";
+import { recordAction, snapshotFields } from "../services/actionJournalService.js";
 // Note: Budgets are unlimited for all plans in the new moneditas system
 
 export const definition = {
   name: "set_budget",
-  description: "Set or update a monthly budget for a spending category. Use when user wants to set, create, or change a budget limit. Examples: 'set food budget to 500', 'budget 1000 for transport'",
+  description: "Set or update a budget for a spending category. Budgets are monthly unless the user asks for another period. Use when user wants to set, create, or change a budget limit. Examples: 'set food budget to 500', 'budget 1000 for transport', '200 mil semanales para comida', 'presupuesto por quincena de 300k en mercado', 'budget 600 every 14 days from my payday on the 3rd'",
   input_schema: {
     type: "object",
     properties: {
@@ -22,6 +25,28 @@ export const definition = {
       amount: {
         type: "number",
         description: "The budget amount"
+      },
+      period: {
+        type: "string",
+        enum: BUDGET_PERIODS,
+        description: "Budget period (default: monthly). biweekly = quincena (1st-15th and 16th-end of month). custom = every period_days days starting at anchor_date"
+      },
+      anchor_date: {
+        type: "string",
+        description: "Optional. YYYY-MM-DD where periods start: payday for custom, start weekday for weekly, start day of month for monthly (e.g. 25th-24th), start month/day for yearly"
+      },
+      period_days: {
+        type: "number",
+        description: "Length in days of each window. Required for custom periods (e.g. 14)"
+      },
+      rollover: {
+        type: "string",
+        enum: ROLLOVER_POLICIES,
+        description: "What happens to the leftover when a period ends. none = start fresh (default), surplus = unspent money carries to the next period, both = unspent money carries and overspending is subtracted next period. Only set when the user asks"
+      },
+      rollover_cap: {
+        type: "number",
+        description: "Optional max amount carried between periods (e.g. 'acumula hasta 200k'). 0 removes the cap"
       }
     },
     required: ["category", "amount"]
@@ -29,32 +54,63 @@ export const definition = {
 };
 
 export async function handler(phone, params, lang, userCurrency) {
-  const { category, amount } = params;
+  const { category, amount, anchor_date, period_days, rollover_cap } = params;
 
   if (!category || !amount) {
     return { success: false, message: getMessage('budget_help', lang) };
   }
 
+  const period = normalizeBudgetPeriod(params.period);
+  const rollover = normalizeRolloverPolicy(params.rollover);
+  const budgetFields = {
+    period: period || undefined,
+    anchor_date: /^\d{4}-\d{2}-\d{2}$/.test(anchor_date || '') ? anchor_date : undefined,
+    period_days: period_days > 0 ? Math.round(period_days) : undefined,
+    rollover: rollover || undefined,
+    rollover_cap: rollover_cap > 0 ? rollover_cap : (rollover_cap === 0 ? null : undefined),
+  };
+
   const existing = await BudgetDB.getByCategory(phone, category.toLowerCase());
 
   if (existing) {
-    // Update existing budget
-    await BudgetDB.update(phone, category.toLowerCase(), amount);
+    // Update existing budget (period and rollover only change if the user asked)
+    const changed = { amount, ...stripUndefined(budgetFields) };
+    const before = snapshotFields(existing, changed);
+    await BudgetDB.update(phone, category.toLowerCase(), amount, budgetFields);
+    await recordAction(
+      phone,
+      'set_budget',
+      [{ type: 'update', entity: 'budget', ids: [existing.id], before, after: changed }],
+      `${category.toLowerCase()} (${formatAmount(amount, userCurrency)})`
+    );
+    const updated = { ...existing, ...stripUndefined(budgetFields) };
     return {
       success: true,
       message: getMessage('budget_updated', lang, {
         category: category.toLowerCase(),
-        amount: formatAmount(amount, userCurrency)
-      }),
+        amount: formatAmount(amount, userCurrency),
+        period: getBudgetPeriodLabel(updated, lang)
+      }) + getRolloverNote(updated, lang, userCurrency),
       sticker: 'success'
     };
   } else {
     // Budgets are unlimited for all plans
-    await BudgetDB.create(phone, {
+    const budget = {
       category: category.toLowerCase(),
       amount,
-      period: "monthly"
-    });
+      period: period || DEFAULT_BUDGET_PERIOD,
+      anchor_date: budgetFields.anchor_date || null,
+      period_days: budgetFields.period_days || null,
+      rollover: rollover || 'none',
+      rollover_cap: budgetFields.rollover_cap ?? null
+    };
+    const created = await BudgetDB.create(phone, budget);
+    await recordAction(
+      phone,
+      'set_budget',
+      [{ type: 'create', entity: 'budget', ids: [created.id] }],
+      `${budget.category} (${formatAmount(amount, userCurrency)})`
+    );
 
     // Clear any pending budget prompt and unsilence this category
     clearPendingBudgetPrompt(phone);
@@ -64,11 +120,30 @@ export async function handler(phone, params, lang, userCurrency) {
       success: true,
       message: getMessage('budget_set', lang, {
         category: category.toLowerCase(),
-        amount: formatAmount(amount, userCurrency)
-      }),
+        amount: formatAmount(amount, userCurrency),
+        period: getBudgetPeriodLabel(budget, lang)
+      }) + getRolloverNote(budget, lang, userCurrency),
       sticker: 'success'
     };
   }
 }
 
+/**
+ * Extra line describing the rollover policy ("" when there's none)
+ */
+function getRolloverNote(budget, lang, userCurrency) {
+  const policy = normalizeRolloverPolicy(budget.rollover) || 'none';
+  if (policy === 'none') return '';
+
+  let note = `\n${getMessage(`budget_rollover_${policy}`, lang)}`;
+  if (budget.rollover_cap) {
+    note += ` ${getMessage('budget_rollover_cap', lang, { cap: formatAmount(budget.rollover_cap, userCurrency) })}`;
+  }
+  return note;
+}
+
+function stripUndefined(obj) {
+  return Object.fromEntries(Object.entries(obj).filter(([, value]) => value !== undefined));
+}
+
 export default { definition, handler };
@@ -6,6 +6,7 @@
 import { UserDB } from "../database/index.js";
 import { isValidCurrency, getCurrencyName } from "../utils/currencyUtils.js";
 import { getMessage } from "../utils/languageUtils.js";
+import { recordAction } from "../services/actionJournalService.js";
 
 export const definition = {
   name: "set_currency",
@@ -47,6 +48,9 @@ export async function handler(phone, params, lang, userCurrency) {
 
   // Set the currency
   await UserDB.setCurrency(phone, code);
+  await recordAction(phone, 'set_currency', [
+    { type: 'update', entity: 'user', before: { currency: null }, after: { currency: code } },
+  ], code);
 
   return {
     success: true,
@@ -5,7 +5,8 @@
 
 import { ExpenseSplitDB, UserDB } from "../database/index.js";
 import { formatAmount } from "../utils/currencyUtils.js";
-import { sendTextMessage } from "../utils/whatsappClient.js";
+import { sendTextMessage } from "../channels/index.js";
+import { recordIrreversibleAction } from "../services/actionJournalService.js";
 
 export const definition = {
   name: "settle_debt",
@@ -106,6 +107,7 @@ export async function handler(phone, params, lang, userCurrency) {
       };
       return { success: true, message: messages[lang] || messages.es };
     }
+    await recordIrreversibleAction(phone, 'settle_debt', formatAmount(amountSettled, userCurrency));
 
     // Get names for notification
     const payer = await UserDB.get(phone);
@@ -0,0 +1,70 @@
+/**
+ * Tool: Show Accounts
+ * Lists the user's payment accounts with what was spent on each this month
+ */
+
+import { PaymentAccountDB, ExpenseDB } from "../database/index.js";
+import { formatAmount } from "../utils/currencyUtils.js";
+import { resolveDateRange } from "../utils/dateUtils.js";
+import { getAccountTypeLabel, formatAccountName, NO_ACCOUNT_GROUP } from "../utils/accountUtils.js";
+
+export const definition = {
+  name: "show_accounts",
+  description: "List the user's payment accounts and cards with how much was spent on each this month. Use to check or reconcile a card statement. Examples: 'mis cuentas', 'cuánto llevo en la tarjeta', 'show my cards', 'minhas contas e cartões'",
+  input_schema: {
+    type: "object",
+    properties: {},
+    required: []
+  }
+};
+
+const LABELS = {
+  en: {
+    title: '💳 *Your accounts* (this month)',
+    none: "You don't have accounts yet. Say \"add my Visa card ending 4821\" or tell me how you paid when logging (\"lunch 20 in cash\").",
+    default: 'default',
+    unassigned: 'No account',
+  },
+  es: {
+    title: '💳 *Tus cuentas* (este mes)',
+    none: 'Aún no tienes cuentas. Di "agrega mi tarjeta Visa terminada en 4821" o dime cómo pagaste al registrar ("almuerzo 20k en efectivo").',
+    default: 'principal',
+    unassigned: 'Sin cuenta',
+  },
+  pt: {
+    title: '💳 *Suas contas* (este mês)',
+    none: 'Você ainda não tem contas. Diga "adicione meu cartão Visa final 4821" ou me diga como pagou ao registrar ("almoço 20 no dinheiro").',
+    default: 'principal',
+    unassigned: 'Sem conta',
+  },
+};
+
+export async function handler(phone, params, lang, userCurrency) {
+  const labels = LABELS[lang] || LABELS.es;
+  const accounts = (await PaymentAccountDB.getByUser(phone)) || [];
+
+  if (accounts.length === 0) {
+    return { success: true, message: labels.none };
+  }
+
+  const { startDate, endDate } = resolveDateRange('this_month', null, null);
+  const { byGroup } = await ExpenseDB.getByFilter(phone, { startDate, endDate }, { aggregate: true, groupBy: 'account' });
+  const totals = byGroup || {};
+
+  let response = `${labels.title}\n`;
+  for (const account of accounts) {
+    const spent = totals[account.id]?.total || 0;
+    const count = totals[account.id]?.count || 0;
+    response += `\n${formatAccountName(account)}${account.is_default ? ` ⭐ ${labels.default}` : ''}`;
+    response += `\n   ${getAccountTypeLabel(account.type, lang)} · ${formatAmount(spent, userCurrency)} (${count})`;
+  }
+
+  const unassigned = totals[NO_ACCOUNT_GROUP];
+  if (unassigned) {
+    response += `\n\n${labels.unassigned}: ${formatAmount(unassigned.total, userCurrency)} (${unassigned.count})`;
+  }
+
+  return { success: true, message: response };
+}
+
+export default { definition, handler };
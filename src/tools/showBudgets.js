@@ -3,9 +3,10 @@
  * Lists all user budgets with spending progress
  */
 
-import { ExpenseDB, BudgetDB, UserDB } from "../database/index.js";
 import { formatAmount } from "../utils/currencyUtils.js";
 import { getMessage } from "../utils/languageUtils.js";
+import { getAllBudgetProgress } from "../services/budgetService.js";
+import { getBudgetPeriodLabel, formatBudgetPeriodRange } from "../utils/budgetPeriodUtils.js";
 
 export const definition = {
   name: "show_budgets",
@@ -18,35 +19,44 @@ export const definition = {
 };
 
 export async function handler(phone, params, lang, userCurrency) {
-  const budgets = (await BudgetDB.getByUser(phone)) || [];
+  const progress = await getAllBudgetProgress(phone);
 
-  if (budgets.length === 0) {
+  if (progress.length === 0) {
     return { success: true, message: getMessage('budget_none', lang) };
   }
 
-  const now = new Date();
-  const startOfMonth = new Date(now.getFullYear(), now.getMonth(), 1);
-  const endOfMonth = new Date(now.getFullYear(), now.getMonth() + 1, 0);
+  let response = `${getMessage('budget_title', lang)}\n\n`;
 
-  const locale = lang === 'es' ? 'es' : lang === 'pt' ? 'pt' : 'en';
-  const monthName = now.toLocaleString(locale, { month: "long" });
+  // Each budget is evaluated against its own period window
+  for (const { budget, amount, carryover, transferred, spent, remaining, percentage, ...range } of progress) {
+    const percentageStr = percentage.toFixed(0);
 
-  let response = `${getMessage('budget_title', lang)} (${monthName})\n\n`;
+    response += `*${budget.category}* (${getBudgetPeriodLabel(budget, lang)}: ${formatBudgetPeriodRange(range, phone, lang)})\n`;
+    response += `${getMessage('budget_label', lang)} ${formatAmount(amount, userCurrency)} | ${getMessage('budget_spent', lang)} ${formatAmount(spent, userCurrency)} (${percentageStr}%)\n`;
 
-  for (const budget of budgets) {
-    const spent = await ExpenseDB.getTotalByCategory(phone, budget.category, startOfMonth, endOfMonth);
-    const remaining = budget.amount - spent;
-    const percentage = ((spent / parseFloat(budget.amount || 1)) * 100).toFixed(0);
+    // Explain why the budget differs from the base amount (rollover / envelope transfers)
+    const adjustments = [];
+    if (carryover) {
+      adjustments.push(getMessage('budget_carryover', lang, { amount: formatSigned(carryover, userCurrency) }));
+    }
+    if (transferred) {
+      adjustments.push(getMessage('budget_transferred', lang, { amount: formatSigned(transferred, userCurrency) }));
+    }
+    if (adjustments.length > 0) {
+      response += `${adjustments.join(' | ')}\n`;
+    }
 
-    response += `*${budget.category}*\n`;
-    response += `${getMessage('budget_label', lang)} ${formatAmount(budget.amount, userCurrency)} | ${getMessage('budget_spent', lang)} ${formatAmount(spent, userCurrency)} (${percentage}%)\n`;
     response += `${getMessage('budget_remaining', lang)} ${formatAmount(remaining, userCurrency)}\n`;
-    response += `${getProgressBar(percentage)}\n\n`;
+    response += `${getProgressBar(percentageStr)}\n\n`;
   }
 
   return { success: true, message: response };
 }
 
+function formatSigned(value, userCurrency) {
+  return `${value < 0 ? '-' : '+'}${formatAmount(Math.abs(value), userCurrency)}`;
+}
+
 function getProgressBar(percentage) {
   const filled = Math.min(Math.floor(percentage / 10), 10);
   const empty = 10 - filled;
@@ -0,0 +1,83 @@
+/**
+ * Tool: Show Cash Flow
+ * Income vs expenses and what's left for a period
+ */
+
+import { formatAmount } from "../utils/currencyUtils.js";
+import { resolveDateRange, getPeriodLabel } from "../utils/dateUtils.js";
+import { getIncomeCategoryLabel } from "../utils/categoryUtils.js";
+import { getCashflow, formatNetLine } from "../services/cashflowService.js";
+
+export const definition = {
+  name: "show_cashflow",
+  description: "Show income vs expenses and net balance (how much is left). Use when user asks how much they have left, their balance, income, or cash flow. Examples: '¿cuánto me queda este mes?', 'how much did I earn', 'mis ingresos', 'balance del mes', 'quanto me sobra'",
+  input_schema: {
+    type: "object",
+    properties: {
+      period: {
+        type: "string",
+        enum: ["this_week", "last_week", "this_month", "last_month", "last_7_days", "last_30_days"],
+        description: "Time period (default: this_month)"
+      }
+    },
+    required: []
+  }
+};
+
+const LABELS = {
+  en: {
+    title: '💰 *Cash flow',
+    income: '💵 Income',
+    expenses: '💸 Expenses',
+    noIncome: "You haven't logged any income for this period. Tell me when you get paid (e.g. \"I got my salary 3M\") to see how much you have left.",
+  },
+  es: {
+    title: '💰 *Flujo de caja',
+    income: '💵 Ingresos',
+    expenses: '💸 Gastos',
+    noIncome: 'No tienes ingresos registrados en este periodo. Cuéntame cuando te paguen (ej: "me pagaron el sueldo 3M") para saber cuánto te queda.',
+  },
+  pt: {
+    title: '💰 *Fluxo de caixa',
+    income: '💵 Receitas',
+    expenses: '💸 Despesas',
+    noIncome: 'Você não tem receitas registradas neste período. Me diga quando receber (ex: "recebi o salário 3 mil") para saber quanto sobra.',
+  },
+};
+
+export async function handler(phone, params, lang, userCurrency) {
+  const period = params.period || 'this_month';
+  const { startDate, endDate } = resolveDateRange(period, null, null);
+  const labels = LABELS[lang] || LABELS.es;
+
+  const cashflow = await getCashflow(phone, startDate, endDate);
+
+  let response = `${labels.title} - ${getPeriodLabel(period, lang)}*\n\n`;
+  response += `${labels.income}: ${formatAmount(cashflow.totalIncome, userCurrency)}\n`;
+  response += `${labels.expenses}: ${formatAmount(cashflow.totalExpenses, userCurrency)}`;
+
+  if (cashflow.totalIncome <= 0) {
+    response += `\n\n${labels.noIncome}`;
+    return { success: true, message: response };
+  }
+
+  response += `\n${formatNetLine(cashflow, userCurrency, lang)}`;
+
+  // Income breakdown (largest first)
+  const sources = Object.entries(cashflow.incomeByCategory)
+    .sort((a, b) => b[1].total - a[1].total);
+  if (sources.length > 1) {
+    response += '\n';
+    for (const [category, data] of sources) {
+      response += `\n• ${getIncomeCategoryLabel(category, lang)}: ${formatAmount(data.total, userCurrency)}`;
+    }
+  }
+
+  return {
+    success: true,
+    message: response,
+    sticker: cashflow.net >= 0 ? 'money' : 'warning',
+  };
+}
+
+export default { definition, handler };
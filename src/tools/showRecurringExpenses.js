@@ -0,0 +1,79 @@
+/**
+ * Tool: Show Recurring Expenses
+ * Lists the user's recurring expenses with their next due date
+ */
+
+import { RecurringExpenseDB } from "../database/index.js";
+import { formatAmount } from "../utils/currencyUtils.js";
+import { formatRecurrence, formatDueDate } from "../services/recurringExpenseService.js";
+
+export const definition = {
+  name: "show_recurring_expenses",
+  description: "List the user's recurring expenses (rent, subscriptions, bills) with how often they repeat and when they're next due. Examples: 'mis gastos recurrentes', 'what subscriptions do I have', 'mis pagos fijos', 'minhas contas fixas'",
+  input_schema: {
+    type: "object",
+    properties: {},
+    required: []
+  }
+};
+
+const LABELS = {
+  en: {
+    title: '🔁 *Recurring expenses*',
+    none: "You don't have recurring expenses. Tell me something like \"Netflix 38,900 on the 14th\" to add one.",
+    next: 'next',
+    paused: '⏸️ paused',
+    confirm: 'asks first',
+    total: 'Monthly fixed total',
+  },
+  es: {
+    title: '🔁 *Gastos recurrentes*',
+    none: 'No tienes gastos recurrentes. Dime algo como "Netflix 38.900 el 14" para agregar uno.',
+    next: 'próximo',
+    paused: '⏸️ pausado',
+    confirm: 'te pregunto antes',
+    total: 'Total fijo mensual',
+  },
+  pt: {
+    title: '🔁 *Despesas recorrentes*',
+    none: 'Você não tem despesas recorrentes. Me diga algo como "Netflix 39,90 dia 14" para adicionar uma.',
+    next: 'próxima',
+    paused: '⏸️ pausada',
+    confirm: 'pergunto antes',
+    total: 'Total fixo mensal',
+  },
+};
+
+// Approximate monthly cost of each frequency (for the fixed-cost total)
+const MONTHLY_FACTOR = { weekly: 52 / 12, monthly: 1, yearly: 1 / 12 };
+
+export async function handler(phone, params, lang, userCurrency) {
+  const labels = LABELS[lang] || LABELS.es;
+  const rules = (await RecurringExpenseDB.getByUser(phone)) || [];
+
+  if (rules.length === 0) {
+    return { success: true, message: labels.none };
+  }
+
+  let response = `${labels.title}\n`;
+  let monthlyTotal = 0;
+
+  for (const rule of rules) {
+    const status = rule.status === 'paused'
+      ? labels.paused
+      : `${labels.next}: ${formatDueDate(rule.next_due_date)}${rule.mode === 'confirm' ? ` (${labels.confirm})` : ''}`;
+
+    response += `\n#${rule.id} *${rule.description || rule.category}* - ${formatAmount(rule.amount, userCurrency)} (${rule.category})`;
+    response += `\n   ${formatRecurrence(rule, lang)} · ${status}`;
+
+    if (rule.status !== 'paused') {
+      monthlyTotal += parseFloat(rule.amount || 0) * (MONTHLY_FACTOR[rule.frequency] || 1);
+    }
+  }
+
+  response += `\n\n💸 ${labels.total}: ${formatAmount(monthlyTotal, userCurrency)}`;
+
+  return { success: true, message: response };
+}
+
+export default { definition, handler };
@@ -4,12 +4,15 @@
  */
 
 import { generateStatsUrl, getTokenExpiryDescription } from "../services/statsTokenService.js";
-import { ExpenseDB } from "../database/index.js";
+import { ExpenseDB, IncomeDB } from "../database/index.js";
 import { formatAmount } from "../utils/currencyUtils.js";
+import { formatNetLine } from "../services/cashflowService.js";
+import { getUpcomingRecurringExpenses, formatDueDate } from "../services/recurringExpenseService.js";
+import { getMessage } from "../utils/languageUtils.js";
 
 export const definition = {
   name: "show_summary",
-  description: "Show spending summary and financial status for current month. Use when user asks about their spending, status, overview, or 'how am I doing'. Examples: 'show summary', 'how am I doing', 'my spending', 'status'",
+  description: "Show spending summary and financial status for current month (includes income, what's left if the user logs income, and upcoming recurring bills). Use when user asks about their spending, status, overview, or 'how am I doing'. Examples: 'show summary', 'how am I doing', 'my spending', 'status'",
   input_schema: {
     type: "object",
     properties: {},
@@ -28,13 +31,29 @@ export async function handler(phone, params, lang, userCurrency) {
   const expenses = (await ExpenseDB.getByDateRange(phone, startOfMonth, endOfMonth)) || [];
   const totalSpent = expenses.reduce((sum, e) => sum + parseFloat(e.amount || 0), 0);
 
+  // Income and net balance (only shown once the user logs income)
+  const totalIncome = (await IncomeDB.getTotal(phone, startOfMonth, endOfMonth)) || 0;
+  const netLine = formatNetLine({ totalIncome, net: totalIncome - totalSpent }, userCurrency, lang);
+  const incomeLabels = { en: 'Income', es: 'Ingresos', pt: 'Receitas' };
+  const cashflowLines = netLine
+    ? `\n💵 ${incomeLabels[lang] || incomeLabels.es}: ${formatAmount(totalIncome, userCurrency)}\n${netLine}`
+    : '';
+
+  // Recurring expenses due in the next 7 days
+  const upcoming = await getUpcomingRecurringExpenses(phone, 7);
+  const upcomingLines = upcoming.length > 0
+    ? `\n\n${getMessage('recurring_upcoming_title', lang)}\n` + upcoming
+      .map(r => `• ${formatDueDate(r.next_due_date)} ${r.description || r.category}: ${formatAmount(r.amount, userCurrency)}`)
+      .join('\n')
+    : '';
+
   const locale = lang === 'es' ? 'es' : lang === 'pt' ? 'pt' : 'en';
   const monthName = now.toLocaleString(locale, { month: "long" });
 
   const messages = {
     en: `📊 *Summary for ${monthName}*
 
-💰 Total: ${formatAmount(totalSpent, userCurrency)} (${expenses.length} expenses)
+💰 Total: ${formatAmount(totalSpent, userCurrency)} (${expenses.length} expenses)${cashflowLines}${upcomingLines}
 
 View your complete report with charts and filters:
 
@@ -43,7 +62,7 @@ ${statsUrl}
 This link is valid for ${expiryTime}.`,
     es: `📊 *Resumen de ${monthName}*
 
-💰 Total: ${formatAmount(totalSpent, userCurrency)} (${expenses.length} gastos)
+💰 Total: ${formatAmount(totalSpent, userCurrency)} (${expenses.length} gastos)${cashflowLines}${upcomingLines}
 
 Ve tu reporte completo con gráficos y filtros:
 
@@ -52,7 +71,7 @@ ${statsUrl}
 Este link es válido por ${expiryTime}.`,
     pt: `📊 *Resumo de ${monthName}*
 
-💰 Total: ${formatAmount(totalSpent, userCurrency)} (${expenses.length} despesas)
+💰 Total: ${formatAmount(totalSpent, userCurrency)} (${expenses.length} despesas)${cashflowLines}${upcomingLines}
 
 Veja seu relatório completo com gráficos e filtros:
 
@@ -1,23 +1,32 @@
 /**
  * Tool: Sync Bank Transactions
- * Imports transactions from connected bank accounts as expenses
+ * Imports transactions from connected bank accounts as expenses (debits) and incomes (credits)
  */
 
 import {
   BankLinkDB,
   BankImportUsageDB,
   ExpenseDB,
+  IncomeDB,
+  CategorizationRuleDB,
+  LeftOutTransactionDB,
   UserSubscriptionDB,
   SubscriptionPlanDB,
 } from "../database/index.js";
 import {
   getTransactions,
   parseTransactionToExpense,
+  parseTransactionToIncome,
   getDefaultSyncRange,
   isBelvoConfigured,
 } from "../services/belvoService.js";
-import { categorizeTransaction } from "../services/transactionCategorizer.js";
+import { getOrCreateBelvoAccount } from "../services/paymentAccountService.js";
+import { categorizeTransaction, categorizeIncomeTransaction } from "../services/transactionCategorizer.js";
 import { formatAmount } from "../utils/currencyUtils.js";
+import { getUserCategories } from "../utils/categoryUtils.js";
+import { categorizeByMerchant } from "../services/merchantService.js";
+import { recordAction } from "../services/actionJournalService.js";
+import { applyRules } from "../utils/categorizationRuleUtils.js";
 
 export const definition = {
   name: "sync_transactions",
@@ -63,6 +72,12 @@ No new transactions found from {institution}.
 
 Your expenses are up to date!`,
 
+    sync_incomes_only: `*Bank Sync Complete*
+
+No new expenses from {institution}.
+
+💵 Imported *{count}* incomes ({total}).`,
+
     sync_partial: `*Bank Sync Partial*
 
 Imported *{imported}* of {total} transactions.
@@ -72,6 +87,12 @@ Upgrade your plan for more imports.`,
 
     sync_error: "There was an error syncing your bank. Please try again later.",
 
+    incomes_imported: "💵 Also imported *{count}* incomes ({total}).",
+
+    rules_skipped: "⏭️ Your rules skipped *{count}* transactions.",
+
+    transfers_left_out: "🔁 *{count}* transfers between your accounts weren't counted as expenses or income.",
+
     limit_reached: `You've reached your monthly limit of {limit} bank transactions.
 
 Your limit will reset at the start of next month.`,
@@ -103,6 +124,12 @@ No se encontraron transacciones nuevas de {institution}.
 
 ¡Tus gastos están actualizados!`,
 
+    sync_incomes_only: `*Sincronización Completa*
+
+No hay gastos nuevos de {institution}.
+
+💵 Se importaron *{count}* ingresos ({total}).`,
+
     sync_partial: `*Sincronización Parcial*
 
 Se importaron *{imported}* de {total} transacciones.
@@ -112,6 +139,12 @@ Mejora tu plan para más importaciones.`,
 
     sync_error: "Hubo un error al sincronizar tu banco. Por favor intenta más tarde.",
 
+    incomes_imported: "💵 También se importaron *{count}* ingresos ({total}).",
+
+    rules_skipped: "⏭️ Tus reglas omitieron *{count}* transacciones.",
+
+    transfers_left_out: "🔁 *{count}* transferencias entre tus cuentas no se contaron como gastos ni ingresos.",
+
     limit_reached: `Has alcanzado tu límite mensual de {limit} transacciones bancarias.
 
 Tu límite se reiniciará al inicio del próximo mes.`,
@@ -143,6 +176,12 @@ Nenhuma transação nova encontrada de {institution}.
 
 Suas despesas estão atualizadas!`,
 
+    sync_incomes_only: `*Sincronização Completa*
+
+Nenhuma despesa nova de {institution}.
+
+💵 Foram importadas *{count}* receitas ({total}).`,
+
     sync_partial: `*Sincronização Parcial*
 
 Importadas *{imported}* de {total} transações.
@@ -152,6 +191,12 @@ Atualize seu plano para mais importações.`,
 
     sync_error: "Houve um erro ao sincronizar seu banco. Por favor, tente novamente mais tarde.",
 
+    incomes_imported: "💵 Também foram importadas *{count}* receitas ({total}).",
+
+    rules_skipped: "⏭️ Suas regras ignoraram *{count}* transações.",
+
+    transfers_left_out: "🔁 *{count}* transferências entre suas contas não foram contadas como despesas nem receitas.",
+
     limit_reached: `Você atingiu seu limite mensal de {limit} transações bancárias.
 
 Seu limite será reiniciado no início do próximo mês.`,
@@ -215,8 +260,16 @@ export async function handler(phone, params, lang, userCurrency) {
   let totalImported = 0;
   let totalSkipped = 0;
   let totalAmount = 0;
+  let incomesImported = 0;
+  let incomeAmount = 0;
   const categorySummary = {};
   let lastInstitution = "";
+  const categories = await getUserCategories(phone, lang);
+  const rules = (await CategorizationRuleDB.getByUser(phone)) || [];
+  let skippedByRules = 0;
+  let transfersLeftOut = 0;
+  const expenseIds = [];
+  const incomeIds = [];
 
   // Process each connected bank
   for (const link of activeLinks) {
@@ -234,9 +287,6 @@ export async function handler(phone, params, lang, userCurrency) {
 
       // Filter and process transactions
       for (const transaction of transactions) {
-        // Skip income (positive amounts)
-        if (transaction.amount >= 0) continue;
-
         // Skip pending transactions
         if (transaction.status === "PENDING") continue;
 
@@ -247,17 +297,61 @@ export async function handler(phone, params, lang, userCurrency) {
           continue;
         }
 
-        // Check if transaction already exists (by external_id)
+        // Skip zero-amount entries
+        if (transaction.amount === 0) continue;
+
+        // Check if transaction already exists (by external_id), as income or expense,
+        // or the user's rules already left it out on an earlier sync
         const externalId = `belvo_${transaction.id}`;
-        const existingExpense = await checkExpenseExists(phone, externalId);
+        const alreadyImported = transaction.amount > 0
+          ? await IncomeDB.getByExternalId(phone, externalId)
+          : await checkExpenseExists(phone, externalId);
 
-        if (existingExpense) {
-          // Already imported
+        if (alreadyImported || await LeftOutTransactionDB.has(phone, externalId)) {
           continue;
         }
 
-        // Categorize transaction
-        const category = categorizeTransaction(transaction);
+        // Attribute the transaction to the card/account it came from
+        const account = await getOrCreateBelvoAccount(phone, transaction.account, link.institution);
+
+        // The user's rules can leave it out: skipped, or a transfer between their own accounts
+        const ruled = applyRules(rules, {
+          description: transaction.description,
+          merchantName: transaction.merchant?.name,
+          amount: transaction.amount,
+          source: "bank_import",
+          accountId: account?.id ?? null,
+        }, { categories });
+        if (ruled.transfer) {
+          await LeftOutTransactionDB.add(phone, externalId, "transfer", ruled.ruleIds);
+          transfersLeftOut++;
+          continue;
+        }
+        if (ruled.skip) {
+          await LeftOutTransactionDB.add(phone, externalId, "skip", ruled.ruleIds);
+          skippedByRules++;
+          continue;
+        }
+
+        // Credits (positive amounts) are imported as income
+        if (transaction.amount > 0) {
+          const income = await importIncomeTransaction(phone, transaction);
+          if (income) {
+            incomesImported++;
+            incomeAmount += income.amount;
+            incomeIds.push(income.id);
+          }
+          continue;
+        }
+
+        // Categorize transaction: the user's rules, then where they file this merchant,
+        // else by merchant patterns
+        const merchant = await categorizeByMerchant(
+          phone,
+          { merchantName: transaction.merchant?.name, description: transaction.description },
+          { create: true, categories }
+        );
+        const category = ruled.category || merchant.category || categorizeTransaction(transaction);
 
         // Create expense
         const expenseData = {
@@ -267,9 +361,13 @@ export async function handler(phone, params, lang, userCurrency) {
           date: new Date(transaction.value_date || transaction.accounting_date),
           source: "bank_import",
           external_id: externalId,
+          account_id: account?.id || null,
+          merchant_id: merchant.merchantId,
+          tags: ruled.tags,
         };
 
-        await ExpenseDB.create(phone, expenseData);
+        const expense = await ExpenseDB.create(phone, expenseData);
+        expenseIds.push(expense.id);
 
         // Track usage
         await BankImportUsageDB.increment(phone, 1);
@@ -292,13 +390,46 @@ export async function handler(phone, params, lang, userCurrency) {
     }
   }
 
+  // Undo takes the whole sync back
+  await recordAction(phone, "sync_transactions", [
+    { type: "create", entity: "expense", ids: expenseIds },
+    { type: "create", entity: "income", ids: incomeIds },
+  ], `${lastInstitution} (${expenseIds.length + incomeIds.length})`);
+
+  // Income line appended to any result that imported credits
+  const incomeLine = incomesImported > 0
+    ? `\n\n${getSyncMessage("incomes_imported", lang, {
+      count: incomesImported,
+      total: formatAmount(incomeAmount, userCurrency),
+    })}`
+    : "";
+
+  // What the user's rules left out
+  let rulesLines = "";
+  if (skippedByRules > 0) {
+    rulesLines += `\n\n${getSyncMessage("rules_skipped", lang, { count: skippedByRules })}`;
+  }
+  if (transfersLeftOut > 0) {
+    rulesLines += `\n\n${getSyncMessage("transfers_left_out", lang, { count: transfersLeftOut })}`;
+  }
+
   // Build response
   if (totalImported === 0 && totalSkipped === 0) {
+    if (incomesImported > 0) {
+      return {
+        success: true,
+        message: getSyncMessage("sync_incomes_only", lang, {
+          institution: lastInstitution,
+          count: incomesImported,
+          total: formatAmount(incomeAmount, userCurrency),
+        }) + rulesLines,
+      };
+    }
     return {
       success: true,
       message: getSyncMessage("sync_no_new", lang, {
         institution: lastInstitution,
-      }),
+      }) + rulesLines,
     };
   }
 
@@ -310,7 +441,7 @@ export async function handler(phone, params, lang, userCurrency) {
         total: totalImported + totalSkipped,
         skipped: totalSkipped,
         limit: monthlyLimit,
-      }),
+      }) + incomeLine + rulesLines,
     };
   }
 
@@ -327,10 +458,37 @@ export async function handler(phone, params, lang, userCurrency) {
       institution: lastInstitution,
       summary: summaryLines.join("\n"),
       total: formatAmount(totalAmount, userCurrency),
-    }),
+    }) + incomeLine + rulesLines,
   };
 }
 
+/**
+ * Import a bank credit as income (skips already imported transactions)
+ * @param {string} phone - User's phone
+ * @param {object} transaction - Belvo transaction
+ * @returns {Promise<object|null>} Created income or null if skipped
+ */
+async function importIncomeTransaction(phone, transaction) {
+  const parsed = parseTransactionToIncome(transaction, phone);
+  if (!parsed) return null;
+
+  const externalId = `belvo_${parsed.externalId}`;
+  const existing = await IncomeDB.getByExternalId(phone, externalId);
+  if (existing) return null;
+
+  const income = await IncomeDB.create(phone, {
+    amount: parsed.amount,
+    category: categorizeIncomeTransaction(transaction),
+    description: parsed.description,
+    date: parsed.date,
+    source: parsed.source,
+    external_id: externalId,
+  });
+
+  await BankImportUsageDB.increment(phone, 1);
+  return income;
+}
+
 /**
  * Check if an expense with the given external_id exists
  * @param {string} phone - User's phone
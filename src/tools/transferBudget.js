@@ -0,0 +1,111 @@
+/**
+ * Tool: Transfer Budget
+ * Moves money between two budgets in the current period (envelope mode)
+ */
+
+import { formatAmount } from "../utils/currencyUtils.js";
+import { transferBetweenBudgets } from "../services/budgetService.js";
+import { recordAction } from "../services/actionJournalService.js";
+
+export const definition = {
+  name: "transfer_budget",
+  description: "Move money from one budget to another for the current period (envelope budgeting). Use when user wants to move, pass or shift budget between categories. Examples: 'pasa 50k de ocio a comida', 'move 100 from entertainment to food', 'passa 30 mil de lazer para mercado'",
+  input_schema: {
+    type: "object",
+    properties: {
+      from_category: {
+        type: "string",
+        description: "Category whose budget gives the money"
+      },
+      to_category: {
+        type: "string",
+        description: "Category whose budget receives the money"
+      },
+      amount: {
+        type: "number",
+        description: "Amount to move"
+      }
+    },
+    required: ["from_category", "to_category", "amount"]
+  }
+};
+
+const MESSAGES = {
+  en: {
+    invalid_amount: "The amount to move must be greater than zero.",
+    same_category: "Both budgets are the same category. Tell me where to move the money from and to.",
+    from_not_found: "You don't have a budget for '{category}'. Use 'show budgets' to see your budgets.",
+    to_not_found: "You don't have a budget for '{category}'. Set one first, e.g. 'set {category} budget to 200'.",
+    insufficient: "You only have {available} left in {category} this period.",
+    moved: "✅ Moved {amount} from {from} to {to}",
+    left: "{category}: {remaining} left",
+  },
+  es: {
+    invalid_amount: "El monto a mover debe ser mayor que cero.",
+    same_category: "Ambos presupuestos son de la misma categoría. Dime de dónde y a dónde mover el dinero.",
+    from_not_found: "No tienes presupuesto para '{category}'. Usa 'ver presupuestos' para ver tus presupuestos.",
+    to_not_found: "No tienes presupuesto para '{category}'. Créalo primero, ej: 'presupuesto de {category} 200 mil'.",
+    insufficient: "Solo te quedan {available} en {category} este periodo.",
+    moved: "✅ Moví {amount} de {from} a {to}",
+    left: "{category}: te quedan {remaining}",
+  },
+  pt: {
+    invalid_amount: "O valor a mover deve ser maior que zero.",
+    same_category: "Os dois orçamentos são da mesma categoria. Diga de onde e para onde mover o dinheiro.",
+    from_not_found: "Você não tem orçamento para '{category}'. Use 'ver orçamentos' para ver seus orçamentos.",
+    to_not_found: "Você não tem orçamento para '{category}'. Crie primeiro, ex: 'orçamento de {category} 200'.",
+    insufficient: "Restam apenas {available} em {category} neste período.",
+    moved: "✅ Movi {amount} de {from} para {to}",
+    left: "{category}: restam {remaining}",
+  },
+};
+
+function t(key, lang, params = {}) {
+  let message = (MESSAGES[lang] || MESSAGES.es)[key];
+  for (const [param, value] of Object.entries(params)) {
+    message = message.replace(new RegExp(`\\{${param}\\}`, 'g'), value);
+  }
+  return message;
+}
+
+export async function handler(phone, params, lang, userCurrency) {
+  const from = (params.from_category || '').toLowerCase().trim();
+  const to = (params.to_category || '').toLowerCase().trim();
+  const amount = parseFloat(params.amount);
+
+  if (!amount || amount <= 0) {
+    return { success: false, message: t('invalid_amount', lang) };
+  }
+
+  const result = await transferBetweenBudgets(phone, from, to, amount);
+
+  if (!result.success) {
+    const category = result.error === 'to_not_found' ? to : from;
+    return {
+      success: false,
+      message: t(result.error, lang, {
+        category,
+        available: formatAmount(result.available || 0, userCurrency),
+      }),
+    };
+  }
+
+  await recordAction(
+    phone,
+    'transfer_budget',
+    [{ type: 'create', entity: 'budget_transfer', ids: [result.transfer.id] }],
+    `${formatAmount(amount, userCurrency)}: ${from} → ${to}`
+  );
+
+  let response = t('moved', lang, { amount: formatAmount(amount, userCurrency), from, to });
+  for (const progress of [result.from, result.to]) {
+    response += `\n• ${t('left', lang, {
+      category: progress.budget.category,
+      remaining: formatAmount(progress.remaining, userCurrency),
+    })}`;
+  }
+
+  return { success: true, message: response, sticker: 'success' };
+}
+
+export default { definition, handler };
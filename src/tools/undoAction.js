@@ -0,0 +1,161 @@
+/**
+ * Tool: Undo Action
+ * Reverts the user's most recent changes (expenses, incomes, budgets, accounts, recurring
+ * expenses, categories and rules) from the action journal
+ */
+
+import { undoActions, UNDO_WINDOW_HOURS, MAX_UNDO_COUNT } from "../services/actionJournalService.js";
+
+export const definition = {
+  name: "undo_action",
+  description: "Undo the user's most recent changes: logged, edited, deleted or imported expenses, logged incomes, budgets set, deleted or moved, accounts, recurring expenses, categories and rules. Use when user says undo or wants back something they just changed. Examples: 'deshacer', 'deshaz eso', 'recupera el gasto que borré', 'undo the last 3 changes', 'desfazer'",
+  input_schema: {
+    type: "object",
+    properties: {
+      count: {
+        type: "number",
+        description: `How many recent changes to undo, newest first (default 1, max ${MAX_UNDO_COUNT})`
+      }
+    },
+    required: []
+  }
+};
+
+const MESSAGES = {
+  en: {
+    undone: "↩️ Undid {count} change(s):",
+    nothing: "There's nothing to undo. I keep changes from the last {hours} hours.",
+    failed: "⚠️ I couldn't undo: {action}. Nothing older was changed.",
+    blocked: "⚠️ This can't be undone: {action}. Say \"undo\" again to undo what came before it.",
+  },
+  es: {
+    undone: "↩️ Deshice {count} cambio(s):",
+    nothing: "No hay nada que deshacer. Guardo los cambios de las últimas {hours} horas.",
+    failed: "⚠️ No pude deshacer: {action}. No toqué nada más antiguo.",
+    blocked: "⚠️ Esto no se puede deshacer: {action}. Di \"deshacer\" otra vez para deshacer lo anterior.",
+  },
+  pt: {
+    undone: "↩️ Desfiz {count} alteração(ões):",
+    nothing: "Não há nada para desfazer. Guardo as alterações das últimas {hours} horas.",
+    failed: "⚠️ Não consegui desfazer: {action}. Nada mais antigo foi alterado.",
+    blocked: "⚠️ Isso não pode ser desfeito: {action}. Diga \"desfazer\" de novo para desfazer o anterior.",
+  },
+};
+
+// What each journaled tool did, as shown when it's undone
+const ACTION_LABELS = {
+  en: {
+    log_expense: "logged expense",
+    edit_expense: "edited expense",
+    delete_expense: "deleted expense",
+    import_expenses: "import",
+    set_budget: "budget set",
+    delete_budget: "deleted budget",
+    rename_category: "renamed category",
+    transfer_budget: "budget transfer",
+    log_income: "logged income",
+    add_account: "account added",
+    delete_account: "deleted account",
+    create_recurring_expense: "recurring expense created",
+    pause_recurring_expense: "recurring expense paused or resumed",
+    delete_recurring_expense: "deleted recurring expense",
+    create_category: "category created",
+    manage_categories: "category setup",
+    sync_transactions: "bank sync",
+    manage_rules: "rule",
+    set_currency: "currency set",
+    manage_subscription: "subscription change",
+    disconnect_bank: "bank disconnected",
+    create_group: "group created",
+    log_shared_expense: "shared expense",
+    settle_debt: "debt settled",
+  },
+  es: {
+    log_expense: "gasto registrado",
+    edit_expense: "gasto editado",
+    delete_expense: "gasto eliminado",
+    import_expenses: "importación",
+    set_budget: "presupuesto definido",
+    delete_budget: "presupuesto eliminado",
+    rename_category: "categoría renombrada",
+    transfer_budget: "movimiento entre presupuestos",
+    log_income: "ingreso registrado",
+    add_account: "cuenta agregada",
+    delete_account: "cuenta eliminada",
+    create_recurring_expense: "gasto recurrente creado",
+    pause_recurring_expense: "gasto recurrente pausado o reactivado",
+    delete_recurring_expense: "gasto recurrente eliminado",
+    create_category: "categoría creada",
+    manage_categories: "configuración de categorías",
+    sync_transactions: "sincronización bancaria",
+    manage_rules: "regla",
+    set_currency: "moneda definida",
+    manage_subscription: "cambio de suscripción",
+    disconnect_bank: "banco desconectado",
+    create_group: "grupo creado",
+    log_shared_expense: "gasto compartido",
+    settle_debt: "deuda saldada",
+  },
+  pt: {
+    log_expense: "despesa registrada",
+    edit_expense: "despesa editada",
+    delete_expense: "despesa excluída",
+    import_expenses: "importação",
+    set_budget: "orçamento definido",
+    delete_budget: "orçamento excluído",
+    rename_category: "categoria renomeada",
+    transfer_budget: "transferência entre orçamentos",
+    log_income: "receita registrada",
+    add_account: "conta adicionada",
+    delete_account: "conta excluída",
+    create_recurring_expense: "despesa recorrente criada",
+    pause_recurring_expense: "despesa recorrente pausada ou retomada",
+    delete_recurring_expense: "despesa recorrente excluída",
+    create_category: "categoria criada",
+    manage_categories: "configuração de categorias",
+    sync_transactions: "sincronização bancária",
+    manage_rules: "regra",
+    set_currency: "moeda definida",
+    manage_subscription: "alteração de assinatura",
+    disconnect_bank: "banco desconectado",
+    create_group: "grupo criado",
+    log_shared_expense: "despesa compartilhada",
+    settle_debt: "dívida quitada",
+  },
+};
+
+export async function handler(phone, params, lang) {
+  const messages = MESSAGES[lang] || MESSAGES.es;
+  const { undone, failed, blocked } = await undoActions(phone, params.count || 1);
+
+  if (undone.length === 0 && !failed && !blocked) {
+    return { success: false, message: messages.nothing.replace('{hours}', UNDO_WINDOW_HOURS) };
+  }
+
+  const lines = [];
+  if (undone.length > 0) {
+    lines.push(messages.undone.replace('{count}', undone.length));
+    for (const entry of undone) {
+      lines.push(`• ${describeEntry(entry, lang)}`);
+    }
+  }
+  if (failed) {
+    if (lines.length > 0) lines.push('');
+    lines.push(messages.failed.replace('{action}', describeEntry(failed, lang)));
+  }
+  if (blocked) {
+    if (lines.length > 0) lines.push('');
+    lines.push(messages.blocked.replace('{action}', describeEntry(blocked, lang)));
+  }
+
+  return { success: undone.length > 0, message: lines.join('\n') };
+}
+
+function describeEntry(entry, lang) {
+  const labels = ACTION_LABELS[lang] || ACTION_LABELS.es;
+  const label = labels[entry.tool] || entry.tool;
+  const text = label.charAt(0).toUpperCase() + label.slice(1);
+  return entry.detail ? `${text}: ${entry.detail}` : text;
+}
+
+export default { definition, handler };
@@ -0,0 +1,174 @@
+/**
+ * Payment account utilities
+ * Account types, labels and matching what the user says ("pagué con la tarjeta")
+ * against their list of accounts
+ */
+
+export const ACCOUNT_TYPES = ['cash', 'debit_card', 'credit_card', 'bank', 'wallet', 'other'];
+
+// Group key used for expenses without an account when grouping by account
+export const NO_ACCOUNT_GROUP = '(no account)';
+
+// Common ways users name account types (en/es/pt) → type ID
+const TYPE_ALIASES = {
+  cash: 'cash', efectivo: 'cash', 'en efectivo': 'cash', dinheiro: 'cash', 'em dinheiro': 'cash', plata: 'cash',
+  credit: 'credit_card', 'credit card': 'credit_card', credito: 'credit_card', 'tarjeta de credito': 'credit_card', 'cartao de credito': 'credit_card', 'tc': 'credit_card',
+  debit: 'debit_card', 'debit card': 'debit_card', debito: 'debit_card', 'tarjeta debito': 'debit_card', 'tarjeta de debito': 'debit_card', 'cartao de debito': 'debit_card', 'td': 'debit_card',
+  bank: 'bank', account: 'bank', cuenta: 'bank', 'cuenta de ahorros': 'bank', ahorros: 'bank', conta: 'bank', banco: 'bank', transferencia: 'bank',
+  wallet: 'wallet', billetera: 'wallet', nequi: 'wallet', daviplata: 'wallet', pix: 'wallet', paypal: 'wallet', 'mercado pago': 'wallet',
+};
+
+// Generic card words match any card account
+const CARD_WORDS = ['tarjeta', 'card', 'cartao', 'tarjetita'];
+
+// Card networks in account names ("Visa Bancolombia") usually mean a credit card
+const CARD_BRANDS = ['visa', 'mastercard', 'amex', 'diners'];
+
+// Words ignored when matching ("con la tarjeta" → "tarjeta")
+const STOPWORDS = ['con', 'la', 'el', 'mi', 'de', 'del', 'en', 'my', 'the', 'with', 'a', 'com', 'o', 'meu', 'minha', 'do', 'da', 'no', 'na'];
+
+const TYPE_LABELS = {
+  en: { cash: 'cash', debit_card: 'debit card', credit_card: 'credit card', bank: 'bank account', wallet: 'wallet', other: 'other' },
+  es: { cash: 'efectivo', debit_card: 'tarjeta débito', credit_card: 'tarjeta de crédito', bank: 'cuenta bancaria', wallet: 'billetera digital', other: 'otra' },
+  pt: { cash: 'dinheiro', debit_card: 'cartão de débito', credit_card: 'cartão de crédito', bank: 'conta bancária', wallet: 'carteira digital', other: 'outra' },
+};
+
+const TYPE_EMOJIS = { cash: '💵', debit_card: '💳', credit_card: '💳', bank: '🏦', wallet: '📱', other: '👛' };
+
+/**
+ * Lowercase and strip accents for matching
+ */
+function simplify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+}
+
+/**
+ * Split text into meaningful words
+ */
+function tokenize(text) {
+  return simplify(text)
+    .split(/[^a-z0-9]+/)
+    .filter(word => word && !STOPWORDS.includes(word));
+}
+
+/**
+ * Normalize an account type name to one of ACCOUNT_TYPES
+ * @param {string} type - Type ID or alias ("efectivo", "crédito", "Nequi")
+ * @returns {string|null} Type ID or null if unknown
+ */
+export function normalizeAccountType(type) {
+  if (!type) return null;
+  const key = simplify(type);
+  if (ACCOUNT_TYPES.includes(key)) return key;
+  return TYPE_ALIASES[key] || TYPE_ALIASES[tokenize(key).join(' ')] || null;
+}
+
+/**
+ * Guess an account type from its name ("Tarjeta Visa Bancolombia" → credit_card)
+ * @param {string} name
+ * @returns {string} Type ID ('other' when nothing fits)
+ */
+export function inferAccountType(name) {
+  const words = tokenize(name);
+  const text = words.join(' ');
+  for (const [alias, type] of Object.entries(TYPE_ALIASES)) {
+    if (alias.includes(' ') ? text.includes(alias) : words.includes(alias)) return type;
+  }
+  if (words.some(word => CARD_WORDS.includes(word) || CARD_BRANDS.includes(word))) return 'credit_card';
+  return 'other';
+}
+
+/**
+ * Get a localized label for an account type
+ * @param {string} type - Type ID
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+export function getAccountTypeLabel(type, lang = 'en') {
+  const labels = TYPE_LABELS[lang] || TYPE_LABELS.en;
+  return labels[type] || labels.other;
+}
+
+/**
+ * Format an account for display ("💳 Visa Bancolombia ••4821")
+ * @param {object} account - Payment account
+ * @param {object} options - { emoji: boolean } (default true)
+ * @returns {string}
+ */
+export function formatAccountName(account, { emoji = true } = {}) {
+  if (!account) return '';
+  const last4 = account.last4 ? ` ••${account.last4}` : '';
+  const prefix = emoji ? `${TYPE_EMOJIS[account.type] || TYPE_EMOJIS.other} ` : '';
+  return `${prefix}${account.name}${last4}`;
+}
+
+/**
+ * Match what the user said against their accounts
+ * Tries, in order: exact name, last 4 digits, all words in the name/institution,
+ * then the account type ("efectivo", "la tarjeta")
+ * @param {Array} accounts - User's payment accounts
+ * @param {string} query - What the user said ("tarjeta Bancolombia", "efectivo", "4821")
+ * @returns {{account: object|null, error?: 'not_found'|'ambiguous', matches?: Array}}
+ */
+export function matchAccount(accounts, query) {
+  if (!query || !accounts || accounts.length === 0) {
+    return { account: null, error: 'not_found' };
+  }
+
+  const pick = (matches) => {
+    if (matches.length === 1) return { account: matches[0] };
+    if (matches.length > 1) return { account: null, error: 'ambiguous', matches };
+    return null;
+  };
+
+  const simplified = simplify(query);
+  const exact = pick(accounts.filter(a => simplify(a.name) === simplified));
+  if (exact) return exact;
+
+  const digits = simplified.match(/\b(\d{4})\b/);
+  if (digits) {
+    const byLast4 = pick(accounts.filter(a => a.last4 === digits[1]));
+    if (byLast4) return byLast4;
+  }
+
+  // Name words, ignoring generic ones ("tarjeta de crédito Bancolombia" → "bancolombia")
+  const words = tokenize(query).filter(word => !CARD_WORDS.includes(word) && !TYPE_ALIASES[word]);
+  if (words.length > 0) {
+    const candidates = accounts.filter(a => {
+      const accountWords = tokenize(`${a.name} ${a.institution || ''}`);
+      return words.every(word => accountWords.includes(word));
+    });
+    // Two accounts at the same bank: narrow down by the type the user mentioned
+    const queryType = inferAccountType(query);
+    const narrowed = candidates.length > 1 && queryType !== 'other'
+      ? candidates.filter(a => a.type === queryType)
+      : [];
+    const byWords = pick(narrowed.length > 0 ? narrowed : candidates);
+    if (byWords) return byWords;
+  }
+
+  const type = normalizeAccountType(query);
+  if (type) {
+    const byType = pick(accounts.filter(a => a.type === type));
+    if (byType) return byType;
+  } else if (tokenize(query).some(word => CARD_WORDS.includes(word))) {
+    const cards = pick(accounts.filter(a => a.type === 'credit_card' || a.type === 'debit_card'));
+    if (cards) return cards;
+  }
+
+  return { account: null, error: 'not_found' };
+}
+
+export default {
+  ACCOUNT_TYPES,
+  NO_ACCOUNT_GROUP,
+  normalizeAccountType,
+  inferAccountType,
+  getAccountTypeLabel,
+  formatAccountName,
+  matchAccount,
+};
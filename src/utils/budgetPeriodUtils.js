@@ -0,0 +1,247 @@
+/**
+ * Budget period utilities
+ * Single source of truth for the spending window a budget is evaluated against
+ *
+ * Periods:
+ * - weekly:   7 days starting Monday (or the anchor date's weekday)
+ * - biweekly: quincena, 1st–15th and 16th–end of month
+ * - monthly:  calendar month (or from the anchor date's day, e.g. 25th–24th)
+ * - yearly:   calendar year (or from the anchor date's month/day)
+ * - custom:   rolling windows of period_days starting at anchor_date
+ *
+ * Windows are computed in the user's timezone and returned as UTC instants
+ */
+
+import { getTimezoneFromPhone, getDatePartsInTimezone, zonedTimeToUtc } from "./timezoneUtils.js";
+
+export const BUDGET_PERIODS = ['weekly', 'biweekly', 'monthly', 'yearly', 'custom'];
+
+export const DEFAULT_BUDGET_PERIOD = 'monthly';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Common ways users name periods (en/es/pt) → period ID
+const PERIOD_ALIASES = {
+  week: 'weekly', semanal: 'weekly', semana: 'weekly',
+  biweekly: 'biweekly', fortnightly: 'biweekly', quincena: 'biweekly', quincenal: 'biweekly', quinzenal: 'biweekly', quinzena: 'biweekly',
+  month: 'monthly', mensual: 'monthly', mes: 'monthly', mensal: 'monthly', 'mês': 'monthly',
+  year: 'yearly', annual: 'yearly', anual: 'yearly', 'año': 'yearly', ano: 'yearly',
+};
+
+const PERIOD_LABELS = {
+  en: { weekly: 'weekly', biweekly: 'biweekly (1–15 / 16–end)', monthly: 'monthly', yearly: 'yearly', custom: 'every {days} days' },
+  es: { weekly: 'semanal', biweekly: 'quincenal', monthly: 'mensual', yearly: 'anual', custom: 'cada {days} días' },
+  pt: { weekly: 'semanal', biweekly: 'quinzenal', monthly: 'mensal', yearly: 'anual', custom: 'a cada {days} dias' },
+};
+
+/**
+ * Normalize a period name to one of BUDGET_PERIODS
+ * @param {string} period - Period name or alias ("quincena", "semanal"...)
+ * @returns {string|null} Period ID or null if unknown
+ */
+export function normalizeBudgetPeriod(period) {
+  if (!period) return null;
+  const key = String(period).toLowerCase().trim();
+  if (BUDGET_PERIODS.includes(key)) return key;
+  return PERIOD_ALIASES[key] || null;
+}
+
+/**
+ * Convert calendar parts to a day number (days since epoch) for date arithmetic
+ */
+function toDayNumber(year, month, day) {
+  return Math.floor(Date.UTC(year, month - 1, day) / DAY_MS);
+}
+
+/**
+ * Convert a day number back to calendar parts
+ */
+function fromDayNumber(dayNumber) {
+  const d = new Date(dayNumber * DAY_MS);
+  return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+}
+
+/**
+ * Days in a month (month is 1-12)
+ */
+function daysInMonth(year, month) {
+  return new Date(Date.UTC(year, month, 0)).getUTCDate();
+}
+
+/**
+ * Day number of a month/day in a given month, clamped to the month's length
+ * (anchor day 31 → 30th in a 30-day month)
+ */
+function clampedDayNumber(year, month, day) {
+  // Normalize month overflow (month 0 → December of previous year, 13 → January)
+  const normalized = new Date(Date.UTC(year, month - 1, 1));
+  const y = normalized.getUTCFullYear();
+  const m = normalized.getUTCMonth() + 1;
+  return toDayNumber(y, m, Math.min(day, daysInMonth(y, m)));
+}
+
+/**
+ * Parse a budget anchor date ("YYYY-MM-DD" or Date) into calendar parts
+ * @returns {{year: number, month: number, day: number}|null}
+ */
+function parseAnchor(anchorDate, timezone) {
+  if (!anchorDate) return null;
+  if (typeof anchorDate === 'string') {
+    const match = anchorDate.match(/^(\d{4})-(\d{2})-(\d{2})/);
+    if (match) return { year: +match[1], month: +match[2], day: +match[3] };
+  }
+  const date = new Date(anchorDate);
+  if (isNaN(date.getTime())) return null;
+  const { year, month, day } = getDatePartsInTimezone(date, timezone);
+  return { year, month, day };
+}
+
+/**
+ * Get the first and last day (as day numbers) of the window containing "today"
+ */
+function getWindowDays(budget, today, anchor) {
+  const period = normalizeBudgetPeriod(budget.period) || DEFAULT_BUDGET_PERIOD;
+  const todayNum = toDayNumber(today.year, today.month, today.day);
+
+  switch (period) {
+    case 'weekly': {
+      // Week starts on the anchor's weekday (default Monday)
+      const startDow = anchor ? new Date(toDayNumber(anchor.year, anchor.month, anchor.day) * DAY_MS).getUTCDay() : 1;
+      const todayDow = new Date(todayNum * DAY_MS).getUTCDay();
+      const start = todayNum - ((todayDow - startDow + 7) % 7);
+      return { start, end: start + 6 };
+    }
+
+    case 'biweekly': {
+      if (today.day <= 15) {
+        return {
+          start: toDayNumber(today.year, today.month, 1),
+          end: toDayNumber(today.year, today.month, 15),
+        };
+      }
+      return {
+        start: toDayNumber(today.year, today.month, 16),
+        end: toDayNumber(today.year, today.month, daysInMonth(today.year, today.month)),
+      };
+    }
+
+    case 'yearly': {
+      const anchorMonth = anchor ? anchor.month : 1;
+      const anchorDay = anchor ? anchor.day : 1;
+      let start = clampedDayNumber(today.year, anchorMonth, anchorDay);
+      if (start > todayNum) start = clampedDayNumber(today.year - 1, anchorMonth, anchorDay);
+      const startYear = fromDayNumber(start).year;
+      return { start, end: clampedDayNumber(startYear + 1, anchorMonth, anchorDay) - 1 };
+    }
+
+    case 'custom': {
+      const length = parseInt(budget.period_days ?? budget.periodDays, 10);
+      if (anchor && length > 0) {
+        const anchorNum = toDayNumber(anchor.year, anchor.month, anchor.day);
+        const index = Math.floor((todayNum - anchorNum) / length);
+        const start = anchorNum + index * length;
+        return { start, end: start + length - 1 };
+      }
+      // Incomplete custom budget: evaluate as monthly
+      return getWindowDays({ period: 'monthly' }, today, anchor);
+    }
+
+    case 'monthly':
+    default: {
+      const anchorDay = anchor ? anchor.day : 1;
+      let start = clampedDayNumber(today.year, today.month, anchorDay);
+      if (start > todayNum) start = clampedDayNumber(today.year, today.month - 1, anchorDay);
+      const { year, month } = fromDayNumber(start);
+      return { start, end: clampedDayNumber(year, month + 1, anchorDay) - 1 };
+    }
+  }
+}
+
+/**
+ * Get the current spending window for a budget
+ * @param {object} budget - Budget ({ period, anchor_date, period_days })
+ * @param {string} phone - User's phone number (determines timezone)
+ * @param {Date} referenceDate - Instant inside the window (defaults to now)
+ * @returns {{startDate: Date, endDate: Date, period: string}}
+ */
+export function getBudgetPeriodRange(budget, phone, referenceDate = new Date()) {
+  const timezone = getTimezoneFromPhone(phone);
+  const today = getDatePartsInTimezone(referenceDate, timezone);
+  const anchor = parseAnchor(budget.anchor_date ?? budget.anchorDate, timezone);
+  const { start, end } = getWindowDays(budget, today, anchor);
+
+  const first = fromDayNumber(start);
+  const afterLast = fromDayNumber(end + 1);
+
+  return {
+    startDate: zonedTimeToUtc(first.year, first.month, first.day, 0, 0, timezone),
+    endDate: new Date(zonedTimeToUtc(afterLast.year, afterLast.month, afterLast.day, 0, 0, timezone).getTime() - 1),
+    period: normalizeBudgetPeriod(budget.period) || DEFAULT_BUDGET_PERIOD,
+  };
+}
+
+/**
+ * Get the window right before the current one (e.g. last week for a weekly budget)
+ * @param {object} budget - Budget
+ * @param {string} phone - User's phone number
+ * @param {Date} referenceDate - Instant inside the current window (defaults to now)
+ * @returns {{startDate: Date, endDate: Date, period: string}}
+ */
+export function getPreviousBudgetPeriodRange(budget, phone, referenceDate = new Date()) {
+  const current = getBudgetPeriodRange(budget, phone, referenceDate);
+  return getBudgetPeriodRange(budget, phone, new Date(current.startDate.getTime() - 1));
+}
+
+/**
+ * Get a localized label for a budget's period ("mensual", "cada 14 días")
+ * @param {object} budget - Budget
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+export function getBudgetPeriodLabel(budget, lang = 'en') {
+  const period = normalizeBudgetPeriod(budget.period) || DEFAULT_BUDGET_PERIOD;
+  const labels = PERIOD_LABELS[lang] || PERIOD_LABELS.en;
+  const days = budget.period_days ?? budget.periodDays;
+  if (period === 'custom' && !days) return labels.monthly;
+  return labels[period].replace('{days}', days);
+}
+
+/**
+ * Format a single budget boundary date in the user's timezone ("15 oct")
+ * @param {Date} date
+ * @param {string} phone - User's phone number
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+export function formatBudgetPeriodDate(date, phone, lang = 'en') {
+  const localeMap = { en: 'en-US', es: 'es-CO', pt: 'pt-BR' };
+  return date.toLocaleDateString(localeMap[lang] || 'en-US', {
+    month: 'short',
+    day: 'numeric',
+    timeZone: getTimezoneFromPhone(phone),
+  });
+}
+
+/**
+ * Format a budget window for display in the user's timezone ("1 oct - 15 oct")
+ * @param {{startDate: Date, endDate: Date}} range - From getBudgetPeriodRange
+ * @param {string} phone - User's phone number
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+export function formatBudgetPeriodRange(range, phone, lang = 'en') {
+  const startStr = formatBudgetPeriodDate(range.startDate, phone, lang);
+  const endStr = formatBudgetPeriodDate(range.endDate, phone, lang);
+  return startStr === endStr ? startStr : `${startStr} - ${endStr}`;
+}
+
+export default {
+  BUDGET_PERIODS,
+  DEFAULT_BUDGET_PERIOD,
+  normalizeBudgetPeriod,
+  getBudgetPeriodRange,
+  getPreviousBudgetPeriodRange,
+  getBudgetPeriodLabel,
+  formatBudgetPeriodDate,
+  formatBudgetPeriodRange,
+};
@@ -0,0 +1,236 @@
+/**
+ * Categorization rule utilities
+ * Rules users write for their own expenses ("description contains EDS → transporte"):
+ * - conditions (all must match): description (contains), merchant, min_amount and
+ *   max_amount (inclusive), source and account_id
+ * - actions: category, tags, skip (don't import it) or transfer (money moved between the
+ *   user's own accounts: neither an expense nor income)
+ */
+
+import { normalizeMerchantName, matchMerchant, formatMerchantName } from "./merchantUtils.js";
+import { normalizeTags, formatTags } from "./tagUtils.js";
+import { formatAmount } from "./currencyUtils.js";
+import { formatAccountName } from "./accountUtils.js";
+
+// Where an expense comes from (expenses.source)
+export const RULE_SOURCES = ['manual', 'bank_import', 'excel_import'];
+
+const LABELS = {
+  en: {
+    if: 'If', and: ' and ',
+    description: 'description contains "{value}"',
+    merchant: 'merchant is {value}',
+    min_amount: 'amount is at least {value}',
+    max_amount: 'amount is at most {value}',
+    source: 'it comes from {value}',
+    account: 'paid with {value}',
+    missing_account: 'a deleted account',
+    sources: { manual: 'the chat', bank_import: 'the bank', excel_import: 'a spreadsheet' },
+    skip: "don't import",
+    transfer: 'transfer between my accounts',
+  },
+  es: {
+    if: 'Si', and: ' y ',
+    description: 'la descripción contiene "{value}"',
+    merchant: 'el comercio es {value}',
+    min_amount: 'el monto es de al menos {value}',
+    max_amount: 'el monto es de máximo {value}',
+    source: 'viene de {value}',
+    account: 'se pagó con {value}',
+    missing_account: 'una cuenta eliminada',
+    sources: { manual: 'el chat', bank_import: 'el banco', excel_import: 'una hoja de cálculo' },
+    skip: 'no importar',
+    transfer: 'transferencia entre mis cuentas',
+  },
+  pt: {
+    if: 'Se', and: ' e ',
+    description: 'a descrição contém "{value}"',
+    merchant: 'o estabelecimento é {value}',
+    min_amount: 'o valor é de pelo menos {value}',
+    max_amount: 'o valor é de no máximo {value}',
+    source: 'vem de {value}',
+    account: 'foi pago com {value}',
+    missing_account: 'uma conta excluída',
+    sources: { manual: 'o chat', bank_import: 'o banco', excel_import: 'uma planilha' },
+    skip: 'não importar',
+    transfer: 'transferência entre minhas contas',
+  },
+};
+
+/**
+ * Lowercase and strip accents for matching
+ */
+function simplify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .trim();
+}
+
+function isBlank(value) {
+  return value === undefined || value === null || value === '';
+}
+
+/**
+ * Validate and normalize a rule from the tool or the setup API.
+ * The category is kept as given: checking it against the user's categories needs the DB
+ * @param {object} input - { conditions, actions }
+ * @returns {{rule: {conditions: object, actions: object}}|{error: string}}
+ *   error: no_conditions | no_actions | invalid_merchant | invalid_amount | invalid_source | invalid_account | conflicting_actions
+ */
+export function normalizeRule({ conditions = {}, actions = {} } = {}) {
+  const ruleConditions = {};
+
+  const description = String(conditions.description || '').trim();
+  if (description) ruleConditions.description = description;
+
+  if (!isBlank(conditions.merchant)) {
+    const merchant = normalizeMerchantName(conditions.merchant);
+    if (!merchant) return { error: 'invalid_merchant' };
+    ruleConditions.merchant = merchant;
+  }
+
+  for (const key of ['min_amount', 'max_amount']) {
+    if (isBlank(conditions[key])) continue;
+    const amount = Number(conditions[key]);
+    if (!Number.isFinite(amount) || amount < 0) return { error: 'invalid_amount' };
+    ruleConditions[key] = amount;
+  }
+  if (ruleConditions.min_amount > ruleConditions.max_amount) {
+    return { error: 'invalid_amount' };
+  }
+
+  if (!isBlank(conditions.source)) {
+    if (!RULE_SOURCES.includes(conditions.source)) return { error: 'invalid_source' };
+    ruleConditions.source = conditions.source;
+  }
+
+  if (!isBlank(conditions.account_id)) {
+    const accountId = Number(conditions.account_id);
+    if (!Number.isInteger(accountId) || accountId <= 0) return { error: 'invalid_account' };
+    ruleConditions.account_id = accountId;
+  }
+
+  if (Object.keys(ruleConditions).length === 0) return { error: 'no_conditions' };
+
+  const ruleActions = {};
+  const category = String(actions.category || '').trim().toLowerCase();
+  if (category) ruleActions.category = category;
+  const tags = normalizeTags(actions.tags);
+  if (tags.length > 0) ruleActions.tags = tags;
+  if (actions.skip) ruleActions.skip = true;
+  if (actions.transfer) ruleActions.transfer = true;
+
+  if (Object.keys(ruleActions).length === 0) return { error: 'no_actions' };
+
+  // A skipped or transfer transaction isn't saved, so it can't also get a category or tags
+  const leavesOut = ruleActions.skip || ruleActions.transfer;
+  if ((ruleActions.skip && ruleActions.transfer) || (leavesOut && (ruleActions.category || ruleActions.tags))) {
+    return { error: 'conflicting_actions' };
+  }
+
+  return { rule: { conditions: ruleConditions, actions: ruleActions } };
+}
+
+/**
+ * Whether an expense or transaction meets every condition of a rule
+ * @param {object} rule
+ * @param {object} subject - { description, merchantName, amount, source, accountId }
+ * @returns {boolean}
+ */
+export function matchesRule(rule, subject) {
+  const conditions = rule.conditions || {};
+
+  if (conditions.description) {
+    const text = simplify(`${subject.description || ''} ${subject.merchantName || ''}`);
+    if (!text.includes(simplify(conditions.description))) return false;
+  }
+
+  if (conditions.merchant) {
+    const merchant = [{ normalized_name: conditions.merchant }];
+    const texts = [subject.merchantName, subject.description].filter(Boolean);
+    if (!texts.some(text => matchMerchant(text, merchant))) return false;
+  }
+
+  // Bank debits come in negative
+  const amount = Math.abs(Number(subject.amount) || 0);
+  if (!isBlank(conditions.min_amount) && amount < conditions.min_amount) return false;
+  if (!isBlank(conditions.max_amount) && amount > conditions.max_amount) return false;
+
+  if (conditions.source && subject.source !== conditions.source) return false;
+  if (conditions.account_id && subject.accountId !== conditions.account_id) return false;
+
+  return true;
+}
+
+/**
+ * Apply a user's rules, in order: the first matching rule with a category sets it,
+ * tags from every matching rule add up, and any matching skip or transfer rule wins
+ * @param {Array} rules - User's rules (oldest first)
+ * @param {object} subject - { description, merchantName, amount, source, accountId }
+ * @param {object} options
+ * @param {Array<{id: string}>} options.categories - User's categories: a rule's category that no longer exists is ignored
+ * @returns {{category: string|null, tags: string[], skip: boolean, transfer: boolean, ruleIds: number[]}}
+ */
+export function applyRules(rules, subject, { categories = null } = {}) {
+  const result = { category: null, tags: [], skip: false, transfer: false, ruleIds: [] };
+
+  for (const rule of rules || []) {
+    if (!matchesRule(rule, subject)) continue;
+    const { category, tags, skip, transfer } = rule.actions || {};
+
+    result.ruleIds.push(rule.id);
+    if (category && !result.category && (!categories || categories.some(c => c.id === category))) {
+      result.category = category;
+    }
+    result.tags = normalizeTags([...result.tags, ...(tags || [])]);
+    result.skip = result.skip || Boolean(skip);
+    result.transfer = result.transfer || Boolean(transfer);
+  }
+
+  return result;
+}
+
+/**
+ * Describe a rule for the user ('#3 Si la descripción contiene "EDS" → transporte')
+ * @param {object} rule
+ * @param {string} lang - Language code
+ * @param {object} options
+ * @param {string} options.currency - User's currency, for amounts
+ * @param {Map<number, object>} options.accounts - Account ID → payment account
+ * @returns {string}
+ */
+export function describeRule(rule, lang = 'en', { currency = null, accounts = new Map() } = {}) {
+  const labels = LABELS[lang] || LABELS.en;
+  const conditions = rule.conditions || {};
+  const actions = rule.actions || {};
+  const fill = (key, value) => labels[key].replace('{value}', value);
+
+  const parts = [];
+  if (conditions.description) parts.push(fill('description', conditions.description));
+  if (conditions.merchant) parts.push(fill('merchant', formatMerchantName(conditions.merchant)));
+  if (!isBlank(conditions.min_amount)) parts.push(fill('min_amount', formatAmount(conditions.min_amount, currency)));
+  if (!isBlank(conditions.max_amount)) parts.push(fill('max_amount', formatAmount(conditions.max_amount, currency)));
+  if (conditions.source) parts.push(fill('source', labels.sources[conditions.source] || conditions.source));
+  if (conditions.account_id) {
+    const account = accounts.get(conditions.account_id);
+    parts.push(fill('account', account ? formatAccountName(account, { emoji: false }) : labels.missing_account));
+  }
+
+  const outcomes = [];
+  if (actions.category) outcomes.push(actions.category);
+  if (actions.tags?.length) outcomes.push(formatTags(actions.tags));
+  if (actions.skip) outcomes.push(labels.skip);
+  if (actions.transfer) outcomes.push(labels.transfer);
+
+  return `#${rule.id} ${labels.if} ${parts.join(labels.and)} → ${outcomes.join(', ')}`;
+}
+
+export default {
+  RULE_SOURCES,
+  normalizeRule,
+  matchesRule,
+  applyRules,
+  describeRule,
+};
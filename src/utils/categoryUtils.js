@@ -41,6 +41,61 @@ export const DEFAULT_CATEGORIES = {
   ],
 };
 
+/**
+ * Income categories per language
+ * Fixed list (users don't manage these). IDs are shared across languages
+ * so bank imports can categorize without knowing the user's language
+ */
+export const INCOME_CATEGORIES = {
+  en: [
+    { id: 'salary', name: 'Salary', emoji: '💼' },
+    { id: 'freelance', name: 'Freelance', emoji: '💻' },
+    { id: 'business', name: 'Business/Sales', emoji: '🏪' },
+    { id: 'investments', name: 'Investments', emoji: '📈' },
+    { id: 'gifts', name: 'Gifts', emoji: '🎁' },
+    { id: 'refunds', name: 'Refunds', emoji: '↩️' },
+    { id: 'other_income', name: 'Other income', emoji: '💵' },
+  ],
+  es: [
+    { id: 'salary', name: 'Salario', emoji: '💼' },
+    { id: 'freelance', name: 'Freelance', emoji: '💻' },
+    { id: 'business', name: 'Negocio/Ventas', emoji: '🏪' },
+    { id: 'investments', name: 'Inversiones', emoji: '📈' },
+    { id: 'gifts', name: 'Regalos', emoji: '🎁' },
+    { id: 'refunds', name: 'Reembolsos', emoji: '↩️' },
+    { id: 'other_income', name: 'Otros ingresos', emoji: '💵' },
+  ],
+  pt: [
+    { id: 'salary', name: 'Salário', emoji: '💼' },
+    { id: 'freelance', name: 'Freelance', emoji: '💻' },
+    { id: 'business', name: 'Negócio/Vendas', emoji: '🏪' },
+    { id: 'investments', name: 'Investimentos', emoji: '📈' },
+    { id: 'gifts', name: 'Presentes', emoji: '🎁' },
+    { id: 'refunds', name: 'Reembolsos', emoji: '↩️' },
+    { id: 'other_income', name: 'Outras receitas', emoji: '💵' },
+  ],
+};
+
+/**
+ * Get income categories for a language
+ * @param {string} language - Language code (en, es, pt)
+ * @returns {Array<{id: string, name: string, emoji: string}>}
+ */
+export function getIncomeCategories(language) {
+  return INCOME_CATEGORIES[language] || INCOME_CATEGORIES.en;
+}
+
+/**
+ * Get display label for an income category ID (falls back to the raw ID)
+ * @param {string} categoryId - Income category ID
+ * @param {string} language - Language code
+ * @returns {string} e.g. "💼 Salario"
+ */
+export function getIncomeCategoryLabel(categoryId, language) {
+  const category = getIncomeCategories(language).find(c => c.id === categoryId);
+  return category ? `${category.emoji} ${category.name}` : categoryId;
+}
+
 /**
  * Get default categories for a language
  * @param {string} language - Language code (en, es, pt)
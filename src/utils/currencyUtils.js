@@ -187,6 +187,43 @@ export function getCurrencyName(currencyCode) {
   return rules ? rules.name : currencyCode;
 }
 
+// Common ways users name foreign currencies (en/es/pt) → ISO code
+const CURRENCY_ALIASES = {
+  dollar: 'USD', dollars: 'USD', dolar: 'USD', 'dólar': 'USD', dolares: 'USD', 'dólares': 'USD', 'dólares americanos': 'USD', usd: 'USD', 'us$': 'USD',
+  euro: 'EUR', euros: 'EUR', '€': 'EUR',
+  pound: 'GBP', pounds: 'GBP', libra: 'GBP', libras: 'GBP', '£': 'GBP',
+  real: 'BRL', reais: 'BRL', reales: 'BRL', 'r$': 'BRL',
+  yen: 'JPY', yenes: 'JPY', ienes: 'JPY',
+  sol: 'PEN', soles: 'PEN',
+};
+
+/**
+ * Normalize a currency name or code to an ISO code
+ * @param {string} value - "USD", "dólares", "euros"...
+ * @returns {string|null} Supported ISO code or null if unknown
+ */
+export function normalizeCurrencyCode(value) {
+  if (!value) return null;
+  const key = String(value).toLowerCase().trim();
+  const code = CURRENCY_ALIASES[key] || key.toUpperCase();
+  return CURRENCY_RULES[code] ? code : null;
+}
+
+/**
+ * Format the original amount of a foreign-currency expense (" (20.00 USD)")
+ * @param {object} expense - Expense with original_amount/original_currency
+ * @returns {string} Suffix, or "" for base-currency expenses
+ */
+export function formatOriginalAmount(expense) {
+  if (!expense?.original_currency || expense.original_amount == null) return '';
+  const rules = CURRENCY_RULES[expense.original_currency];
+  const amount = parseFloat(expense.original_amount);
+  const formatted = rules && rules.decimalPlaces === 0
+    ? Math.round(amount).toLocaleString()
+    : amount.toFixed(rules ? rules.decimalPlaces : 2);
+  return ` (${formatted} ${expense.original_currency})`;
+}
+
 /**
  * Parse an amount from a text string
  * Supports formats like: "200k", "200000", "200.000", "200,000", "200 mil"
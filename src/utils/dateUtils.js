@@ -186,7 +186,10 @@ const PERIOD_RESOLVERS = {
       startDate: startOfDay(start),
       endDate: endOfDay(now)
     };
-  }
+  },
+
+  // No date bounds (e.g. "borra todos mis gastos", picked from the period picker)
+  all_time: () => ({ startDate: null, endDate: null })
 };
 
 /**
@@ -273,7 +276,8 @@ export function getPeriodLabel(period, lang = 'en') {
       this_month: 'This month',
       last_month: 'Last month',
       last_7_days: 'Last 7 days',
-      last_30_days: 'Last 30 days'
+      last_30_days: 'Last 30 days',
+      all_time: 'All time'
     },
     es: {
       today: 'Hoy',
@@ -283,7 +287,8 @@ export function getPeriodLabel(period, lang = 'en') {
       this_month: 'Este mes',
       last_month: 'Mes pasado',
       last_7_days: 'Últimos 7 días',
-      last_30_days: 'Últimos 30 días'
+      last_30_days: 'Últimos 30 días',
+      all_time: 'Todo el historial'
     },
     pt: {
       today: 'Hoje',
@@ -293,7 +298,8 @@ export function getPeriodLabel(period, lang = 'en') {
       this_month: 'Este mês',
       last_month: 'Mês passado',
       last_7_days: 'Últimos 7 dias',
-      last_30_days: 'Últimos 30 dias'
+      last_30_days: 'Últimos 30 dias',
+      all_time: 'Todo o histórico'
     }
   };
 
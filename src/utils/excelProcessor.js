@@ -4,6 +4,7 @@
  */
 
 import * as XLSX from 'xlsx';
+import { normalizeTags, normalizeNotes, formatTags } from './tagUtils.js';
 
 // Common column name mappings (case-insensitive)
 const COLUMN_MAPPINGS = {
@@ -11,6 +12,8 @@ const COLUMN_MAPPINGS = {
   date: ['date', 'fecha', 'data', 'when', 'dia', 'day'],
   description: ['description', 'descripcion', 'descrição', 'desc', 'concepto', 'detalle', 'detail', 'nota', 'note', 'item'],
   category: ['category', 'categoria', 'type', 'tipo', 'rubro', 'clasificacion'],
+  tags: ['tags', 'tag', 'etiquetas', 'etiqueta', 'labels'],
+  notes: ['notes', 'notas', 'observaciones', 'comentarios', 'comments'],
 };
 
 // Maximum rows to process
@@ -130,11 +133,18 @@ export function parseExcelFile(buffer, mimeType, userCurrency = 'COP') {
         continue;
       }
 
+      // Extract tags and notes (optional). Tags can be "#viaje, #trabajo" or "viaje trabajo"
+      const rawTags = columnMap.tags !== null ? String(row[columnMap.tags] || '') : '';
+      const tags = normalizeTags(rawTags.includes('#') || rawTags.includes(',') ? rawTags : rawTags.split(/\s+/));
+      const notes = columnMap.notes !== null ? normalizeNotes(row[columnMap.notes]) : null;
+
       expenses.push({
         amount,
         date,
         description,
         category,
+        tags,
+        notes,
         rowNum,
       });
     }
@@ -176,6 +186,8 @@ function detectColumns(headers) {
     date: null,
     description: null,
     category: null,
+    tags: null,
+    notes: null,
   };
 
   for (const [field, aliases] of Object.entries(COLUMN_MAPPINGS)) {
@@ -188,6 +200,11 @@ function detectColumns(headers) {
     }
   }
 
+  // A lone "notas" column is already used as the description
+  if (result.notes === result.description) {
+    result.notes = null;
+  }
+
   return result;
 }
 
@@ -281,7 +298,8 @@ function generatePreview(expenses, currency) {
     const amountStr = e.amount.toLocaleString('es-CO');
     const desc = e.description ? ` - ${e.description.substring(0, 30)}` : '';
     const cat = e.category ? ` [${e.category}]` : '';
-    return `${i + 1}. ${dateStr}: $${amountStr}${desc}${cat}`;
+    const tags = e.tags?.length > 0 ? ` ${formatTags(e.tags)}` : '';
+    return `${i + 1}. ${dateStr}: $${amountStr}${desc}${cat}${tags}`;
   });
 
   if (expenses.length > 5) {
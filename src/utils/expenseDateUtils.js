@@ -0,0 +1,256 @@
+/**
+ * Expense date utilities
+ * Resolves absolute/relative expense dates ("ayer", "el viernes", "el 15", "2024-03-15")
+ * in the user's timezone and validates them against the plan's history window
+ */
+
+import { UserSubscriptionDB } from "../database/index.js";
+import { getTimezoneFromPhone, getDatePartsInTimezone, zonedTimeToUtc } from "./timezoneUtils.js";
+import { getMessage } from "./languageUtils.js";
+
+// How far ahead an expense can be dated (e.g. rent logged before it's due)
+export const MAX_FUTURE_DAYS = 31;
+
+// Default history window if the plan can't be loaded (free plan)
+const DEFAULT_HISTORY_DAYS = 30;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Relative day offsets (en/es/pt)
+const RELATIVE_DAYS = {
+  'today': 0, 'hoy': 0, 'hoje': 0,
+  'yesterday': -1, 'ayer': -1, 'ontem': -1,
+  'day before yesterday': -2, 'anteayer': -2, 'antier': -2, 'antes de ayer': -2, 'anteontem': -2,
+  'tomorrow': 1, 'mañana': 1, 'manana': 1, 'amanhã': 1, 'amanha': 1,
+};
+
+// Weekday names (en/es/pt) → day of week (0 = Sunday)
+const WEEKDAYS = {
+  'sunday': 0, 'domingo': 0,
+  'monday': 1, 'lunes': 1, 'segunda': 1, 'segunda-feira': 1,
+  'tuesday': 2, 'martes': 2, 'terça': 2, 'terca': 2, 'terça-feira': 2, 'terca-feira': 2,
+  'wednesday': 3, 'miércoles': 3, 'miercoles': 3, 'quarta': 3, 'quarta-feira': 3,
+  'thursday': 4, 'jueves': 4, 'quinta': 4, 'quinta-feira': 4,
+  'friday': 5, 'viernes': 5, 'sexta': 5, 'sexta-feira': 5,
+  'saturday': 6, 'sábado': 6, 'sabado': 6,
+};
+
+const NEXT_WEEKDAY_WORDS = ['next', 'próximo', 'proximo', 'próxima', 'proxima', 'este', 'this'];
+
+/**
+ * Parse a date string into calendar day parts relative to "today"
+ * @param {string} value - Date string (ISO, DD/MM[/YYYY], or relative)
+ * @param {{year: number, month: number, day: number}} today - Today's date in user's timezone
+ * @returns {{year: number, month: number, day: number} | null}
+ */
+function parseDateParts(value, today) {
+  const text = value.toLowerCase().trim().replace(/\s+/g, ' ');
+  const todayUtc = Date.UTC(today.year, today.month - 1, today.day);
+  const fromOffset = (days) => {
+    const d = new Date(todayUtc + days * DAY_MS);
+    return { year: d.getUTCFullYear(), month: d.getUTCMonth() + 1, day: d.getUTCDate() };
+  };
+
+  // ISO: 2024-03-15 (time part ignored)
+  let match = text.match(/^(\d{4})-(\d{1,2})-(\d{1,2})/);
+  if (match) {
+    return { year: +match[1], month: +match[2], day: +match[3] };
+  }
+
+  // Day first: 15/03/2024, 15-03-24, 15/03
+  match = text.match(/^(\d{1,2})[/.-](\d{1,2})(?:[/.-](\d{2,4}))?$/);
+  if (match) {
+    const day = +match[1];
+    const month = +match[2];
+    if (match[3]) {
+      const year = match[3].length === 2 ? 2000 + +match[3] : +match[3];
+      return { year, month, day };
+    }
+    // No year: assume the most recent occurrence (receipts are from the past)
+    const thisYear = Date.UTC(today.year, month - 1, day);
+    return { year: thisYear > todayUtc ? today.year - 1 : today.year, month, day };
+  }
+
+  // Bare day of the month: "15", "el 15", "el día 15", "the 15th" → most recent one (today included)
+  match = text.match(/^(?:(?:el|o|the|on the) )?(?:(?:día|dia) )?(\d{1,2})(?:st|nd|rd|th)?$/);
+  if (match) {
+    const day = +match[1];
+    if (day < 1 || day > 31) return null;
+    let { year, month } = today;
+    if (day > today.day) month -= 1;
+    // Skip months that don't have that day (the 31st in April)
+    for (let i = 0; i < 12; i++) {
+      if (month < 1) { month += 12; year -= 1; }
+      if (isValidDateParts({ year, month, day })) return { year, month, day };
+      month -= 1;
+    }
+    return null;
+  }
+
+  if (Object.hasOwn(RELATIVE_DAYS, text)) {
+    return fromOffset(RELATIVE_DAYS[text]);
+  }
+
+  // "3 days ago", "hace 3 días", "há 3 dias"
+  match = text.match(/^(?:hace|há|ha) (\d{1,3}) (?:días?|dias?)$/) ||
+    text.match(/^(\d{1,3}) (?:days?|días?|dias?) (?:ago|atrás|atras)$/);
+  if (match) {
+    return fromOffset(-parseInt(match[1], 10));
+  }
+
+  // Weekday: "viernes", "el viernes", "last friday" → most recent past one (before today)
+  // "next friday", "el próximo viernes" → upcoming one (after today)
+  const words = text.split(' ').filter(w => !['el', 'la', 'o', 'a', 'on', 'last', 'pasado', 'passado', 'passada'].includes(w));
+  const isNext = words.some(w => NEXT_WEEKDAY_WORDS.includes(w));
+  const weekdayWord = words.find(w => Object.hasOwn(WEEKDAYS, w));
+  if (weekdayWord) {
+    const target = WEEKDAYS[weekdayWord];
+    const todayDow = new Date(todayUtc).getUTCDay();
+    if (isNext) {
+      const ahead = (target - todayDow + 7) % 7 || 7;
+      return fromOffset(ahead);
+    }
+    const back = (todayDow - target + 7) % 7 || 7;
+    return fromOffset(-back);
+  }
+
+  return null;
+}
+
+/**
+ * Check that day parts form a real calendar date (rejects 31/02)
+ */
+function isValidDateParts({ year, month, day }) {
+  if (!year || month < 1 || month > 12 || day < 1 || day > 31) return false;
+  const d = new Date(Date.UTC(year, month - 1, day));
+  return d.getUTCFullYear() === year && d.getUTCMonth() === month - 1 && d.getUTCDate() === day;
+}
+
+/**
+ * Check whether a word or phrase reads as a date ("ayer", "viernes", "el 15")
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isDateExpression(value) {
+  const now = new Date();
+  const today = { year: now.getUTCFullYear(), month: now.getUTCMonth() + 1, day: now.getUTCDate() };
+  return parseDateParts(String(value || ''), today) !== null;
+}
+
+/**
+ * Parse an expense date in the user's timezone (no plan checks)
+ * Past/future days are stored at local noon so they never shift across midnight;
+ * today keeps the current time
+ * @param {string} value - Date string (ISO, DD/MM[/YYYY], "ayer", "el viernes", "el 15", "hace 3 días"...)
+ * @param {string} phone - User's phone number (determines timezone)
+ * @param {Date} now - Reference instant (defaults to now)
+ * @returns {{valid: boolean, date?: Date, daysFromToday?: number, error?: string}}
+ */
+export function parseExpenseDate(value, phone, now = new Date()) {
+  if (value === undefined || value === null || String(value).trim() === '') {
+    return { valid: true, date: now, daysFromToday: 0 };
+  }
+
+  const timezone = getTimezoneFromPhone(phone);
+  const today = getDatePartsInTimezone(now, timezone);
+  const parts = parseDateParts(String(value), today);
+
+  if (!parts || !isValidDateParts(parts)) {
+    return { valid: false, error: 'invalid_date' };
+  }
+
+  const daysFromToday = Math.round(
+    (Date.UTC(parts.year, parts.month - 1, parts.day) - Date.UTC(today.year, today.month - 1, today.day)) / DAY_MS
+  );
+
+  if (daysFromToday === 0) {
+    return { valid: true, date: now, daysFromToday };
+  }
+
+  return {
+    valid: true,
+    date: zonedTimeToUtc(parts.year, parts.month, parts.day, 12, 0, timezone),
+    daysFromToday,
+  };
+}
+
+/**
+ * Resolve an expense date and validate it against the user's plan history window
+ * @param {string} phone - User's phone number
+ * @param {string} value - Date string (optional, defaults to now)
+ * @returns {Promise<{valid: boolean, date?: Date, daysFromToday?: number, error?: string, historyDays?: number}>}
+ */
+export async function resolveExpenseDate(phone, value) {
+  const parsed = parseExpenseDate(value, phone);
+  if (!parsed.valid || parsed.daysFromToday === 0) {
+    return parsed;
+  }
+
+  if (parsed.daysFromToday > MAX_FUTURE_DAYS) {
+    return { valid: false, error: 'date_too_far_future', maxFutureDays: MAX_FUTURE_DAYS };
+  }
+
+  let historyDays = DEFAULT_HISTORY_DAYS;
+  try {
+    const plan = await UserSubscriptionDB.getPlan(phone);
+    historyDays = plan?.historyDays || DEFAULT_HISTORY_DAYS;
+  } catch (error) {
+    console.error('[expenseDateUtils] Error getting plan:', error.message);
+  }
+
+  if (-parsed.daysFromToday > historyDays) {
+    return { valid: false, error: 'date_too_old', historyDays };
+  }
+
+  return parsed;
+}
+
+/**
+ * Get localized error message for an invalid expense date
+ * @param {{error: string, historyDays?: number}} result - Result from resolveExpenseDate
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+export function getExpenseDateErrorMessage(result, lang) {
+  if (result.error === 'date_too_old') {
+    return getMessage('expense_date_too_old', lang, { days: result.historyDays });
+  }
+  if (result.error === 'date_too_far_future') {
+    return getMessage('expense_date_too_far_future', lang, { days: MAX_FUTURE_DAYS });
+  }
+  return getMessage('expense_date_invalid', lang);
+}
+
+/**
+ * Format an expense date label for confirmations ("ayer", "15/03")
+ * Returns empty string for today so regular confirmations stay unchanged
+ * @param {Date|string} date - Expense date
+ * @param {string} phone - User's phone number
+ * @param {string} lang - Language code
+ * @returns {string}
+ */
+export function formatExpenseDateLabel(date, phone, lang) {
+  const timezone = getTimezoneFromPhone(phone);
+  const today = getDatePartsInTimezone(new Date(), timezone);
+  const parts = getDatePartsInTimezone(new Date(date), timezone);
+  const diff = Math.round(
+    (Date.UTC(parts.year, parts.month - 1, parts.day) - Date.UTC(today.year, today.month - 1, today.day)) / DAY_MS
+  );
+
+  if (diff === 0) return '';
+  if (diff === -1) return getMessage('date_yesterday', lang);
+  if (diff === 1) return getMessage('date_tomorrow', lang);
+
+  const dd = String(parts.day).padStart(2, '0');
+  const mm = String(parts.month).padStart(2, '0');
+  return parts.year === today.year ? `${dd}/${mm}` : `${dd}/${mm}/${parts.year}`;
+}
+
+export default {
+  MAX_FUTURE_DAYS,
+  isDateExpression,
+  parseExpenseDate,
+  resolveExpenseDate,
+  getExpenseDateErrorMessage,
+  formatExpenseDateLabel,
+};
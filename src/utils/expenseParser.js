@@ -0,0 +1,289 @@
+/**
+ * Expense Parser
+ * Deterministic parsing of trivially structured expense messages ("uber 12k",
+ * "almuerzo 25mil", "café 5.000", "gasté 20 lucas en taxi") so they can be logged
+ * without an LLM call. Anything that isn't clearly a plain expense (dates, foreign
+ * currency, accounts, budgets, questions, ambiguous categories) is left to the agent.
+ */
+
+import { parseAmount, validateAmount, CURRENCY_RULES } from "./currencyUtils.js";
+import { findCategory } from "./categoryUtils.js";
+import { isDateExpression } from "./expenseDateUtils.js";
+
+// Amount suffixes: "12k", "25 mil", "20 lucas", "1.5 millones"
+const THOUSAND_SUFFIXES = ['k', 'mil', 'luca', 'lucas'];
+const MILLION_SUFFIXES = ['m', 'millon', 'millones', 'millão', 'milhão', 'million', 'millions'];
+
+// Optional currency symbol ("$", "€", "R$"), number, optional suffix
+const AMOUNT_TOKEN = /^(\p{Sc}|[a-z]{1,2}\$)?(\d[\d.,]*)(k|mil|lucas?|m)?$/iu;
+
+// Several expenses in one message: "almuerzo 15k y café 5k", "uber 12k, taxi 8k"
+const SEGMENT_SEPARATORS = /\n|;|,\s+|\s+y\s+|\s+and\s+|\s+e\s+/i;
+
+// Verbs that just mean "I spent" (dropped from the description)
+const SPENDING_VERBS = ['gaste', 'pague', 'compre', 'gastei', 'paguei', 'comprei', 'spent', 'paid', 'bought'];
+
+const STOPWORDS = {
+  es: ['en', 'de', 'del', 'el', 'la', 'los', 'las', 'un', 'una', 'unos', 'unas', 'al', 'por', 'para'],
+  en: ['on', 'for', 'in', 'at', 'a', 'an', 'the', 'of', 'to'],
+  pt: ['em', 'de', 'do', 'da', 'dos', 'das', 'no', 'na', 'nos', 'nas', 'um', 'uma', 'o', 'a', 'por', 'para'],
+};
+
+// Words that change what the message means: leave those messages to the agent
+const BLOCKED_WORDS = [
+  // Negation
+  'no', 'not', 'nao',
+  // Budgets, income, debts, recurring
+  'presupuesto', 'budget', 'orcamento', 'ingreso', 'ingresos', 'income', 'salario', 'salary', 'sueldo',
+  'recibi', 'received', 'recebi', 'pagaron', 'debo', 'deuda', 'owe', 'debt', 'devo', 'divida',
+  'dividir', 'split', 'cada', 'every', 'mensual', 'monthly', 'mensal', 'todos',
+  // Dates (plus any word isDateExpression reads as one)
+  'ayer', 'anteayer', 'antier', 'anoche', 'yesterday', 'ontem', 'anteontem', 'pasado', 'pasada', 'last',
+  'passado', 'passada', 'hace', 'ago', 'atras', 'semana', 'week', 'mes', 'month', 'quincena',
+  'lunes', 'martes', 'miercoles', 'jueves', 'viernes', 'sabado', 'domingo',
+  'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday', 'sunday',
+  'segunda', 'terca', 'quarta', 'quinta', 'sexta',
+  // Foreign currencies
+  'usd', 'dolar', 'dolares', 'dollar', 'dollars', 'euro', 'euros', 'eur', 'reais', 'pesos',
+  // Payment accounts
+  'tarjeta', 'card', 'cartao', 'credito', 'credit', 'debito', 'debit', 'efectivo', 'cash', 'dinheiro',
+  'nequi', 'daviplata', 'pix',
+  // Corrections and deletions
+  'borra', 'borrar', 'elimina', 'eliminar', 'delete', 'apaga', 'apagar', 'cambia', 'cambiar', 'change',
+  'corrige', 'fix', 'deshaz', 'undo', 'mejor', 'era',
+];
+
+const MAX_DESCRIPTION_WORDS = 4;
+
+// Default category IDs (all languages) for each kind of expense
+const CONCEPT_CATEGORY_IDS = {
+  food: ['food', 'comida'],
+  transport: ['transport', 'transporte'],
+  shopping: ['shopping', 'compras'],
+  entertainment: ['entertainment', 'entretenimiento', 'entretenimento'],
+  bills: ['bills', 'servicios', 'contas'],
+  health: ['health', 'salud', 'saude'],
+};
+
+// Unambiguous keywords (accents stripped) for each kind of expense
+const CONCEPT_KEYWORDS = {
+  food: [
+    'almuerzo', 'desayuno', 'cena', 'comida', 'cafe', 'tinto', 'empanada', 'empanadas', 'arepa', 'arepas',
+    'pizza', 'hamburguesa', 'perro', 'helado', 'pan', 'panaderia', 'restaurante', 'corrientazo', 'onces',
+    'lunch', 'breakfast', 'dinner', 'coffee', 'snack', 'burger', 'restaurant', 'bakery',
+    'almoco', 'jantar', 'lanche', 'padaria', 'sorvete',
+  ],
+  transport: [
+    'uber', 'taxi', 'didi', 'cabify', 'indriver', 'bus', 'buseta', 'metro', 'transmilenio', 'sitp',
+    'gasolina', 'peaje', 'parqueadero', 'pasaje', 'colectivo', 'parking', 'gasoline', 'fuel', 'toll',
+    'onibus', 'combustivel', 'pedagio', 'estacionamento',
+  ],
+  shopping: ['ropa', 'zapatos', 'tenis', 'clothes', 'shoes', 'roupa', 'sapatos'],
+  entertainment: [
+    'cine', 'netflix', 'spotify', 'disney', 'hbo', 'concierto', 'teatro', 'videojuego',
+    'movie', 'movies', 'cinema', 'concert', 'theater', 'show',
+  ],
+  bills: [
+    'luz', 'agua', 'internet', 'arriendo', 'celular', 'telefono', 'administracion',
+    'electricity', 'water', 'rent', 'phone', 'aluguel', 'energia', 'condominio',
+  ],
+  health: [
+    'farmacia', 'drogueria', 'medicina', 'medicinas', 'medicamento', 'medicamentos', 'medico', 'doctor',
+    'dentista', 'odontologo', 'pharmacy', 'medicine', 'dentist', 'remedio', 'remedios',
+  ],
+};
+
+/**
+ * Lowercase and strip accents for matching
+ */
+function simplify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[̀-ͯ]/g, '')
+    .trim();
+}
+
+/**
+ * Parse an amount token plus an optional separate suffix ("25" + "mil")
+ * @returns {number|null}
+ */
+function parseAmountToken(token, suffix) {
+  const match = token.match(AMOUNT_TOKEN);
+  if (!match) return null;
+
+  const unit = simplify(match[3] || suffix || '');
+  const multiplier = THOUSAND_SUFFIXES.includes(unit) ? 1000
+    : MILLION_SUFFIXES.includes(unit) ? 1000000
+      : 1;
+
+  // "1.5k" is one and a half thousand; a bare "5.000" is five thousand (parseAmount decides)
+  const number = multiplier > 1 && /^\d+[.,]\d{1,2}$/.test(match[2])
+    ? parseFloat(match[2].replace(',', '.'))
+    : parseAmount(match[2]);
+
+  if (number === null || isNaN(number)) return null;
+  return Number((number * multiplier).toFixed(2));
+}
+
+/**
+ * Split a message into expense candidates: one amount and a short description each
+ * @param {string} text - User message
+ * @param {object} options
+ * @param {string} options.lang - Language code (es, en, pt)
+ * @param {string} options.currency - User's currency (amounts must be valid for it)
+ * @returns {{candidates: Array<{amount: number, description: string, words: Array<string>}>}|{reason: string}}
+ *   reason: 'empty' | 'question' | 'blocked_word' | 'date' | 'foreign_currency' | 'no_amount' | 'multiple_amounts' | 'unclear_amount' | 'invalid_amount' | 'too_long' | 'no_description'
+ */
+export function extractExpenseCandidates(text, { lang = 'es', currency = null } = {}) {
+  const message = String(text || '').trim();
+  if (!message) return { reason: 'empty' };
+  if (/[?¿#@]/.test(message)) return { reason: 'question' };
+
+  const stopwords = STOPWORDS[lang] || STOPWORDS.es;
+  const ownSymbol = CURRENCY_RULES[currency]?.symbol?.toLowerCase();
+  const candidates = [];
+
+  for (const segment of message.split(SEGMENT_SEPARATORS)) {
+    const tokens = segment.split(/\s+/)
+      .map(token => token.replace(/[!.,:]+$/, ''))
+      .filter(Boolean);
+    if (tokens.length === 0) continue;
+
+    const amounts = [];
+    const descriptionTokens = [];
+
+    for (let i = 0; i < tokens.length; i++) {
+      const token = tokens[i];
+      const amountMatch = token.match(AMOUNT_TOKEN);
+      if (amountMatch) {
+        // "£20" for a COP user is another currency: the agent converts it
+        if (amountMatch[1] && amountMatch[1].toLowerCase() !== ownSymbol) {
+          return { reason: 'foreign_currency' };
+        }
+        // A separate suffix word belongs to the amount ("25 mil", "20 lucas")
+        const next = simplify(tokens[i + 1]);
+        const suffix = [...THOUSAND_SUFFIXES, ...MILLION_SUFFIXES].includes(next) ? next : null;
+        amounts.push(parseAmountToken(token, suffix));
+        if (suffix) i++;
+        continue;
+      }
+
+      const word = simplify(token);
+      if (BLOCKED_WORDS.includes(word) && !(lang === 'pt' && stopwords.includes(word))) {
+        return { reason: 'blocked_word' };
+      }
+      if (isDateExpression(token)) return { reason: 'date' };
+      if (/\d/.test(word)) return { reason: 'unclear_amount' };
+      descriptionTokens.push(token);
+    }
+
+    if (amounts.length === 0) return { reason: 'no_amount' };
+    if (amounts.length > 1) return { reason: 'multiple_amounts' };
+
+    const amount = amounts[0];
+    if (amount === null || amount <= 0 || (currency && !validateAmount(amount, currency).valid)) {
+      return { reason: 'invalid_amount' };
+    }
+
+    // Drop "gasté", and articles/prepositions at the edges: "gasté 20k en uber" → "uber"
+    while (descriptionTokens.length > 0 && SPENDING_VERBS.includes(simplify(descriptionTokens[0]))) {
+      descriptionTokens.shift();
+    }
+    while (descriptionTokens.length > 0 && stopwords.includes(simplify(descriptionTokens[0]))) {
+      descriptionTokens.shift();
+    }
+    while (descriptionTokens.length > 0 && stopwords.includes(simplify(descriptionTokens[descriptionTokens.length - 1]))) {
+      descriptionTokens.pop();
+    }
+
+    const words = descriptionTokens
+      .map(simplify)
+      .filter(word => !stopwords.includes(word));
+    if (words.length === 0) return { reason: 'no_description' };
+    if (words.length > MAX_DESCRIPTION_WORDS) return { reason: 'too_long' };
+
+    candidates.push({ amount, description: descriptionTokens.join(' '), words });
+  }
+
+  if (candidates.length === 0) return { reason: 'no_amount' };
+  return { candidates };
+}
+
+/**
+ * Learn keyword → category from the user's past expenses: a word maps to a category
+ * when it was used at least twice and (almost) always with that category
+ * @param {Array<{description: string, category: string}>} expenses
+ * @returns {Map<string, string>}
+ */
+export function learnKeywords(expenses) {
+  const counts = new Map(); // word -> Map(category -> count)
+
+  for (const expense of expenses || []) {
+    if (!expense.description || !expense.category) continue;
+    const words = new Set(simplify(expense.description).split(/[^a-z0-9]+/).filter(w => w.length >= 3 && !/\d/.test(w)));
+    for (const word of words) {
+      if (!counts.has(word)) counts.set(word, new Map());
+      const byCategory = counts.get(word);
+      byCategory.set(expense.category, (byCategory.get(expense.category) || 0) + 1);
+    }
+  }
+
+  const keywords = new Map();
+  for (const [word, byCategory] of counts) {
+    const total = [...byCategory.values()].reduce((sum, n) => sum + n, 0);
+    const [category, count] = [...byCategory.entries()].sort((a, b) => b[1] - a[1])[0];
+    if (count >= 2 && count / total >= 0.8) {
+      keywords.set(word, category);
+    }
+  }
+  return keywords;
+}
+
+/**
+ * Category for a candidate's words: the user's own history first, then category
+ * names ("comida 20k"), then the built-in keywords
+ * @param {Array<string>} words - Simplified description words
+ * @param {object} options
+ * @param {Array<{id: string, name: string}>} options.categories - User's categories
+ * @param {Map<string, string>} options.learnedKeywords - From learnKeywords
+ * @returns {{category: string, source: string}|{reason: string}}
+ *   reason: 'no_category' | 'ambiguous_category'
+ */
+export function resolveCategory(words, { categories = [], learnedKeywords = new Map() } = {}) {
+  const userCategoryIds = new Set(categories.map(c => c.id));
+  const found = new Map(); // category ID -> source
+
+  for (const word of words) {
+    const learned = learnedKeywords.get(word);
+    if (learned && userCategoryIds.has(learned)) {
+      found.set(learned, found.get(learned) || 'history');
+      continue;
+    }
+
+    const byName = findCategory(categories, word)
+      || categories.find(c => simplify(c.name) === word || simplify(c.id) === word);
+    if (byName) {
+      found.set(byName.id, found.get(byName.id) || 'name');
+      continue;
+    }
+
+    for (const [concept, keywords] of Object.entries(CONCEPT_KEYWORDS)) {
+      if (!keywords.includes(word)) continue;
+      const categoryId = CONCEPT_CATEGORY_IDS[concept].find(id => userCategoryIds.has(id));
+      if (categoryId) found.set(categoryId, found.get(categoryId) || 'keyword');
+    }
+  }
+
+  if (found.size === 0) return { reason: 'no_category' };
+  if (found.size > 1) return { reason: 'ambiguous_category' };
+
+  const [[category, source]] = found.entries();
+  return { category, source };
+}
+
+export default {
+  extractExpenseCandidates,
+  learnKeywords,
+  resolveCategory,
+};
@@ -54,6 +54,48 @@ Try it now! Tell me about a recent expense.`,
     expense_logged: "✅ Logged:",
     expense_logged_multi: "✅ Logged {count} expenses:",
     expense_for: "for",
+    expense_date_invalid: "I couldn't understand that date. Try \"yesterday\", \"last Friday\" or \"15/03\".",
+    media_date_unread: "I couldn't read the date \"{date}\", so I logged it for today. If that's wrong, tell me the right date.",
+    expense_date_too_old: "That date is outside your history window ({days} days). Upgrade your plan to log older expenses.",
+    expense_date_too_far_future: "I can only log expenses up to {days} days ahead.",
+    date_yesterday: "yesterday",
+    date_tomorrow: "tomorrow",
+
+    // Income / cash flow
+    income_logged: "💵 Income logged:",
+    cashflow_net_positive: "🟢 Left: {amount}",
+    cashflow_net_negative: "🔴 Overspent: {amount}",
+
+    // Recurring expenses
+    recurring_auto_logged: "🔁 Logged your recurring expense: {description} {amount} ({category})",
+    recurring_confirm_prompt: "🔁 {description} for {amount} ({category}) is due today. Log it?",
+    recurring_btn_log: "Log it",
+    recurring_btn_skip: "Skip",
+    recurring_logged: "✅ Logged: {description} {amount} ({category})",
+    recurring_skipped: "Ok, I won't log {description} this time",
+    recurring_already_logged: "{description} was already logged ✅",
+    recurring_not_found: "That recurring expense no longer exists.",
+    recurring_every_week: "every {weekday}",
+    recurring_every_month: "every month on day {day}",
+    recurring_every_year: "every year on {date}",
+    recurring_upcoming_title: "📅 *Upcoming bills*",
+
+    // Confirmations
+    confirm_btn_yes: "Yes",
+    confirm_btn_no: "No",
+    confirm_cancelled: "Ok, I didn't change anything.",
+    confirm_expired: "That confirmation expired. Ask me again if you still want to do it.",
+    confirm_not_pending: "That was already answered (or replaced by a newer request).",
+
+    // Pickers
+    choice_list_button: "Choose",
+    choice_more_options: "Also: {options} (type it)",
+    choice_expired: "That question expired. Tell me again what you want to do.",
+
+    // Payment accounts
+    account_not_found: "I don't have an account called \"{name}\". Say \"add account {name}\" to create it.",
+    account_ambiguous: "Which account do you mean?\n{accounts}",
+    account_list_hint: "Your accounts: {accounts}",
 
     // Image/Audio
     image_logged: "📷 ✅ Logged from image:",
@@ -66,13 +108,19 @@ Try it now! Tell me about a recent expense.`,
 
     // Currency
     currency_not_set: "I couldn't detect your currency from your phone number. Please tell me your currency (e.g., \"My currency is COP\" or \"My currency is USD\").",
+    currency_unsupported: "I can't convert from \"{currency}\" yet. Tell me the amount in your currency or as a code like USD or EUR.",
     currency_already_set: "Your currency is already set to {currency}. Currency cannot be changed once set.",
     currency_invalid: "Sorry, \"{code}\" is not a supported currency. Please use a valid 3-letter currency code like USD, EUR, COP, etc.",
     currency_set: "✅ Your currency has been set to {currency}. All your expenses will now be tracked in this currency.",
 
     // Budget
-    budget_set: "✅ Set {category} budget to {amount}/month",
-    budget_updated: "✅ Updated {category} budget to {amount}/month",
+    budget_set: "✅ Set {category} budget to {amount} ({period})",
+    budget_updated: "✅ Updated {category} budget to {amount} ({period})",
+    budget_rollover_surplus: "🔁 Unspent money carries over to the next period",
+    budget_rollover_both: "🔁 Unspent money and overspending carry over to the next period",
+    budget_rollover_cap: "(up to {cap})",
+    budget_carryover: "🔁 Carried over: {amount}",
+    budget_transferred: "↔️ Moved: {amount}",
     budget_help: "To set a budget, say: \"Set food budget to 500\"",
     budget_none: "You haven't set any budgets yet. Try: \"Set food budget to 500\"",
     budget_title: "🎯 *Your Budgets*",
@@ -85,7 +133,7 @@ Try it now! Tell me about a recent expense.`,
     budget_prompt_silenced: "Ok, I won't ask about {category} for 1 month",
     budget_prompt_created: "✅ {amount}/month budget set for {category}",
     budget_exceeded_simple: "Exceeded! {spent} of {budget}",
-    budget_warning_remaining: "Only {remaining} left this month",
+    budget_warning_remaining: "Only {remaining} left until {until}",
 
     // Summary
     summary_title: "📊 *{month} Summary*",
@@ -212,6 +260,48 @@ Pregunta: "¿Cuál es mi mayor gasto?"
     expense_logged: "✅ Registrado:",
     expense_logged_multi: "✅ Registrados {count} gastos:",
     expense_for: "en",
+    expense_date_invalid: "No entendí esa fecha. Prueba con \"ayer\", \"el viernes\" o \"15/03\".",
+    media_date_unread: "No pude leer la fecha \"{date}\", así que lo registré con fecha de hoy. Si no es correcta, dime cuál es.",
+    expense_date_too_old: "Esa fecha está fuera de tu historial ({days} días). Mejora tu plan para registrar gastos más antiguos.",
+    expense_date_too_far_future: "Solo puedo registrar gastos hasta {days} días adelante.",
+    date_yesterday: "ayer",
+    date_tomorrow: "mañana",
+
+    // Income / cash flow
+    income_logged: "💵 Ingreso registrado:",
+    cashflow_net_positive: "🟢 Te quedan: {amount}",
+    cashflow_net_negative: "🔴 Gastaste de más: {amount}",
+
+    // Recurring expenses
+    recurring_auto_logged: "🔁 Registré tu gasto recurrente: {description} {amount} ({category})",
+    recurring_confirm_prompt: "🔁 Hoy toca {description} por {amount} ({category}). ¿Lo registro?",
+    recurring_btn_log: "Registrar",
+    recurring_btn_skip: "Omitir",
+    recurring_logged: "✅ Registrado: {description} {amount} ({category})",
+    recurring_skipped: "Ok, no registro {description} esta vez",
+    recurring_already_logged: "{description} ya estaba registrado ✅",
+    recurring_not_found: "Ese gasto recurrente ya no existe.",
+    recurring_every_week: "cada {weekday}",
+    recurring_every_month: "cada mes el día {day}",
+    recurring_every_year: "cada año el {date}",
+    recurring_upcoming_title: "📅 *Próximos pagos*",
+
+    // Confirmations
+    confirm_btn_yes: "Sí",
+    confirm_btn_no: "No",
+    confirm_cancelled: "Listo, no cambié nada.",
+    confirm_expired: "Esa confirmación expiró. Pídemelo de nuevo si todavía quieres hacerlo.",
+    confirm_not_pending: "Eso ya fue respondido (o lo reemplazó una solicitud más reciente).",
+
+    // Pickers
+    choice_list_button: "Elegir",
+    choice_more_options: "También: {options} (escríbela)",
+    choice_expired: "Esa pregunta expiró. Dime de nuevo qué quieres hacer.",
+
+    // Payment accounts
+    account_not_found: "No tengo una cuenta llamada \"{name}\". Di \"agrega la cuenta {name}\" para crearla.",
+    account_ambiguous: "¿Cuál cuenta?\n{accounts}",
+    account_list_hint: "Tus cuentas: {accounts}",
 
     // Image/Audio
     image_logged: "📷 ✅ Registrado desde imagen:",
@@ -224,13 +314,19 @@ Pregunta: "¿Cuál es mi mayor gasto?"
 
     // Currency
     currency_not_set: "No pude detectar tu moneda desde tu número de teléfono. Por favor dime tu moneda (ej: \"Mi moneda es COP\" o \"Mi moneda es USD\").",
+    currency_unsupported: "Todavía no puedo convertir desde \"{currency}\". Dime el monto en tu moneda o con un código como USD o EUR.",
     currency_already_set: "Tu moneda ya está configurada como {currency}. La moneda no se puede cambiar una vez establecida.",
     currency_invalid: "Lo siento, \"{code}\" no es una moneda soportada. Usa un código de 3 letras válido como USD, EUR, COP, etc.",
     currency_set: "✅ Tu moneda ha sido configurada como {currency}. Todos tus gastos serán registrados en esta moneda.",
 
     // Budget
-    budget_set: "✅ Presupuesto de {category} establecido en {amount}/mes",
-    budget_updated: "✅ Presupuesto de {category} actualizado a {amount}/mes",
+    budget_set: "✅ Presupuesto de {category} establecido en {amount} ({period})",
+    budget_updated: "✅ Presupuesto de {category} actualizado a {amount} ({period})",
+    budget_rollover_surplus: "🔁 Lo que no gastes pasa al siguiente periodo",
+    budget_rollover_both: "🔁 Lo que no gastes y lo que te pases se arrastran al siguiente periodo",
+    budget_rollover_cap: "(hasta {cap})",
+    budget_carryover: "🔁 Arrastre: {amount}",
+    budget_transferred: "↔️ Movido: {amount}",
     budget_help: "Para establecer un presupuesto, di: \"Pon presupuesto de comida en 500000\"",
     budget_none: "No has establecido presupuestos aún. Intenta: \"Pon presupuesto de comida en 500000\"",
     budget_title: "🎯 *Tus Presupuestos*",
@@ -243,7 +339,7 @@ Pregunta: "¿Cuál es mi mayor gasto?"
     budget_prompt_silenced: "Ok, no te preguntaré por {category} durante 1 mes",
     budget_prompt_created: "✅ Presupuesto de {amount}/mes establecido para {category}",
     budget_exceeded_simple: "¡Excedido! {spent} de {budget}",
-    budget_warning_remaining: "Solo te quedan {remaining} este mes",
+    budget_warning_remaining: "Solo te quedan {remaining} hasta el {until}",
 
     // Summary
     summary_title: "📊 *Resumen de {month}*",
@@ -370,6 +466,48 @@ Experimente agora! Me conte sobre uma despesa recente.`,
     expense_logged: "✅ Registrado:",
     expense_logged_multi: "✅ Registradas {count} despesas:",
     expense_for: "em",
+    expense_date_invalid: "Não entendi essa data. Tente \"ontem\", \"sexta passada\" ou \"15/03\".",
+    media_date_unread: "Não consegui ler a data \"{date}\", então registrei com a data de hoje. Se não estiver certa, me diga qual é.",
+    expense_date_too_old: "Essa data está fora do seu histórico ({days} dias). Melhore seu plano para registrar despesas mais antigas.",
+    expense_date_too_far_future: "Só posso registrar despesas até {days} dias à frente.",
+    date_yesterday: "ontem",
+    date_tomorrow: "amanhã",
+
+    // Income / cash flow
+    income_logged: "💵 Receita registrada:",
+    cashflow_net_positive: "🟢 Sobram: {amount}",
+    cashflow_net_negative: "🔴 Gastou a mais: {amount}",
+
+    // Recurring expenses
+    recurring_auto_logged: "🔁 Registrei sua despesa recorrente: {description} {amount} ({category})",
+    recurring_confirm_prompt: "🔁 Hoje vence {description} de {amount} ({category}). Registro?",
+    recurring_btn_log: "Registrar",
+    recurring_btn_skip: "Pular",
+    recurring_logged: "✅ Registrado: {description} {amount} ({category})",
+    recurring_skipped: "Ok, não vou registrar {description} desta vez",
+    recurring_already_logged: "{description} já estava registrado ✅",
+    recurring_not_found: "Essa despesa recorrente não existe mais.",
+    recurring_every_week: "toda {weekday}",
+    recurring_every_month: "todo mês no dia {day}",
+    recurring_every_year: "todo ano em {date}",
+    recurring_upcoming_title: "📅 *Próximas contas*",
+
+    // Confirmations
+    confirm_btn_yes: "Sim",
+    confirm_btn_no: "Não",
+    confirm_cancelled: "Ok, não mudei nada.",
+    confirm_expired: "Essa confirmação expirou. Peça de novo se ainda quiser fazer isso.",
+    confirm_not_pending: "Isso já foi respondido (ou substituído por um pedido mais recente).",
+
+    // Pickers
+    choice_list_button: "Escolher",
+    choice_more_options: "Também: {options} (digite)",
+    choice_expired: "Essa pergunta expirou. Me diga de novo o que você quer fazer.",
+
+    // Payment accounts
+    account_not_found: "Não tenho uma conta chamada \"{name}\". Diga \"adicione a conta {name}\" para criá-la.",
+    account_ambiguous: "Qual conta?\n{accounts}",
+    account_list_hint: "Suas contas: {accounts}",
 
     // Image/Audio
     image_logged: "📷 ✅ Registrado da imagem:",
@@ -382,13 +520,19 @@ Experimente agora! Me conte sobre uma despesa recente.`,
 
     // Currency
     currency_not_set: "Não consegui detectar sua moeda pelo número de telefone. Por favor, me diga sua moeda (ex: \"Minha moeda é BRL\" ou \"Minha moeda é USD\").",
+    currency_unsupported: "Ainda não consigo converter de \"{currency}\". Me diga o valor na sua moeda ou com um código como USD ou EUR.",
     currency_already_set: "Sua moeda já está configurada como {currency}. A moeda não pode ser alterada depois de definida.",
     currency_invalid: "Desculpe, \"{code}\" não é uma moeda suportada. Use um código válido de 3 letras como USD, EUR, BRL, etc.",
     currency_set: "✅ Sua moeda foi configurada como {currency}. Todas as suas despesas serão registradas nesta moeda.",
 
     // Budget
-    budget_set: "✅ Orçamento de {category} definido para {amount}/mês",
-    budget_updated: "✅ Orçamento de {category} atualizado para {amount}/mês",
+    budget_set: "✅ Orçamento de {category} definido para {amount} ({period})",
+    budget_updated: "✅ Orçamento de {category} atualizado para {amount} ({period})",
+    budget_rollover_surplus: "🔁 O que não for gasto passa para o próximo período",
+    budget_rollover_both: "🔁 O que não for gasto e o que passar do limite vão para o próximo período",
+    budget_rollover_cap: "(até {cap})",
+    budget_carryover: "🔁 Acumulado: {amount}",
+    budget_transferred: "↔️ Movido: {amount}",
     budget_help: "Para definir um orçamento, diga: \"Defina orçamento de comida para 500\"",
     budget_none: "Você ainda não definiu orçamentos. Tente: \"Defina orçamento de comida para 500\"",
     budget_title: "🎯 *Seus Orçamentos*",
@@ -401,7 +545,7 @@ Experimente agora! Me conte sobre uma despesa recente.`,
     budget_prompt_silenced: "Ok, não vou perguntar sobre {category} por 1 mês",
     budget_prompt_created: "✅ Orçamento de {amount}/mês definido para {category}",
     budget_exceeded_simple: "Excedido! {spent} de {budget}",
-    budget_warning_remaining: "Restam apenas {remaining} este mês",
+    budget_warning_remaining: "Restam apenas {remaining} até {until}",
 
     // Summary
     summary_title: "📊 *Resumo de {month}*",
@@ -1,7 +1,9 @@
 /**
  * Media Processing Utilities
- * - Images: Uses Claude Vision API for OCR (tokens tracked for dynamic pricing)
- * - Audio: Uses OpenAI Whisper API (very cheap) or Groq (free tier)
+ * - Images: Uses the vision model for OCR (tokens tracked for dynamic pricing)
+ * - Audio: Uses OpenAI Whisper API (very cheap) or Groq (free tier), then the extraction model
+ *
+ * Models and provider fallback come from llmFallbackService/modelConfig
  *
  * Returns token/duration usage for dynamic monedita calculation
  */
@@ -11,12 +13,11 @@ import FormData from "form-data";
 import dotenv from "dotenv";
 import { trackUsage, isAllowed } from "./usageMonitor.js";
 import { estimateAudioDuration } from "../services/costTracker.js";
+import { callWithFallback } from "../services/llmFallbackService.js";
+import { TASKS } from "../services/modelConfig.js";
 
 dotenv.config();
 
-const ANTHROPIC_API_KEY = process.env.ANTHROPIC_API_KEY;
-const ANTHROPIC_API_URL = "https://api.anthropic.com/v1/messages";
-
 // For audio: Use OpenAI Whisper (cheap) or Groq (free tier)
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 const GROQ_API_KEY = process.env.GROQ_API_KEY;
@@ -33,14 +34,39 @@ const COMMA_THOUSAND_CURRENCIES = [
 ];
 
 /**
- * Extract expense data from an image using Claude Vision
+ * Parse the JSON object the model returned (with or without a ```json fence)
+ */
+function parseJsonResponse(content) {
+  const result = content.find(block => block.type === "text")?.text || "";
+  const cleaned = result
+    .replace(/```json\n?/g, "")
+    .replace(/```\n?/g, "")
+    .trim();
+  return JSON.parse(cleaned);
+}
+
+/**
+ * Token usage of an LLM response, for costTracker
+ */
+function getTokenUsage(response) {
+  return {
+    provider: response.provider,
+    model: response.model,
+    inputTokens: response.usage?.input_tokens || 0,
+    outputTokens: response.usage?.output_tokens || 0,
+  };
+}
+
+/**
+ * Extract expense data from an image using the vision model
  * @param {Buffer} imageBuffer - The image data
  * @param {string} mimeType - The image MIME type (image/jpeg, image/png, etc.)
  * @param {string[]} categories - List of expense categories
  * @param {string} currency - User's currency code (e.g., 'COP', 'USD')
- * @returns {Promise<{detected: boolean, expenses: Array}>}
+ * @param {string} plan - User's plan ID (selects the LLM provider chain)
+ * @returns {Promise<{detected: boolean, expenses: Array}>} expenses may include a receipt date (YYYY-MM-DD)
  */
-export async function processExpenseImage(imageBuffer, mimeType, categories = null, currency = null) {
+export async function processExpenseImage(imageBuffer, mimeType, categories = null, currency = null, plan = null) {
   const base64Image = imageBuffer.toString("base64");
 
   // Normalize mime type for Claude API
@@ -73,6 +99,9 @@ IMPORTANT: The user's currency is ${currency}, which uses COMMA as thousand sepa
 
 Return ONLY a JSON object with: {"detected": boolean, "expenses": [...]}
 Each expense should have: amount (number), category (string), description (string).
+If the receipt shows the purchase date, add date (string, YYYY-MM-DD). Otherwise omit it.
+If the receipt is in a different currency than ${currency || "the user's currency"}, add currency (ISO code, e.g. "USD", "EUR"). Otherwise omit it.
+If the receipt shows how it was paid, add account (string): the payment method or card as printed (e.g. "efectivo", "Visa 4821"). Otherwise omit it.
 
 Categories: ${categoryList}
 ${currencyContext}
@@ -85,7 +114,7 @@ If the image shows a receipt or bill:
 If no expenses can be detected, return: {"detected": false, "expenses": []}
 
 Examples - use category IDs from the list above:
-- Receipt from McDonald's → {"detected": true, "expenses": [{"amount": 15.50, "category": "comida", "description": "McDonald's"}]}
+- Receipt from McDonald's dated 14/03/2025 → {"detected": true, "expenses": [{"amount": 15.50, "category": "comida", "description": "McDonald's", "date": "2025-03-14"}]}
 - Uber receipt → {"detected": true, "expenses": [{"amount": 23, "category": "transporte", "description": "Uber"}]}
 - Electric bill → {"detected": true, "expenses": [{"amount": 85, "category": "servicios", "description": "luz"}]}
 
@@ -99,58 +128,35 @@ IMPORTANT: Use ONLY the category IDs provided above (${categoryList}). Do not us
     }
     trackUsage('vision_calls');
 
-    const response = await axios.post(
-      ANTHROPIC_API_URL,
-      {
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 500,
-        messages: [
-          {
-            role: "user",
-            content: [
-              {
-                type: "image",
-                source: {
-                  type: "base64",
-                  media_type: mediaType,
-                  data: base64Image,
-                },
+    const response = await callWithFallback(
+      systemPrompt,
+      [
+        {
+          role: "user",
+          content: [
+            {
+              type: "image",
+              source: {
+                type: "base64",
+                media_type: mediaType,
+                data: base64Image,
               },
-              {
-                type: "text",
-                text: "Extract all expense information from this image. Return only JSON.",
-              },
-            ],
-          },
-        ],
-        system: systemPrompt,
-      },
-      {
-        headers: {
-          "x-api-key": ANTHROPIC_API_KEY,
-          "anthropic-version": "2023-06-01",
-          "content-type": "application/json",
+            },
+            {
+              type: "text",
+              text: "Extract all expense information from this image. Return only JSON.",
+            },
+          ],
         },
-      }
+      ],
+      [],
+      { task: TASKS.VISION, plan }
     );
 
-    // Capture token usage for dynamic cost calculation
-    const tokenUsage = response.data.usage || { input_tokens: 0, output_tokens: 0 };
-
-    const result = response.data.content[0].text;
-    const cleaned = result
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
-    const parsed = JSON.parse(cleaned);
-
-    // Add token usage to result
+    // Add token usage to result (for dynamic cost calculation)
     return {
-      ...parsed,
-      _tokenUsage: {
-        inputTokens: tokenUsage.input_tokens,
-        outputTokens: tokenUsage.output_tokens,
-      },
+      ...parseJsonResponse(response.content),
+      _tokenUsage: getTokenUsage(response),
     };
   } catch (error) {
     console.error(
@@ -278,11 +284,14 @@ function getAudioExtension(mimeType) {
 
 /**
  * Process audio message: transcribe and extract expenses
+ * Expenses may include a spoken date ("ayer", "el viernes") to resolve with expenseDateUtils
  * @param {Buffer} audioBuffer - The audio data
  * @param {string} mimeType - The audio MIME type
+ * @param {Array} categories - User's categories
+ * @param {string} plan - User's plan ID (selects the LLM provider chain)
  * @returns {Promise<{transcription: string, detected: boolean, expenses: Array, _whisperUsage: object, _tokenUsage: object}>}
  */
-export async function processExpenseAudio(audioBuffer, mimeType, categories = null) {
+export async function processExpenseAudio(audioBuffer, mimeType, categories = null, plan = null) {
   try {
     // First, transcribe the audio
     const whisperResult = await transcribeAudio(audioBuffer, mimeType);
@@ -297,46 +306,35 @@ export async function processExpenseAudio(audioBuffer, mimeType, categories = nu
       categoryList = 'comida, transporte, compras, entretenimiento, servicios, salud, otros';
     }
 
-    // Then extract expenses from the transcription using Claude
+    // Then extract expenses from the transcription with the extraction model
     const systemPrompt = `Extract ALL expense information from the transcribed voice message.
 Return ONLY a JSON object with: {"detected": boolean, "expenses": [...]}
 Each expense should have: amount (number), category (string), description (string).
+If the user says when it happened, add date (string) with the words used (e.g. "ayer", "el viernes", "hace 3 días") or YYYY-MM-DD. Otherwise omit it.
+If the user explicitly names a foreign currency (e.g. "dólares", "USD", "euros"), add currency (ISO code). Otherwise omit it.
+If the user says how they paid (e.g. "en efectivo", "con la tarjeta Bancolombia", "con Nequi"), add account (string) with the words used. Otherwise omit it.
+If the user names the category themselves (e.g. "ponlo en salud", "en la categoría comida"), add categoryNamed: true. Otherwise omit it.
 
 Categories: ${categoryList}
 
 Examples - use category IDs from the list above:
 "Gasté mil pesos en el almuerzo" → {"detected": true, "expenses": [{"amount": 1000, "category": "comida", "description": "almuerzo"}]}
+"Rappi 40 mil, ponlo en compras" → {"detected": true, "expenses": [{"amount": 40000, "category": "compras", "description": "Rappi", "categoryNamed": true}]}
 "50 de mercado y 20 de gasolina" → {"detected": true, "expenses": [{"amount": 50, "category": "compras", "description": "mercado"}, {"amount": 20, "category": "transporte", "description": "gasolina"}]}
+"Ayer pagué 30 mil de taxi" → {"detected": true, "expenses": [{"amount": 30000, "category": "transporte", "description": "taxi", "date": "ayer"}]}
+"20 dólares de taxi" → {"detected": true, "expenses": [{"amount": 20, "category": "transporte", "description": "taxi", "currency": "USD"}]}
+"Almuerzo 25 mil con la tarjeta" → {"detected": true, "expenses": [{"amount": 25000, "category": "comida", "description": "almuerzo", "account": "tarjeta"}]}
 
 IMPORTANT: Use ONLY the category IDs provided above (${categoryList}). Do not use English categories.
 If no expenses mentioned, return: {"detected": false, "expenses": []}`;
 
-    const response = await axios.post(
-      ANTHROPIC_API_URL,
-      {
-        model: "claude-sonnet-4-20250514",
-        max_tokens: 500,
-        messages: [{ role: "user", content: transcription }],
-        system: systemPrompt,
-      },
-      {
-        headers: {
-          "x-api-key": ANTHROPIC_API_KEY,
-          "anthropic-version": "2023-06-01",
-          "content-type": "application/json",
-        },
-      }
+    const response = await callWithFallback(
+      systemPrompt,
+      [{ role: "user", content: transcription }],
+      [],
+      { task: TASKS.EXTRACTION, plan }
     );
-
-    // Capture token usage for dynamic cost calculation
-    const tokenUsage = response.data.usage || { input_tokens: 0, output_tokens: 0 };
-
-    const result = response.data.content[0].text;
-    const cleaned = result
-      .replace(/```json\n?/g, "")
-      .replace(/```\n?/g, "")
-      .trim();
-    const expenseData = JSON.parse(cleaned);
+    const expenseData = parseJsonResponse(response.content);
 
     return {
       transcription,
@@ -346,10 +344,7 @@ If no expenses mentioned, return: {"detected": false, "expenses": []}`;
         durationSeconds: whisperResult.durationSeconds,
         isGroq: whisperResult.provider === 'groq',
       },
-      _tokenUsage: {
-        inputTokens: tokenUsage.input_tokens,
-        outputTokens: tokenUsage.output_tokens,
-      },
+      _tokenUsage: getTokenUsage(response),
     };
   } catch (error) {
     console.error(
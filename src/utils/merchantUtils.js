@@ -0,0 +1,105 @@
+/**
+ * Merchant utilities
+ * Normalized merchant names from what shows up on expenses: bank descriptions
+ * ("COMPRA POS RAPPI COLOMBIA*DL 4821"), receipts ("Rappi S.A.S.") and what users type ("rappi")
+ */
+
+// Bank statement words around the merchant's name
+const NOISE_WORDS = [
+  'compra', 'compras', 'pago', 'pagos', 'pos', 'cargo', 'debito', 'credito', 'tarjeta', 'trx', 'transaccion', 'pse',
+  'purchase', 'payment', 'card', 'online', 'web', 'www', 'com', 'pagamento', 'cartao',
+  'en', 'de', 'del', 'la', 'el', 'los', 'las', 'at', 'the', 'of', 'em', 'do', 'da', 'no', 'na',
+];
+
+// Company suffixes and places that follow the name ("RAPPI SAS BOGOTA")
+const SUFFIX_WORDS = [
+  'sas', 'sa', 'ltda', 'inc', 'llc', 'ltd', 'corp', 'co', 'me', 'eireli',
+  'colombia', 'col', 'mexico', 'mex', 'brasil', 'brazil', 'bogota', 'medellin', 'cali', 'barranquilla',
+];
+
+// Longer names are descriptions, not merchants
+const MAX_NAME_WORDS = 3;
+
+/**
+ * Lowercase and strip accents
+ */
+function simplify(text) {
+  return String(text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '');
+}
+
+/**
+ * The words of a name that can belong to the merchant (no noise, suffixes or numbers)
+ */
+function getNameWords(name) {
+  // Card processors append details after "*" ("UBER *TRIP", "RAPPI*DL")
+  const [main] = simplify(name).replace(/s\.a\.s\.?|s\.a\.?/g, ' ').split('*');
+
+  return main
+    .split(/[^a-z0-9&]+/)
+    .filter(word => word.length > 1 && !/\d/.test(word))
+    .filter(word => !NOISE_WORDS.includes(word) && !SUFFIX_WORDS.includes(word));
+}
+
+/**
+ * Normalize a merchant name or expense description to the merchant's key
+ * ("COMPRA RAPPI COLOMBIA*DL 4821" → "rappi", "Éxito Unicentro" → "exito unicentro")
+ * @param {string} name
+ * @returns {string|null} Null when nothing looks like a name
+ */
+export function normalizeMerchantName(name) {
+  const words = getNameWords(name);
+  return words.length > 0 ? words.slice(0, MAX_NAME_WORDS).join(' ') : null;
+}
+
+/**
+ * Whether a typed description is short enough to be a merchant's name ("Rappi",
+ * "pago Rappi") rather than a description ("almuerzo con los del trabajo")
+ * @param {string} text
+ * @returns {boolean}
+ */
+export function isMerchantLikeName(text) {
+  const words = getNameWords(text);
+  return words.length > 0 && words.length <= MAX_NAME_WORDS;
+}
+
+/**
+ * Display name for a normalized merchant ("exito unicentro" → "Exito Unicentro")
+ * @param {string} normalizedName
+ * @returns {string}
+ */
+export function formatMerchantName(normalizedName) {
+  return normalizedName.replace(/\b[a-z]/g, letter => letter.toUpperCase());
+}
+
+/**
+ * Find the merchant a text refers to among known ones: same normalized name, or
+ * the longest one whose words appear together in it ("pedido rappi" → "rappi")
+ * @param {string} text - Merchant name or description
+ * @param {Array<{normalized_name: string}>} merchants
+ * @returns {object|null}
+ */
+export function matchMerchant(text, merchants) {
+  const normalized = normalizeMerchantName(text);
+  if (!normalized) return null;
+
+  const exact = merchants.find(m => m.normalized_name === normalized);
+  if (exact) return exact;
+
+  // Compare whole words: "rappi" is in "pedido rappi" but "ara" isn't in "arandanos"
+  const padded = ` ${simplify(text).split(/[^a-z0-9&]+/).join(' ')} `;
+  const contained = merchants
+    .filter(m => m.normalized_name && padded.includes(` ${m.normalized_name} `))
+    .sort((a, b) => b.normalized_name.length - a.normalized_name.length);
+
+  return contained[0] || null;
+}
+
+export default {
+  normalizeMerchantName,
+  isMerchantLikeName,
+  formatMerchantName,
+  matchMerchant,
+};
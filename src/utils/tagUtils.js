@@ -0,0 +1,84 @@
+/**
+ * Tag utilities
+ * Cross-cutting labels on expenses (#viaje-cartagena, #deducible, #trabajo)
+ *
+ * Tags are stored without the leading "#", lowercased, with spaces turned into dashes
+ */
+
+export const MAX_TAGS_PER_EXPENSE = 10;
+
+export const MAX_TAG_LENGTH = 40;
+
+export const MAX_NOTES_LENGTH = 500;
+
+// Group key used for expenses without tags when grouping by tag
+export const UNTAGGED_GROUP = '(untagged)';
+
+/**
+ * Normalize a single tag ("#Viaje Cartagena" → "viaje-cartagena")
+ * @param {string} tag
+ * @returns {string|null} Normalized tag or null if nothing is left
+ */
+export function normalizeTag(tag) {
+  if (tag === null || tag === undefined) return null;
+  const normalized = String(tag)
+    .toLowerCase()
+    .trim()
+    .replace(/^#+/, '')
+    .replace(/\s+/g, '-')
+    .replace(/[^\p{L}\p{N}_-]/gu, '')
+    .replace(/-+/g, '-')
+    .replace(/^-|-$/g, '')
+    .substring(0, MAX_TAG_LENGTH);
+  return normalized || null;
+}
+
+/**
+ * Normalize a list of tags, dropping empties and duplicates
+ * @param {string[]|string} tags - Array of tags, or a string like "#viaje, #trabajo"
+ * @returns {string[]}
+ */
+export function normalizeTags(tags) {
+  if (!tags) return [];
+  const list = Array.isArray(tags) ? tags : String(tags).split(/[,\s]+(?=#)|,/);
+  const result = [];
+  for (const tag of list) {
+    const normalized = normalizeTag(tag);
+    if (normalized && !result.includes(normalized)) {
+      result.push(normalized);
+    }
+  }
+  return result.slice(0, MAX_TAGS_PER_EXPENSE);
+}
+
+/**
+ * Clean up free-form notes
+ * @param {string} notes
+ * @returns {string|null} Trimmed notes or null if empty
+ */
+export function normalizeNotes(notes) {
+  if (notes === null || notes === undefined) return null;
+  const trimmed = String(notes).trim().substring(0, MAX_NOTES_LENGTH);
+  return trimmed || null;
+}
+
+/**
+ * Format tags for display ("#viaje-cartagena #trabajo")
+ * @param {string[]} tags
+ * @returns {string} Empty string when there are no tags
+ */
+export function formatTags(tags) {
+  if (!Array.isArray(tags) || tags.length === 0) return '';
+  return tags.map(tag => `#${tag}`).join(' ');
+}
+
+export default {
+  MAX_TAGS_PER_EXPENSE,
+  MAX_TAG_LENGTH,
+  MAX_NOTES_LENGTH,
+  UNTAGGED_GROUP,
+  normalizeTag,
+  normalizeTags,
+  normalizeNotes,
+  formatTags,
+};
@@ -163,3 +163,71 @@ export function getUserLocalDay(phone) {
     return new Date().getUTCDay();
   }
 }
+
+/**
+ * Get calendar date parts of an instant in a specific timezone
+ * @param {Date} date - Instant to convert
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {{year: number, month: number, day: number, hour: number, minute: number}} month is 1-12
+ */
+export function getDatePartsInTimezone(date, timezone) {
+  try {
+    const formatter = new Intl.DateTimeFormat('en-US', {
+      timeZone: timezone,
+      year: 'numeric',
+      month: 'numeric',
+      day: 'numeric',
+      hour: 'numeric',
+      minute: 'numeric',
+      hour12: false,
+    });
+    const parts = {};
+    for (const { type, value } of formatter.formatToParts(date)) {
+      parts[type] = parseInt(value, 10);
+    }
+    return {
+      year: parts.year,
+      month: parts.month,
+      day: parts.day,
+      hour: parts.hour === 24 ? 0 : parts.hour, // Some engines format midnight as 24
+      minute: parts.minute,
+    };
+  } catch (error) {
+    console.error(`Error getting date parts for timezone ${timezone}:`, error.message);
+    return {
+      year: date.getUTCFullYear(),
+      month: date.getUTCMonth() + 1,
+      day: date.getUTCDate(),
+      hour: date.getUTCHours(),
+      minute: date.getUTCMinutes(),
+    };
+  }
+}
+
+/**
+ * Convert a wall-clock time in a timezone to a UTC instant
+ * @param {number} year
+ * @param {number} month - 1-12
+ * @param {number} day
+ * @param {number} hour
+ * @param {number} minute
+ * @param {string} timezone - IANA timezone identifier
+ * @returns {Date}
+ */
+export function zonedTimeToUtc(year, month, day, hour, minute, timezone) {
+  // Guess as if it were UTC, then correct by the timezone's offset at that instant
+  const guess = Date.UTC(year, month - 1, day, hour, minute);
+  const parts = getDatePartsInTimezone(new Date(guess), timezone);
+  const asLocal = Date.UTC(parts.year, parts.month - 1, parts.day, parts.hour, parts.minute);
+  return new Date(guess - (asLocal - guess));
+}
+
+/**
+ * Get today's calendar date for a user based on their phone number
+ * @param {string} phone - User's phone number
+ * @returns {{year: number, month: number, day: number}} month is 1-12
+ */
+export function getUserLocalDate(phone) {
+  const { year, month, day } = getDatePartsInTimezone(new Date(), getTimezoneFromPhone(phone));
+  return { year, month, day };
+}
@@ -9,6 +9,20 @@ const WHATSAPP_API_URL = 'https://graph.facebook.com/v21.0';
 const PHONE_NUMBER_ID = process.env.WHATSAPP_PHONE_NUMBER_ID;
 const ACCESS_TOKEN = process.env.WHATSAPP_TOKEN;
 
+// Interactive message limits (Meta rejects the whole message past them)
+const MAX_BUTTON_TITLE = 20;
+const MAX_LIST_ROWS = 10;
+const MAX_ROW_TITLE = 24;
+const MAX_ROW_DESCRIPTION = 72;
+
+/**
+ * Cut a label to fit an interactive message field
+ */
+function fitText(text, maxLength) {
+  const value = String(text ?? '');
+  return value.length > maxLength ? `${value.slice(0, maxLength - 1)}…` : value;
+}
+
 /**
  * Send a text message via WhatsApp
  */
@@ -57,7 +71,7 @@ export async function sendInteractiveButtons(to, bodyText, buttons) {
               type: 'reply',
               reply: {
                 id: btn.id || `btn_${idx}`,
-                title: btn.title
+                title: fitText(btn.title, MAX_BUTTON_TITLE)
               }
             }))
           }
@@ -77,6 +91,51 @@ export async function sendInteractiveButtons(to, bodyText, buttons) {
   }
 }
 
+/**
+ * Send an interactive list message (a button that opens up to 10 options)
+ * @param {string} to - Recipient phone number
+ * @param {string} bodyText - Message text
+ * @param {string} buttonText - Label of the button that opens the list
+ * @param {Array<{id: string, title: string, description?: string}>} rows - Options (extra rows are dropped)
+ */
+export async function sendInteractiveList(to, bodyText, buttonText, rows) {
+  try {
+    const response = await axios.post(
+      `${WHATSAPP_API_URL}/${PHONE_NUMBER_ID}/messages`,
+      {
+        messaging_product: 'whatsapp',
+        recipient_type: 'individual',
+        to: to,
+        type: 'interactive',
+        interactive: {
+          type: 'list',
+          body: { text: bodyText },
+          action: {
+            button: fitText(buttonText, MAX_BUTTON_TITLE),
+            sections: [{
+              rows: rows.slice(0, MAX_LIST_ROWS).map((row, idx) => ({
+                id: row.id || `row_${idx}`,
+                title: fitText(row.title, MAX_ROW_TITLE),
+                ...(row.description && { description: fitText(row.description, MAX_ROW_DESCRIPTION) })
+              }))
+            }]
+          }
+        }
+      },
+      {
+        headers: {
+          'Authorization': `Bearer ${ACCESS_TOKEN}`,
+          'Content-Type': 'application/json'
+        }
+      }
+    );
+    return response.data;
+  } catch (error) {
+    console.error('Error sending list message:', error.response?.data || error.message);
+    throw error;
+  }
+}
+
 /**
  * Mark message as read
  */